@@ -1,5 +1,16 @@
 #!/usr/bin/env node
 
+// Point the demo at the Notion databases seeded by the fake backend fixtures
+process.env.NOTION_CONTACTS_DATABASE_ID = process.env.NOTION_CONTACTS_DATABASE_ID || 'demo-contacts-db';
+process.env.NOTION_TASKS_DATABASE_ID = process.env.NOTION_TASKS_DATABASE_ID || 'demo-tasks-db';
+process.env.NOTION_REPORTS_DATABASE_ID = process.env.NOTION_REPORTS_DATABASE_ID || 'demo-reports-db';
+// ...and the GitHub repository seeded there
+process.env.GITHUB_OWNER = process.env.GITHUB_OWNER || 'demo-org';
+// Never reach real inboxes or calendars from the demo, even if credentials are set
+process.env.GMAIL_BACKEND = process.env.GMAIL_BACKEND || 'mcp';
+process.env.NOTION_BACKEND = process.env.NOTION_BACKEND || 'mcp';
+process.env.GOOGLE_CALENDAR_BACKEND = process.env.GOOGLE_CALENDAR_BACKEND || 'mcp';
+
 const MCPAutomationOrchestrator = require('./src/orchestrator/mcp-orchestrator');
 const logger = require('./src/shared/logging/logger');
 
@@ -7,7 +18,8 @@ const logger = require('./src/shared/logging/logger');
  * Demo Script for Sports Club BD Automation
  * 
  * This script demonstrates the automation capabilities without requiring
- * actual API keys or MCP connections. Perfect for showcasing the system.
+ * actual API keys or MCP connections. Adapters run against the stateful fake
+ * backends seeded from src/shared/integrations/fakes/fixtures.
  */
 
 async function runDemo() {
@@ -76,11 +88,11 @@ async function runDemo() {
     console.log('\n🔧 System Status:');
     console.log('─'.repeat(50));
     
-    const status = await orchestrator.getStatus();
-    console.log(`🤖 Automations Loaded: ${status.automationsCount}`);
-    console.log(`⏰ Scheduled Tasks: ${status.scheduledTasksCount}`);
-    console.log(`🔗 MCP Environment: ${status.mcpEnvironment}`);
-    console.log(`✅ System Status: ${status.initialized ? 'Ready' : 'Initializing'}`);
+    const systemStatus = await orchestrator.getStatus();
+    console.log(`🤖 Automations Loaded: ${systemStatus.automationsCount}`);
+    console.log(`⏰ Scheduled Tasks: ${systemStatus.scheduledTasksCount}`);
+    console.log(`🔗 MCP Environment: ${systemStatus.mcpEnvironment}`);
+    console.log(`✅ System Status: ${systemStatus.initialized ? 'Ready' : 'Initializing'}`);
 
     // Show next steps
     console.log('\n🚀 Next Steps:');
@@ -1,6 +1,7 @@
 const AutomationOrchestrator = require('./src/orchestrator');
 const { config, validateConfig } = require('./src/shared/config');
 const logger = require('./src/shared/logging/logger');
+const { ControlApiServer } = require('./src/orchestrator/control-api');
 
 async function main() {
   try {
@@ -23,10 +24,17 @@ async function main() {
     const status = await orchestrator.getStatus();
     logger.info('System Status:', status);
     
+    // Serve the control API alongside the orchestrator
+    const controlApi = config.controlApi.enabled ? new ControlApiServer(orchestrator) : null;
+    if (controlApi) {
+      await controlApi.start();
+    }
+    
     // Keep the process running
     process.on('SIGINT', async () => {
       logger.info('Shutting down gracefully...');
       orchestrator.stopScheduledTasks();
+      await controlApi?.stop();
       process.exit(0);
     });
     
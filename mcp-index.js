@@ -1,6 +1,8 @@
 const MCPAutomationOrchestrator = require('./src/orchestrator/mcp-orchestrator');
 const { config, validateConfig } = require('./src/shared/config');
 const logger = require('./src/shared/logging/logger');
+const { ControlApiServer } = require('./src/orchestrator/control-api');
+const { closeAllClients } = require('./src/shared/integrations/mcp-transport');
 
 /**
  * MCP-Enhanced GMTM Operations Automation
@@ -36,38 +38,55 @@ async function main() {
     const orchestrator = new MCPAutomationOrchestrator();
     await orchestrator.initialize();
     
-    // Start scheduled tasks
-    orchestrator.startScheduledTasks();
+    // Dry runs only preview side effects, so nothing real is scheduled
+    const dryRun = process.argv.includes('--dry-run');
+    const runOptions = { trigger: 'cli', dryRun };
+    
+    if (dryRun) {
+      logger.info('🧪 Dry-run mode: side effects will be recorded, not performed');
+    } else {
+      // Start scheduled tasks
+      orchestrator.startScheduledTasks();
+    }
     
     // Example: Run specific MCP automations
     if (process.argv.includes('--run-email-processor')) {
-      await orchestrator.runAutomation('mcp-email-processor');
+      await runReportingDryRun(orchestrator, 'mcp-email-processor', runOptions);
     }
     
     if (process.argv.includes('--run-revenue-tracker')) {
-      await orchestrator.runAutomation('mcp-revenue-tracker');
+      await runReportingDryRun(orchestrator, 'mcp-revenue-tracker', runOptions);
     }
     
     if (process.argv.includes('--run-sports-prospector')) {
-      await orchestrator.runAutomation('sports-club-prospector');
+      await runReportingDryRun(orchestrator, 'sports-club-prospector', runOptions);
     }
     
     if (process.argv.includes('--run-bd-dashboard')) {
-      await orchestrator.runAutomation('bd-dashboard-reporter');
+      await runReportingDryRun(orchestrator, 'bd-dashboard-reporter', runOptions);
     }
     
     if (process.argv.includes('--run-all')) {
-      await orchestrator.runAllAutomations();
+      const results = await orchestrator.runAllAutomations(runOptions);
+      Object.values(results).forEach(result => reportDryRun(result, result.error));
     }
     
     // Display system status
     const status = await orchestrator.getStatus();
     logger.info('MCP System Status:', status);
     
+    // Serve the control API alongside the orchestrator
+    const controlApi = config.controlApi.enabled ? new ControlApiServer(orchestrator) : null;
+    if (controlApi) {
+      await controlApi.start();
+    }
+    
     // Keep the process running
     process.on('SIGINT', async () => {
       logger.info('Shutting down MCP automation system gracefully...');
       orchestrator.stopScheduledTasks();
+      await controlApi?.stop();
+      await closeAllClients();
       process.exit(0);
     });
     
@@ -83,6 +102,48 @@ async function main() {
   }
 }
 
+/**
+ * Run an automation, exporting the plan of a dry run whether it succeeds or
+ * fails: what a failing run would have done up to its failure is what needs
+ * reviewing. A failed run's error carries the plan and `sideEffectPlanFiles`.
+ */
+async function runReportingDryRun(orchestrator, automationName, runOptions) {
+  let plan = null;
+  let failure = null;
+  try {
+    const result = await orchestrator.runAutomation(automationName, runOptions);
+    plan = result?.sideEffectPlan;
+    return result;
+  } catch (error) {
+    plan = error.sideEffectPlan;
+    failure = error;
+    throw error;
+  } finally {
+    const files = reportDryRun(plan, failure);
+    if (failure && files) failure.sideEffectPlanFiles = files;
+  }
+}
+
+/**
+ * Export the side-effect plan of a dry run and log where it was written
+ *
+ * @param {Object|SideEffectPlan} resultOrPlan - run result (or pipeline entry) carrying `sideEffectPlan`, or the plan
+ * @param {Error|string} [failure] - error the run failed with
+ * @returns {string[]|null} files written, or null when there is no plan
+ */
+function reportDryRun(resultOrPlan, failure = null) {
+  const plan = resultOrPlan?.sideEffectPlan || resultOrPlan;
+  if (typeof plan?.export !== 'function') return null;
+  
+  const files = plan.export();
+  const outcome = failure ? `failed after ${plan.size} planned side effect(s)` : `${plan.size} side effect(s) planned`;
+  logger.info(`🧪 ${plan.automation}: ${outcome}`, {
+    counts: plan.summarize(),
+    files
+  });
+  return files;
+}
+
 // Export for use in other modules
 module.exports = {
   MCPAutomationOrchestrator,
@@ -107,6 +168,9 @@ node mcp-index.js --run-revenue-tracker
 # Run all automations
 node mcp-index.js --run-all
 
+# Preview what the prospector would do without sending anything
+node mcp-index.js --run-sports-prospector --dry-run
+
 # Run in Claude Code environment
 CLAUDE_CODE_RUNTIME=true node mcp-index.js
 
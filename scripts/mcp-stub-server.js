@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * Local stub MCP server
+ *
+ * Implements just enough of the MCP protocol (initialize, tools/list with
+ * pagination, tools/call, ping) to exercise the MCP transport without any
+ * external service. It exposes one tool per adapter action (search, send,
+ * createPage, createIssue, ...) backed by an in-memory store and answering
+ * in the service's own shapes, plus `stubFail`, which always reports a tool
+ * error.
+ *
+ *   node scripts/mcp-stub-server.js                  # stdio
+ *   node scripts/mcp-stub-server.js --http 3333      # streamable HTTP on /mcp
+ *   node scripts/mcp-stub-server.js --http 3333 --sse  # answer tools/call as an event stream
+ *
+ * Point adapters at it from config/mcp-servers.json (see the example file).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const readline = require('readline');
+
+const PROTOCOL_VERSION = '2025-03-26';
+const PAGE_SIZE = 10;
+
+const args = process.argv.slice(2);
+const httpPort = args.includes('--http') ? parseInt(args[args.indexOf('--http') + 1]) || 3333 : null;
+const useSse = args.includes('--sse');
+
+const store = new Map();
+let nextId = 1;
+
+function collection(name) {
+  if (!store.has(name)) store.set(name, new Map());
+  return store.get(name);
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+function unixNow() {
+  return Math.floor(Date.now() / 1000);
+}
+
+// String ids for most services; GitHub ids and issue numbers are integers
+function stubId(collectionName) {
+  return `stub-${collectionName}-${nextId++}`;
+}
+
+function insert(collectionName, item) {
+  collection(collectionName).set(String(item.id), item);
+  return item;
+}
+
+function lookup(collectionName, id, fallback) {
+  return collection(collectionName).get(String(id)) || insert(collectionName, fallback(id));
+}
+
+function emailFor(id) {
+  return { id, threadId: id, from: '', to: '', subject: '', snippet: '', body: '', labelIds: ['INBOX'], date: now(), attachments: [] };
+}
+
+function pageFor(id, databaseId = null) {
+  return { id, parent: databaseId ? { database_id: databaseId } : {}, properties: {}, archived: false, created_time: now(), last_edited_time: now() };
+}
+
+function repoIssues({ owner, repo }) {
+  return Array.from(collection('issues').values()).filter(issue => issue.repo === `${owner}/${repo}`);
+}
+
+function createIssue({ owner, repo, title, body = '', labels = [] }, extra = {}) {
+  const number = repoIssues({ owner, repo }).length + 1;
+  return insert('issues', {
+    id: nextId++,
+    number,
+    repo: `${owner}/${repo}`,
+    title,
+    body,
+    state: 'open',
+    labels: labels.map(name => ({ name })),
+    html_url: `https://github.com/${owner}/${repo}/${extra.pull_request ? 'pull' : 'issues'}/${number}`,
+    created_at: now(),
+    updated_at: now(),
+    ...extra
+  });
+}
+
+function findIssue({ owner, repo, issueNumber }) {
+  return repoIssues({ owner, repo }).find(issue => issue.number === Number(issueNumber))
+    || createIssue({ owner, repo, title: `Issue ${issueNumber}` });
+}
+
+function modifyEmail(messageId, add = [], remove = []) {
+  const email = lookup('emails', messageId, emailFor);
+  email.labelIds = [...new Set([...email.labelIds.filter(id => !remove.includes(id)), ...add])];
+  return email;
+}
+
+/**
+ * One handler per adapter action. Results use each service's own shapes and
+ * list envelopes (`messages`, `results`, `items`, `data`, ...) so adapters
+ * normalize them exactly as they would a real server's.
+ */
+const TOOLS = {
+  // gmail
+  search: () => ({ messages: Array.from(collection('emails').values()), resultSizeEstimate: collection('emails').size }),
+  send: ({ to, subject = '', body = '' }) => {
+    const id = stubId('emails');
+    return insert('emails', { ...emailFor(id), from: 'me', to, subject, body, snippet: body.slice(0, 100), labelIds: ['SENT'] });
+  },
+  get: ({ messageId }) => lookup('emails', messageId, emailFor),
+  markRead: ({ messageId }) => modifyEmail(messageId, [], ['UNREAD']),
+  getAttachment: ({ attachmentId }) => ({ attachmentId, size: 0, data: '' }),
+  listLabels: () => ({ labels: Array.from(collection('labels').values()) }),
+  createLabel: ({ name }) => insert('labels', { id: `Label_${nextId++}`, name, type: 'user' }),
+  modifyLabels: ({ messageId, addLabelIds, removeLabelIds }) => modifyEmail(messageId, addLabelIds, removeLabelIds),
+  trash: ({ messageId }) => modifyEmail(messageId, ['TRASH'], ['INBOX']),
+  // notion
+  queryDatabase: ({ databaseId }) => ({
+    object: 'list',
+    results: Array.from(collection('pages').values()).filter(page => page.parent.database_id === databaseId),
+    has_more: false,
+    next_cursor: null
+  }),
+  createPage: ({ databaseId, properties = {} }) => {
+    const id = stubId('pages');
+    return insert('pages', { ...pageFor(id, databaseId), properties, url: `https://www.notion.so/${id}` });
+  },
+  updatePage: ({ pageId, properties = {} }) => {
+    const page = lookup('pages', pageId, pageFor);
+    Object.assign(page.properties, properties);
+    page.last_edited_time = now();
+    return page;
+  },
+  getPage: ({ pageId }) => lookup('pages', pageId, pageFor),
+  appendBlocks: ({ blocks = [] }) => ({
+    object: 'list',
+    results: blocks.map(block => ({ id: stubId('blocks'), type: block.type || 'paragraph', has_children: false }))
+  }),
+  // google-calendar
+  createEvent: ({ event = {} }) => insert('events', { ...event, id: stubId('events'), status: 'confirmed' }),
+  getEvents: () => ({ kind: 'calendar#events', items: Array.from(collection('events').values()) }),
+  updateEvent: ({ eventId, event = {} }) => insert('events', { ...collection('events').get(String(eventId)), ...event, id: eventId }),
+  deleteEvent: ({ eventId }) => ({ deleted: collection('events').delete(String(eventId)) }),
+  // github: getIssues returns a bare array, like the REST API
+  createIssue: params => createIssue(params),
+  getIssues: ({ owner, repo, state = 'open' }) => repoIssues({ owner, repo }).filter(issue => state === 'all' || issue.state === state),
+  updateIssue: ({ updates = {}, ...params }) => {
+    const issue = findIssue(params);
+    const { labels, ...rest } = updates;
+    Object.assign(issue, rest, { updated_at: now() });
+    if (labels) issue.labels = labels.map(name => ({ name }));
+    return issue;
+  },
+  addComment: ({ body, ...params }) => {
+    const issue = findIssue(params);
+    const id = nextId++;
+    return insert('comments', { id, body, html_url: `${issue.html_url}#issuecomment-${id}`, created_at: now() });
+  },
+  createPR: ({ head, base, ...params }) => createIssue(params, { pull_request: { head: { ref: head }, base: { ref: base } } }),
+  getRepo: ({ owner, repo }) => ({ id: 1, name: repo, full_name: `${owner}/${repo}`, owner: { login: owner }, private: true, default_branch: 'main' }),
+  // stripe
+  getCustomers: () => ({ object: 'list', data: Array.from(collection('customers').values()), has_more: false }),
+  getCustomer: ({ customerId }) => lookup('customers', customerId, id => ({ id, email: null, name: null, created: unixNow() })),
+  getPayments: () => ({ object: 'list', data: [], has_more: false }),
+  getSubscriptions: () => ({ object: 'list', data: [], has_more: false }),
+  getInvoices: () => ({ object: 'list', data: [], has_more: false }),
+  // google-drive
+  listFiles: () => ({ files: Array.from(collection('files').values()) }),
+  getFile: ({ fileId }) => lookup('files', fileId, id => ({ id, name: id, mimeType: 'application/octet-stream', createdTime: now() })),
+  createFile: ({ name, mimeType, parents = [], appProperties = {} }) => insert('files', {
+    id: stubId('files'), name, mimeType, parents, appProperties, createdTime: now(), modifiedTime: now()
+  }),
+  updateFile: ({ fileId, name }) => {
+    const file = TOOLS.getFile({ fileId });
+    if (name) file.name = name;
+    file.modifiedTime = now();
+    return file;
+  },
+  shareFile: ({ email, role }) => ({ id: stubId('permissions'), type: 'user', role, emailAddress: email }),
+  // intercom
+  getConversations: () => ({ type: 'conversation.list', conversations: Array.from(collection('conversations').values()) }),
+  getContacts: () => ({ type: 'list', data: Array.from(collection('contacts').values()) }),
+  sendMessage: ({ conversationId, message }) => insert('conversations', {
+    ...lookup('conversations', conversationId, id => ({ id, state: 'open', created_at: unixNow() })),
+    source: { body: message },
+    updated_at: unixNow()
+  }),
+  createContact: ({ email, name, customAttributes = {} }) => insert('contacts', {
+    id: stubId('contacts'), role: 'user', email, name, custom_attributes: customAttributes, created_at: unixNow()
+  }),
+  // canva
+  getDesigns: () => ({ items: Array.from(collection('designs').values()) }),
+  createDesign: ({ templateId, modifications = {} }) => insert('designs', {
+    id: stubId('designs'), title: modifications.customText?.clubName || '', template_id: templateId, created_at: unixNow()
+  }),
+  exportDesign: ({ designId, format = 'png' }) => ({
+    job: { id: stubId('exports'), status: 'success', format, urls: [`https://stub.local/designs/${designId}.${format}`] }
+  })
+};
+
+function runTool(name, params) {
+  if (name === 'stubFail') {
+    return { isError: true, content: [{ type: 'text', text: params.message || 'Stub failure requested' }] };
+  }
+
+  const result = TOOLS[name](params);
+  // The GitHub bare array goes out as text: structuredContent must be an object
+  return Array.isArray(result)
+    ? { content: [{ type: 'text', text: JSON.stringify(result) }] }
+    : { content: [{ type: 'text', text: JSON.stringify(result) }], structuredContent: result };
+}
+
+function toolDefinitions() {
+  const tools = Object.keys(TOOLS).map(name => ({
+    name,
+    description: `Stub ${name}`,
+    inputSchema: { type: 'object', additionalProperties: true }
+  }));
+  tools.push({
+    name: 'stubFail',
+    description: 'Always returns a tool error',
+    inputSchema: { type: 'object', properties: { message: { type: 'string' } } }
+  });
+  return tools;
+}
+
+/**
+ * Handle one JSON-RPC message; returns the response, or null for notifications
+ */
+function handleMessage(message) {
+  const { id, method, params = {} } = message;
+  if (id === undefined) return null;
+
+  const reply = (result) => ({ jsonrpc: '2.0', id, result });
+  const fail = (code, text) => ({ jsonrpc: '2.0', id, error: { code, message: text } });
+
+  switch (method) {
+    case 'initialize':
+      return reply({
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: 'gmtm-mcp-stub', version: '1.0.0' }
+      });
+    case 'ping':
+      return reply({});
+    case 'tools/list': {
+      const tools = toolDefinitions();
+      const offset = params.cursor ? parseInt(Buffer.from(params.cursor, 'base64').toString(), 10) : 0;
+      const page = tools.slice(offset, offset + PAGE_SIZE);
+      const next = offset + PAGE_SIZE < tools.length
+        ? Buffer.from(String(offset + PAGE_SIZE)).toString('base64')
+        : undefined;
+      return reply({ tools: page, nextCursor: next });
+    }
+    case 'tools/call':
+      if (params.name !== 'stubFail' && !TOOLS[params.name]) {
+        return fail(-32602, `Unknown tool: ${params.name}`);
+      }
+      return reply(runTool(params.name, params.arguments || {}));
+    default:
+      return fail(-32601, `Method not found: ${method}`);
+  }
+}
+
+function startStdio() {
+  readline.createInterface({ input: process.stdin }).on('line', line => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } })}\n`);
+      return;
+    }
+    const response = handleMessage(message);
+    if (response) process.stdout.write(`${JSON.stringify(response)}\n`);
+  }).on('close', () => process.exit(0));
+
+  process.stderr.write('gmtm-mcp-stub listening on stdio\n');
+}
+
+function startHttp(port) {
+  const sessions = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (req.url !== '/mcp') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (req.method === 'DELETE') {
+      sessions.delete(sessionId);
+      res.writeHead(204).end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+          .end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }));
+        return;
+      }
+
+      const headers = {};
+      if (message.method === 'initialize') {
+        const newSession = crypto.randomUUID();
+        sessions.add(newSession);
+        headers['Mcp-Session-Id'] = newSession;
+      } else if (!sessions.has(sessionId)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Unknown session');
+        return;
+      }
+
+      const response = handleMessage(message);
+      if (!response) {
+        res.writeHead(202, headers).end();
+        return;
+      }
+
+      if (useSse && message.method === 'tools/call' && (req.headers.accept || '').includes('text/event-stream')) {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+        res.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: `calling ${message.params.name}` } })}\n\n`);
+        res.end(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+        return;
+      }
+
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' }).end(JSON.stringify(response));
+    });
+  });
+
+  server.listen(port, () => {
+    process.stderr.write(`gmtm-mcp-stub listening on http://localhost:${port}/mcp${useSse ? ' (SSE)' : ''}\n`);
+  });
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+if (httpPort) {
+  startHttp(httpPort);
+} else {
+  startStdio();
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Email routing rule tester
+ *
+ * Shows which routing rule the email processor would apply to saved
+ * messages, and why each rule before it did not match. Nothing is sent or
+ * created.
+ *
+ *   node scripts/test-email-rules.js message.eml [more.eml ...]
+ *   node scripts/test-email-rules.js message.eml --rules my-rules.json
+ *   node scripts/test-email-rules.js message.eml --labels INBOX,IMPORTANT  # add Gmail labels
+ *   node scripts/test-email-rules.js message.eml --all    # explain every rule, not just up to the match
+ *   node scripts/test-email-rules.js message.eml --json
+ */
+
+// Keep stdout to the report (dotenv announces itself there when config loads)
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../src/shared/config');
+const { loadEmailRules, parseEml, isReply } = require('../src/shared/email-routing');
+const { Email } = require('../src/shared/types');
+
+const args = process.argv.slice(2);
+const option = name => (args.includes(name) ? args[args.indexOf(name) + 1] : null);
+const rulesFile = path.resolve(option('--rules') || config.gmail.routingRulesFile);
+const extraLabels = (option('--labels') || '').split(',').map(label => label.trim()).filter(Boolean);
+const showAll = args.includes('--all');
+const asJson = args.includes('--json');
+const files = args.filter((arg, index) => !arg.startsWith('--') && !['--rules', '--labels'].includes(args[index - 1]));
+
+function usage() {
+  process.stderr.write('Usage: node scripts/test-email-rules.js <file.eml> [...] [--rules file] [--labels A,B] [--all] [--json]\n');
+  process.exit(1);
+}
+
+function formatCheck(check, indent) {
+  const lines = [];
+  const mark = check.matched ? '✓' : '✗';
+  if (check.checks) {
+    lines.push(`${indent}${mark} ${check.condition}`);
+    check.checks.forEach(inner => lines.push(...formatCheck(inner, `${indent}  `)));
+  } else {
+    lines.push(`${indent}${mark} ${check.condition} ${check.expected}  (got: ${JSON.stringify(check.actual)})`);
+  }
+  return lines;
+}
+
+function formatAction(action, index) {
+  const { type, ...params } = action;
+  const details = Object.entries(params).map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+  return `  ${index + 1}. ${type}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+function report(file, email, rules) {
+  const route = rules.route(email);
+  const explanation = rules.explain(email);
+  // Replies on threads that already have a task or issue update those instead of being routed
+  const replyStatus = isReply(email) && rules.updateThreads ? rules.replyStatus(email) : undefined;
+
+  if (asJson) {
+    return {
+      file,
+      rule: route?.rule.id || null,
+      priority: route?.priority || null,
+      actions: route?.actions || [],
+      rules: explanation,
+      ...(replyStatus !== undefined && { replyStatus: replyStatus?.id || null })
+    };
+  }
+
+  const lines = [
+    `📧 ${file}`,
+    `  From:        ${email.from}`,
+    `  To:          ${[email.to, email.cc].filter(Boolean).join(', ')}`,
+    `  Subject:     ${email.subject}`,
+    `  Labels:      ${email.labelNames.join(', ') || '(none)'}`,
+    `  Attachments: ${email.attachments.map(attachment => `${attachment.filename} (${attachment.mimeType})`).join(', ') || '(none)'}`,
+    `  In thread:   ${isReply(email) ? 'yes' : 'no'}`,
+    ''
+  ];
+
+  const lastShown = showAll || !route ? explanation.length : explanation.findIndex(rule => rule.id === route.rule.id) + 1;
+  for (const rule of explanation.slice(0, lastShown)) {
+    lines.push(`  ${rule.matched ? '✓' : '✗'} ${rule.id}${rule.description ? ` - ${rule.description}` : ''}${route?.rule.id === rule.id ? '  ← routes this email' : ''}`);
+    rule.checks.forEach(check => lines.push(...formatCheck(check, '      ')));
+  }
+  lines.push('');
+
+  if (route) {
+    lines.push(`➡️  Rule '${route.rule.id}'${route.priority ? ` (priority ${route.priority})` : ''} would:`);
+    route.actions.forEach((action, index) => lines.push(formatAction(action, index)));
+  } else {
+    lines.push('➡️  No rule matches: the email would be left unread and untouched.');
+  }
+  if (replyStatus !== undefined) {
+    const change = replyStatus
+      ? `status rule '${replyStatus.id}' applies (${[
+        replyStatus.taskStatus && `task → ${replyStatus.taskStatus}`,
+        replyStatus.issueState && `issue → ${replyStatus.issueState}`
+      ].filter(Boolean).join(', ')})`
+      : 'no status rule matches';
+    lines.push('', `↩️  If its thread already has a task or issue, the reply is added to them instead; ${change}.`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  if (files.length === 0) usage();
+
+  let rules;
+  try {
+    rules = loadEmailRules(rulesFile);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+
+  const reports = [];
+  for (const file of files) {
+    try {
+      const raw = parseEml(fs.readFileSync(file));
+      raw.labelIds = [...new Set([...raw.labelIds, ...extraLabels])];
+      raw.labelNames = [...new Set([...raw.labelNames, ...extraLabels])];
+      reports.push(report(file, Email.from(raw), rules));
+    } catch (error) {
+      process.stderr.write(`${file}: ${error.message}\n`);
+      process.exitCode = 1;
+    }
+  }
+
+  if (asJson) {
+    process.stdout.write(`${JSON.stringify({ rulesFile, results: reports }, null, 2)}\n`);
+  } else {
+    process.stdout.write(`Rules: ${rulesFile}\n\n${reports.join('\n\n')}\n`);
+  }
+}
+
+main();
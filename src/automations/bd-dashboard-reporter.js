@@ -1,6 +1,17 @@
 const logger = require('../shared/logging/logger');
 const { config } = require('../shared/config');
 const { formatDate, chunkArray } = require('../shared/utils');
+const { collect } = require('../shared/integrations/mcp-adapters');
+
+const manifest = {
+  id: 'bd-dashboard-reporter',
+  version: '1.0.0',
+  description: 'Creates comprehensive BD analytics and reporting dashboards',
+  schedule: '0 18 * * *', // Daily at 6 PM
+  adapters: ['notion', 'googleDrive', 'canva', 'gmail', 'googleCalendar', 'github'],
+  config: [],
+  optionsSchema: { type: 'object', properties: {}, additionalProperties: false }
+};
 
 /**
  * Business Development Dashboard Reporter
@@ -15,10 +26,15 @@ const { formatDate, chunkArray } = require('../shared/utils');
 class BDDashboardReporterAutomation {
   constructor(mcpAdapters) {
     this.name = 'BD Dashboard Reporter';
-    this.description = 'Creates comprehensive BD analytics and reporting dashboards';
-    this.schedule = '0 18 * * *'; // Daily at 6 PM
+    this.description = manifest.description;
+    this.schedule = manifest.schedule;
     this.enabled = true;
     
+    // Execution policy enforced by the orchestrator
+    this.timeout = config.automation.timeouts.long;
+    this.retries = 2;
+    this.backoff = { strategy: 'exponential', delay: 30000 };
+    
     // MCP feature flags
     this.usesNotion = true;
     this.usesGoogleDrive = true;
@@ -27,6 +43,9 @@ class BDDashboardReporterAutomation {
     this.usesCalendar = true;
     this.usesGitHub = true;
     
+    // Only report once the prospector has written this cycle's leads to Notion
+    this.dependsOn = ['sports-club-prospector'];
+    
     // Store MCP adapters
     this.notion = mcpAdapters.notion;
     this.googleDrive = mcpAdapters.googleDrive;
@@ -46,6 +65,19 @@ class BDDashboardReporterAutomation {
       // Step 2: Analyze performance metrics
       const analytics = await this.analyzeBDPerformance(bdData);
       
+      // Fold in the prospector run this report follows (its summary on scheduled runs)
+      const prospectorRun = options.upstream?.['sports-club-prospector'];
+      if (prospectorRun) {
+        analytics.latestProspectorRun = {
+          prospectsResearched: prospectorRun.prospectsResearched,
+          qualifiedLeads: prospectorRun.qualifiedLeads,
+          emailsSent: prospectorRun.emailsSent
+        };
+        analytics.keyInsights.unshift(
+          `🔎 Latest prospecting run: ${prospectorRun.qualifiedLeads} qualified leads from ${prospectorRun.prospectsResearched} prospects, ${prospectorRun.emailsSent} emails sent`
+        );
+      }
+      
       // Step 3: Create visual dashboard with Canva
       const visualDashboard = await this.createVisualDashboard(analytics);
       
@@ -76,7 +108,6 @@ class BDDashboardReporterAutomation {
       
     } catch (error) {
       logger.error(`${this.name} failed:`, error);
-      await this.createFailureIssue(error);
       throw error;
     }
   }
@@ -95,7 +126,7 @@ class BDDashboardReporterAutomation {
     try {
       // Collect prospects from Notion CRM
       if (config.notion.databaseIds.contacts) {
-        const prospects = await this.notion.queryDatabase(
+        const prospects = await collect(this.notion.iterateDatabase(
           config.notion.databaseIds.contacts,
           {
             property: 'Lead Source',
@@ -103,23 +134,23 @@ class BDDashboardReporterAutomation {
               equals: 'Sports Club Prospector'
             }
           }
-        );
+        ));
         
         bdData.prospects = prospects.map(p => ({
           id: p.id,
-          name: p.properties.Name.title[0]?.text.content || 'Unknown',
-          sport: p.properties.Sport?.select?.name || 'Unknown',
-          location: p.properties.Location?.rich_text[0]?.text.content || 'Unknown',
-          estimatedAthletes: p.properties['Estimated Athletes']?.number || 0,
-          leadScore: p.properties['Lead Score']?.number || 0,
-          priority: p.properties.Priority?.select?.name || 'Low',
-          outreachStatus: p.properties['Outreach Status']?.select?.name || 'Not Contacted',
-          lastContact: p.properties['Last Contact']?.date?.start || null,
-          nextFollowUp: p.properties['Next Follow-up']?.date?.start || null,
-          contactEmail: p.properties['Contact Email']?.email || null,
-          website: p.properties.Website?.url || null,
-          createdAt: p.created_time,
-          updatedAt: p.last_edited_time
+          name: p.title || 'Unknown',
+          sport: p.values.Sport || 'Unknown',
+          location: p.values.Location || 'Unknown',
+          estimatedAthletes: p.values['Estimated Athletes'] || 0,
+          leadScore: p.values['Lead Score'] || 0,
+          priority: p.values.Priority || 'Low',
+          outreachStatus: p.values['Outreach Status'] || 'Not Contacted',
+          lastContact: p.values['Last Contact'] || null,
+          nextFollowUp: p.values['Next Follow-up'] || null,
+          contactEmail: p.values['Contact Email'] || null,
+          website: p.values.Website || null,
+          createdAt: p.createdAt,
+          updatedAt: p.lastEditedAt
         }));
       }
       
@@ -193,29 +224,26 @@ class BDDashboardReporterAutomation {
       const thirtyDaysAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
       
       // Get meetings from the last 30 days
-      const meetings = await this.calendar.getEvents(
+      const meetings = await collect(this.calendar.iterateEvents(
         'primary',
         thirtyDaysAgo.toISOString(),
-        today.toISOString(),
-        100
-      );
+        today.toISOString()
+      ));
       
       // Filter for BD-related meetings
       const bdMeetings = meetings.filter(meeting => 
-        meeting.summary && (
-          meeting.summary.includes('Sports Club') ||
-          meeting.summary.includes('Academy') ||
-          meeting.summary.includes('BD') ||
-          meeting.summary.includes('Business Development')
-        )
+        meeting.title.includes('Sports Club') ||
+        meeting.title.includes('Academy') ||
+        meeting.title.includes('BD') ||
+        meeting.title.includes('Business Development')
       );
       
       return bdMeetings.map(meeting => ({
         id: meeting.id,
-        title: meeting.summary,
-        start: meeting.start.dateTime,
-        end: meeting.end.dateTime,
-        attendees: meeting.attendees?.length || 0,
+        title: meeting.title,
+        start: meeting.start,
+        end: meeting.end,
+        attendees: meeting.attendees.length,
         status: meeting.status,
         description: meeting.description
       }));
@@ -229,7 +257,7 @@ class BDDashboardReporterAutomation {
   async collectEmailResponses() {
     try {
       // Search for email responses to BD campaigns
-      const responses = await this.gmail.searchEmails('subject:RE: subject:GMTM newer_than:30d', 50);
+      const responses = await collect(this.gmail.iterateEmails('subject:RE: subject:GMTM newer_than:30d'));
       
       return responses.map(response => ({
         id: response.id,
@@ -717,8 +745,8 @@ This performance issue may impact:
       `;
 
       await this.github.createIssue(
-        'your-org',
-        'gmtm-ops-automation',
+        config.github.owner,
+        config.github.repo,
         title,
         body,
         ['bd-performance', 'alert', alert.type]
@@ -789,52 +817,8 @@ ${analytics.keyInsights.map(insight => `- ${insight}`).join('\n')}
       logger.warn(`Failed to schedule follow-up actions: ${error.message}`);
     }
   }
-
-  async createFailureIssue(error) {
-    try {
-      const title = `🚨 BD Dashboard Reporter Failed`;
-      const body = `
-## BD Dashboard Reporter Failure
-
-**Automation**: ${this.name}
-**Time**: ${new Date().toLocaleString()}
-**Error**: ${error.message}
-
-## Business Impact
-The BD dashboard reporter failed, which may result in:
-- Missing performance insights
-- Delayed decision making
-- Lack of pipeline visibility
-- Missed optimization opportunities
-
-## Error Details
-\`\`\`
-${error.stack}
-\`\`\`
-
-## Immediate Actions Required
-- [ ] Investigate the reporting failure
-- [ ] Check data source connectivity
-- [ ] Verify Notion/Drive/Canva integrations
-- [ ] Run manual performance analysis
-- [ ] Fix and test the reporter
-- [ ] Notify BD team of delay
-
-*This issue was automatically created by the BD Dashboard Reporter*
-      `;
-
-      await this.github.createIssue(
-        'your-org',
-        'gmtm-ops-automation',
-        title,
-        body,
-        ['automation-failure', 'bd-dashboard', 'critical']
-      );
-      
-    } catch (ghError) {
-      logger.error(`Failed to create failure issue: ${ghError.message}`);
-    }
-  }
 }
 
+BDDashboardReporterAutomation.manifest = manifest;
+
 module.exports = BDDashboardReporterAutomation;
\ No newline at end of file
@@ -1,6 +1,19 @@
 const logger = require('../shared/logging/logger');
 const { config } = require('../shared/config');
-const { sleep, formatDate } = require('../shared/utils');
+const { sleep, throwIfAborted, formatDate } = require('../shared/utils');
+const { AttachmentFiler } = require('../shared/integrations/attachment-filing');
+const { loadEmailRules, stripQuotedReply } = require('../shared/email-routing');
+const emailLedger = require('../shared/storage/processed-emails');
+
+const manifest = {
+  id: 'mcp-email-processor',
+  version: '1.1.0',
+  description: 'Routes emails by configurable rules to Notion tasks, meetings and GitHub issues',
+  schedule: '*/30 * * * *', // Every 30 minutes
+  adapters: ['gmail', 'notion', 'googleCalendar', 'github', 'googleDrive'],
+  config: [],
+  optionsSchema: { type: 'object', properties: {}, additionalProperties: false }
+};
 
 /**
  * MCP-Enhanced Email Processing Automation
@@ -10,14 +23,33 @@ const { sleep, formatDate } = require('../shared/utils');
  * - Notion for task management
  * - Google Calendar for scheduling
  * - GitHub for issue tracking
+ * - Google Drive for filing attachments
+ *
+ * What happens to each email is decided by the routing rules in
+ * `config.gmail.routingRulesFile` (see src/shared/email-routing). Handled
+ * messages are kept in the processed email ledger, so a message seen again is
+ * skipped and one whose actions partly failed resumes where it stopped.
+ *
+ * Messages are handled thread by thread, oldest first. A reply on a thread
+ * that already produced a Notion task or GitHub issue is appended to that
+ * task (and commented on that issue) rather than routed again, and the rules'
+ * status rules can close or reopen them.
+ *
+ * Every message handled is labelled `ops-automation/<action>` for each action
+ * taken, so what the automation did can be audited from Gmail.
  */
 class MCPEmailProcessorAutomation {
   constructor(mcpAdapters) {
     this.name = 'MCP Email Processor';
-    this.description = 'Processes emails using MCP tools and creates tasks in Notion';
-    this.schedule = '*/30 * * * *'; // Every 30 minutes
+    this.description = manifest.description;
+    this.schedule = manifest.schedule;
     this.enabled = true;
     
+    // Execution policy enforced by the orchestrator
+    this.timeout = config.automation.timeouts.long;
+    this.retries = 2;
+    this.backoff = { strategy: 'exponential', delay: 10000 };
+    
     // MCP feature flags
     this.usesGmail = true;
     this.usesNotion = true;
@@ -29,41 +61,61 @@ class MCPEmailProcessorAutomation {
     this.notion = mcpAdapters.notion;
     this.calendar = mcpAdapters.googleCalendar;
     this.github = mcpAdapters.github;
+    this.googleDrive = mcpAdapters.googleDrive;
+    this.attachmentFiler = new AttachmentFiler(this.gmail, this.googleDrive);
   }
 
   async execute(options = {}) {
     logger.info(`Executing ${this.name}...`);
     
     try {
+      // Routing rules are re-read when the file changes, so edits apply on the next run
+      const rules = loadEmailRules(config.gmail.routingRulesFile);
+      
+      // Snoozed emails that are due go back to the inbox before searching
+      await this.wakeSnoozedEmails();
+      
       // Step 1: Search for unread emails with specific criteria
-      const emails = await this.searchUnreadEmails();
+      const emails = this.orderByThread(await this.searchUnreadEmails());
       
-      // Step 2: Process each email
-      const processedEmails = [];
+      // Step 2: Process each email, skipping those already handled
+      const processed = [];
+      let skipped = 0;
       for (const email of emails) {
-        const processed = await this.processEmail(email);
-        if (processed) {
-          processedEmails.push(processed);
+        throwIfAborted(options.signal);
+        const entry = emailLedger.get(email.id);
+        if (entry?.status === 'completed') {
+          await this.skipProcessedEmail(email, entry);
+          skipped++;
+          continue;
+        }
+        
+        const outcome = await this.processEmail(email, rules, entry);
+        if (outcome) {
+          processed.push(outcome);
         }
       }
       
       // Step 3: Create summary report in Notion
-      if (processedEmails.length > 0) {
-        await this.createNotionSummary(processedEmails);
+      if (processed.length > 0) {
+        await this.createNotionSummary(processed);
       }
       
       // Step 4: Schedule follow-up if needed
-      await this.scheduleFollowUps(processedEmails);
+      await this.scheduleFollowUps(processed);
       
       const result = {
         success: true,
-        emailsProcessed: processedEmails.length,
+        emailsProcessed: processed.length,
+        emailsSkipped: skipped,
         totalEmails: emails.length,
-        summary: `Processed ${processedEmails.length} out of ${emails.length} emails successfully`,
-        processedEmails: processedEmails.map(e => ({
+        summary: `Processed ${processed.length} out of ${emails.length} emails successfully` +
+          (skipped > 0 ? ` (${skipped} already processed)` : ''),
+        processedEmails: processed.map(e => ({
           subject: e.subject,
           from: e.from,
-          actionTaken: e.actionTaken
+          rule: e.rule,
+          actionsTaken: e.actionsTaken
         }))
       };
       
@@ -72,10 +124,6 @@ class MCPEmailProcessorAutomation {
       
     } catch (error) {
       logger.error(`${this.name} failed:`, error);
-      
-      // Create GitHub issue for failure
-      await this.createGitHubIssue(error);
-      
       throw error;
     }
   }
@@ -91,40 +139,154 @@ class MCPEmailProcessorAutomation {
     return emails;
   }
 
-  async processEmail(email) {
+  async wakeSnoozedEmails() {
+    try {
+      const woken = await this.gmail.wakeSnoozedEmails();
+      if (woken.length > 0) {
+        logger.info(`Returned ${woken.length} snoozed emails to the inbox`);
+      }
+    } catch (error) {
+      logger.error(`Failed to return snoozed emails to the inbox: ${error.message}`);
+    }
+  }
+
+  /**
+   * Group emails by thread, oldest message first, so a thread's first message
+   * creates its task or issue before the replies that update it
+   */
+  orderByThread(emails) {
+    const threads = new Map();
+    for (const email of emails) {
+      if (!threads.has(email.threadId)) threads.set(email.threadId, []);
+      threads.get(email.threadId).push(email);
+    }
+    const time = email => (email.date ? new Date(email.date).getTime() : 0);
+    return Array.from(threads.values()).flatMap(thread => thread.sort((a, b) => time(a) - time(b)));
+  }
+
+  /**
+   * Notion tasks and GitHub issues created for earlier messages of an email's thread
+   */
+  findThreadItems(email) {
+    const taskPageIds = new Set();
+    const issues = new Map();
+    for (const entry of emailLedger.getThread(email.threadId)) {
+      if (entry.messageId === email.id) continue;
+      for (const result of Object.values(entry.results || {})) {
+        if (result.actionTaken === 'created_notion_task') {
+          taskPageIds.add(result.notionPageId);
+        } else if (result.actionTaken === 'created_github_issue') {
+          issues.set(`${result.issueRepo}#${result.issueNumber}`, { repo: result.issueRepo, issueNumber: result.issueNumber });
+        }
+      }
+    }
+    return { taskPageIds: [...taskPageIds], issues: [...issues.values()] };
+  }
+
+  /**
+   * A message the ledger says was handled came back unread. If marking it
+   * read failed, retry that; otherwise someone (or a snooze) marked it unread
+   * on purpose, so leave it be.
+   */
+  async skipProcessedEmail(email, entry) {
+    logger.info(`Skipping already processed email: ${email.subject} (rule ${entry.rule}, ${entry.completedAt})`);
+    if (!entry.markedRead) {
+      await this.markProcessedEmailRead(email);
+    }
+  }
+
+  async markProcessedEmailRead(email) {
+    try {
+      await this.gmail.markAsRead(email.id);
+      emailLedger.update(email.id, { markedRead: true });
+    } catch (error) {
+      // The ledger keeps the message from being processed twice; marking it read is retried next run
+      logger.warn(`Failed to mark email as read: ${email.subject}: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {Object} email - search result
+   * @param {EmailRuleSet} rules
+   * @param {Object|null} entry - ledger entry of a message whose processing did not finish
+   */
+  async processEmail(email, rules, entry = null) {
     try {
       logger.info(`Processing email: ${email.subject}`);
       
       // Get full email content
       const fullEmail = await this.gmail.getEmail(email.id);
       
-      // Determine action based on email content
-      const action = this.determineEmailAction(fullEmail);
-      
-      let processed = null;
-      
-      switch (action.type) {
-        case 'create_task':
-          processed = await this.createNotionTask(fullEmail, action);
-          break;
-        case 'schedule_meeting':
-          processed = await this.scheduleCalendarMeeting(fullEmail, action);
-          break;
-        case 'create_issue':
-          processed = await this.createGitHubIssueFromEmail(fullEmail, action);
-          break;
-        case 'archive':
-          processed = await this.archiveEmail(fullEmail, action);
-          break;
-        default:
-          logger.info(`No action needed for email: ${email.subject}`);
-          return null;
+      // A reply on a thread with a task or issue updates those; otherwise the
+      // first matching routing rule decides. A half-finished message keeps the
+      // route it was first given.
+      const route = entry
+        ? { rule: { id: entry.rule }, priority: entry.priority, actions: entry.actions }
+        : rules.routeReply(fullEmail, this.findThreadItems(fullEmail)) || rules.route(fullEmail);
+      if (!route) {
+        logger.info(`No routing rule matched email: ${email.subject}`);
+        return null;
       }
       
-      // Mark email as read
-      await this.gmail.markAsRead(email.id);
+      const results = { ...entry?.results };
+      if (entry) {
+        logger.info(`Resuming email ${email.subject}: ${Object.keys(results).length} of ${route.actions.length} actions already done`);
+      }
+      const attempts = (entry?.attempts || 0) + 1;
+      emailLedger.update(email.id, {
+        threadId: fullEmail.threadId,
+        subject: fullEmail.subject,
+        from: fullEmail.from,
+        rule: route.rule.id,
+        priority: route.priority,
+        actions: route.actions,
+        status: 'in_progress',
+        results,
+        attempts,
+        markedRead: false
+      });
+      
+      // Run the rule's actions in order, each one at most once; one failing does not stop the rest
+      for (const [index, action] of route.actions.entries()) {
+        if (results[index]) continue;
+        const outcome = await this.performAction(fullEmail, action, { rule: route.rule.id, results });
+        if (outcome) {
+          results[index] = outcome;
+          emailLedger.update(email.id, { results });
+        }
+      }
+      
+      // Failed actions are retried on the next runs while the email stays unread
+      const missing = route.actions.length - Object.keys(results).length;
+      if (missing > 0 && attempts < config.gmail.maxProcessingAttempts) {
+        logger.warn(`${missing} action(s) failed for email ${email.subject}; retrying next run (attempt ${attempts} of ${config.gmail.maxProcessingAttempts})`);
+        return null;
+      }
+      if (missing > 0) {
+        logger.warn(`Giving up on ${missing} failed action(s) for email ${email.subject} after ${attempts} attempts`);
+      }
+
+      emailLedger.update(email.id, { status: 'completed', completedAt: new Date().toISOString() });
+      await this.applyOpsLabels(email, route.actions.filter((action, index) => results[index] && !results[index].skipped));
+      await this.markProcessedEmailRead(email);
       
-      return processed;
+      const actionsTaken = [];
+      const details = {};
+      for (const { actionTaken, skipped, ...rest } of Object.values(results)) {
+        actionsTaken.push(actionTaken);
+        Object.assign(details, rest);
+      }
+      
+      if (actionsTaken.length === 0) return null;
+      logger.info(`Email "${email.subject}" routed by rule ${route.rule.id}: ${actionsTaken.join(', ')}`);
+      return {
+        subject: fullEmail.subject,
+        from: fullEmail.from,
+        rule: route.rule.id,
+        priority: route.priority,
+        actionsTaken,
+        ...details
+      };
       
     } catch (error) {
       logger.error(`Failed to process email ${email.subject}:`, error);
@@ -132,28 +294,50 @@ class MCPEmailProcessorAutomation {
     }
   }
 
-  determineEmailAction(email) {
-    const subject = email.subject.toLowerCase();
-    const body = email.body.toLowerCase();
-    
-    // Simple rule-based action determination
-    if (subject.includes('task') || subject.includes('todo') || body.includes('please create')) {
-      return { type: 'create_task', priority: 'medium' };
+  /**
+   * @param {Object} context - `rule` id and the `results` of the route's actions so far
+   */
+  async performAction(email, action, context = {}) {
+    switch (action.type) {
+      case 'create_task':
+        return this.createNotionTask(email, action);
+      case 'schedule_meeting':
+        return this.scheduleCalendarMeeting(email, action);
+      case 'create_issue':
+        return this.createGitHubIssueFromEmail(email, action);
+      case 'file_attachments':
+        return this.fileAttachments(email, action, context);
+      case 'archive':
+        return this.archiveEmail(email, action);
+      case 'label':
+        return this.labelEmail(email, action);
+      case 'star':
+        return this.starEmail(email, action);
+      case 'snooze':
+        return this.snoozeEmail(email, action);
+      case 'trash':
+        return this.trashEmail(email, action);
+      // Thread replies (see EmailRuleSet#routeReply)
+      case 'append_to_task':
+        return this.appendReplyToTask(email, action);
+      case 'update_task_status':
+        return this.updateTaskStatus(email, action);
+      case 'comment_on_issue':
+        return this.commentOnIssue(email, action);
+      case 'update_issue_state':
+        return this.updateIssueState(email, action);
+      default:
+        logger.warn(`Unknown email action type: ${action.type}`);
+        return null;
     }
-    
-    if (subject.includes('meeting') || subject.includes('schedule') || body.includes('calendar')) {
-      return { type: 'schedule_meeting', duration: 60 };
-    }
-    
-    if (subject.includes('bug') || subject.includes('issue') || subject.includes('error')) {
-      return { type: 'create_issue', labels: ['bug', 'email-generated'] };
-    }
-    
-    if (subject.includes('newsletter') || subject.includes('unsubscribe') || body.includes('automated')) {
-      return { type: 'archive' };
-    }
-    
-    return { type: 'none' };
+  }
+
+  /**
+   * Notion database of a create_task action: a key of config.notion.databaseIds or a database id
+   */
+  resolveTaskDatabase(action) {
+    const database = action.database || 'tasks';
+    return database in config.notion.databaseIds ? config.notion.databaseIds[database] : database;
   }
 
   async createNotionTask(email, action) {
@@ -179,22 +363,33 @@ class MCPEmailProcessorAutomation {
         }
       };
 
-      if (config.notion.databaseIds.tasks) {
-        const page = await this.notion.createPage(
-          config.notion.databaseIds.tasks,
-          taskProperties
-        );
-        
-        logger.info(`Created Notion task for email: ${email.subject}`);
+      const databaseId = this.resolveTaskDatabase(action);
+      if (!databaseId) {
+        // Done with, not failed: retrying would find no database either
+        const reason = `no Notion database is configured for '${action.database || 'tasks'}'`;
+        logger.warn(`Not creating a Notion task for email ${email.subject}: ${reason}`);
         return {
           subject: email.subject,
           from: email.from,
-          actionTaken: 'created_notion_task',
-          notionPageId: page.id
+          actionTaken: 'skipped_notion_task',
+          skipped: true,
+          skipReason: reason
         };
       }
       
-      return null;
+      const page = await this.notion.createPage(
+        databaseId,
+        taskProperties
+      );
+      
+      logger.info(`Created Notion task for email: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'created_notion_task',
+        notionDatabaseId: databaseId,
+        notionPageId: page.id
+      };
     } catch (error) {
       logger.error(`Failed to create Notion task: ${error.message}`);
       return null;
@@ -204,7 +399,7 @@ class MCPEmailProcessorAutomation {
   async scheduleCalendarMeeting(email, action) {
     try {
       const meetingTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
-      const endTime = new Date(meetingTime.getTime() + (action.duration || 60) * 60 * 1000);
+      const endTime = new Date(meetingTime.getTime() + (action.durationMinutes || 60) * 60 * 1000);
       
       const event = {
         summary: `Meeting: ${email.subject}`,
@@ -222,13 +417,14 @@ class MCPEmailProcessorAutomation {
         ]
       };
       
-      const createdEvent = await this.calendar.createEvent('primary', event);
+      const createdEvent = await this.calendar.createEvent(action.calendarId || 'primary', event);
       
       logger.info(`Scheduled calendar meeting for email: ${email.subject}`);
       return {
         subject: email.subject,
         from: email.from,
         actionTaken: 'scheduled_meeting',
+        calendarId: action.calendarId || 'primary',
         eventId: createdEvent.id,
         meetingTime: meetingTime.toISOString()
       };
@@ -260,9 +456,11 @@ ${email.body}
 *This issue was automatically created from an email by the MCP Email Processor*
       `;
 
+      // Rules may file issues in another repository than the automation's own
+      const [owner, repo] = action.repo ? action.repo.split('/') : [config.github.owner, config.github.repo];
       const issue = await this.github.createIssue(
-        'your-org', // Replace with your GitHub org
-        'gmtm-ops-automation', // Replace with your repo
+        owner,
+        repo,
         title,
         body,
         action.labels || ['email-generated']
@@ -273,8 +471,9 @@ ${email.body}
         subject: email.subject,
         from: email.from,
         actionTaken: 'created_github_issue',
+        issueRepo: `${owner}/${repo}`,
         issueNumber: issue.number,
-        issueUrl: issue.html_url
+        issueUrl: issue.url
       };
       
     } catch (error) {
@@ -283,16 +482,248 @@ ${email.body}
     }
   }
 
+  /**
+   * File the email's attachments to Drive and link them from the Notion task
+   * an earlier action of the route created
+   */
+  async fileAttachments(email, action, { rule, results = {} }) {
+    try {
+      if (!email.attachments?.length) {
+        return { subject: email.subject, from: email.from, actionTaken: 'no_attachments_to_file' };
+      }
+
+      const { folder, filed, skipped } = await this.attachmentFiler.fileAttachments(email, {
+        folderPath: action.folder,
+        rule
+      });
+
+      const task = Object.values(results).find(result => result.actionTaken === 'created_notion_task');
+      if (task && filed.length > 0) {
+        await this.notion.appendToPage(task.notionPageId, [
+          {
+            type: 'heading_3',
+            heading_3: { rich_text: [{ text: { content: '📎 Attachments' } }] }
+          },
+          ...filed.map(file => ({
+            type: 'bulleted_list_item',
+            bulleted_list_item: {
+              rich_text: [{ text: { content: file.filename, link: file.webViewLink ? { url: file.webViewLink } : null } }]
+            }
+          }))
+        ]);
+      }
+
+      logger.info(`Filed ${filed.length} of ${email.attachments.length} attachment(s) of ${email.subject} to Drive${folder ? ` folder ${folder.path}` : ''}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'filed_attachments',
+        driveFolderId: folder?.id || null,
+        driveFolderPath: folder?.path || null,
+        attachmentsFiled: filed.map(({ filename, fileId, webViewLink }) => ({ filename, fileId, webViewLink })),
+        attachmentsSkipped: skipped
+      };
+    } catch (error) {
+      logger.error(`Failed to file email attachments: ${error.message}`);
+      return null;
+    }
+  }
+
   async archiveEmail(email, action) {
-    logger.info(`Archiving email: ${email.subject}`);
+    try {
+      await this.gmail.archive(email.id);
+      
+      logger.info(`Archived email: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'archived'
+      };
+    } catch (error) {
+      logger.error(`Failed to archive email: ${error.message}`);
+      return null;
+    }
+  }
+
+  async labelEmail(email, action) {
+    try {
+      await this.gmail.applyLabels(email.id, action.labels);
+      
+      logger.info(`Labelled email ${email.subject}: ${action.labels.join(', ')}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'labelled',
+        gmailLabels: action.labels
+      };
+    } catch (error) {
+      logger.error(`Failed to label email: ${error.message}`);
+      return null;
+    }
+  }
+
+  async starEmail(email, action) {
+    try {
+      await this.gmail.star(email.id);
+      
+      logger.info(`Starred email: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'starred'
+      };
+    } catch (error) {
+      logger.error(`Failed to star email: ${error.message}`);
+      return null;
+    }
+  }
+
+  async snoozeEmail(email, action) {
+    try {
+      const until = new Date(Date.now() + action.snoozeHours * 60 * 60 * 1000);
+      await this.gmail.snooze(email.id, until, { subject: email.subject });
+      
+      logger.info(`Snoozed email until ${until.toISOString()}: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'snoozed',
+        snoozedUntil: until.toISOString()
+      };
+    } catch (error) {
+      logger.error(`Failed to snooze email: ${error.message}`);
+      return null;
+    }
+  }
+
+  async trashEmail(email, action) {
+    try {
+      await this.gmail.trash(email.id);
+      
+      logger.info(`Moved email to trash: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'trashed'
+      };
+    } catch (error) {
+      logger.error(`Failed to trash email: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Label the email `<prefix>/<action type>` for each action that succeeded
+   */
+  async applyOpsLabels(email, actions) {
+    const prefix = config.gmail.labels.opsPrefix;
+    if (!prefix || actions.length === 0) return;
     
-    // In a real implementation, this would archive the email
-    // For now, we'll just mark it as read
-    return {
-      subject: email.subject,
-      from: email.from,
-      actionTaken: 'archived'
-    };
+    const labels = [...new Set(actions.map(action => `${prefix}/${action.type}`))];
+    try {
+      await this.gmail.applyLabels(email.id, labels);
+    } catch (error) {
+      logger.warn(`Failed to apply ops labels to email ${email.subject}: ${error.message}`);
+    }
+  }
+
+  async appendReplyToTask(email, action) {
+    try {
+      const blocks = [
+        {
+          type: 'heading_3',
+          heading_3: {
+            rich_text: [{ text: { content: `📧 Reply from ${email.from} (${new Date(email.date || Date.now()).toLocaleString()})` } }]
+          }
+        },
+        {
+          type: 'paragraph',
+          paragraph: {
+            rich_text: [{ text: { content: stripQuotedReply(email.body).substring(0, 2000) } }]
+          }
+        }
+      ];
+      await this.notion.appendToPage(action.pageId, blocks);
+      
+      logger.info(`Added reply to Notion task ${action.pageId}: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'appended_to_notion_task',
+        notionPageId: action.pageId
+      };
+    } catch (error) {
+      logger.error(`Failed to add reply to Notion task: ${error.message}`);
+      return null;
+    }
+  }
+
+  async updateTaskStatus(email, action) {
+    try {
+      await this.notion.updatePage(action.pageId, {
+        Status: {
+          select: { name: action.status }
+        }
+      });
+      
+      logger.info(`Set Notion task ${action.pageId} to ${action.status} after reply: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'updated_notion_task_status',
+        notionPageId: action.pageId,
+        taskStatus: action.status
+      };
+    } catch (error) {
+      logger.error(`Failed to update Notion task status: ${error.message}`);
+      return null;
+    }
+  }
+
+  async commentOnIssue(email, action) {
+    try {
+      const [owner, repo] = action.repo.split('/');
+      const body = `
+**Reply from ${email.from}** (${new Date(email.date || Date.now()).toLocaleString()})
+
+${stripQuotedReply(email.body)}
+
+*Added automatically from the email thread by the MCP Email Processor*
+      `;
+      const comment = await this.github.addComment(owner, repo, action.issueNumber, body);
+      
+      logger.info(`Commented on GitHub issue ${action.repo}#${action.issueNumber}: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: 'commented_on_github_issue',
+        issueRepo: action.repo,
+        issueNumber: action.issueNumber,
+        commentUrl: comment.url
+      };
+    } catch (error) {
+      logger.error(`Failed to comment on GitHub issue: ${error.message}`);
+      return null;
+    }
+  }
+
+  async updateIssueState(email, action) {
+    try {
+      const [owner, repo] = action.repo.split('/');
+      await this.github.updateIssue(owner, repo, action.issueNumber, { state: action.state });
+      
+      logger.info(`Set GitHub issue ${action.repo}#${action.issueNumber} to ${action.state} after reply: ${email.subject}`);
+      return {
+        subject: email.subject,
+        from: email.from,
+        actionTaken: action.state === 'closed' ? 'closed_github_issue' : 'reopened_github_issue',
+        issueRepo: action.repo,
+        issueNumber: action.issueNumber
+      };
+    } catch (error) {
+      logger.error(`Failed to update GitHub issue state: ${error.message}`);
+      return null;
+    }
   }
 
   async createNotionSummary(processedEmails) {
@@ -314,7 +745,7 @@ ${email.body}
           rich_text: [{
             text: {
               content: processedEmails.map(e => 
-                `• ${e.subject} (${e.from}) → ${e.actionTaken}`
+                `• ${e.subject} (${e.from}) → ${e.actionsTaken.join(', ')} [${e.rule}]`
               ).join('\n')
             }
           }]
@@ -336,7 +767,7 @@ ${email.body}
 
   async scheduleFollowUps(processedEmails) {
     const tasksRequiringFollowUp = processedEmails.filter(e => 
-      e.actionTaken === 'created_notion_task' || e.actionTaken === 'created_github_issue'
+      e.actionsTaken.includes('created_notion_task') || e.actionsTaken.includes('created_github_issue')
     );
     
     if (tasksRequiringFollowUp.length === 0) return;
@@ -371,49 +802,8 @@ ${email.body}
       logger.error(`Failed to schedule follow-up: ${error.message}`);
     }
   }
-
-  async createGitHubIssue(error) {
-    try {
-      const title = `🚨 MCP Email Processor Failure`;
-      const body = `
-## Automation Failure
-
-**Automation:** ${this.name}
-**Time:** ${new Date().toLocaleString()}
-**Error:** ${error.message}
-
-## Error Details
-\`\`\`
-${error.stack}
-\`\`\`
-
-## Impact
-The email processing automation failed, which may result in:
-- Missed email processing
-- Unprocessed tasks
-- Missed meeting scheduling opportunities
-
-## Next Steps
-- [ ] Investigate the root cause
-- [ ] Fix the automation
-- [ ] Test the fix
-- [ ] Monitor for similar issues
-
-*This issue was automatically created by the MCP Email Processor*
-      `;
-
-      await this.github.createIssue(
-        'your-org',
-        'gmtm-ops-automation',
-        title,
-        body,
-        ['automation-failure', 'email-processor', 'critical']
-      );
-      
-    } catch (ghError) {
-      logger.error(`Failed to create GitHub issue for automation failure: ${ghError.message}`);
-    }
-  }
 }
 
+MCPEmailProcessorAutomation.manifest = manifest;
+
 module.exports = MCPEmailProcessorAutomation;
\ No newline at end of file
@@ -1,6 +1,17 @@
 const logger = require('../shared/logging/logger');
 const { config } = require('../shared/config');
 const { formatDate, chunkArray } = require('../shared/utils');
+const { collect } = require('../shared/integrations/mcp-adapters');
+
+const manifest = {
+  id: 'mcp-revenue-tracker',
+  version: '1.0.0',
+  description: 'Tracks revenue metrics using Stripe and creates reports in Notion and Google Drive',
+  schedule: '0 6 * * *', // Daily at 6 AM
+  adapters: ['stripe', 'notion', 'googleDrive', 'googleCalendar', 'github'],
+  config: [],
+  optionsSchema: { type: 'object', properties: {}, additionalProperties: false }
+};
 
 /**
  * MCP Revenue Tracking Automation
@@ -15,10 +26,15 @@ const { formatDate, chunkArray } = require('../shared/utils');
 class MCPRevenueTrackerAutomation {
   constructor(mcpAdapters) {
     this.name = 'MCP Revenue Tracker';
-    this.description = 'Tracks revenue metrics using Stripe and creates reports in Notion and Google Drive';
-    this.schedule = '0 6 * * *'; // Daily at 6 AM
+    this.description = manifest.description;
+    this.schedule = manifest.schedule;
     this.enabled = true;
     
+    // Execution policy enforced by the orchestrator
+    this.timeout = config.automation.timeouts.long;
+    this.retries = 3;
+    this.backoff = { strategy: 'exponential', delay: 30000, maxDelay: 300000 };
+    
     // MCP feature flags
     this.usesStripe = true;
     this.usesNotion = true;
@@ -75,7 +91,6 @@ class MCPRevenueTrackerAutomation {
       
     } catch (error) {
       logger.error(`${this.name} failed:`, error);
-      await this.createFailureIssue(error);
       throw error;
     }
   }
@@ -93,15 +108,17 @@ class MCPRevenueTrackerAutomation {
     const endOfDay = new Date(yesterday);
     endOfDay.setHours(23, 59, 59, 999);
     
-    // Collect various metrics
+    const yesterdayRange = {
+      gte: Math.floor(startOfDay.getTime() / 1000),
+      lt: Math.floor(endOfDay.getTime() / 1000)
+    };
+    
+    // Collect various metrics, following Stripe's pagination to the full result sets
     const [payments, customers, subscriptions, invoices] = await Promise.all([
-      this.stripe.getPayments(100, {
-        gte: Math.floor(startOfDay.getTime() / 1000),
-        lt: Math.floor(endOfDay.getTime() / 1000)
-      }),
-      this.stripe.getCustomers(100),
-      this.stripe.getSubscriptions(100, 'active'),
-      this.stripe.getInvoices(100, 'paid')
+      collect(this.stripe.iteratePayments(yesterdayRange)),
+      collect(this.stripe.iterateCustomers(yesterdayRange)),
+      collect(this.stripe.iterateSubscriptions('active')),
+      collect(this.stripe.iterateInvoices('paid'))
     ]);
     
     // Process the data
@@ -110,13 +127,12 @@ class MCPRevenueTrackerAutomation {
       totalRevenue: payments.reduce((sum, payment) => sum + payment.amount, 0) / 100, // Convert from cents
       paymentsCount: payments.length,
       newCustomers: customers.filter(c => 
-        new Date(c.created * 1000) >= startOfDay && new Date(c.created * 1000) <= endOfDay
+        new Date(c.createdAt) >= startOfDay && new Date(c.createdAt) <= endOfDay
       ).length,
       activeSubscriptions: subscriptions.length,
-      monthlyRecurringRevenue: subscriptions.reduce((sum, sub) => sum + (sub.plan?.amount || 0), 0) / 100,
+      monthlyRecurringRevenue: subscriptions.reduce((sum, sub) => sum + sub.amount, 0) / 100,
       paidInvoices: invoices.filter(inv => 
-        new Date(inv.status_transitions?.paid_at * 1000) >= startOfDay && 
-        new Date(inv.status_transitions?.paid_at * 1000) <= endOfDay
+        inv.paidAt && new Date(inv.paidAt) >= startOfDay && new Date(inv.paidAt) <= endOfDay
       ).length,
       payments,
       customers,
@@ -421,8 +437,8 @@ This issue was automatically created by the Revenue Tracker automation due to si
         `;
 
         await this.github.createIssue(
-          'your-org',
-          'gmtm-ops-automation',
+          config.github.owner,
+          config.github.repo,
           title,
           body,
           ['revenue-anomaly', 'high-priority', 'requires-investigation']
@@ -434,52 +450,8 @@ This issue was automatically created by the Revenue Tracker automation due to si
       logger.error(`Failed to create anomaly issues: ${error.message}`);
     }
   }
-
-  async createFailureIssue(error) {
-    try {
-      const title = `🚨 Revenue Tracker Automation Failed`;
-      const body = `
-## Automation Failure
-
-**Automation**: ${this.name}
-**Time**: ${new Date().toLocaleString()}
-**Error**: ${error.message}
-
-## Impact
-The revenue tracking automation failed, which may result in:
-- Missing revenue data
-- Undetected anomalies
-- Lack of executive reporting
-- Potential revenue loss due to unidentified issues
-
-## Error Details
-\`\`\`
-${error.stack}
-\`\`\`
-
-## Immediate Actions
-- [ ] Investigate the failure
-- [ ] Check Stripe API connectivity
-- [ ] Verify Notion/Drive permissions
-- [ ] Run manual revenue analysis
-- [ ] Fix the automation
-- [ ] Test the fix
-
-*This issue was automatically created by the Revenue Tracker automation*
-      `;
-
-      await this.github.createIssue(
-        'your-org',
-        'gmtm-ops-automation',
-        title,
-        body,
-        ['automation-failure', 'revenue-tracker', 'critical']
-      );
-      
-    } catch (ghError) {
-      logger.error(`Failed to create failure issue: ${ghError.message}`);
-    }
-  }
 }
 
+MCPRevenueTrackerAutomation.manifest = manifest;
+
 module.exports = MCPRevenueTrackerAutomation;
\ No newline at end of file
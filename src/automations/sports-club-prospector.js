@@ -1,6 +1,16 @@
 const logger = require('../shared/logging/logger');
 const { config } = require('../shared/config');
-const { sleep, retry, validateEmail, formatDate } = require('../shared/utils');
+const { throwIfAborted, retry, validateEmail, formatDate } = require('../shared/utils');
+
+const manifest = {
+  id: 'sports-club-prospector',
+  version: '1.0.0',
+  description: 'Automates business development outreach to sports clubs and academies',
+  schedule: '0 8 * * 1', // Weekly on Monday at 8 AM
+  adapters: ['notion', 'gmail', 'googleCalendar', 'github', 'googleDrive', 'canva'],
+  config: [],
+  optionsSchema: { type: 'object', properties: {}, additionalProperties: false }
+};
 
 /**
  * Sports Club Business Development Automation
@@ -15,10 +25,16 @@ const { sleep, retry, validateEmail, formatDate } = require('../shared/utils');
 class SportsClubProspectorAutomation {
   constructor(mcpAdapters) {
     this.name = 'Sports Club Prospector';
-    this.description = 'Automates business development outreach to sports clubs and academies';
-    this.schedule = '0 8 * * 1'; // Weekly on Monday at 8 AM
+    this.description = manifest.description;
+    this.schedule = manifest.schedule;
     this.enabled = true;
     
+    // Execution policy: no automatic retries - a retried run would re-send outreach emails
+    this.timeout = config.automation.timeouts.long;
+    this.retries = 0;
+    // A missed Monday run still goes out on restart, but only once
+    this.catchUp = 'once';
+    
     // MCP feature flags
     this.usesNotion = true;
     this.usesGmail = true;
@@ -27,6 +43,14 @@ class SportsClubProspectorAutomation {
     this.usesGoogleDrive = true;
     this.usesCanva = true;
     
+    // Output contract consumed by downstream automations (bd-dashboard-reporter)
+    this.outputs = {
+      prospectsResearched: 'number',
+      qualifiedLeads: 'number',
+      emailsSent: 'number',
+      topProspects: 'array'
+    };
+    
     // Store MCP adapters
     this.notion = mcpAdapters.notion;
     this.gmail = mcpAdapters.gmail;
@@ -53,16 +77,16 @@ class SportsClubProspectorAutomation {
     
     try {
       // Step 1: Research and collect sports club prospects
-      const prospects = await this.researchSportsClubs();
+      const prospects = await this.researchSportsClubs(options.signal);
       
       // Step 2: Score and qualify leads
       const qualifiedLeads = await this.scoreAndQualifyLeads(prospects);
       
       // Step 3: Create personalized outreach materials
-      const outreachCampaigns = await this.createOutreachCampaigns(qualifiedLeads);
+      const outreachCampaigns = await this.createOutreachCampaigns(qualifiedLeads, options.signal);
       
       // Step 4: Send initial outreach emails
-      const sentEmails = await this.sendOutreachEmails(outreachCampaigns);
+      const sentEmails = await this.sendOutreachEmails(outreachCampaigns, options.signal);
       
       // Step 5: Set up automated follow-ups
       await this.setupFollowUpSequences(sentEmails);
@@ -92,12 +116,11 @@ class SportsClubProspectorAutomation {
       
     } catch (error) {
       logger.error(`${this.name} failed:`, error);
-      await this.createFailureIssue(error);
       throw error;
     }
   }
 
-  async researchSportsClubs() {
+  async researchSportsClubs(signal) {
     logger.info('Researching sports clubs and academies...');
     
     // This would typically use web scraping, APIs, or database queries
@@ -106,13 +129,11 @@ class SportsClubProspectorAutomation {
     
     for (const sport of this.targetSports.slice(0, 5)) { // Limit for demo
       for (const region of this.targetRegions.slice(0, 3)) { // Limit for demo
+        throwIfAborted(signal);
         
         // Simulate web research results
         const clubsInRegion = await this.simulateWebResearch(sport, region);
         prospects.push(...clubsInRegion);
-        
-        // Small delay to simulate research time
-        await sleep(1000);
       }
     }
     
@@ -244,12 +265,14 @@ class SportsClubProspectorAutomation {
     return Math.min(score, 100); // Cap at 100
   }
 
-  async createOutreachCampaigns(qualifiedLeads) {
+  async createOutreachCampaigns(qualifiedLeads, signal) {
     logger.info('Creating personalized outreach campaigns...');
     
     const campaigns = [];
     
     for (const lead of qualifiedLeads.slice(0, 10)) { // Limit for demo
+      throwIfAborted(signal);
+      
       try {
         // Generate personalized email content
         const emailContent = await this.generatePersonalizedEmail(lead);
@@ -265,9 +288,8 @@ class SportsClubProspectorAutomation {
           createdAt: new Date().toISOString()
         });
         
-        await sleep(500); // Rate limiting
-        
       } catch (error) {
+        if (signal?.aborted) throw error;
         logger.warn(`Failed to create campaign for ${lead.clubName}: ${error.message}`);
       }
     }
@@ -377,17 +399,20 @@ P.S. I notice you've been in ${lead.sport} development since ${lead.foundedYear}
     }
   }
 
-  async sendOutreachEmails(campaigns) {
+  async sendOutreachEmails(campaigns, signal) {
     logger.info('Sending personalized outreach emails...');
     
     const sentEmails = [];
     
     for (const campaign of campaigns) {
+      // Stop before the next send once the run has timed out or been cancelled
+      throwIfAborted(signal);
+      
       try {
         const lead = campaign.lead;
         const emailContent = campaign.emailContent;
         
-        // Send email using Gmail MCP
+        // Send email using Gmail MCP, paced by the gmail.send rate limit
         await this.gmail.sendEmail(
           lead.contactInfo.email,
           emailContent.subject,
@@ -404,10 +429,9 @@ P.S. I notice you've been in ${lead.sport} development since ${lead.foundedYear}
         
         logger.info(`Sent outreach email to ${lead.clubName}`);
         
-        // Rate limiting to avoid spam detection
-        await sleep(2000);
-        
       } catch (error) {
+        if (signal?.aborted) throw error;
+        
         logger.warn(`Failed to send email to ${campaign.lead.clubName}: ${error.message}`);
         
         sentEmails.push({
@@ -725,58 +749,8 @@ ${highPriorityLeads.slice(0, 5).map(lead => `
       logger.info(`Scheduled review meeting for ${highPriorityLeads.length} high-priority leads`);
     }
   }
-
-  async createFailureIssue(error) {
-    try {
-      const title = `🚨 Sports Club Prospector Failed`;
-      const body = `
-## Business Development Automation Failure
-
-**Automation**: ${this.name}
-**Time**: ${new Date().toLocaleString()}
-**Error**: ${error.message}
-
-## Business Impact
-The sports club prospecting automation failed, which may result in:
-- Missed business development opportunities
-- Lost competitive advantage
-- Delayed revenue pipeline
-- Unprocessed high-value leads
-
-## Error Details
-\`\`\`
-${error.stack}
-\`\`\`
-
-## Immediate Actions Required
-- [ ] Investigate the automation failure
-- [ ] Check data sources and API connectivity
-- [ ] Verify email and CRM integrations
-- [ ] Run manual prospecting if necessary
-- [ ] Fix and test the automation
-- [ ] Monitor for similar issues
-
-## Recovery Plan
-1. Review last successful run data
-2. Manually process any high-priority leads
-3. Ensure follow-up sequences are maintained
-4. Notify sales team of potential delays
-
-*This issue was automatically created by the Sports Club Prospector*
-      `;
-
-      await this.github.createIssue(
-        'your-org',
-        'gmtm-ops-automation',
-        title,
-        body,
-        ['automation-failure', 'business-development', 'critical']
-      );
-      
-    } catch (ghError) {
-      logger.error(`Failed to create failure issue: ${ghError.message}`);
-    }
-  }
 }
 
+SportsClubProspectorAutomation.manifest = manifest;
+
 module.exports = SportsClubProspectorAutomation;
\ No newline at end of file
@@ -0,0 +1,62 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('../shared/logging/logger');
+const { config } = require('../shared/config');
+
+/**
+ * Automation Discovery
+ *
+ * Finds automation modules in `src/automations`, in the extra directories
+ * listed in `config.automation.plugins.dirs` and in the npm packages listed
+ * in `config.automation.plugins.packages`. A module exports an automation
+ * class (with its `manifest`) or an array of them.
+ */
+
+const BUILT_IN_DIR = path.join(__dirname, '../automations');
+
+function listModules(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => path.join(dir, file));
+}
+
+/**
+ * Every automation module to load, built-ins first
+ *
+ * @returns {{source: string, load: Function}[]} `load()` requires the module
+ *   and returns its automation classes; it throws if the module cannot be loaded
+ */
+function discoverAutomationModules() {
+  const modules = [];
+  const addFile = (file) => modules.push({ source: file, load: () => [].concat(require(file)) });
+
+  if (!fs.existsSync(BUILT_IN_DIR)) {
+    fs.mkdirSync(BUILT_IN_DIR, { recursive: true });
+    logger.info('Created automations directory');
+  } else {
+    listModules(BUILT_IN_DIR).forEach(addFile);
+  }
+
+  for (const dir of config.automation.plugins.dirs) {
+    const resolved = path.resolve(process.cwd(), dir);
+    if (!fs.existsSync(resolved)) {
+      logger.warn(`Automation plugin directory ${resolved} does not exist`);
+      continue;
+    }
+    listModules(resolved).forEach(addFile);
+  }
+
+  for (const packageName of config.automation.plugins.packages) {
+    modules.push({
+      source: `package ${packageName}`,
+      load: () => [].concat(require(require.resolve(packageName, { paths: [process.cwd()] })))
+    });
+  }
+
+  return modules;
+}
+
+module.exports = {
+  discoverAutomationModules
+};
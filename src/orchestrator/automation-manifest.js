@@ -0,0 +1,99 @@
+const cron = require('node-cron');
+const { validateJsonSchema } = require('../shared/utils/json-schema');
+
+/**
+ * Automation Manifests
+ *
+ * Every automation module exports its class with a `manifest` describing it:
+ *
+ *   MyAutomation.manifest = {
+ *     id: 'my-automation',              // run / dependsOn key
+ *     version: '1.0.0',
+ *     description: 'What it does',
+ *     schedule: '0 6 * * *',            // cron, or null for manual only
+ *     adapters: ['notion', 'github'],   // MCP adapters it uses
+ *     config: ['github.owner'],         // config keys that must be set
+ *     optionsSchema: { type: 'object', properties: { ... } }
+ *   };
+ *
+ * Automations whose adapters have no backend or whose config is missing are
+ * loaded (and reported in getStatus) but never scheduled.
+ */
+
+const MANIFEST_SCHEMA = {
+  type: 'object',
+  required: ['id', 'version', 'description', 'adapters', 'config', 'optionsSchema'],
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+    version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+([-+][0-9A-Za-z.-]+)?$' },
+    description: { type: 'string', minLength: 1 },
+    schedule: { type: ['string', 'null'] },
+    adapters: { type: 'array', items: { type: 'string' } },
+    config: { type: 'array', items: { type: 'string' } },
+    optionsSchema: { type: 'object' }
+  },
+  additionalProperties: false
+};
+
+// Options the orchestrator itself passes to every run; not part of an automation's schema
+const ORCHESTRATOR_OPTIONS = ['signal', 'upstream', 'trigger', 'triggeredBy', 'scheduled', 'scheduledFor', 'missedCount', 'dryRun', 'runId'];
+
+/**
+ * @returns {string[]} issues, empty when the manifest is valid
+ */
+function validateManifest(manifest) {
+  if (!manifest) return ['no manifest exported'];
+
+  const issues = validateJsonSchema(MANIFEST_SCHEMA, manifest);
+  if (typeof manifest.schedule === 'string' && !cron.validate(manifest.schedule)) {
+    issues.push(`schedule: '${manifest.schedule}' is not a valid cron expression`);
+  }
+  if (manifest.optionsSchema && manifest.optionsSchema.type !== undefined && manifest.optionsSchema.type !== 'object') {
+    issues.push('optionsSchema.type: must be object');
+  }
+  return issues;
+}
+
+/**
+ * Adapters and config keys the manifest requires that are not available.
+ * An adapter is available when its calls have a backend to go to: an MCP
+ * server, direct API credentials, a replay cassette or the fake backends
+ * (see `MCPToolAdapter.resolveBackend`); calls that would only be simulated
+ * do not count.
+ *
+ * @param {Object} manifest
+ * @param {Object} adapters - MCP adapters by name
+ * @param {Object} config - application config
+ * @returns {{missingAdapters: string[], missingConfig: string[]}}
+ */
+function checkRequirements(manifest, adapters, config) {
+  return {
+    missingAdapters: manifest.adapters.filter(name => !adapters[name]?.resolveBackend()),
+    missingConfig: manifest.config.filter(key => !isSet(key.split('.').reduce((value, part) => value?.[part], config)))
+  };
+}
+
+function isSet(value) {
+  if (value === undefined || value === null || value === '') return false;
+  // Still a placeholder copied from .env.example ('your-org' from older copies)
+  return !(typeof value === 'string' && (/^your_.*_here$/.test(value) || value === 'your-org'));
+}
+
+/**
+ * Validate run options against the manifest's options schema, ignoring the
+ * options the orchestrator adds to every run
+ *
+ * @returns {string[]} issues
+ */
+function validateOptions(manifest, options = {}) {
+  const own = Object.fromEntries(Object.entries(options).filter(([key]) => !ORCHESTRATOR_OPTIONS.includes(key)));
+  return validateJsonSchema({ type: 'object', ...manifest.optionsSchema }, own);
+}
+
+module.exports = {
+  MANIFEST_SCHEMA,
+  ORCHESTRATOR_OPTIONS,
+  validateManifest,
+  checkRequirements,
+  validateOptions
+};
@@ -0,0 +1,91 @@
+const logger = require('../shared/logging/logger');
+const { config } = require('../shared/config');
+const runHistory = require('../shared/storage/run-history');
+const { getFireTimesBetween, isValidTimezone } = require('../shared/utils/cron-schedule');
+
+/**
+ * Missed-Run Catch-Up
+ *
+ * Works out which cron fire times passed while the process was down, using
+ * the last scheduled (or catch-up) run in the run history as the reference
+ * point. Automations choose what happens to those fire times:
+ *   this.catchUp = 'once';    // run once for the most recent missed time
+ *   this.catchUp = 'all';     // run once per missed time, oldest first
+ *   this.catchUp = 'ignore';  // wait for the next scheduled time
+ *   this.timezone = 'America/Chicago';  // timezone the schedule is evaluated in
+ */
+
+const CATCH_UP_POLICIES = ['once', 'all', 'ignore'];
+
+function resolveCatchUpPolicy(automation) {
+  const policy = automation.catchUp || config.automation.catchUp.policy;
+  if (!CATCH_UP_POLICIES.includes(policy)) {
+    logger.warn(`Unknown catch-up policy '${policy}' for ${automation.name}, using 'ignore'`);
+    return 'ignore';
+  }
+  return policy;
+}
+
+function resolveTimezone(automation) {
+  const timezone = automation.timezone || config.automation.timezone;
+  if (!isValidTimezone(timezone)) {
+    logger.warn(`Unknown timezone '${timezone}' for ${automation.name}, using ${config.automation.timezone}`);
+    return config.automation.timezone;
+  }
+  return timezone;
+}
+
+/**
+ * Fire time a run covered: the recorded scheduledFor, or its start time for
+ * runs recorded before scheduledFor existed
+ */
+function coveredFireTime(run) {
+  return new Date(run.options?.scheduledFor || run.startedAt);
+}
+
+/**
+ * Scheduled fire times of an automation missed since its last scheduled run
+ *
+ * @param {string} automationName - automation id
+ * @param {Object} automation - loaded automation instance
+ * @param {Date} [now] - evaluation time
+ * @returns {{policy: string, timezone: string, lastCoveredAt: string|null, missed: Date[], reason?: string}}
+ */
+function findMissedRuns(automationName, automation, now = new Date()) {
+  const policy = resolveCatchUpPolicy(automation);
+  const timezone = resolveTimezone(automation);
+  const { maxLookbackMs, maxRuns } = config.automation.catchUp;
+
+  const lastRun = runHistory.getLastRun(automationName, { trigger: ['schedule', 'catch-up'], dryRun: false });
+  if (!lastRun) {
+    // Nothing to compare against on a fresh install
+    return { policy, timezone, lastCoveredAt: null, missed: [], reason: 'no scheduled runs in history' };
+  }
+
+  const lastCoveredAt = coveredFireTime(lastRun);
+  const from = new Date(Math.max(lastCoveredAt.getTime(), now.getTime() - maxLookbackMs));
+  // Leave the current minute to node-cron so a fire time is never run twice
+  const to = new Date(now.getTime() - 60000);
+
+  let missed = [];
+  try {
+    missed = getFireTimesBetween(automation.schedule, from, to, { timezone });
+  } catch (error) {
+    logger.warn(`Cannot evaluate schedule for ${automation.name}: ${error.message}`);
+    return { policy, timezone, lastCoveredAt: lastCoveredAt.toISOString(), missed: [], reason: error.message };
+  }
+
+  if (missed.length > maxRuns) {
+    logger.warn(`${automation.name} missed ${missed.length} runs, catching up at most the latest ${maxRuns}`);
+    missed = missed.slice(-maxRuns);
+  }
+
+  return { policy, timezone, lastCoveredAt: lastCoveredAt.toISOString(), missed };
+}
+
+module.exports = {
+  CATCH_UP_POLICIES,
+  resolveCatchUpPolicy,
+  resolveTimezone,
+  findMissedRuns
+};
@@ -0,0 +1,317 @@
+const http = require('http');
+const crypto = require('crypto');
+const logger = require('../shared/logging/logger');
+const runHistory = require('../shared/storage/run-history');
+const { config } = require('../shared/config');
+const { validateOptions, ORCHESTRATOR_OPTIONS } = require('./automation-manifest');
+const { AutomationCancelledError } = require('../shared/errors');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Control API
+ *
+ * Authenticated JSON API served alongside an orchestrator, so scripts, the
+ * webhook agents and Slack handlers can drive runs without holding their own
+ * orchestrator instance. Every request must carry
+ * `Authorization: Bearer <CONTROL_API_TOKEN>`.
+ *
+ *   GET  /automations               automations with their state
+ *   GET  /status                    orchestrator status
+ *   GET  /metrics                   run metrics
+ *   GET  /runs                      run history (?automation, status, trigger, dryRun, limit)
+ *   POST /automations/:id/runs      start a run; body { options, dryRun, triggeredBy }
+ *   GET  /runs/:id                  run record (status 'queued' until it starts)
+ *   POST /runs/:id/cancel           cancel a queued or in-flight run; body { reason }
+ *   GET  /runs/:id/logs             log lines of a run (?since, level, limit)
+ *
+ * Starting a run answers 202 with the run id straight away; poll the run
+ * until its status is no longer 'queued' or 'running'.
+ */
+class ControlApiServer {
+  /**
+   * @param {OrchestratorCore} orchestrator
+   * @param {Object} [options] - defaults to config.controlApi
+   */
+  constructor(orchestrator, options = config.controlApi) {
+    this.orchestrator = orchestrator;
+    this.host = options.host;
+    this.port = options.port;
+    this.token = options.token;
+    this.logger = logger.child({ service: 'control-api' });
+    // Runs started through the API that have not settled: id -> { automation, controller, requestedAt }
+    this.pendingRuns = new Map();
+    this.server = null;
+
+    this.routes = [
+      ['GET', /^\/automations$/, () => this.orchestrator.getAutomationsList()],
+      ['GET', /^\/status$/, () => this.orchestrator.getStatus()],
+      ['GET', /^\/metrics$/, () => this.orchestrator.getMetrics()],
+      ['GET', /^\/runs$/, (req, params, query) => this.listRuns(query)],
+      ['POST', /^\/automations\/([^/]+)\/runs$/, (req, [automationId], query, body) => this.startRun(automationId, body)],
+      ['GET', /^\/runs\/([^/]+)$/, (req, [runId]) => this.getRun(runId)],
+      ['POST', /^\/runs\/([^/]+)\/cancel$/, (req, [runId], query, body) => this.cancelRun(runId, body)],
+      ['GET', /^\/runs\/([^/]+)\/logs$/, (req, [runId], query) => this.getRunLogs(runId, query)]
+    ];
+  }
+
+  /**
+   * Start listening; resolves with the bound address
+   */
+  start() {
+    if (!this.token) {
+      throw new Error('CONTROL_API_TOKEN must be set to start the control API');
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        this.logger.error(`Unhandled control API error: ${error.message}`);
+        if (!res.headersSent) this.send(res, 500, { error: 'Internal server error' });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        const { address, port } = this.server.address();
+        this.logger.info(`Control API listening on http://${address}:${port}`);
+        resolve({ address, port });
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+    const server = this.server;
+    this.server = null;
+    return new Promise(resolve => server.close(() => resolve()));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.send(res, 401, { error: 'Missing or invalid bearer token' });
+    }
+
+    const matching = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+    if (matching.length === 0) {
+      return this.send(res, 404, { error: `No route for ${url.pathname}` });
+    }
+    const route = matching.find(([method]) => method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matching.map(([method]) => method).join(', '));
+      return this.send(res, 405, { error: `${req.method} not allowed on ${url.pathname}` });
+    }
+
+    const [, pattern, handler] = route;
+    const params = pattern.exec(url.pathname).slice(1).map(decodeURIComponent);
+    const query = Object.fromEntries(url.searchParams);
+
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      const { status = 200, body: payload, headers = {} } = wrap(await handler(req, params, query, body));
+      for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+      this.send(res, status, payload);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status >= 500) {
+        this.logger.error(`${req.method} ${url.pathname} failed: ${error.message}`);
+        return this.send(res, status, { error: 'Internal server error' });
+      }
+      this.send(res, status, { error: error.message, ...error.details });
+    }
+  }
+
+  isAuthorized(req) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+
+    // Compare digests so the comparison is constant-time whatever the lengths
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(match[1].trim()), digest(this.token));
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+
+  listRuns(query) {
+    return this.orchestrator.getRunHistory({
+      automation: query.automation,
+      status: query.status,
+      trigger: query.trigger,
+      dryRun: query.dryRun !== undefined ? query.dryRun === 'true' : undefined,
+      since: query.since,
+      limit: query.limit !== undefined ? parseInteger(query.limit, 'limit') : 50
+    });
+  }
+
+  /**
+   * Start a run in the background and answer with its id
+   */
+  startRun(automationId, { options = {}, dryRun = false, triggeredBy = 'control-api' } = {}) {
+    const automation = this.orchestrator.automations.get(automationId);
+    if (!automation) {
+      throw new HttpError(404, `Automation '${automationId}' not found`);
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new HttpError(400, 'options must be an object');
+    }
+
+    const reserved = Object.keys(options).filter(key => ORCHESTRATOR_OPTIONS.includes(key));
+    if (reserved.length > 0) {
+      throw new HttpError(400, `options may not set ${reserved.join(', ')}`);
+    }
+    const issues = validateOptions(automation.manifest, options);
+    if (issues.length > 0) {
+      throw new HttpError(400, `Invalid options for automation '${automationId}'`, { code: 'INVALID_OPTIONS', issues });
+    }
+
+    const runId = crypto.randomUUID();
+    const controller = new AbortController();
+    this.pendingRuns.set(runId, { automation: automationId, controller, requestedAt: new Date().toISOString() });
+
+    const runOptions = { ...options, runId, dryRun: !!dryRun, trigger: 'api', triggeredBy, signal: controller.signal };
+    let plan = null;
+    this.orchestrator.runAutomation(automationId, runOptions)
+      .then(result => {
+        plan = result?.sideEffectPlan;
+        if (result?.skipped) {
+          this.logger.warn(`Run ${runId} of ${automationId} was skipped: ${result.summary}`);
+        }
+      })
+      .catch(error => {
+        plan = error.sideEffectPlan;
+        // Cancelled while waiting for the run lock: the run never started, so record it as skipped
+        if (!this.orchestrator.getRun(runId)) {
+          this.orchestrator.recordSkippedRun(automationId, runOptions, error.message);
+        }
+        this.logger.warn(`Run ${runId} of ${automationId} did not succeed: ${error.message}`);
+      })
+      .finally(() => {
+        // Dry runs, failed ones included, leave their plan on disk and its location on the run record
+        if (plan) {
+          runHistory.update(runId, { sideEffectPlan: { size: plan.size, counts: plan.summarize(), files: plan.export() } });
+        }
+        this.pendingRuns.delete(runId);
+      });
+
+    this.logger.info(`Started run ${runId} of ${automationId} (triggered by ${triggeredBy})`);
+    return {
+      status: 202,
+      headers: { Location: `/runs/${runId}` },
+      body: { runId, automation: automationId, dryRun: !!dryRun, status: 'queued' }
+    };
+  }
+
+  getRun(runId) {
+    const run = this.orchestrator.getRun(runId);
+    const pending = this.pendingRuns.get(runId);
+    if (!run && !pending) {
+      throw new HttpError(404, `Run ${runId} not found`);
+    }
+
+    const cancellable = !!pending || this.orchestrator.activeRuns.has(runId);
+    if (!run) {
+      return { id: runId, automation: pending.automation, status: 'queued', requestedAt: pending.requestedAt, cancellable };
+    }
+    return { ...run, cancellable };
+  }
+
+  cancelRun(runId, { reason = 'Cancelled via control API' } = {}) {
+    const pending = this.pendingRuns.get(runId);
+    if (pending) {
+      const automation = this.orchestrator.automations.get(pending.automation);
+      pending.controller.abort(new AutomationCancelledError(automation.name, reason));
+    } else if (!this.orchestrator.cancelRun(runId, reason)) {
+      const run = this.orchestrator.getRun(runId);
+      if (!run) throw new HttpError(404, `Run ${runId} not found`);
+      throw new HttpError(409, run.status === 'running'
+        ? `Run ${runId} is running in another process (pid ${run.pid} on ${run.host})`
+        : `Run ${runId} already ended with status ${run.status}`);
+    }
+
+    this.logger.info(`Cancellation requested for run ${runId}: ${reason}`);
+    return { status: 202, body: { runId, cancelling: true, reason } };
+  }
+
+  getRunLogs(runId, query) {
+    const logs = this.orchestrator.getRunLogs(runId, {
+      since: query.since,
+      level: query.level ? query.level.split(',') : undefined,
+      limit: query.limit !== undefined ? parseInteger(query.limit, 'limit') : undefined
+    });
+
+    if (logs === null) {
+      if (!this.orchestrator.getRun(runId) && !this.pendingRuns.has(runId)) {
+        throw new HttpError(404, `Run ${runId} not found`);
+      }
+      return { runId, logs: [] };
+    }
+    return { runId, logs };
+  }
+}
+
+/**
+ * Handlers return a plain body, or `{ status, body, headers }` for anything but 200
+ */
+function wrap(result) {
+  if (result && typeof result === 'object' && typeof result.status === 'number' && 'body' in result) {
+    return result;
+  }
+  return { body: result };
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          return reject(new HttpError(400, 'Request body must be a JSON object'));
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function parseInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+module.exports = {
+  ControlApiServer
+};
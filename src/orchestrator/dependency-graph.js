@@ -0,0 +1,126 @@
+/**
+ * Automation Dependency Graph
+ *
+ * Builds a DAG from the `dependsOn` declarations of loaded automations
+ * (keyed by automation id, i.e. the file name in src/automations) and checks
+ * upstream results against the `outputs` contract each automation declares.
+ *
+ * Example declarations inside an automation constructor:
+ *   this.dependsOn = ['sports-club-prospector'];
+ *   this.outputs = { qualifiedLeads: 'number', topProspects: 'array' };
+ */
+class DependencyGraph {
+  constructor(automations) {
+    this.automations = automations;
+    this.dependencies = new Map();
+    this.dependents = new Map();
+
+    for (const [name, automation] of automations) {
+      this.dependencies.set(name, Array.isArray(automation.dependsOn) ? automation.dependsOn : []);
+      this.dependents.set(name, []);
+    }
+
+    for (const [name, deps] of this.dependencies) {
+      for (const dep of deps) {
+        if (!this.dependencies.has(dep)) {
+          throw new Error(`Automation '${name}' depends on unknown automation '${dep}'`);
+        }
+        this.dependents.get(dep).push(name);
+      }
+    }
+
+    this.order = this.topologicalSort();
+  }
+
+  /**
+   * Kahn's algorithm; throws if the declarations contain a cycle
+   */
+  topologicalSort() {
+    const inDegree = new Map();
+    for (const [name, deps] of this.dependencies) {
+      inDegree.set(name, deps.length);
+    }
+
+    const queue = Array.from(inDegree.entries())
+      .filter(([, degree]) => degree === 0)
+      .map(([name]) => name);
+    const order = [];
+
+    while (queue.length > 0) {
+      const name = queue.shift();
+      order.push(name);
+
+      for (const dependent of this.dependents.get(name)) {
+        inDegree.set(dependent, inDegree.get(dependent) - 1);
+        if (inDegree.get(dependent) === 0) {
+          queue.push(dependent);
+        }
+      }
+    }
+
+    if (order.length !== this.dependencies.size) {
+      const cyclic = Array.from(inDegree.entries())
+        .filter(([, degree]) => degree > 0)
+        .map(([name]) => name);
+      throw new Error(`Circular automation dependencies detected: ${cyclic.join(', ')}`);
+    }
+
+    return order;
+  }
+
+  getDependencies(name) {
+    return this.dependencies.get(name) || [];
+  }
+
+  getDependents(name) {
+    return this.dependents.get(name) || [];
+  }
+
+  /**
+   * The given automations plus everything they transitively depend on,
+   * in topological order
+   */
+  withDependencies(names) {
+    const selected = new Set();
+    const visit = (name) => {
+      if (!this.dependencies.has(name)) {
+        throw new Error(`Automation '${name}' not found`);
+      }
+      if (selected.has(name)) return;
+      selected.add(name);
+      this.getDependencies(name).forEach(visit);
+    };
+    names.forEach(visit);
+
+    return this.order.filter(name => selected.has(name));
+  }
+
+  /**
+   * Check a result against the automation's declared output contract.
+   * Returns a list of violations (empty when the contract holds).
+   */
+  validateOutputs(name, result) {
+    const contract = this.automations.get(name)?.outputs;
+    if (!contract) return [];
+
+    if (!result || typeof result !== 'object') {
+      return [`expected an object result, got ${result === null ? 'null' : typeof result}`];
+    }
+
+    const violations = [];
+    for (const [key, expectedType] of Object.entries(contract)) {
+      const value = result[key];
+      const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+      if (value === undefined) {
+        violations.push(`missing output '${key}'`);
+      } else if (expectedType !== 'any' && actualType !== expectedType) {
+        violations.push(`output '${key}' should be ${expectedType}, got ${actualType}`);
+      }
+    }
+
+    return violations;
+  }
+}
+
+module.exports = DependencyGraph;
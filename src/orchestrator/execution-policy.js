@@ -0,0 +1,155 @@
+const { config } = require('../shared/config');
+const { retry } = require('../shared/utils');
+const { runWithContext } = require('../shared/runtime/run-context');
+const {
+  AutomationTimeoutError,
+  AutomationHungError,
+  AutomationCancelledError,
+  isTransientError
+} = require('../shared/errors');
+
+/**
+ * Automation Execution Policy
+ *
+ * Enforces the timeout / retry / backoff settings an automation declares:
+ *   this.timeout = config.automation.timeouts.long;  // ms, or 'default' / 'long'
+ *   this.retries = 2;                                 // extra attempts on transient failures
+ *   this.backoff = { strategy: 'exponential', delay: 5000, maxDelay: 60000 };
+ *
+ * Each attempt receives its own AbortSignal in `options.signal`, which is
+ * aborted when the attempt times out or the caller's signal is aborted. The
+ * attempt then has `timeouts.abortGraceMs` to stop before it is recorded as
+ * hung.
+ */
+
+const DEFAULT_BACKOFF = { strategy: 'exponential', delay: 5000, maxDelay: 60000 };
+
+function resolvePolicy(automation) {
+  let timeout = automation.timeout ?? 'default';
+  if (typeof timeout === 'string') {
+    timeout = config.automation.timeouts[timeout] || config.automation.timeouts.default;
+  }
+
+  return {
+    timeout,
+    abortGraceMs: config.automation.timeouts.abortGraceMs,
+    retries: Number.isInteger(automation.retries) && automation.retries > 0 ? automation.retries : 0,
+    backoff: { ...DEFAULT_BACKOFF, ...(automation.backoff || {}) }
+  };
+}
+
+/**
+ * Run one attempt of an automation, rejecting when it exceeds the timeout
+ * or the parent signal is aborted, whether or not the automation itself
+ * notices its signal.
+ *
+ * An aborted attempt only rejects once its execute() has settled, so no
+ * retry or later run can overlap it. If execute() ignores the abort for
+ * longer than `graceMs`, the attempt rejects with AutomationHungError
+ * instead, carrying the execution that is still running.
+ */
+async function runAttempt(automation, options, timeout, parentSignal, attempt, graceMs) {
+  const controller = new AbortController();
+  const timers = [];
+  let onParentAbort;
+
+  const aborted = new Promise((resolve) => {
+    timers.push(setTimeout(() => resolve(new AutomationTimeoutError(automation.name, timeout)), timeout));
+
+    if (parentSignal) {
+      onParentAbort = () => {
+        const reason = parentSignal.reason;
+        resolve(reason instanceof AutomationCancelledError
+          ? reason
+          : new AutomationCancelledError(automation.name, reason?.message || reason));
+      };
+      if (parentSignal.aborted) {
+        onParentAbort();
+      } else {
+        parentSignal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+  });
+
+  // The signal is also in the run context, for adapters the automation does not pass it to
+  const execution = runWithContext({ signal: controller.signal }, () => Promise.resolve()
+    .then(() => automation.execute({ ...options, signal: controller.signal, attempt })));
+  // Resolves once execute() has settled either way
+  const settled = execution.then(() => {}, () => {});
+
+  try {
+    const outcome = await Promise.race([
+      execution.then(result => ({ result })),
+      aborted.then(error => ({ error }))
+    ]);
+    if (!outcome.error) return outcome.result;
+
+    controller.abort(outcome.error);
+    const stopped = await Promise.race([
+      settled.then(() => true),
+      new Promise(resolve => timers.push(setTimeout(() => resolve(false), graceMs)))
+    ]);
+    if (!stopped) {
+      throw new AutomationHungError(automation.name, outcome.error, graceMs, settled);
+    }
+    throw outcome.error;
+  } finally {
+    timers.forEach(clearTimeout);
+    if (onParentAbort) {
+      parentSignal.removeEventListener('abort', onParentAbort);
+    }
+  }
+}
+
+/**
+ * Execute an automation under its policy
+ *
+ * @param {Object} automation - loaded automation instance
+ * @param {Object} options - options passed through to execute(); `options.signal` cancels the run
+ * @param {Object} hooks
+ * @param {Function} [hooks.onRetry] - called with (error, attempt, nextDelay)
+ * @returns {Promise<{result: *, attempts: number}>}
+ */
+async function executeWithPolicy(automation, options = {}, { onRetry } = {}) {
+  const policy = resolvePolicy(automation);
+  const parentSignal = options.signal;
+  let attempts = 0;
+
+  const result = await retry(
+    (attempt) => {
+      attempts = attempt;
+      return runAttempt(automation, options, policy.timeout, parentSignal, attempt, policy.abortGraceMs);
+    },
+    policy.retries + 1,
+    policy.backoff.delay,
+    {
+      backoff: policy.backoff.strategy,
+      maxDelay: policy.backoff.maxDelay,
+      signal: parentSignal,
+      // Timeouts, cancellations and hung attempts are final; only transient failures are retried
+      shouldRetry: (error) => !(error instanceof AutomationTimeoutError) &&
+        !(error instanceof AutomationHungError) &&
+        !(error instanceof AutomationCancelledError) &&
+        isTransientError(error),
+      onRetry
+    }
+  );
+
+  return { result, attempts };
+}
+
+/**
+ * Map an execution error to the run status recorded in metrics and history
+ */
+function statusForError(error) {
+  if (error instanceof AutomationHungError) return 'hung';
+  if (error instanceof AutomationTimeoutError) return 'timeout';
+  if (error instanceof AutomationCancelledError) return 'cancelled';
+  return 'failed';
+}
+
+module.exports = {
+  resolvePolicy,
+  executeWithPolicy,
+  statusForError
+};
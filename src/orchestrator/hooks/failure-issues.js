@@ -0,0 +1,56 @@
+const logger = require('../../shared/logging/logger');
+
+/**
+ * Files failed runs as GitHub issues and closes them once the automation succeeds
+ *
+ * This is the only place failures are reported; automations rethrow their
+ * errors rather than filing issues themselves.
+ *
+ * @param {FailureIssueReporter} reporter
+ */
+function createFailureIssueHooks(reporter) {
+  return {
+    name: 'failure-issues',
+    onSuccess: async ({ automation }) => {
+      const closed = await reporter.resolve(automation.name);
+      if (closed.length > 0) {
+        logger.info(`Closed ${closed.length} GitHub failure issue(s) for ${automation.name}`);
+      }
+    },
+    onFailure: async ({ automation }, error) => {
+      const reported = await reporter.report(automation.name, error, {
+        title: `🚨 Automation Failure: ${automation.name}`,
+        body: failureReport(automation.name, error),
+        labels: ['bug']
+      });
+      if (!reported) return;
+      const { action, issueNumber } = reported;
+      logger.info(`${action === 'created' ? 'Created' : 'Commented on'} GitHub issue #${issueNumber} for ${automation.name} failure`);
+    }
+  };
+}
+
+function failureReport(automationName, error) {
+  return `
+## Automation Failure Report
+
+**Automation:** ${automationName}
+**Time:** ${new Date().toLocaleString()}
+**Error:** ${error.message}
+
+## Stack Trace
+\`\`\`
+${error.stack}
+\`\`\`
+
+## Next Steps
+- [ ] Investigate root cause
+- [ ] Fix the issue
+- [ ] Test the automation
+- [ ] Deploy the fix
+
+*This issue was automatically created by the MCP Automation Orchestrator*
+  `;
+}
+
+module.exports = createFailureIssueHooks;
@@ -0,0 +1,18 @@
+const createSlackNotificationHooks = require('./slack-notifications');
+const createRunVisibilityHooks = require('./run-visibility');
+const createNotionReportHooks = require('./notion-report');
+const createFailureIssueHooks = require('./failure-issues');
+
+/**
+ * Orchestrator Lifecycle Hooks
+ *
+ * Factories for the behaviors entry points register on the orchestrator core
+ * with `registerHooks()`. Each returns `{ name, onStart?, onSuccess?, onFailure? }`.
+ */
+
+module.exports = {
+  createSlackNotificationHooks,
+  createRunVisibilityHooks,
+  createNotionReportHooks,
+  createFailureIssueHooks
+};
@@ -0,0 +1,37 @@
+const logger = require('../../shared/logging/logger');
+const { config } = require('../../shared/config');
+
+/**
+ * Adds a page to the Notion reports database for every successful run
+ *
+ * @param {MCPNotionAdapter} notion
+ */
+function createNotionReportHooks(notion) {
+  return {
+    name: 'notion-report',
+    onSuccess: async ({ automation }, result) => {
+      if (!config.notion?.databaseIds?.reports) {
+        logger.info(`Would create Notion report for ${automation.name} (database not configured)`);
+        return;
+      }
+
+      await notion.createPage(config.notion.databaseIds.reports, {
+        Name: {
+          title: [{ text: { content: `${automation.name} Report` } }]
+        },
+        Status: {
+          select: { name: result?.success ? 'Success' : 'Failed' }
+        },
+        Date: {
+          date: { start: new Date().toISOString() }
+        },
+        Details: {
+          rich_text: [{ text: { content: result?.summary || 'No details available' } }]
+        }
+      });
+      logger.info(`Created Notion report for ${automation.name}`);
+    }
+  };
+}
+
+module.exports = createNotionReportHooks;
@@ -0,0 +1,41 @@
+const runHistory = require('../../shared/storage/run-history');
+const { config } = require('../../shared/config');
+
+/**
+ * Publishes runs to a run visibility sink (see ../run-visibility)
+ *
+ * The reference the sink returns for a started run is kept on the run record
+ * so the same calendar event / Notion page is updated when the run ends.
+ *
+ * @param {CalendarRunSink|NotionRunLogSink} sink
+ */
+function createRunVisibilityHooks(sink) {
+  const publishEnd = async ({ id }) => {
+    const run = runHistory.get(id);
+    if (run?.visibility?.sink !== sink.name) return;
+    await sink.runFinished(run, run.visibility.ref);
+  };
+
+  return {
+    name: `run-visibility:${sink.name}`,
+    onStart: async ({ id, automationName }) => {
+      const ref = await sink.runStarted(runHistory.get(id), {
+        expectedDurationMs: estimateRunDuration(automationName)
+      });
+      runHistory.update(id, { visibility: { sink: sink.name, ref } });
+    },
+    onSuccess: publishEnd,
+    onFailure: publishEnd
+  };
+}
+
+// Average duration of recent successful runs, or the default when there are none yet
+function estimateRunDuration(automationName) {
+  const durations = runHistory.query({ automation: automationName, status: 'success', dryRun: false, limit: 10 })
+    .map(run => run.durationMs)
+    .filter(duration => duration !== null);
+  if (durations.length === 0) return config.runVisibility.defaultDurationMs;
+  return Math.round(durations.reduce((total, duration) => total + duration, 0) / durations.length);
+}
+
+module.exports = createRunVisibilityHooks;
@@ -0,0 +1,24 @@
+/**
+ * Posts started / completed / failed updates for every run to Slack
+ *
+ * @param {CursorSlackNotifier} notifier
+ */
+function createSlackNotificationHooks(notifier) {
+  const notify = (automation, status, details) => notifier.sendNotification({
+    type: 'automation_update',
+    data: { automation: automation.name, status, details }
+  });
+
+  return {
+    name: 'slack-notifications',
+    onStart: ({ automation, options }) => notify(automation, 'started', {
+      triggeredBy: options.triggeredBy || 'System'
+    }),
+    onSuccess: ({ automation }, result) => notify(automation, 'completed', {
+      summary: result?.summary || 'Automation completed successfully'
+    }),
+    onFailure: ({ automation }, error) => notify(automation, 'failed', { summary: error.message })
+  };
+}
+
+module.exports = createSlackNotificationHooks;
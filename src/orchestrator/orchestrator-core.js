@@ -0,0 +1,783 @@
+const cron = require('node-cron');
+const crypto = require('crypto');
+const logger = require('../shared/logging/logger');
+const metrics = require('../shared/logging/metrics');
+const runHistory = require('../shared/storage/run-history');
+const automationOverrides = require('../shared/storage/automation-overrides');
+const auditLedger = require('../shared/storage/audit-ledger');
+const runLogs = require('../shared/storage/run-logs');
+const { executeWithPolicy, statusForError } = require('./execution-policy');
+const { acquireRunLock, getLockStatus } = require('./overlap-policy');
+const { findMissedRuns, resolveCatchUpPolicy, resolveTimezone } = require('./catch-up');
+const { AutomationError, AutomationCancelledError, AutomationHungError, AutomationOptionsError, ManifestValidationError } = require('../shared/errors');
+const { runWithContext } = require('../shared/runtime/run-context');
+const { SideEffectPlan } = require('../shared/runtime/side-effect-plan');
+const DependencyGraph = require('./dependency-graph');
+const { discoverAutomationModules } = require('./automation-loader');
+const { validateManifest, checkRequirements, validateOptions } = require('./automation-manifest');
+const { config } = require('../shared/config');
+const { createMCPAdapters } = require('../shared/integrations/mcp-adapters');
+const { getResilienceStatus } = require('../shared/integrations/resilience');
+
+const HOOK_STAGES = ['onStart', 'onSuccess', 'onFailure'];
+
+/**
+ * Orchestrator Core
+ *
+ * Loads automations, schedules them, runs them (locks, timeouts, retries,
+ * dry runs, pipelines, catch-up) and records every run. Everything else a
+ * run triggers - Slack notifications, run visibility entries, Notion reports,
+ * GitHub issues - is a lifecycle hook registered by the entry point:
+ *
+ *   onStart(run)            after the run is recorded, before it executes
+ *   onSuccess(run, result)  after the successful end is recorded
+ *   onFailure(run, error)   after the failure, timeout or cancellation is recorded
+ *
+ * `run` is `{ id, automationName, automation, options }`. Hooks run in
+ * registration order; a failing hook is logged and never fails the run.
+ *
+ * Pauses, schedule overrides and maintenance windows set at runtime are
+ * persisted in the automation overrides store and applied without a restart.
+ */
+class OrchestratorCore {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.adapters] - MCP adapters handed to each automation
+   */
+  constructor({ adapters = createMCPAdapters() } = {}) {
+    this.automations = new Map();
+    this.schedules = new Map();
+    // Automation id -> cron expression its task in `schedules` was created with
+    this.scheduledExpressions = new Map();
+    this.activeRuns = new Map();
+    this.catchUpReport = {};
+    // Automation id -> adapters / config keys it needs that are missing
+    this.unavailable = new Map();
+    this.schedulerStarted = false;
+    this.isInitialized = false;
+    this.mcpAdapters = adapters;
+    this.hooks = Object.fromEntries(HOOK_STAGES.map(stage => [stage, []]));
+  }
+
+  /**
+   * Register lifecycle hooks
+   *
+   * @param {Object} hooks
+   * @param {string} hooks.name - used in logs when a hook fails
+   * @param {Function} [hooks.onStart]
+   * @param {Function} [hooks.onSuccess]
+   * @param {Function} [hooks.onFailure]
+   */
+  registerHooks(hooks) {
+    for (const stage of HOOK_STAGES) {
+      if (typeof hooks[stage] === 'function') {
+        this.hooks[stage].push({ name: hooks.name, handler: hooks[stage] });
+      }
+    }
+    return this;
+  }
+
+  async runHooks(stage, run, ...args) {
+    // Hooks notify Slack, open issues and publish runs: nothing a dry run may do
+    if (run.dryRun) return;
+
+    for (const { name, handler } of this.hooks[stage]) {
+      try {
+        await handler(run, ...args);
+      } catch (error) {
+        logger.warn(`${stage} hook ${name} failed for ${run.automation.name}: ${error.message}`);
+      }
+    }
+  }
+
+  async initialize() {
+    await this.loadAutomations();
+
+    // Validate dependsOn declarations up front so cycles fail fast
+    this.dependencyGraph = new DependencyGraph(this.automations);
+
+    this.setupScheduledTasks();
+    this.isInitialized = true;
+  }
+
+  /**
+   * Load every discovered automation whose manifest is valid, keyed by manifest id
+   */
+  async loadAutomations() {
+    for (const { source, load } of discoverAutomationModules()) {
+      try {
+        for (const AutomationClass of load()) {
+          this.loadAutomation(AutomationClass, source);
+        }
+      } catch (error) {
+        logger.error(`Failed to load automation ${source}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Loaded ${this.automations.size} automations`);
+  }
+
+  loadAutomation(AutomationClass, source) {
+    const manifest = AutomationClass?.manifest;
+    const issues = validateManifest(manifest);
+    if (issues.length === 0 && this.automations.has(manifest.id)) {
+      issues.push(`id: '${manifest.id}' is already loaded`);
+    }
+    if (issues.length > 0) throw new ManifestValidationError(source, issues);
+
+    const automation = new AutomationClass(this.mcpAdapters);
+    if (!automation.name || typeof automation.execute !== 'function') {
+      throw new ManifestValidationError(source, ['automation must have a name and an execute() method']);
+    }
+
+    automation.id = manifest.id;
+    automation.version = manifest.version;
+    automation.manifest = manifest;
+    this.automations.set(manifest.id, automation);
+
+    const { missingAdapters, missingConfig } = checkRequirements(manifest, this.mcpAdapters, config);
+    const missing = [
+      ...missingAdapters.map(name => `a backend for adapter ${name}`),
+      ...missingConfig.map(key => `config ${key}`)
+    ];
+    if (missing.length > 0) {
+      this.unavailable.set(manifest.id, missing);
+      logger.warn(`Loaded automation ${automation.name} v${manifest.version}, but it will not be scheduled: missing ${missing.join(', ')}`);
+    } else {
+      logger.info(`Loaded automation: ${automation.name} v${manifest.version}`);
+    }
+  }
+
+  getAutomation(automationName) {
+    if (!this.automations.has(automationName)) {
+      throw new Error(`Automation '${automationName}' not found`);
+    }
+    return this.automations.get(automationName);
+  }
+
+  async runAutomation(automationName, options = {}) {
+    const automation = this.getAutomation(automationName);
+    const optionIssues = validateOptions(automation.manifest, options);
+    if (optionIssues.length > 0) {
+      throw new AutomationOptionsError(automationName, optionIssues);
+    }
+
+    // Callers that need the id before the run ends (the control API) pass their own
+    const runId = options.runId || crypto.randomUUID();
+    
+    // Dry runs perform no side effects, so they neither take nor wait for the run lock
+    if (options.dryRun) {
+      return this.executeDryRun(automationName, automation, runId, options);
+    }
+    
+    const blocked = this.getRunBlock(automationName, options);
+    if (blocked) {
+      logger.warn(`Skipping automation ${automation.name}: ${blocked}`);
+      this.recordSkippedRun(automationName, options, blocked);
+      return { success: false, skipped: true, summary: blocked };
+    }
+    
+    // Scheduled and catch-up runs do not go through runPipeline: gate them on
+    // their upstreams' latest runs instead
+    if (this.isScheduledRun(options) && !options.upstream && automation.dependsOn?.length) {
+      const { reason, upstream } = this.resolveUpstream(automationName);
+      if (reason) {
+        logger.warn(`Skipping automation ${automation.name}: ${reason}`);
+        this.recordSkippedRun(automationName, options, reason);
+        return { success: false, skipped: true, summary: reason };
+      }
+      options = { ...options, upstream };
+    }
+    
+    // Single-flight across processes: apply the overlap policy if a run is in flight
+    const { lock, reason } = await acquireRunLock(automationName, automation, {
+      owner: { runId, trigger: this.resolveTrigger(options) },
+      signal: options.signal,
+      cancelLocal: (holder, cancelReason) => this.cancelRun(holder.runId, cancelReason)
+    });
+    
+    if (!lock) {
+      logger.warn(`Skipping automation ${automation.name}: ${reason}`);
+      this.recordSkippedRun(automationName, options, reason);
+      return { success: false, skipped: true, summary: reason };
+    }
+    
+    // Per-run controller so the run can be cancelled locally or via the lockfile
+    const controller = new AbortController();
+    const onParentAbort = () => controller.abort(options.signal.reason);
+    options.signal?.addEventListener('abort', onParentAbort, { once: true });
+    this.activeRuns.set(runId, { automation: automationName, controller, startedAt: new Date().toISOString() });
+    lock.startHeartbeat({
+      onCancelRequested: (cancelReason) => controller.abort(new AutomationCancelledError(automation.name, cancelReason))
+    });
+    
+    let hung = null;
+    try {
+      // Run context lets adapters attribute audit ledger entries to this run
+      return await runWithContext(
+        { runId, automation: automationName },
+        () => this.executeRun(automationName, automation, runId, { ...options, signal: controller.signal })
+      );
+    } catch (error) {
+      if (error instanceof AutomationHungError) hung = error;
+      throw error;
+    } finally {
+      options.signal?.removeEventListener('abort', onParentAbort);
+      if (hung) {
+        // The aborted execution is still running: hold the lock (and keep its
+        // heartbeat going) until it stops, so no other run overlaps it
+        logger.error(`${automation.name} is still running after being aborted; holding its run lock until it stops`);
+        hung.execution.then(() => {
+          logger.warn(`Hung run of ${automation.name} has stopped; releasing its run lock`);
+          runHistory.update(runId, { stoppedAt: new Date().toISOString() });
+          lock.release();
+          this.activeRuns.delete(runId);
+        });
+      } else {
+        lock.release();
+        this.activeRuns.delete(runId);
+      }
+    }
+  }
+
+  /**
+   * Run an automation with every mutating adapter call captured into a
+   * side-effect plan instead of being performed. The plan is returned as
+   * `result.sideEffectPlan` (or attached to the error if the run fails).
+   */
+  async executeDryRun(automationName, automation, runId, options) {
+    const plan = new SideEffectPlan({ runId, automation: automationName });
+    logger.info(`Dry run of automation: ${automation.name}`);
+    
+    try {
+      const result = await runWithContext(
+        { runId, automation: automationName, dryRun: true, sideEffectPlan: plan },
+        () => this.executeRun(automationName, automation, runId, options)
+      );
+      logger.info(`Dry run of ${automation.name} recorded ${plan.size} side effect(s)`, plan.summarize());
+      return { ...result, dryRun: true, sideEffectPlan: plan };
+    } catch (error) {
+      error.sideEffectPlan = plan;
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an in-flight run started by this process
+   */
+  cancelRun(runId, reason = 'Cancelled by request') {
+    const activeRun = this.activeRuns.get(runId);
+    if (!activeRun) return false;
+
+    const automation = this.automations.get(activeRun.automation);
+    activeRun.controller.abort(new AutomationCancelledError(automation.name, reason));
+    return true;
+  }
+
+  async executeRun(automationName, automation, runId, options) {
+    // Dry runs are kept in the run history, tagged, but stay out of the metrics
+    const dryRun = !!options.dryRun;
+    const runKey = dryRun ? null : metrics.recordAutomationStart(automation.name);
+    let retries = 0;
+    runHistory.recordStart({
+      id: runId,
+      automation: automationName,
+      name: automation.name,
+      trigger: this.resolveTrigger(options),
+      dryRun,
+      options: { ...options, runId: undefined, upstream: options.upstream ? Object.keys(options.upstream) : undefined }
+    });
+    const run = { id: runId, automationName, automation, options, dryRun };
+    
+    try {
+      logger.info(`Starting automation: ${automation.name}`);
+      await this.runHooks('onStart', run);
+      
+      // Execute under the automation's timeout/retry policy
+      const { result, attempts } = await executeWithPolicy(automation, options, {
+        onRetry: (error, attempt) => {
+          retries++;
+          if (runKey) metrics.recordAutomationRetry(runKey, attempt, error);
+        }
+      });
+      
+      if (runKey) metrics.recordAutomationEnd(runKey, 'success');
+      runHistory.recordEnd(runId, { status: 'success', result, attempts });
+      await this.runHooks('onSuccess', run, result);
+      
+      logger.info(`Automation completed: ${automation.name}`);
+      return result;
+      
+    } catch (error) {
+      logger.error(`Automation failed: ${automation.name}`, error);
+      
+      const status = statusForError(error);
+      if (runKey) metrics.recordAutomationEnd(runKey, status, error);
+      runHistory.recordEnd(runId, { status, error, attempts: retries + 1 });
+      await this.runHooks('onFailure', run, error);
+      
+      throw error;
+    }
+  }
+
+  async runAllAutomations(options = {}) {
+    return this.runPipeline(null, options);
+  }
+
+  /**
+   * Run automations as a DAG built from their `dependsOn` declarations.
+   *
+   * Independent automations run in parallel, each automation starts as soon
+   * as all of its upstreams have succeeded, and receives their results as
+   * `options.upstream[<automation id>]`. Dependents of a failed or skipped
+   * upstream are skipped.
+   *
+   * @param {string[]|null} automationNames - targets (with their dependencies); null runs everything
+   */
+  async runPipeline(automationNames = null, options = {}) {
+    const graph = new DependencyGraph(this.automations);
+    const selected = automationNames ? graph.withDependencies(automationNames) : graph.order;
+    const outcomes = new Map();
+
+    const runNode = (name) => {
+      if (!outcomes.has(name)) {
+        outcomes.set(name, (async () => {
+          const dependencies = graph.getDependencies(name);
+          const upstreamOutcomes = await Promise.all(dependencies.map(runNode));
+          const blockedBy = dependencies.filter((dep, i) => upstreamOutcomes[i].status !== 'success');
+
+          if (blockedBy.length > 0) {
+            const reason = `Upstream automation(s) did not succeed: ${blockedBy.join(', ')}`;
+            logger.warn(`Skipping automation ${name}: ${reason}`);
+            this.recordSkippedRun(name, options, reason);
+            return { status: 'skipped', reason };
+          }
+
+          const upstream = {};
+          dependencies.forEach((dep, i) => {
+            upstream[dep] = upstreamOutcomes[i].result;
+          });
+
+          try {
+            const result = await this.runAutomation(name, { ...options, upstream });
+            if (result?.skipped) {
+              return { status: 'skipped', reason: result.summary };
+            }
+
+            const violations = graph.validateOutputs(name, result);
+            if (violations.length > 0) {
+              const reason = `Output contract violated: ${violations.join('; ')}`;
+              logger.error(`automation ${name} ${reason}`);
+              return { status: 'failed', error: new Error(reason) };
+            }
+
+            return { status: 'success', result };
+          } catch (error) {
+            return { status: 'failed', error };
+          }
+        })());
+      }
+      return outcomes.get(name);
+    };
+
+    await Promise.all(selected.map(runNode));
+
+    const results = {};
+    for (const name of selected) {
+      const outcome = await outcomes.get(name);
+      if (outcome.status === 'success') {
+        results[name] = outcome.result;
+      } else if (outcome.status === 'skipped') {
+        results[name] = { skipped: true, reason: outcome.reason };
+      } else {
+        // A failed dry run still reports what it planned
+        results[name] = {
+          error: outcome.error.message,
+          ...(outcome.error.sideEffectPlan && { sideEffectPlan: outcome.error.sideEffectPlan })
+        };
+      }
+    }
+
+    return results;
+  }
+
+  recordSkippedRun(automationName, options, reason) {
+    const automation = this.automations.get(automationName);
+    const runId = runHistory.recordStart({
+      id: options.runId,
+      automation: automationName,
+      name: automation.name,
+      trigger: this.resolveTrigger(options),
+      options: { ...options, runId: undefined }
+    });
+    runHistory.recordEnd(runId, { status: 'skipped', error: new Error(reason) });
+  }
+
+  setupScheduledTasks() {
+    for (const name of this.automations.keys()) {
+      this.registerSchedule(name);
+    }
+  }
+
+  /**
+   * (Re-)register an automation's cron task for its effective schedule: the
+   * override if one is set, otherwise the manifest's. Replaces the running
+   * task when the schedule changed; a no-op when it did not.
+   */
+  registerSchedule(name) {
+    const automation = this.automations.get(name);
+    const schedule = automationOverrides.get(name).schedule || automation.manifest.schedule;
+    const existing = this.schedules.get(name);
+    if (existing && this.scheduledExpressions.get(name) === schedule) return;
+
+    automation.schedule = schedule;
+    if (existing) {
+      existing.destroy();
+      logger.info(`Unscheduled automation: ${name} (was ${this.scheduledExpressions.get(name)})`);
+      this.schedules.delete(name);
+      this.scheduledExpressions.delete(name);
+    }
+    if (!schedule) return;
+
+    if (this.unavailable.has(name)) {
+      logger.warn(`Not scheduling automation ${name}: missing ${this.unavailable.get(name).join(', ')}`);
+      return;
+    }
+
+    const timezone = resolveTimezone(automation);
+    // createTask leaves the task stopped until startScheduledTasks()
+    const task = cron.createTask(schedule, async (context) => {
+      try {
+        await this.runAutomation(name, { scheduled: true, scheduledFor: context?.date || new Date() });
+      } catch (error) {
+        logger.error(`Scheduled automation failed: ${name}`, error);
+      }
+    }, {
+      timezone
+    });
+
+    this.schedules.set(name, task);
+    this.scheduledExpressions.set(name, schedule);
+    if (this.schedulerStarted) task.start();
+    logger.info(`Scheduled automation: ${name} (${schedule} ${timezone})`);
+  }
+
+  startScheduledTasks() {
+    this.schedulerStarted = true;
+    for (const [name, task] of this.schedules) {
+      task.start();
+      logger.info(`Started scheduled task: ${name}`);
+    }
+
+    // Pick up schedule overrides written by other processes
+    this.overridesPoll = setInterval(() => this.setupScheduledTasks(), config.storage.overrides.pollMs);
+    this.overridesPoll.unref();
+
+    // Make up for fire times missed while the process was down
+    this.catchUpMissedRuns().catch(error => {
+      logger.error('Missed-run catch-up failed:', error);
+    });
+  }
+
+  /**
+   * Run scheduled automations whose fire times passed while the process was
+   * down, according to each automation's catch-up policy
+   */
+  async catchUpMissedRuns(now = new Date()) {
+    const results = {};
+
+    for (const name of this.schedules.keys()) {
+      const automation = this.automations.get(name);
+      const { policy, missed, lastCoveredAt, reason } = findMissedRuns(name, automation, now);
+
+      this.catchUpReport[name] = {
+        policy,
+        checkedAt: now.toISOString(),
+        lastCoveredAt,
+        missed: missed.map(date => date.toISOString()),
+        caughtUp: []
+      };
+
+      if (missed.length === 0) {
+        if (reason) logger.debug(`No catch-up for ${name}: ${reason}`);
+        continue;
+      }
+
+      logger.warn(`${automation.name} missed ${missed.length} scheduled run(s) since ${lastCoveredAt}`, {
+        policy,
+        missed: this.catchUpReport[name].missed
+      });
+
+      if (policy === 'ignore') continue;
+
+      const fireTimes = policy === 'all' ? missed : [missed[missed.length - 1]];
+      results[name] = [];
+
+      for (const scheduledFor of fireTimes) {
+        try {
+          const result = await this.runAutomation(name, {
+            trigger: 'catch-up',
+            scheduledFor,
+            missedCount: missed.length
+          });
+          results[name].push(result);
+        } catch (error) {
+          logger.error(`Catch-up run failed: ${name} (${scheduledFor.toISOString()})`, error);
+          results[name].push({ error: error.message });
+        }
+        this.catchUpReport[name].caughtUp.push(scheduledFor.toISOString());
+      }
+    }
+
+    return results;
+  }
+
+  stopScheduledTasks() {
+    this.schedulerStarted = false;
+    clearInterval(this.overridesPoll);
+    for (const [name, task] of this.schedules) {
+      task.stop();
+      logger.info(`Stopped scheduled task: ${name}`);
+    }
+  }
+
+  /**
+   * Why a run may not start now, or null. No run starts inside a maintenance
+   * window or of an automation disabled in code (`enabled = false`);
+   * scheduled and catch-up runs of a paused automation are skipped, while
+   * manual runs still go ahead.
+   */
+  getRunBlock(automationName, options = {}) {
+    const window = automationOverrides.getActiveMaintenanceWindow(automationName);
+    if (window) {
+      return `In maintenance window until ${window.end}${window.reason ? ` (${window.reason})` : ''}`;
+    }
+    if (this.getAutomation(automationName).enabled === false) {
+      return 'Disabled';
+    }
+
+    const state = this.getAutomationState(automationName);
+    if (!state.enabled && this.isScheduledRun(options)) {
+      return state.pausedUntil ? `Paused until ${state.pausedUntil}` : 'Paused';
+    }
+    return null;
+  }
+
+  isScheduledRun(options) {
+    const trigger = this.resolveTrigger(options);
+    return trigger === 'schedule' || trigger === 'catch-up';
+  }
+
+  /**
+   * Upstream results for a run started outside a pipeline, from each
+   * upstream's latest real run. Skipped upstream runs are passed over; the
+   * run is held back while an upstream is running or when its latest run did
+   * not succeed, as runPipeline would hold it back.
+   *
+   * @returns {{reason: string|null, upstream: Object}} upstream as `options.upstream`,
+   *   with each result reduced to its summary as kept in the run history
+   */
+  resolveUpstream(automationName) {
+    const upstream = {};
+    const running = [];
+    const failed = [];
+
+    for (const dep of this.getAutomation(automationName).dependsOn || []) {
+      const latest = runHistory.query({ automation: dep, dryRun: false, limit: 0 })
+        .find(run => run.status !== 'skipped');
+      if (latest?.status === 'running') {
+        running.push(dep);
+      } else if (latest?.status !== 'success') {
+        failed.push(latest ? `${dep} (${latest.status})` : `${dep} (never run)`);
+      } else {
+        upstream[dep] = latest.result;
+      }
+    }
+
+    if (running.length > 0) {
+      return { reason: `Upstream automation(s) still running: ${running.join(', ')}`, upstream: null };
+    }
+    if (failed.length > 0) {
+      return { reason: `Upstream automation(s) have no successful latest run: ${failed.join(', ')}`, upstream: null };
+    }
+    return { reason: null, upstream };
+  }
+
+  /**
+   * Effective enabled state, schedule and maintenance window of an automation
+   */
+  getAutomationState(automationName) {
+    const automation = this.getAutomation(automationName);
+    const override = automationOverrides.get(automationName);
+    // A pause with an end time lifts itself once that time has passed
+    const paused = !!override.paused && (!override.pausedUntil || new Date(override.pausedUntil) > new Date());
+
+    return {
+      enabled: automation.enabled !== false && !paused,
+      paused,
+      pausedUntil: paused ? override.pausedUntil || null : null,
+      pauseReason: paused ? override.pauseReason || null : null,
+      schedule: override.schedule || automation.manifest.schedule,
+      defaultSchedule: automation.manifest.schedule,
+      scheduleOverridden: !!override.schedule,
+      maintenanceWindow: automationOverrides.getActiveMaintenanceWindow(automationName),
+      updatedBy: override.updatedBy || null
+    };
+  }
+
+  /**
+   * Stop scheduled and catch-up runs of an automation until resumed
+   *
+   * @param {string} automationName
+   * @param {Object} [options]
+   * @param {Date|string} [options.until] - resume automatically at this time
+   * @param {string} [options.reason]
+   * @param {string} [options.by] - who paused it
+   */
+  pauseAutomation(automationName, { until = null, reason = null, by } = {}) {
+    this.getAutomation(automationName);
+    automationOverrides.update(automationName, {
+      paused: true,
+      pausedUntil: until ? new Date(until).toISOString() : undefined,
+      pauseReason: reason || undefined
+    }, { by });
+    logger.info(`Paused automation ${automationName}${until ? ` until ${new Date(until).toISOString()}` : ''}${by ? ` (by ${by})` : ''}`);
+    return this.getAutomationState(automationName);
+  }
+
+  resumeAutomation(automationName, { by } = {}) {
+    this.getAutomation(automationName);
+    automationOverrides.update(automationName, {
+      paused: undefined,
+      pausedUntil: undefined,
+      pauseReason: undefined
+    }, { by });
+    logger.info(`Resumed automation ${automationName}${by ? ` (by ${by})` : ''}`);
+    return this.getAutomationState(automationName);
+  }
+
+  /**
+   * Override an automation's cron schedule, or restore its manifest schedule
+   * when `schedule` is null. The cron task is re-registered immediately.
+   */
+  setAutomationSchedule(automationName, schedule, { by } = {}) {
+    this.getAutomation(automationName);
+    if (schedule && !cron.validate(schedule)) {
+      throw new AutomationError(`Invalid cron expression '${schedule}'`, { code: 'INVALID_SCHEDULE' });
+    }
+
+    automationOverrides.update(automationName, { schedule: schedule || undefined }, { by });
+    this.registerSchedule(automationName);
+    return this.getAutomationState(automationName);
+  }
+
+  /**
+   * Block every run of an automation, or of all automations when `automation`
+   * is null, between `start` and `end`
+   */
+  addMaintenanceWindow({ automation = null, start, end, reason = null, by } = {}) {
+    if (automation) this.getAutomation(automation);
+    if (!(new Date(start) < new Date(end))) {
+      throw new AutomationError('Maintenance window must end after it starts', { code: 'INVALID_MAINTENANCE_WINDOW' });
+    }
+
+    const window = automationOverrides.addMaintenanceWindow(automation, { start, end, reason }, { by });
+    logger.info(`Added maintenance window ${window.id} for ${automation || 'all automations'}: ${window.start} - ${window.end}`);
+    return window;
+  }
+
+  removeMaintenanceWindow(windowId, { by } = {}) {
+    return automationOverrides.removeMaintenanceWindow(windowId, { by });
+  }
+
+  getAutomationsList() {
+    return Array.from(this.automations.values()).map(automation => ({
+      id: automation.id,
+      version: automation.version,
+      name: automation.name,
+      description: automation.description || 'No description available',
+      ...this.getAutomationState(automation.id),
+      schedule: automation.schedule || 'Manual only',
+      usesGmail: !!automation.usesGmail,
+      usesNotion: !!automation.usesNotion,
+      usesCalendar: !!automation.usesCalendar,
+      usesGitHub: !!automation.usesGitHub,
+      dependsOn: automation.dependsOn || [],
+      outputs: automation.outputs ? Object.keys(automation.outputs) : [],
+      timezone: automation.schedule ? resolveTimezone(automation) : null,
+      catchUp: automation.schedule ? resolveCatchUpPolicy(automation) : null,
+      adapters: automation.manifest.adapters,
+      missingRequirements: this.unavailable.get(automation.id) || []
+    }));
+  }
+
+  async getStatus() {
+    return {
+      initialized: this.isInitialized,
+      circuitBreakers: getResilienceStatus(),
+      automationsCount: this.automations.size,
+      scheduledTasksCount: this.schedules.size,
+      automations: this.getAutomationsList(),
+      metrics: this.getMetrics().summary,
+      runHistory: this.getRunSummary({ since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }),
+      recentRuns: this.getRunHistory({ limit: 10 }).map(run => ({
+        id: run.id,
+        automation: run.automation,
+        trigger: run.trigger,
+        dryRun: !!run.dryRun,
+        status: run.status,
+        startedAt: run.startedAt,
+        durationMs: run.durationMs
+      })),
+      activeRuns: Array.from(this.activeRuns.entries()).map(([id, run]) => ({
+        id,
+        automation: run.automation,
+        startedAt: run.startedAt
+      })),
+      locks: getLockStatus(this.automations),
+      catchUp: this.catchUpReport
+    };
+  }
+
+  getMetrics() {
+    return metrics.getMetrics();
+  }
+
+  resolveTrigger(options) {
+    return options.trigger || (options.scheduled ? 'schedule' : 'manual');
+  }
+
+  /**
+   * Query persisted run records (see RunHistoryStore.query for filters)
+   */
+  getRunHistory(filters = {}) {
+    return runHistory.query(filters);
+  }
+
+  getRun(runId) {
+    return runHistory.get(runId);
+  }
+
+  /**
+   * Log lines emitted during a run (see RunLogStore.read for options)
+   */
+  getRunLogs(runId, options = {}) {
+    return runLogs.read(runId, options);
+  }
+
+  /**
+   * Per-automation run totals from persisted history
+   */
+  getRunSummary(filters = {}) {
+    return runHistory.summarize(filters);
+  }
+
+  /**
+   * Query the audit ledger of external writes (see AuditLedger.query for filters)
+   */
+  getAuditLog(filters = {}) {
+    return auditLedger.query(filters);
+  }
+}
+
+module.exports = OrchestratorCore;
@@ -0,0 +1,142 @@
+const logger = require('../shared/logging/logger');
+const { config } = require('../shared/config');
+const { sleep } = require('../shared/utils');
+const AutomationLock = require('../shared/storage/automation-lock');
+
+/**
+ * Overlap Policy
+ *
+ * Decides what happens when an automation is triggered while a previous run
+ * (in this or another process) still holds its lock:
+ *   - 'skip'            do not start the new run
+ *   - 'queue'           wait for the running one to finish, then run
+ *   - 'cancel-previous' ask the running one to stop, then run
+ *
+ * Automations can override the configured default with `this.overlapPolicy`.
+ */
+
+const OVERLAP_POLICIES = ['skip', 'queue', 'cancel-previous'];
+
+// Contention counters per automation, reported through getStatus()
+const contentionStats = new Map();
+
+function resolveOverlapPolicy(automation) {
+  const policy = automation.overlapPolicy || config.automation.overlapPolicy;
+  if (!OVERLAP_POLICIES.includes(policy)) {
+    logger.warn(`Unknown overlap policy '${policy}' for ${automation.name}, using 'skip'`);
+    return 'skip';
+  }
+  return policy;
+}
+
+function describeHolder(holder) {
+  if (!holder) return 'another run';
+  return `run ${holder.runId || 'unknown'} (${holder.trigger || 'unknown trigger'}, pid ${holder.pid} on ${holder.host}, since ${holder.acquiredAt})`;
+}
+
+function recordContention(automationName, policy, holder, outcome) {
+  const stats = contentionStats.get(automationName) || { contentions: 0, byOutcome: {}, lastContention: null };
+  stats.contentions++;
+  stats.byOutcome[outcome] = (stats.byOutcome[outcome] || 0) + 1;
+  stats.lastContention = {
+    at: new Date().toISOString(),
+    policy,
+    outcome,
+    holder: holder ? { runId: holder.runId, pid: holder.pid, host: holder.host, trigger: holder.trigger } : null
+  };
+  contentionStats.set(automationName, stats);
+}
+
+/**
+ * Acquire the single-flight lock for a run according to the overlap policy
+ *
+ * @param {string} automationName - automation id
+ * @param {Object} automation - loaded automation instance
+ * @param {Object} context
+ * @param {Object} context.owner - metadata stored in the lockfile (runId, trigger)
+ * @param {AbortSignal} [context.signal] - stops waiting for the lock
+ * @param {Function} [context.cancelLocal] - cancels a holder running in this process; returns true if it did
+ * @returns {Promise<{lock: AutomationLock|null, policy: string, reason?: string}>}
+ */
+async function acquireRunLock(automationName, automation, { owner, signal, cancelLocal } = {}) {
+  const policy = resolveOverlapPolicy(automation);
+  const lock = new AutomationLock(automationName);
+
+  if (lock.tryAcquire(owner)) {
+    return { lock, policy };
+  }
+
+  const holder = lock.readHolder();
+
+  if (policy === 'skip') {
+    recordContention(automationName, policy, holder, 'skipped');
+    return { lock: null, policy, reason: `${automation.name} is already running: ${describeHolder(holder)}` };
+  }
+
+  if (policy === 'cancel-previous' && holder) {
+    const reason = `Superseded by a new ${owner?.trigger || 'manual'} run`;
+    const cancelledLocally = cancelLocal ? cancelLocal(holder, reason) : false;
+    if (!cancelledLocally) {
+      lock.requestCancel(reason);
+    }
+    logger.info(`Requested cancellation of ${automation.name} ${describeHolder(holder)}`);
+  }
+
+  // queue and cancel-previous both wait for the lock to be released
+  const { queueTimeoutMs, pollMs } = config.automation.locks;
+  const waitStart = Date.now();
+
+  while (Date.now() - waitStart < queueTimeoutMs) {
+    await sleep(pollMs, signal);
+    if (lock.tryAcquire(owner)) {
+      recordContention(automationName, policy, holder, policy === 'queue' ? 'queued' : 'cancelled-previous');
+      logger.info(`Acquired lock for ${automation.name} after waiting ${Date.now() - waitStart}ms`);
+      return { lock, policy };
+    }
+  }
+
+  recordContention(automationName, policy, holder, 'wait-timeout');
+  return {
+    lock: null,
+    policy,
+    reason: `Timed out after ${queueTimeoutMs}ms waiting for ${describeHolder(lock.readHolder() || holder)}`
+  };
+}
+
+/**
+ * Current lock holders and contention counters for the given automations
+ */
+function getLockStatus(automations) {
+  const status = {};
+
+  for (const [name, automation] of automations) {
+    const lock = new AutomationLock(name);
+    const holder = lock.readHolder();
+    const stats = contentionStats.get(name);
+
+    status[name] = {
+      policy: resolveOverlapPolicy(automation),
+      locked: !!holder && !lock.isExpired(holder),
+      holder: holder ? {
+        runId: holder.runId,
+        trigger: holder.trigger,
+        pid: holder.pid,
+        host: holder.host,
+        acquiredAt: holder.acquiredAt,
+        heartbeatAt: holder.heartbeatAt
+      } : null,
+      contentions: stats ? stats.contentions : 0,
+      contentionOutcomes: stats ? stats.byOutcome : {},
+      lastContention: stats ? stats.lastContention : null
+    };
+  }
+
+  return status;
+}
+
+module.exports = {
+  OVERLAP_POLICIES,
+  resolveOverlapPolicy,
+  acquireRunLock,
+  getLockStatus
+};
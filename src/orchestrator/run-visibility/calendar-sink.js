@@ -0,0 +1,76 @@
+const logger = require('../../shared/logging/logger');
+
+// Shortest event drawn for a run, so quick runs stay visible on the calendar
+const MIN_EVENT_MS = 5 * 60 * 1000;
+
+const STATUS_ICONS = {
+  success: '✅',
+  failed: '❌',
+  timeout: '⏱️',
+  cancelled: '🚫'
+};
+
+/**
+ * Publishes each run as an event on a dedicated calendar
+ *
+ * The event is created when the run starts, spanning its expected duration,
+ * and patched when it ends with the final status and real end time.
+ */
+class CalendarRunSink {
+  /**
+   * @param {MCPGoogleCalendarAdapter} calendar
+   * @param {Object} options
+   * @param {string} options.calendarId - dedicated calendar, never the team's primary one
+   * @param {string} [options.timezone]
+   */
+  constructor(calendar, { calendarId, timezone }) {
+    this.name = 'calendar';
+    this.calendar = calendar;
+    this.calendarId = calendarId;
+    this.timezone = timezone;
+    this.logger = logger.child({ service: 'run-visibility' });
+  }
+
+  /**
+   * @param {Object} run - run history record
+   * @param {Object} details
+   * @param {number} details.expectedDurationMs
+   * @returns {Promise<string>} event id
+   */
+  async runStarted(run, { expectedDurationMs }) {
+    const start = new Date(run.startedAt);
+    const event = await this.calendar.createEvent(this.calendarId, {
+      summary: `⏳ ${run.name}`,
+      description: `Run ${run.id} (${run.trigger}) started at ${start.toLocaleString()}`,
+      start: this.time(start),
+      end: this.time(new Date(start.getTime() + Math.max(expectedDurationMs, MIN_EVENT_MS)))
+    });
+    this.logger.debug(`Created calendar event ${event.id} for run ${run.id}`);
+    return event.id;
+  }
+
+  /**
+   * @param {Object} run - run history record, after recordEnd
+   * @param {string} eventId - returned by runStarted
+   */
+  async runFinished(run, eventId) {
+    const start = new Date(run.startedAt);
+    const end = new Date(Math.max(new Date(run.endedAt).getTime(), start.getTime() + MIN_EVENT_MS));
+    const outcome = run.error ? `Error: ${run.error.message}` : run.result?.summary;
+
+    await this.calendar.updateEvent(this.calendarId, eventId, {
+      summary: `${STATUS_ICONS[run.status] || '🤖'} ${run.name} - ${run.status}`,
+      description: [
+        `Run ${run.id} (${run.trigger}) ${run.status} after ${Math.round(run.durationMs / 1000)}s`,
+        outcome
+      ].filter(Boolean).join('\n\n'),
+      end: this.time(end)
+    });
+  }
+
+  time(date) {
+    return { dateTime: date.toISOString(), timeZone: this.timezone };
+  }
+}
+
+module.exports = CalendarRunSink;
@@ -0,0 +1,59 @@
+const logger = require('../../shared/logging/logger');
+const { config } = require('../../shared/config');
+const CalendarRunSink = require('./calendar-sink');
+const NotionRunLogSink = require('./notion-sink');
+
+/**
+ * Run Visibility
+ *
+ * Where the orchestrator publishes automation runs for people to see
+ * (`config.runVisibility.sink`):
+ *
+ *   none      nothing is published (default)
+ *   calendar  one event per run on a dedicated calendar, sized to the
+ *             expected duration and updated to the real one on completion
+ *   notion    one page per run in a Notion run log database, updated with
+ *             status, duration and summary on completion
+ *
+ * Sinks return a reference (event / page id) from `runStarted`; the
+ * orchestrator stores it on the run record and passes it to `runFinished`.
+ */
+
+const RUN_VISIBILITY_SINKS = ['none', 'calendar', 'notion'];
+
+const SINKS = {
+  calendar: (adapters, options) => {
+    if (!options.calendarId) {
+      logger.warn('Run visibility sink is calendar but RUN_VISIBILITY_CALENDAR_ID is not set; runs will not be published');
+      return null;
+    }
+    return new CalendarRunSink(adapters.googleCalendar, { ...options, timezone: config.automation.timezone });
+  },
+  notion: (adapters, options) => {
+    if (!options.notionDatabaseId) {
+      logger.warn('Run visibility sink is notion but RUN_LOG_NOTION_DATABASE_ID is not set; runs will not be published');
+      return null;
+    }
+    return new NotionRunLogSink(adapters.notion, options);
+  }
+};
+
+/**
+ * Sink for the configured policy, or null when runs are not published
+ *
+ * @param {Object} adapters - MCP adapters from createMCPAdapters()
+ * @param {Object} [options] - defaults to `config.runVisibility`
+ */
+function createRunVisibilitySink(adapters, options = config.runVisibility) {
+  const sink = options.sink || 'none';
+  if (!RUN_VISIBILITY_SINKS.includes(sink)) {
+    logger.warn(`Unknown run visibility sink '${sink}', runs will not be published`);
+    return null;
+  }
+  return SINKS[sink] ? SINKS[sink](adapters, options) : null;
+}
+
+module.exports = {
+  RUN_VISIBILITY_SINKS,
+  createRunVisibilitySink
+};
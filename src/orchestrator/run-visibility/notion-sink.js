@@ -0,0 +1,55 @@
+const logger = require('../../shared/logging/logger');
+
+/**
+ * Publishes each run as a page in a Notion run log database
+ *
+ * Expected properties: Name (title), Automation (select), Status (select),
+ * Trigger (select), Date (date range), Duration (number, seconds) and
+ * Details (rich text).
+ */
+class NotionRunLogSink {
+  /**
+   * @param {MCPNotionAdapter} notion
+   * @param {Object} options
+   * @param {string} options.notionDatabaseId
+   */
+  constructor(notion, { notionDatabaseId }) {
+    this.name = 'notion';
+    this.notion = notion;
+    this.databaseId = notionDatabaseId;
+    this.logger = logger.child({ service: 'run-visibility' });
+  }
+
+  /**
+   * @param {Object} run - run history record
+   * @returns {Promise<string>} page id
+   */
+  async runStarted(run) {
+    const page = await this.notion.createPage(this.databaseId, {
+      Name: { title: [{ text: { content: `${run.name} - ${new Date(run.startedAt).toLocaleString()}` } }] },
+      Automation: { select: { name: run.automation } },
+      Status: { select: { name: 'Running' } },
+      Trigger: { select: { name: run.trigger } },
+      Date: { date: { start: run.startedAt } }
+    });
+    this.logger.debug(`Created Notion run log page ${page.id} for run ${run.id}`);
+    return page.id;
+  }
+
+  /**
+   * @param {Object} run - run history record, after recordEnd
+   * @param {string} pageId - returned by runStarted
+   */
+  async runFinished(run, pageId) {
+    const details = run.error ? `Error: ${run.error.message}` : run.result?.summary || 'No details available';
+
+    await this.notion.updatePage(pageId, {
+      Status: { select: { name: run.status.charAt(0).toUpperCase() + run.status.slice(1) } },
+      Date: { date: { start: run.startedAt, end: run.endedAt } },
+      Duration: { number: Math.round(run.durationMs / 1000) },
+      Details: { rich_text: [{ text: { content: details.substring(0, 2000) } }] }
+    });
+  }
+}
+
+module.exports = NotionRunLogSink;
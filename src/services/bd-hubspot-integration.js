@@ -5,6 +5,7 @@
  */
 
 const HubSpotService = require('./hubspot-service');
+const auditLedger = require('../shared/storage/audit-ledger');
 const https = require('https');
 const url = require('url');
 
@@ -465,7 +466,7 @@ class BDHubSpotIntegration {
       }
     };
 
-    return new Promise((resolve, reject) => {
+    return auditLedger.track('slack', 'postMessage', message, () => new Promise((resolve, reject) => {
       const req = https.request(options, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
@@ -481,7 +482,7 @@ class BDHubSpotIntegration {
       req.on('error', reject);
       req.write(JSON.stringify(message));
       req.end();
-    });
+    }), { target: 'slack-webhook', summary: message.text });
   }
 
   /**
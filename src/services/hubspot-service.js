@@ -6,6 +6,9 @@
  */
 
 const hubspot = require('@hubspot/api-client');
+const { captureSideEffect } = require('../shared/runtime/side-effect-plan');
+const { callWithResilience } = require('../shared/integrations/resilience');
+const auditLedger = require('../shared/storage/audit-ledger');
 
 class HubSpotService {
   constructor() {
@@ -27,10 +30,29 @@ class HubSpotService {
     };
   }
 
+  /**
+   * Call the HubSpot API through the shared rate limiter and circuit breaker
+   */
+  request(call) {
+    return callWithResilience('hubspot', call);
+  }
+
+  /**
+   * Make a write call through `request`, recording it in the audit ledger
+   */
+  write(action, payload, call, details) {
+    return auditLedger.track('hubspot', action, payload, () => this.request(call), details);
+  }
+
   /**
    * Create a new lead in HubSpot
    */
   async createLead(leadData) {
+    const planned = captureSideEffect('hubspot', 'createLead', leadData);
+    if (planned) {
+      return { contactId: planned.id, dealId: planned.id, hubspotUrl: null, dryRun: true };
+    }
+
     try {
       const contactProperties = {
         email: leadData.contactEmail || `contact@${leadData.clubName.toLowerCase().replace(/\s+/g, '')}.com`,
@@ -50,9 +72,9 @@ class HubSpotService {
       };
 
       // Create contact
-      const contact = await this.client.crm.contacts.basicApi.create({
+      const contact = await this.write('createContact', contactProperties, () => this.client.crm.contacts.basicApi.create({
         properties: contactProperties
-      });
+      }), { target: contactProperties.email, summary: leadData.clubName });
 
       // Create associated deal
       const dealProperties = {
@@ -65,16 +87,16 @@ class HubSpotService {
         description: `Lead from ${leadData.sport} club with ${leadData.athletes} athletes in ${leadData.location}. Lead score: ${leadData.score}/100`
       };
 
-      const deal = await this.client.crm.deals.basicApi.create({
+      const deal = await this.write('createDeal', dealProperties, () => this.client.crm.deals.basicApi.create({
         properties: dealProperties
-      });
+      }), { target: contactProperties.email, summary: dealProperties.dealname });
 
       // Associate contact with deal
-      await this.client.crm.deals.associationsApi.create(
+      await this.write('associateDeal', { dealId: deal.id, contactId: contact.id }, () => this.client.crm.deals.associationsApi.create(
         deal.id,
         'contacts',
         contact.id
-      );
+      ), { target: `deal ${deal.id}`, summary: `${leadData.clubName} contact ${contact.id}`, resultId: () => deal.id });
 
       return {
         contactId: contact.id,
@@ -92,15 +114,19 @@ class HubSpotService {
    * Update lead approval status
    */
   async updateLeadApproval(contactId, status, approvedBy) {
+    if (captureSideEffect('hubspot', 'updateLeadApproval', { contactId, status, approvedBy })) {
+      return true;
+    }
+
     try {
       const properties = {
         [this.customProperties.approval_status]: status,
         lifecyclestage: status === 'approved' ? 'marketingqualifiedlead' : 'lead'
       };
 
-      await this.client.crm.contacts.basicApi.update(contactId, {
+      await this.write('updateContact', properties, () => this.client.crm.contacts.basicApi.update(contactId, {
         properties
-      });
+      }), { target: contactId, summary: `Approval ${status} by ${approvedBy}` });
 
       // Add note about approval
       await this.addNote(contactId, `Lead ${status} by ${approvedBy}`);
@@ -116,21 +142,26 @@ class HubSpotService {
    * Track lead view
    */
   async trackLeadView(contactId, viewedBy) {
+    if (captureSideEffect('hubspot', 'trackLeadView', { contactId, viewedBy })) {
+      return 0;
+    }
+
     try {
       // Get current view count
-      const contact = await this.client.crm.contacts.basicApi.getById(contactId, [
+      const contact = await this.request(() => this.client.crm.contacts.basicApi.getById(contactId, [
         this.customProperties.view_count
-      ]);
+      ]));
 
       const currentViewCount = parseInt(contact.properties[this.customProperties.view_count] || '0');
 
-      await this.client.crm.contacts.basicApi.update(contactId, {
-        properties: {
-          [this.customProperties.view_count]: (currentViewCount + 1).toString(),
-          [this.customProperties.last_viewed_by]: viewedBy,
-          lastmodifieddate: new Date().toISOString()
-        }
-      });
+      const properties = {
+        [this.customProperties.view_count]: (currentViewCount + 1).toString(),
+        [this.customProperties.last_viewed_by]: viewedBy,
+        lastmodifieddate: new Date().toISOString()
+      };
+      await this.write('updateContact', properties, () => this.client.crm.contacts.basicApi.update(contactId, {
+        properties
+      }), { target: contactId, summary: `Viewed by ${viewedBy}` });
 
       return currentViewCount + 1;
     } catch (error) {
@@ -143,8 +174,12 @@ class HubSpotService {
    * Add note to contact
    */
   async addNote(contactId, noteText) {
+    if (captureSideEffect('hubspot', 'addNote', { contactId, noteText })) {
+      return;
+    }
+
     try {
-      await this.client.crm.objects.notes.basicApi.create({
+      const note = {
         properties: {
           hs_note_body: noteText,
           hs_timestamp: new Date().toISOString()
@@ -153,6 +188,10 @@ class HubSpotService {
           to: { id: contactId },
           types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId: 202 }]
         }]
+      };
+      await this.write('createNote', note, () => this.client.crm.objects.notes.basicApi.create(note), {
+        target: contactId,
+        summary: noteText
       });
     } catch (error) {
       console.error('Error adding note:', error);
@@ -169,7 +208,7 @@ class HubSpotService {
       const startDate = new Date(now.getTime() - (parseInt(timeRange) * 24 * 60 * 60 * 1000));
 
       // Get contacts created in time range
-      const contacts = await this.client.crm.contacts.searchApi.doSearch({
+      const contacts = await this.request(() => this.client.crm.contacts.searchApi.doSearch({
         filterGroups: [{
           filters: [{
             propertyName: 'createdate',
@@ -183,10 +222,10 @@ class HubSpotService {
           this.customProperties.lead_score,
           this.customProperties.approval_status
         ]
-      });
+      }));
 
       // Get deals created in time range
-      const deals = await this.client.crm.deals.searchApi.doSearch({
+      const deals = await this.request(() => this.client.crm.deals.searchApi.doSearch({
         filterGroups: [{
           filters: [{
             propertyName: 'createdate',
@@ -195,7 +234,7 @@ class HubSpotService {
           }]
         }],
         properties: ['createdate', 'dealstage', 'amount', 'closedate']
-      });
+      }));
 
       // Calculate metrics
       const totalLeads = contacts.results.length;
@@ -239,7 +278,7 @@ class HubSpotService {
    */
   async getLeadDetails(contactId) {
     try {
-      const contact = await this.client.crm.contacts.basicApi.getById(contactId, [
+      const contact = await this.request(() => this.client.crm.contacts.basicApi.getById(contactId, [
         'firstname', 'lastname', 'company', 'email', 'phone', 'city',
         'lifecyclestage', 'createdate', 'lastmodifieddate',
         this.customProperties.lead_score,
@@ -249,13 +288,13 @@ class HubSpotService {
         this.customProperties.approval_status,
         this.customProperties.view_count,
         this.customProperties.last_viewed_by
-      ]);
+      ]));
 
       // Get associated deals
-      const deals = await this.client.crm.contacts.associationsApi.getAll(
+      const deals = await this.request(() => this.client.crm.contacts.associationsApi.getAll(
         contactId,
         'deals'
-      );
+      ));
 
       return {
         contact: contact.properties,
@@ -340,7 +379,7 @@ class HubSpotService {
         limit: criteria.limit || 100
       };
 
-      const results = await this.client.crm.contacts.searchApi.doSearch(searchRequest);
+      const results = await this.request(() => this.client.crm.contacts.searchApi.doSearch(searchRequest));
       return results.results;
 
     } catch (error) {
@@ -1,4 +1,20 @@
 require('dotenv').config();
+const path = require('path');
+
+/**
+ * Parse RATE_LIMITS overrides, "service=rps[/burst]" pairs separated by commas
+ * (e.g. "notion=3,hubspot=10/20,gmail.send=0.5/1"), over the defaults
+ */
+function parseRateLimits(value, defaults) {
+  const limits = { ...defaults };
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const match = entry.match(/^([\w.-]+)=(\d*\.?\d+)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid RATE_LIMITS entry '${entry}', expected service=rps[/burst]`);
+    const [, name, ratePerSecond, burst] = match;
+    limits[name] = { ratePerSecond: parseFloat(ratePerSecond), burst: burst ? parseInt(burst) : undefined };
+  }
+  return limits;
+}
 
 const config = {
   // HubSpot Configuration
@@ -22,8 +38,39 @@ const config = {
     },
     scopes: [
       'https://www.googleapis.com/auth/gmail.readonly',
-      'https://www.googleapis.com/auth/gmail.send'
-    ]
+      'https://www.googleapis.com/auth/gmail.send',
+      'https://www.googleapis.com/auth/gmail.modify',
+      'https://www.googleapis.com/auth/calendar.events'
+    ],
+    // Rules deciding what the email processor does with each message
+    routingRulesFile: process.env.EMAIL_ROUTING_RULES_FILE || path.join(__dirname, '../../../config/email-rules.json'),
+    // Runs that retry a message's failed actions before it is marked read regardless
+    maxProcessingAttempts: parseInt(process.env.EMAIL_MAX_PROCESSING_ATTEMPTS) || 3,
+    labels: {
+      // The email processor labels each message <prefix>/<action> for what it did; empty to disable
+      opsPrefix: process.env.GMAIL_OPS_LABEL_PREFIX ?? 'ops-automation',
+      // Snoozed messages wait out of the inbox under this label
+      snoozed: process.env.GMAIL_SNOOZED_LABEL || 'ops-automation/snoozed'
+    },
+    // Attachments the email processor files to Google Drive
+    attachments: {
+      // Drive folder the per-email folders are created under ('root' is My Drive)
+      driveFolderId: process.env.ATTACHMENTS_DRIVE_FOLDER_ID || 'root',
+      // Folder path below it, from {domain}, {sender}, {date}, {subject} and {rule}
+      folderPath: process.env.ATTACHMENTS_FOLDER_PATH || '{domain}',
+      maxBytes: parseInt(process.env.ATTACHMENTS_MAX_BYTES) || 25 * 1024 * 1024,
+      // Extensions (.pdf) and MIME types (image/*) that may be filed
+      allowedTypes: (process.env.ATTACHMENTS_ALLOWED_TYPES || '.pdf,.doc,.docx,.xls,.xlsx,.csv,.txt,image/*')
+        .split(',').map(type => type.trim().toLowerCase()).filter(Boolean),
+      scan: {
+        // clamd to scan every attachment with before it is filed
+        clamavHost: process.env.CLAMAV_HOST,
+        clamavPort: parseInt(process.env.CLAMAV_PORT) || 3310,
+        timeoutMs: parseInt(process.env.ATTACHMENT_SCAN_TIMEOUT_MS) || 30000,
+        // File attachments a scanner could not check (it errored) instead of skipping them
+        failOpen: process.env.ATTACHMENT_SCAN_FAIL_OPEN === 'true'
+      }
+    }
   },
 
   // Notion Configuration
@@ -36,6 +83,18 @@ const config = {
     }
   },
 
+  // GitHub repository automation issues are filed in
+  github: {
+    // No default: no issues are filed (failure reports, alerts) until it is set
+    owner: process.env.GITHUB_OWNER,
+    repo: process.env.GITHUB_REPO || 'gmtm-ops-automation',
+    // Extra labels added to every issue opened through the GitHub adapter
+    labels: (process.env.GITHUB_ISSUE_LABELS || '').split(',').map(label => label.trim()).filter(Boolean),
+    // Failure reports carry this label; the next successful run closes them
+    failureLabel: process.env.GITHUB_FAILURE_LABEL || 'automation-failure',
+    autoCloseFailures: process.env.GITHUB_AUTO_CLOSE_FAILURES !== 'false'
+  },
+
   // Application Configuration
   app: {
     environment: process.env.NODE_ENV || 'development',
@@ -52,7 +111,145 @@ const config = {
     },
     timeouts: {
       default: parseInt(process.env.DEFAULT_TIMEOUT) || 30000,
-      long: parseInt(process.env.LONG_TIMEOUT) || 120000
+      long: parseInt(process.env.LONG_TIMEOUT) || 120000,
+      // How long an aborted run may take to stop before it is recorded as hung
+      abortGraceMs: parseInt(process.env.ABORT_GRACE_MS) || 10000
+    },
+    // Timezone cron schedules are evaluated in (automations may override)
+    timezone: process.env.AUTOMATION_TIMEZONE || 'America/New_York',
+    // Fire times missed while the process was down: 'once', 'all' or 'ignore'
+    catchUp: {
+      policy: process.env.AUTOMATION_CATCH_UP_POLICY || 'once',
+      maxLookbackMs: parseInt(process.env.AUTOMATION_CATCH_UP_MAX_LOOKBACK_MS) || 7 * 24 * 60 * 60 * 1000,
+      maxRuns: parseInt(process.env.AUTOMATION_CATCH_UP_MAX_RUNS) || 10
+    },
+    // What to do when a run is triggered while the previous one is in flight:
+    // 'skip', 'queue' or 'cancel-previous' (automations may override)
+    overlapPolicy: process.env.AUTOMATION_OVERLAP_POLICY || 'skip',
+    // Automations loaded in addition to src/automations: directories of
+    // automation modules and npm packages exporting automation classes
+    plugins: {
+      dirs: (process.env.AUTOMATION_PLUGIN_DIRS || '').split(',').map(dir => dir.trim()).filter(Boolean),
+      packages: (process.env.AUTOMATION_PLUGIN_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean)
+    },
+    locks: {
+      dir: process.env.AUTOMATION_LOCK_DIR || 'locks',
+      leaseMs: parseInt(process.env.AUTOMATION_LOCK_LEASE_MS) || 120000,
+      heartbeatMs: parseInt(process.env.AUTOMATION_LOCK_HEARTBEAT_MS) || 15000,
+      queueTimeoutMs: parseInt(process.env.AUTOMATION_LOCK_QUEUE_TIMEOUT_MS) || 600000,
+      pollMs: parseInt(process.env.AUTOMATION_LOCK_POLL_MS) || 1000
+    }
+  },
+
+  // MCP servers backing the tool adapters (see config/mcp-servers.example.json).
+  // Adapters without a configured server fall back to the fake backends.
+  mcp: {
+    serversFile: process.env.MCP_SERVERS_FILE || path.join(__dirname, '../../../config/mcp-servers.json'),
+    requestTimeoutMs: parseInt(process.env.MCP_REQUEST_TIMEOUT_MS) || 30000,
+    protocolVersion: process.env.MCP_PROTOCOL_VERSION || '2025-03-26',
+    // Stateful in-memory backends used for adapters without a configured server
+    fakes: {
+      enabled: process.env.MCP_FAKE_BACKENDS !== 'false',
+      fixturesDir: process.env.MCP_FAKE_FIXTURES_DIR || path.join(__dirname, '../integrations/fakes/fixtures')
+    },
+    // Backend policy for adapters with a direct-API implementation: mcp | direct | auto
+    backends: {
+      gmail: process.env.GMAIL_BACKEND || 'auto',
+      notion: process.env.NOTION_BACKEND || 'auto',
+      'google-calendar': process.env.GOOGLE_CALENDAR_BACKEND || 'auto'
+    },
+    // Record/replay of adapter traffic: off | record | replay.
+    // Cassettes live in <dataDir>/<dir>/<name>/<tool>.json
+    cassettes: {
+      mode: process.env.MCP_CASSETTE_MODE || 'off',
+      dir: process.env.MCP_CASSETTE_DIR || 'cassettes',
+      name: process.env.MCP_CASSETTE_NAME || 'default'
+    },
+    // Paginated list iterators: items requested per page, and the most items
+    // one iteration will fetch before stopping
+    pagination: {
+      pageSize: parseInt(process.env.MCP_PAGE_SIZE) || 100,
+      maxItems: parseInt(process.env.MCP_PAGINATION_MAX_ITEMS) || 10000
+    }
+  },
+
+  // Token buckets and circuit breakers for outbound calls (MCP adapters and
+  // HubSpot). Rate limits are per service, or per `service.action`
+  resilience: {
+    enabled: process.env.RESILIENCE_ENABLED !== 'false',
+    rateLimits: parseRateLimits(process.env.RATE_LIMITS, {
+      hubspot: { ratePerSecond: 10, burst: 10 },
+      notion: { ratePerSecond: 3, burst: 3 },
+      gmail: { ratePerSecond: 10, burst: 10 },
+      // Pace outreach so bulk sends are not flagged as spam
+      'gmail.send': { ratePerSecond: 0.5, burst: 1 },
+      'google-calendar': { ratePerSecond: 5, burst: 5 },
+      'google-drive': { ratePerSecond: 5, burst: 5 },
+      github: { ratePerSecond: 1, burst: 10 },
+      stripe: { ratePerSecond: 25, burst: 25 },
+      intercom: { ratePerSecond: 10, burst: 10 },
+      canva: { ratePerSecond: 2, burst: 2 }
+    }),
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+      resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 30000,
+      halfOpenMaxCalls: parseInt(process.env.CIRCUIT_BREAKER_HALF_OPEN_MAX_CALLS) || 1
+    }
+  },
+
+  // Where runs are published for the team to see: 'none', 'calendar' or 'notion'
+  runVisibility: {
+    sink: process.env.RUN_VISIBILITY_SINK || 'none',
+    // Dedicated calendar for run events; never the team's primary calendar
+    calendarId: process.env.RUN_VISIBILITY_CALENDAR_ID,
+    notionDatabaseId: process.env.RUN_LOG_NOTION_DATABASE_ID,
+    // Event length for automations without successful runs to average
+    defaultDurationMs: parseInt(process.env.RUN_VISIBILITY_DEFAULT_DURATION_MS) || 15 * 60 * 1000
+  },
+
+  // Authenticated JSON API for listing, triggering, polling and cancelling runs
+  controlApi: {
+    enabled: process.env.CONTROL_API_ENABLED === 'true',
+    // Loopback only by default; put a reverse proxy in front to expose it
+    host: process.env.CONTROL_API_HOST || '127.0.0.1',
+    port: parseInt(process.env.CONTROL_API_PORT) || 3100,
+    // Bearer token every request must carry; the API refuses to start without one
+    token: process.env.CONTROL_API_TOKEN
+  },
+
+  // Local storage for run history and other runtime state
+  storage: {
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '../../../data'),
+    runHistory: {
+      file: process.env.RUN_HISTORY_FILE || 'run-history.jsonl',
+      maxRecords: parseInt(process.env.RUN_HISTORY_MAX_RECORDS) || 5000
+    },
+    dryRuns: {
+      dir: process.env.DRY_RUN_DIR || 'dry-runs'
+    },
+    // Log lines emitted during each run, one file per run id
+    runLogs: {
+      dir: process.env.RUN_LOG_DIR || 'run-logs',
+      maxRuns: parseInt(process.env.RUN_LOG_MAX_RUNS) || 500
+    },
+    // Runtime pause / schedule / maintenance window overrides per automation
+    overrides: {
+      file: process.env.AUTOMATION_OVERRIDES_FILE || 'automation-overrides.json',
+      // How often a scheduler picks up overrides written by other processes
+      pollMs: parseInt(process.env.AUTOMATION_OVERRIDES_POLL_MS) || 30000
+    },
+    // Gmail messages the email processor has handled and what it created for them
+    processedEmails: {
+      file: process.env.PROCESSED_EMAILS_FILE || 'processed-emails.json',
+      retentionDays: parseInt(process.env.PROCESSED_EMAILS_RETENTION_DAYS) || 30
+    },
+    // Gmail messages snoozed by the adapter and when they are due back in the inbox
+    emailSnoozes: {
+      file: process.env.EMAIL_SNOOZES_FILE || 'email-snoozes.json'
+    },
+    // Append-only, hash-chained record of every external write
+    audit: {
+      file: process.env.AUDIT_LEDGER_FILE || 'audit-ledger.jsonl'
     }
   },
 
@@ -0,0 +1,184 @@
+/**
+ * .eml Parsing
+ *
+ * Turns an RFC 822 message (as saved by mail clients or Gmail's "Download
+ * message") into the flattened shape the Email type accepts: headers, the
+ * plain-text body (HTML stripped as a fallback) and attachment metadata.
+ * Covers multipart bodies, base64 / quoted-printable transfer encodings and
+ * RFC 2047 encoded words - enough to test routing rules, not a full MIME parser.
+ */
+
+// Gmail system labels as named in X-Gmail-Labels, whose label ids are uppercase
+const SYSTEM_LABELS = new Set([
+  'inbox', 'unread', 'important', 'starred', 'sent', 'draft', 'spam', 'trash',
+  'category personal', 'category social', 'category promotions', 'category updates', 'category forums'
+]);
+
+// Raw message text is handled as a binary string (one char per byte, latin1)
+// so 8-bit bodies survive until their charset is known.
+
+/**
+ * Split raw header text into a lowercase name -> value map, unfolding continuation lines
+ */
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.replace(/\r\n/g, '\n').replace(/\n[ \t]+/g, ' ').split('\n')) {
+    const index = line.indexOf(':');
+    if (index <= 0) continue;
+    const name = line.slice(0, index).trim().toLowerCase();
+    const value = decodeWords(Buffer.from(line.slice(index + 1).trim(), 'latin1').toString('utf8'));
+    headers[name] = headers[name] ? `${headers[name]}, ${value}` : value;
+  }
+  return headers;
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?UTF-8?B?...?= and =?UTF-8?Q?...?=)
+ */
+function decodeWords(value) {
+  return value
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return toText(bytes, charset);
+    });
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  const source = text.replace(/=\r?\n/g, '');
+  for (let index = 0; index < source.length; index++) {
+    const hex = source.slice(index + 1, index + 3);
+    if (source[index] === '=' && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      index += 2;
+    } else {
+      bytes.push(source.charCodeAt(index) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function toText(bytes, charset = 'utf-8') {
+  const encoding = /^(us-ascii|ascii)$/i.test(charset) ? 'ascii' : /^(iso-8859-1|latin1|windows-1252)$/i.test(charset) ? 'latin1' : 'utf8';
+  return bytes.toString(encoding);
+}
+
+/**
+ * Value and parameters of a structured header, e.g. Content-Type
+ */
+function parseParams(value = '') {
+  const [main, ...rest] = value.split(';');
+  const params = {};
+  for (const part of rest) {
+    const index = part.indexOf('=');
+    if (index <= 0) continue;
+    const name = part.slice(0, index).trim().toLowerCase().replace(/\*$/, '');
+    let paramValue = part.slice(index + 1).trim().replace(/^"|"$/g, '');
+    // RFC 2231 extended value: charset''percent-encoded
+    const extended = /^([^']*)'[^']*'(.*)$/.exec(paramValue);
+    if (part.slice(0, index).trim().endsWith('*') && extended) {
+      paramValue = decodeURIComponent(extended[2]);
+    }
+    params[name] = decodeWords(paramValue);
+  }
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Parse one MIME entity (a whole message or a part) into headers and leaf parts
+ */
+function parseEntity(raw) {
+  const text = raw.replace(/\r\n/g, '\n');
+  const split = text.indexOf('\n\n');
+  const headers = parseHeaders(split === -1 ? text : text.slice(0, split));
+  const body = split === -1 ? '' : text.slice(split + 2);
+  const contentType = parseParams(headers['content-type'] || 'text/plain; charset=us-ascii');
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const boundary = `--${contentType.params.boundary}`;
+    const parts = body.split(new RegExp(`^${escapeRegExp(boundary)}(?:--)?[ \\t]*$`, 'm'))
+      .slice(1, -1)
+      .map(part => part.replace(/^\n/, ''))
+      .filter(part => part.trim());
+    return { headers, parts: parts.flatMap(part => parseEntity(part).parts) };
+  }
+
+  const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable' ? decodeQuotedPrintable(body) : Buffer.from(body, 'latin1');
+  const disposition = parseParams(headers['content-disposition'] || '');
+
+  return {
+    headers,
+    parts: [{
+      mimeType: contentType.value,
+      charset: contentType.params.charset,
+      filename: disposition.params.filename || contentType.params.name || null,
+      disposition: disposition.value,
+      bytes
+    }]
+  };
+}
+
+function toLabelId(name) {
+  const label = name.trim();
+  return SYSTEM_LABELS.has(label.toLowerCase()) ? label.toUpperCase().replace(/ /g, '_') : label;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse .eml text into the flattened message shape `Email.from()` accepts
+ *
+ * @param {string|Buffer} source - raw message
+ * @param {Object} [overrides] - fields to set on the result, e.g. `{ labelNames }`
+ */
+function parseEml(source, overrides = {}) {
+  const raw = Buffer.isBuffer(source) ? source : Buffer.from(source, 'utf8');
+  const { headers, parts } = parseEntity(raw.toString('latin1'));
+
+  const isAttachment = part => part.disposition === 'attachment' || !!part.filename;
+  const plain = parts.find(part => !isAttachment(part) && part.mimeType === 'text/plain');
+  const html = parts.find(part => !isAttachment(part) && part.mimeType === 'text/html');
+  const body = plain
+    ? toText(plain.bytes, plain.charset)
+    : html ? toText(html.bytes, html.charset).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : '';
+
+  const messageId = (headers['message-id'] || '').replace(/[<>]/g, '') || 'eml-message';
+  const inReplyTo = (headers['in-reply-to'] || '').replace(/[<>]/g, '') || null;
+  // Gmail's "Download message" keeps labels in X-Gmail-Labels, by name
+  const labels = (headers['x-gmail-labels'] || '').split(',').map(toLabelId).filter(Boolean);
+
+  return {
+    id: messageId,
+    // Replies carry the thread root in References; new messages start their own thread
+    threadId: (headers.references || '').match(/<([^>]+)>/)?.[1] || messageId,
+    from: headers.from || '',
+    to: headers.to || '',
+    cc: headers.cc || '',
+    subject: headers.subject || '',
+    date: headers.date || null,
+    snippet: body.replace(/\s+/g, ' ').trim().substring(0, 120),
+    body,
+    labelIds: labels,
+    labelNames: labels,
+    inReplyTo,
+    attachments: parts.filter(isAttachment).map(part => ({
+      filename: part.filename || 'unnamed',
+      mimeType: part.mimeType,
+      size: part.bytes.length
+    })),
+    ...overrides
+  };
+}
+
+module.exports = {
+  parseEml,
+  parseHeaders
+};
@@ -0,0 +1,15 @@
+const { ACTION_TYPES, THREAD_REPLY_RULE, RULES_SCHEMA, EmailRuleSet, loadEmailRules, senderAddress, isReply } = require('./rules');
+const { parseEml } = require('./eml');
+const { stripQuotedReply } = require('./replies');
+
+module.exports = {
+  ACTION_TYPES,
+  THREAD_REPLY_RULE,
+  RULES_SCHEMA,
+  EmailRuleSet,
+  loadEmailRules,
+  senderAddress,
+  isReply,
+  parseEml,
+  stripQuotedReply
+};
@@ -0,0 +1,42 @@
+/**
+ * Reply Text
+ *
+ * Replies quote the messages before them. Anything that reads what a reply
+ * says - status rules, the text copied onto a task or issue - should see
+ * only what the sender added.
+ */
+
+// Lines that introduce the quoted earlier message; everything from there on is dropped
+const QUOTE_HEADERS = [
+  /^On\b.*\bwrote:$/,
+  /^-{2,}\s*Original Message\s*-{2,}$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+  /^_{10,}$/
+];
+
+/**
+ * Body of a reply without its quoted history
+ *
+ * @param {string} body - plain-text message body
+ * @returns {string} the new text, or the whole body when nothing but quotes is left
+ */
+function stripQuotedReply(body = '') {
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    // Clients wrap long "On <date>, <name> <address> wrote:" headers onto a second line
+    const wrapped = `${line} ${(lines[index + 1] || '').trim()}`;
+    if (QUOTE_HEADERS.some(pattern => pattern.test(line) || pattern.test(wrapped))) break;
+    if (line.startsWith('>')) continue;
+    kept.push(lines[index]);
+  }
+
+  const text = kept.join('\n').trim();
+  return text || body.trim();
+}
+
+module.exports = {
+  stripQuotedReply
+};
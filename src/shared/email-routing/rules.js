@@ -0,0 +1,476 @@
+const fs = require('fs');
+const { validateJsonSchema } = require('../utils/json-schema');
+const { EmailRulesError } = require('../errors');
+const { stripQuotedReply } = require('./replies');
+
+/**
+ * Email Routing Rules
+ *
+ * A rules file decides what the email processor does with each message:
+ *
+ *   {
+ *     "priorities": { "urgent": "High", "normal": "Medium" },  // rule priority -> Notion Priority
+ *     "defaultPriority": "normal",
+ *     "rules": [{
+ *       "id": "bug-reports",
+ *       "when": { "domain": "clubs.example.com", "subject": "\\b(bug|broken)\\b" },
+ *       "priority": "urgent",
+ *       "actions": [{ "type": "create_issue", "repo": "acme/support", "labels": ["bug"] }]
+ *     }]
+ *   }
+ *
+ * Rules are tried in order and the first whose `when` matches routes the
+ * message; its actions run in order. Every condition in `when` must hold:
+ *
+ *   from / to        address globs (`*@club.com`); `to` checks To and Cc
+ *   domain           sender domain, subdomains included
+ *   subject / body   case-insensitive regular expressions
+ *   labels           Gmail labels the message must all carry
+ *   hasAttachments   whether the message has attachments
+ *   attachmentName   regex any attachment filename must match
+ *   attachmentType   regex any attachment MIME type must match
+ *   inThread         whether the message replies to an earlier one
+ *   any / not        at least one of a list of conditions / negation
+ *
+ * A reply on a thread that already produced a Notion task or GitHub issue is
+ * not routed by the rules: it is added to that task and issue instead, and
+ * the optional `threads.statusRules` (same conditions, tested against the
+ * reply without its quoted history) can change their status:
+ *
+ *   "threads": {
+ *     "updateExisting": true,
+ *     "statusRules": [{ "id": "resolved", "when": { "body": "\\bresolved\\b" }, "taskStatus": "Done", "issueState": "closed" }]
+ *   }
+ */
+
+const ACTION_TYPES = ['create_task', 'schedule_meeting', 'create_issue', 'file_attachments', 'archive', 'label', 'star', 'snooze', 'trash'];
+
+// Rule id recorded for replies handled as updates of their thread's task or issue
+const THREAD_REPLY_RULE = 'thread-reply';
+
+const stringOrList = { type: ['string', 'array'], items: { type: 'string', minLength: 1 }, minLength: 1 };
+
+const CONDITION_SCHEMA = {
+  type: 'object',
+  properties: {
+    from: stringOrList,
+    to: stringOrList,
+    domain: stringOrList,
+    subject: { type: 'string', minLength: 1 },
+    body: { type: 'string', minLength: 1 },
+    labels: stringOrList,
+    hasAttachments: { type: 'boolean' },
+    attachmentName: { type: 'string', minLength: 1 },
+    attachmentType: { type: 'string', minLength: 1 },
+    inThread: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+CONDITION_SCHEMA.properties.any = { type: 'array', minItems: 1, items: CONDITION_SCHEMA };
+CONDITION_SCHEMA.properties.not = CONDITION_SCHEMA;
+
+const ACTION_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: ACTION_TYPES },
+    // create_task: key of config.notion.databaseIds or a database id
+    database: { type: 'string', minLength: 1 },
+    priority: { type: 'string', minLength: 1 },
+    // schedule_meeting
+    durationMinutes: { type: 'integer', minimum: 5, maximum: 480 },
+    calendarId: { type: 'string', minLength: 1 },
+    // create_issue: "owner/repo"
+    repo: { type: 'string', pattern: '^[\\w.-]+/[\\w.-]+$' },
+    // create_issue: issue labels; label: Gmail labels to apply
+    labels: { type: 'array', items: { type: 'string', minLength: 1 } },
+    // snooze: hours until the message returns to the inbox
+    snoozeHours: { type: 'integer', minimum: 1, maximum: 2160 },
+    // file_attachments: Drive folder path template, defaults to config.gmail.attachments.folderPath
+    folder: { type: 'string', minLength: 1 }
+  },
+  additionalProperties: false
+};
+
+const RULES_SCHEMA = {
+  type: 'object',
+  required: ['rules'],
+  properties: {
+    priorities: { type: 'object', additionalProperties: { type: 'string', minLength: 1 } },
+    defaultPriority: { type: 'string', minLength: 1 },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'when', 'actions'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+          description: { type: 'string' },
+          enabled: { type: 'boolean' },
+          when: CONDITION_SCHEMA,
+          priority: { type: 'string', minLength: 1 },
+          actions: { type: 'array', minItems: 1, items: ACTION_SCHEMA }
+        },
+        additionalProperties: false
+      }
+    },
+    threads: {
+      type: 'object',
+      properties: {
+        // Add replies to the thread's existing task / issue instead of routing them
+        updateExisting: { type: 'boolean' },
+        statusRules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'when'],
+            properties: {
+              id: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' },
+              description: { type: 'string' },
+              when: CONDITION_SCHEMA,
+              // Notion Status the thread's tasks move to
+              taskStatus: { type: 'string', minLength: 1 },
+              issueState: { enum: ['open', 'closed'] }
+            },
+            additionalProperties: false
+          }
+        }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Parsed, validated rules file
+ */
+class EmailRuleSet {
+  /**
+   * @param {Object} definition - rules file contents
+   * @param {string} [source] - file path, for error messages
+   * @throws {EmailRulesError} if the definition is invalid
+   */
+  constructor(definition, source = 'email routing rules') {
+    const issues = validateJsonSchema(RULES_SCHEMA, definition);
+    if (issues.length === 0) issues.push(...checkRules(definition));
+    if (issues.length > 0) throw new EmailRulesError(source, issues);
+
+    this.source = source;
+    this.priorities = definition.priorities || {};
+    this.defaultPriority = definition.defaultPriority || null;
+    this.rules = definition.rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => ({ ...rule, test: compileCondition(rule.when) }));
+    this.updateThreads = definition.threads?.updateExisting !== false;
+    this.statusRules = (definition.threads?.statusRules || [])
+      .map(rule => ({ ...rule, test: compileCondition(rule.when) }));
+  }
+
+  /**
+   * Route a message: the first matching rule and its actions, or null
+   *
+   * @param {Object} email - canonical Email
+   * @returns {{rule: Object, priority: string|null, actions: Object[]}|null}
+   */
+  route(email) {
+    const rule = this.rules.find(candidate => candidate.test(email).matched);
+    return rule ? this.resolve(rule) : null;
+  }
+
+  /**
+   * Route a reply on a thread that already has tasks or issues: add the reply
+   * to each of them, then apply the first matching status rule
+   *
+   * @param {Object} email - canonical Email
+   * @param {Object} tracked - what earlier messages of the thread created
+   * @param {string[]} tracked.taskPageIds - Notion task pages
+   * @param {{repo: string, issueNumber: number}[]} tracked.issues - GitHub issues
+   * @returns {{rule: Object, priority: null, status: string|null, actions: Object[]}|null}
+   *   null when thread updates are off or the thread has nothing to update
+   */
+  routeReply(email, { taskPageIds = [], issues = [] }) {
+    if (!this.updateThreads || (taskPageIds.length === 0 && issues.length === 0)) return null;
+
+    const status = this.replyStatus(email);
+    const actions = [];
+    for (const pageId of taskPageIds) {
+      actions.push({ type: 'append_to_task', pageId });
+      if (status?.taskStatus) actions.push({ type: 'update_task_status', pageId, status: status.taskStatus });
+    }
+    for (const { repo, issueNumber } of issues) {
+      actions.push({ type: 'comment_on_issue', repo, issueNumber });
+      if (status?.issueState) actions.push({ type: 'update_issue_state', repo, issueNumber, state: status.issueState });
+    }
+
+    return {
+      rule: { id: THREAD_REPLY_RULE, description: 'Reply added to the task / issue of its thread' },
+      priority: null,
+      status: status?.id || null,
+      actions
+    };
+  }
+
+  /**
+   * First status rule matching what a reply adds to its thread, or null
+   */
+  replyStatus(email) {
+    const reply = { ...email, body: stripQuotedReply(email.body) };
+    return this.statusRules.find(rule => rule.test(reply).matched) || null;
+  }
+
+  /**
+   * Every rule with the outcome of each of its conditions, for debugging rules
+   *
+   * @returns {{id: string, description: string, matched: boolean, checks: Object[]}[]}
+   */
+  explain(email) {
+    return this.rules.map(rule => {
+      const { matched, checks } = rule.test(email);
+      return { id: rule.id, description: rule.description || '', matched, checks };
+    });
+  }
+
+  /**
+   * Actions of a rule with the rule priority mapped onto each one that takes a priority
+   */
+  resolve(rule) {
+    const priority = this.mapPriority(rule.priority || this.defaultPriority);
+    return {
+      rule: { id: rule.id, description: rule.description || '' },
+      priority,
+      actions: rule.actions.map(action => (
+        action.type === 'create_task'
+          ? { ...action, priority: this.mapPriority(action.priority) || priority }
+          : { ...action }
+      ))
+    };
+  }
+
+  mapPriority(name) {
+    if (!name) return null;
+    return this.priorities[name] || name;
+  }
+}
+
+/**
+ * Checks the schema cannot express: unique ids, compilable regexes, known priorities
+ */
+function checkRules(definition) {
+  const issues = [];
+  const priorities = definition.priorities || {};
+  const checkPriority = (name, at) => {
+    if (name && Object.keys(priorities).length > 0 && !priorities[name]) {
+      issues.push(`${at}: unknown priority '${name}', expected one of ${Object.keys(priorities).join(', ')}`);
+    }
+  };
+
+  checkPriority(definition.defaultPriority, 'defaultPriority');
+  const seen = new Set([THREAD_REPLY_RULE]);
+  definition.rules.forEach((rule, index) => {
+    const at = `rules[${index}]`;
+    if (seen.has(rule.id)) {
+      issues.push(rule.id === THREAD_REPLY_RULE
+        ? `${at}.id: '${THREAD_REPLY_RULE}' is reserved for thread replies`
+        : `${at}.id: duplicate rule id '${rule.id}'`);
+    }
+    seen.add(rule.id);
+    checkPriority(rule.priority, `${at}.priority`);
+    rule.actions.forEach((action, actionIndex) => {
+      checkPriority(action.priority, `${at}.actions[${actionIndex}].priority`);
+      if (action.type === 'label' && !(action.labels || []).length) {
+        issues.push(`${at}.actions[${actionIndex}].labels: a label action needs at least one label`);
+      }
+      if (action.type === 'snooze' && !action.snoozeHours) {
+        issues.push(`${at}.actions[${actionIndex}].snoozeHours: a snooze action needs snoozeHours`);
+      }
+    });
+    checkPatterns(rule.when, `${at}.when`, issues);
+  });
+  (definition.threads?.statusRules || []).forEach((rule, index) => {
+    checkPatterns(rule.when, `threads.statusRules[${index}].when`, issues);
+  });
+  return issues;
+}
+
+function checkPatterns(condition, at, issues) {
+  for (const key of ['subject', 'body', 'attachmentName', 'attachmentType']) {
+    if (condition[key] === undefined) continue;
+    try {
+      new RegExp(condition[key], 'i');
+    } catch (error) {
+      issues.push(`${at}.${key}: invalid regular expression: ${error.message}`);
+    }
+  }
+  (condition.any || []).forEach((item, index) => checkPatterns(item, `${at}.any[${index}]`, issues));
+  if (condition.not) checkPatterns(condition.not, `${at}.not`, issues);
+}
+
+/**
+ * Compile a `when` block into `email -> { matched, checks }`
+ */
+function compileCondition(condition) {
+  const tests = Object.entries(condition).map(([key, expected]) => compileTest(key, expected));
+
+  return email => {
+    const checks = tests.map(test => test(email));
+    return { matched: checks.every(check => check.matched), checks };
+  };
+}
+
+function compileTest(key, expected) {
+  const check = (describe, predicate) => email => ({ condition: key, expected: describe, ...predicate(email) });
+  const list = [].concat(expected);
+
+  switch (key) {
+    case 'from': {
+      const patterns = list.map(globToRegExp);
+      return check(list.join(', '), email => {
+        const address = senderAddress(email.from);
+        return { actual: address, matched: patterns.some(pattern => pattern.test(address)) };
+      });
+    }
+    case 'to': {
+      const patterns = list.map(globToRegExp);
+      return check(list.join(', '), email => {
+        const addresses = recipientAddresses(email);
+        return { actual: addresses.join(', '), matched: addresses.some(address => patterns.some(pattern => pattern.test(address))) };
+      });
+    }
+    case 'domain': {
+      const domains = list.map(domain => domain.toLowerCase().replace(/^@/, ''));
+      return check(domains.join(', '), email => {
+        const domain = senderAddress(email.from).split('@')[1] || '';
+        return { actual: domain, matched: domains.some(expectedDomain => domain === expectedDomain || domain.endsWith(`.${expectedDomain}`)) };
+      });
+    }
+    case 'subject':
+    case 'body': {
+      const pattern = new RegExp(expected, 'i');
+      return check(`/${expected}/i`, email => {
+        const text = email[key] || '';
+        const match = pattern.exec(text);
+        return { actual: match ? match[0] : truncate(text), matched: !!match };
+      });
+    }
+    case 'labels':
+      // Rules name labels ('Clubs/Priority'); ids are accepted too
+      return check(list.join(', '), email => {
+        const names = email.labelNames || email.labelIds || [];
+        const present = [...names, ...(email.labelIds || [])].map(label => label.toLowerCase());
+        return {
+          actual: names.join(', '),
+          matched: list.every(label => present.includes(label.toLowerCase()))
+        };
+      });
+    case 'hasAttachments':
+      return check(expected, email => {
+        const count = (email.attachments || []).length;
+        return { actual: `${count} attachment(s)`, matched: (count > 0) === expected };
+      });
+    case 'attachmentName':
+    case 'attachmentType': {
+      const pattern = new RegExp(expected, 'i');
+      const field = key === 'attachmentName' ? 'filename' : 'mimeType';
+      return check(`/${expected}/i`, email => {
+        const values = (email.attachments || []).map(attachment => attachment[field]);
+        return { actual: values.join(', ') || '(none)', matched: values.some(value => pattern.test(value)) };
+      });
+    }
+    case 'inThread':
+      return check(expected, email => {
+        const inThread = isReply(email);
+        return { actual: inThread, matched: inThread === expected };
+      });
+    case 'any': {
+      const options = expected.map(compileCondition);
+      return email => {
+        const results = options.map(option => option(email));
+        return { condition: 'any', matched: results.some(result => result.matched), checks: results.flatMap(result => result.checks) };
+      };
+    }
+    case 'not': {
+      const inner = compileCondition(expected);
+      return email => {
+        const result = inner(email);
+        return { condition: 'not', matched: !result.matched, checks: result.checks };
+      };
+    }
+    default:
+      throw new Error(`Unknown condition '${key}'`);
+  }
+}
+
+/**
+ * Whether a message replies to an earlier one in its thread
+ */
+function isReply(email) {
+  return !!email.inReplyTo || (!!email.threadId && email.threadId !== email.id);
+}
+
+/**
+ * Bare lowercase address of "Name <address>" or "address"
+ */
+function senderAddress(value = '') {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+function recipientAddresses(email) {
+  return [email.to, email.cc]
+    .filter(Boolean)
+    .flatMap(value => value.split(','))
+    .map(senderAddress)
+    .filter(Boolean);
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.toLowerCase().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+function truncate(text, length = 60) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.substring(0, length)}...` : flat;
+}
+
+// Parsed rule sets by file path, reused until the file changes
+const cache = new Map();
+
+/**
+ * Load and validate a rules file, reusing the parsed rules until its mtime changes
+ *
+ * @throws {EmailRulesError} if the file is missing, not JSON or invalid
+ */
+function loadEmailRules(filePath) {
+  let mtimeMs;
+  try {
+    ({ mtimeMs } = fs.statSync(filePath));
+  } catch (error) {
+    throw new EmailRulesError(filePath, [`cannot read file: ${error.message}`]);
+  }
+
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.ruleSet;
+
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new EmailRulesError(filePath, [`invalid JSON: ${error.message}`]);
+  }
+
+  const ruleSet = new EmailRuleSet(definition, filePath);
+  cache.set(filePath, { mtimeMs, ruleSet });
+  return ruleSet;
+}
+
+module.exports = {
+  ACTION_TYPES,
+  THREAD_REPLY_RULE,
+  RULES_SCHEMA,
+  EmailRuleSet,
+  loadEmailRules,
+  senderAddress,
+  isReply
+};
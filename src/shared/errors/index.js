@@ -0,0 +1,258 @@
+/**
+ * Shared error types
+ *
+ * Errors carry a stable `code` so callers can branch on the kind of failure
+ * without matching on message text, and a `transient` flag for failures that
+ * are worth retrying.
+ */
+
+class AutomationError extends Error {
+  constructor(message, { code = 'AUTOMATION_ERROR', transient = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.transient = transient;
+  }
+}
+
+class AutomationTimeoutError extends AutomationError {
+  constructor(automationName, timeoutMs) {
+    super(`Automation '${automationName}' timed out after ${timeoutMs}ms`, { code: 'AUTOMATION_TIMEOUT' });
+    this.automation = automationName;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * An attempt was aborted (timed out or cancelled) but its execute() did not
+ * settle within the grace period. `execution` settles when it finally stops;
+ * the run keeps its lock until then, so nothing else runs the automation
+ * alongside it.
+ */
+class AutomationHungError extends AutomationError {
+  constructor(automationName, abortError, graceMs, execution) {
+    super(`Automation '${automationName}' did not stop within ${graceMs}ms of being aborted (${abortError.message})`, {
+      code: 'AUTOMATION_HUNG',
+      cause: abortError
+    });
+    this.automation = automationName;
+    this.graceMs = graceMs;
+    this.execution = execution;
+  }
+}
+
+class AutomationCancelledError extends AutomationError {
+  constructor(automationName, reason = 'Run was cancelled') {
+    super(`Automation '${automationName}' cancelled: ${reason}`, { code: 'AUTOMATION_CANCELLED' });
+    this.automation = automationName;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Failures talking to an MCP server. `transient` is set for connection
+ * problems and timeouts so the execution policy can retry them.
+ */
+class MCPError extends AutomationError {
+  constructor(message, { code = 'MCP_ERROR', transient = false, cause, server, tool } = {}) {
+    super(message, { code, transient, cause });
+    this.server = server;
+    this.tool = tool;
+  }
+}
+
+class MCPTransportError extends MCPError {
+  constructor(server, message, { cause } = {}) {
+    super(`MCP server '${server}' transport error: ${message}`, { code: 'MCP_TRANSPORT_ERROR', transient: true, cause, server });
+  }
+}
+
+class MCPTimeoutError extends MCPError {
+  constructor(server, method, timeoutMs) {
+    super(`MCP request '${method}' to '${server}' timed out after ${timeoutMs}ms`, { code: 'MCP_TIMEOUT', transient: true, server });
+    this.method = method;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * JSON-RPC error response from the server (invalid params, internal error, ...)
+ */
+class MCPProtocolError extends MCPError {
+  constructor(server, method, rpcError = {}) {
+    super(`MCP request '${method}' to '${server}' failed: ${rpcError.message || 'Unknown error'}`, {
+      code: 'MCP_PROTOCOL_ERROR',
+      // -32603 internal error and server-defined -32000..-32099 errors may succeed on retry
+      transient: rpcError.code === -32603 || (rpcError.code <= -32000 && rpcError.code >= -32099),
+      server
+    });
+    this.method = method;
+    this.rpcCode = rpcError.code;
+    this.data = rpcError.data;
+  }
+}
+
+class MCPToolNotFoundError extends MCPError {
+  constructor(server, tool, availableTools = []) {
+    super(`MCP server '${server}' has no tool '${tool}' (available: ${availableTools.join(', ') || 'none'})`, {
+      code: 'MCP_TOOL_NOT_FOUND',
+      server,
+      tool
+    });
+    this.availableTools = availableTools;
+  }
+}
+
+/**
+ * The tool ran but reported a failure (`isError: true` in its result)
+ */
+class MCPToolError extends MCPError {
+  constructor(server, tool, message, content = []) {
+    super(`MCP tool '${tool}' on '${server}' returned an error: ${message}`, { code: 'MCP_TOOL_ERROR', server, tool });
+    this.content = content;
+  }
+}
+
+/**
+ * Replay mode found no recorded interaction for a call
+ */
+class MCPCassetteMissError extends MCPError {
+  constructor(tool, action, key, cassettePath) {
+    super(`No cassette recording for ${tool}.${action} (key ${key}) in ${cassettePath}; re-record with MCP_CASSETTE_MODE=record`, {
+      code: 'MCP_CASSETTE_MISS',
+      server: tool,
+      tool: action
+    });
+    this.key = key;
+    this.cassettePath = cassettePath;
+  }
+}
+
+/**
+ * A direct SDK call (googleapis, @notionhq/client) failed. Transient when the
+ * underlying error is (network failure, 429, 5xx). fetch-based SDKs report
+ * network failures as `TypeError: fetch failed` with the real error as its cause.
+ */
+class DirectAPIError extends AutomationError {
+  constructor(service, action, cause) {
+    const networkCode = cause?.cause?.code;
+    super(`Direct ${service} API call '${action}' failed: ${cause?.message || 'Unknown error'}${networkCode ? ` (${networkCode})` : ''}`, {
+      code: 'DIRECT_API_ERROR',
+      transient: isTransientError(cause) || isTransientError(cause?.cause),
+      cause
+    });
+    this.service = service;
+    this.action = action;
+    this.status = cause?.status || cause?.response?.status || (typeof cause?.code === 'number' ? cause.code : undefined);
+  }
+}
+
+/**
+ * A service's circuit breaker is open after repeated failures; the call was
+ * not attempted. Transient, since the circuit closes again once the service
+ * recovers.
+ */
+class CircuitOpenError extends AutomationError {
+  constructor(service, retryAfterMs = 0, lastFailure) {
+    const retry = retryAfterMs > 0 ? `, next probe in ${Math.ceil(retryAfterMs / 1000)}s` : ', probe in progress';
+    super(`Circuit for ${service} is open${retry}${lastFailure ? ` (last failure: ${lastFailure})` : ''}`, {
+      code: 'CIRCUIT_OPEN',
+      transient: true
+    });
+    this.service = service;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * A tool returned data that does not fit the canonical type its adapter
+ * method promises (missing fields, wrong types)
+ */
+class MalformedResponseError extends AutomationError {
+  constructor(typeName, issues = [], { service, action, cause } = {}) {
+    const source = service ? ` from ${service}${action ? `.${action}` : ''}` : '';
+    const shown = issues.slice(0, 5).join('; ') + (issues.length > 5 ? `; ... ${issues.length - 5} more` : '');
+    super(`Malformed ${typeName}${source}: ${shown}`, { code: 'MALFORMED_RESPONSE', cause });
+    this.typeName = typeName;
+    this.issues = issues;
+    this.service = service;
+    this.action = action;
+  }
+}
+
+/**
+ * An automation module whose manifest is missing or invalid
+ */
+class ManifestValidationError extends AutomationError {
+  constructor(source, issues = []) {
+    super(`Invalid automation manifest in ${source}: ${issues.join('; ')}`, { code: 'INVALID_MANIFEST' });
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Run options that do not match the automation's options schema
+ */
+class AutomationOptionsError extends AutomationError {
+  constructor(automationId, issues = []) {
+    super(`Invalid options for automation '${automationId}': ${issues.join('; ')}`, { code: 'INVALID_OPTIONS' });
+    this.automation = automationId;
+    this.issues = issues;
+  }
+}
+
+/**
+ * An email routing rules file that is missing, unreadable or invalid
+ */
+class EmailRulesError extends AutomationError {
+  constructor(source, issues = []) {
+    super(`Invalid email routing rules in ${source}: ${issues.join('; ')}`, { code: 'INVALID_EMAIL_RULES' });
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+]);
+
+/**
+ * Whether an error is worth retrying: explicitly flagged as transient,
+ * a network-level failure, or an HTTP 408/429/5xx response
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (typeof error.transient === 'boolean') return error.transient;
+  if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+
+  const status = error.status || error.statusCode || error.response?.status || (typeof error.code === 'number' ? error.code : null);
+  return status === 408 || status === 429 || (status >= 500 && status < 600);
+}
+
+module.exports = {
+  AutomationError,
+  AutomationTimeoutError,
+  AutomationHungError,
+  AutomationCancelledError,
+  MCPError,
+  MCPTransportError,
+  MCPTimeoutError,
+  MCPProtocolError,
+  MCPToolNotFoundError,
+  MCPToolError,
+  MCPCassetteMissError,
+  DirectAPIError,
+  CircuitOpenError,
+  MalformedResponseError,
+  ManifestValidationError,
+  AutomationOptionsError,
+  EmailRulesError,
+  isTransientError
+};
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { collect, isPlaceholder } = require('./mcp-adapters');
+const { senderAddress } = require('../email-routing');
+
+/**
+ * Attachment Filing
+ *
+ * Copies email attachments to Google Drive, into a folder hierarchy under
+ * `config.gmail.attachments.driveFolderId` built from a path template:
+ *
+ *   {domain}          sender's domain          austinelitesoccer.com
+ *   {sender}          sender's address         coach@austinelitesoccer.com
+ *   {date}            day the email was sent   2026-03-14
+ *   {subject}         email subject            U16 roster update
+ *   {rule}            routing rule id          tasks
+ *
+ * `'{domain}/{date}'` files each sender's attachments by day; `'{subject}'`
+ * gives every task its own folder. Missing folders are created.
+ *
+ * An attachment is only filed when its size is within `maxBytes`, its
+ * extension or MIME type is in `allowedTypes`, and every scanner passes it.
+ * Scanners are `{ name, scan(content, attachment) }` where `scan` resolves to
+ * `{ clean, reason? }`; clamd is registered when `CLAMAV_HOST` is set, others
+ * with `registerScanner()`. A scanner that throws skips the attachment unless
+ * `scan.failOpen` is set.
+ *
+ * Filing is safe to retry: each filed file carries the Gmail message and
+ * attachment it came from in its `appProperties`, and an attachment already
+ * in the target folder under those is not filed again.
+ */
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Drive allows 124 bytes per app property, key and value together
+const MAX_PROPERTY_VALUE_LENGTH = 100;
+
+class AttachmentFiler {
+  /**
+   * @param {MCPGmailAdapter} gmail
+   * @param {MCPGoogleDriveAdapter} drive
+   * @param {Object} [options] - overrides for `config.gmail.attachments`
+   */
+  constructor(gmail, drive, options = {}) {
+    this.gmail = gmail;
+    this.drive = drive;
+    this.options = { ...config.gmail.attachments, ...options };
+    this.logger = logger.child({ service: 'attachment-filing' });
+    this.scanners = [];
+    // Drive folder id by folder path, e.g. 'austinelitesoccer.com/2026-03-14'
+    this.folderIds = new Map();
+
+    if (this.options.scan.clamavHost) {
+      this.registerScanner(createClamAVScanner({
+        host: this.options.scan.clamavHost,
+        port: this.options.scan.clamavPort,
+        timeoutMs: this.options.scan.timeoutMs
+      }));
+    }
+  }
+
+  /**
+   * @param {{name: string, scan: function(Buffer, Object): Promise<{clean: boolean, reason?: string}>}} scanner
+   */
+  registerScanner(scanner) {
+    this.scanners.push(scanner);
+  }
+
+  /**
+   * File an email's attachments to its Drive folder
+   *
+   * @param {Email} email
+   * @param {Object} [context]
+   * @param {string} [context.folderPath] - path template, defaults to `config.gmail.attachments.folderPath`
+   * @param {string} [context.rule] - id of the routing rule, for `{rule}`
+   * @returns {Promise<{folder: {id: string, path: string}|null, filed: Object[], skipped: Object[]}>}
+   *   filed as `{ filename, fileId, webViewLink, size }`, skipped as `{ filename, reason }`
+   */
+  async fileAttachments(email, { folderPath = this.options.folderPath, rule = '' } = {}) {
+    const filed = [];
+    const skipped = [];
+    let folder = null;
+    let existingFiles = null;
+
+    for (const attachment of email.attachments || []) {
+      const filename = attachment.filename || 'attachment';
+      const skip = reason => {
+        this.logger.warn(`Not filing attachment ${filename} from ${email.id}: ${reason}`);
+        skipped.push({ filename, reason });
+      };
+
+      const refused = this.checkAllowed(attachment);
+      if (refused) {
+        skip(refused);
+        continue;
+      }
+      if (!attachment.attachmentId) {
+        skip('attachment has no id to download it by');
+        continue;
+      }
+
+      const content = await this.gmail.getAttachment(email.id, attachment.attachmentId);
+      const bytes = Buffer.from(content.data, 'base64');
+      const tooLarge = this.checkAllowed({ ...attachment, size: bytes.length });
+      if (tooLarge) {
+        skip(tooLarge);
+        continue;
+      }
+
+      const infected = await this.scan(bytes, attachment);
+      if (infected) {
+        skip(infected);
+        continue;
+      }
+
+      if (!folder) {
+        folder = await this.ensureFolder(folderSegments(folderPath, email, rule));
+        existingFiles = folder.planned ? [] : await collect(this.drive.iterateFiles(
+          `'${folder.id}' in parents and trashed = false and appProperties has { key='gmailMessageId' and value='${email.id}' }`
+        ));
+      }
+
+      const source = sourceProperties(email.id, attachment.attachmentId);
+      const existing = existingFiles.find(file => file.appProperties?.gmailMessageId === source.gmailMessageId &&
+        file.appProperties?.gmailAttachmentId === source.gmailAttachmentId);
+      if (existing) {
+        this.logger.info(`Attachment ${filename} from ${email.id} is already in Drive folder ${folder.path}`);
+        filed.push({ filename, fileId: existing.id, webViewLink: existing.webViewLink, size: bytes.length });
+        continue;
+      }
+
+      const file = await this.drive.createFile(filename, content.data, attachment.mimeType, [folder.id], {
+        contentEncoding: 'base64',
+        appProperties: source
+      });
+      filed.push({ filename, fileId: file.id, webViewLink: file.webViewLink || null, size: bytes.length });
+      this.logger.info(`Filed attachment ${filename} from ${email.id} to Drive folder ${folder.path}`);
+    }
+
+    return { folder, filed, skipped };
+  }
+
+  /**
+   * Why an attachment may not be filed under the size and type allowlists,
+   * or null when it may
+   */
+  checkAllowed({ filename = '', mimeType = '', size }) {
+    const { maxBytes, allowedTypes } = this.options;
+    if (size && size > maxBytes) {
+      return `${size} bytes is over the ${maxBytes} byte limit`;
+    }
+
+    const extension = path.extname(filename).toLowerCase();
+    const type = mimeType.toLowerCase();
+    const allowed = allowedTypes.some(pattern => {
+      if (pattern.startsWith('.')) return extension === pattern;
+      if (pattern.endsWith('/*')) return type.startsWith(pattern.slice(0, -1));
+      return type === pattern;
+    });
+    return allowed ? null : `type ${extension || type || 'unknown'} is not allowed`;
+  }
+
+  /**
+   * Run the content past every scanner
+   *
+   * @returns {Promise<string|null>} why the attachment was refused, or null when it is clean
+   */
+  async scan(content, attachment) {
+    for (const scanner of this.scanners) {
+      let verdict;
+      try {
+        verdict = await scanner.scan(content, attachment);
+      } catch (error) {
+        if (this.options.scan.failOpen) {
+          this.logger.warn(`Scanner ${scanner.name} failed on ${attachment.filename}, filing it unscanned: ${error.message}`);
+          continue;
+        }
+        return `scanner ${scanner.name} failed: ${error.message}`;
+      }
+      if (!verdict?.clean) return `rejected by ${scanner.name}: ${verdict?.reason || 'not clean'}`;
+    }
+    return null;
+  }
+
+  /**
+   * Find or create each folder of a path under the root folder
+   *
+   * @param {string[]} segments - folder names, outermost first
+   * @returns {Promise<{id: string, path: string, planned: boolean}>} planned when a dry run only planned to create it
+   */
+  async ensureFolder(segments) {
+    let parentId = this.options.driveFolderId;
+    let planned = false;
+
+    for (let depth = 1; depth <= segments.length; depth++) {
+      const folderPath = segments.slice(0, depth).join('/');
+      const name = segments[depth - 1];
+
+      if (this.folderIds.has(folderPath)) {
+        parentId = this.folderIds.get(folderPath);
+        continue;
+      }
+
+      // Nothing exists yet inside a folder a dry run only planned to create
+      const existing = planned ? null : await this.findFolder(name, parentId);
+      if (existing) {
+        parentId = existing.id;
+        this.folderIds.set(folderPath, parentId);
+        continue;
+      }
+
+      const created = await this.drive.createFile(name, '', FOLDER_MIME_TYPE, [parentId]);
+      parentId = created.id;
+      // A dry run's placeholder id must not be reused by later real calls
+      if (isPlaceholder(created)) {
+        planned = true;
+      } else {
+        this.folderIds.set(folderPath, parentId);
+      }
+    }
+
+    return { id: parentId, path: segments.join('/'), planned };
+  }
+
+  /**
+   * Folder named `name` directly inside `parentId`. Names are compared here
+   * rather than in the query so they need no escaping.
+   */
+  async findFolder(name, parentId) {
+    const folders = await collect(this.drive.iterateFiles(
+      `'${parentId}' in parents and mimeType = '${FOLDER_MIME_TYPE}' and trashed = false`
+    ));
+    return folders.find(folder => folder.name === name) || null;
+  }
+}
+
+/**
+ * App properties recording which Gmail attachment a Drive file was filed
+ * from. Gmail attachment ids can be longer than a property value may be, so
+ * long ones are stored as their SHA-256.
+ */
+function sourceProperties(messageId, attachmentId) {
+  return {
+    gmailMessageId: messageId,
+    gmailAttachmentId: attachmentId.length > MAX_PROPERTY_VALUE_LENGTH
+      ? crypto.createHash('sha256').update(attachmentId).digest('hex')
+      : attachmentId
+  };
+}
+
+/**
+ * Folder names for an email from a path template. Values are substituted per
+ * segment, so a subject containing '/' does not add a level.
+ */
+function folderSegments(template, email, rule = '') {
+  const sender = senderAddress(email.from);
+  const values = {
+    domain: sender.split('@')[1] || 'unknown-sender',
+    sender: sender || 'unknown-sender',
+    date: (email.date || new Date().toISOString()).slice(0, 10),
+    subject: email.subject || '(no subject)',
+    rule: rule || 'unrouted'
+  };
+
+  return template.split('/')
+    .map(segment => segment.replace(/\{(\w+)\}/g, (placeholder, key) => key in values ? values[key] : placeholder))
+    .map(segment => segment.replace(/[/\\]/g, '-').replace(/\s+/g, ' ').trim().slice(0, 100))
+    .filter(Boolean);
+}
+
+/**
+ * Scanner that streams content to clamd with INSTREAM
+ *
+ * @param {{host: string, port: number, timeoutMs: number}} options
+ */
+function createClamAVScanner({ host, port = 3310, timeoutMs = 30000 }) {
+  return {
+    name: 'clamav',
+    scan(content) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let reply = '';
+
+        socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`clamd at ${host}:${port} timed out after ${timeoutMs}ms`)));
+        socket.on('error', reject);
+        socket.on('data', chunk => { reply += chunk.toString('utf8'); });
+        socket.on('end', () => {
+          // "stream: OK", "stream: Eicar-Signature FOUND" or "... ERROR"
+          const result = reply.replace(/\0/g, '').trim();
+          if (/\bOK$/.test(result)) return resolve({ clean: true });
+          const found = /^stream: (.+) FOUND$/.exec(result);
+          if (found) return resolve({ clean: false, reason: found[1] });
+          reject(new Error(`unexpected clamd reply: ${result || '(none)'}`));
+        });
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          // Chunks of at most 64KB, each prefixed with its length; a zero length ends the stream
+          for (let offset = 0; offset < content.length; offset += 65536) {
+            const chunk = content.subarray(offset, offset + 65536);
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            socket.write(Buffer.concat([length, chunk]));
+          }
+          socket.end(Buffer.alloc(4));
+        });
+      });
+    }
+  };
+}
+
+module.exports = {
+  AttachmentFiler,
+  createClamAVScanner,
+  folderSegments
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MCPError, MCPCassetteMissError } = require('../../errors');
+const { redact } = require('./redact');
+
+/**
+ * Cassette
+ *
+ * Recorded request/response pairs for one adapter, stored as
+ * `<cassetteDir>/<tool>.json`. Interactions are keyed by a hash of the
+ * action and its redacted, normalized params; repeated identical calls keep
+ * every response in order so stateful sequences (search, mark read, search
+ * again) replay faithfully. Once a key's responses run out, the last one is
+ * served again.
+ *
+ * Normalization sorts object keys and replaces values that change from run
+ * to run (timestamps, dates, Unix seconds, UUIDs) with fixed tokens, so a
+ * cassette recorded yesterday still matches the calls made today.
+ */
+
+const VOLATILE_PATTERNS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<datetime>'],
+  [/\b\d{1,2}\/\d{1,2}\/\d{4},?\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?/gi, '<datetime>'],
+  [/\b\d{4}[-_]\d{2}[-_]\d{2}\b/g, '<date>'],
+  [/\b\d{1,2}\/\d{1,2}\/\d{4}\b/g, '<date>']
+];
+
+// Unix seconds between 2001 and 2286
+const UNIX_SECONDS = { min: 1e9, max: 1e10 };
+
+function normalize(value) {
+  if (typeof value === 'string') {
+    return VOLATILE_PATTERNS.reduce((text, [pattern, token]) => text.replace(pattern, token), value);
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= UNIX_SECONDS.min && value < UNIX_SECONDS.max ? '<unix>' : value;
+  }
+  if (Array.isArray(value)) return value.map(normalize);
+  if (value && typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      normalized[key] = normalize(value[key]);
+    }
+    return normalized;
+  }
+  return value;
+}
+
+class Cassette {
+  /**
+   * @param {string} tool - adapter tool name
+   * @param {string} file - cassette file path
+   * @param {'record'|'replay'} mode
+   */
+  constructor(tool, file, mode) {
+    this.tool = tool;
+    this.file = file;
+    this.mode = mode;
+    this.interactions = {};
+    this.replayCounts = new Map();
+    this.rerecorded = new Set();
+    this.load();
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.interactions = stored.interactions || {};
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const payload = {
+      tool: this.tool,
+      updatedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+    fs.writeFileSync(this.file, JSON.stringify(payload, null, 2) + '\n');
+  }
+
+  /**
+   * Cassette key for a call: sha256 of action + normalized, redacted params
+   */
+  keyFor(action, params) {
+    const material = JSON.stringify({ action, params: normalize(redact(params)) });
+    return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Store the outcome of a live call. The first time a key is recorded in a
+   * process its previous responses are dropped, so re-recording refreshes
+   * stale data while keys not exercised this time are kept.
+   *
+   * @param {Object} outcome - `{ result }` or `{ error }`
+   */
+  record(action, params, { result, error }) {
+    const key = this.keyFor(action, params);
+    if (!this.rerecorded.has(key) || !this.interactions[key]) {
+      this.rerecorded.add(key);
+      this.interactions[key] = { action, params: redact(params), responses: [] };
+    }
+
+    this.interactions[key].responses.push(error
+      ? { error: { name: error.name, message: redact(error.message), code: error.code, transient: !!error.transient } }
+      : { result: redact(result === undefined ? null : result) });
+    this.save();
+  }
+
+  /**
+   * Serve the next recorded response for a call, throwing if none was recorded
+   */
+  replay(action, params) {
+    const key = this.keyFor(action, params);
+    const interaction = this.interactions[key];
+    if (!interaction || interaction.responses.length === 0) {
+      throw new MCPCassetteMissError(this.tool, action, key, this.file);
+    }
+
+    const count = this.replayCounts.get(key) || 0;
+    this.replayCounts.set(key, count + 1);
+    const response = interaction.responses[Math.min(count, interaction.responses.length - 1)];
+
+    if (response.error) {
+      const { message, code, transient } = response.error;
+      throw new MCPError(message, { code, transient, server: this.tool, tool: action });
+    }
+    return structuredClone(response.result);
+  }
+
+  getStatus() {
+    return {
+      tool: this.tool,
+      mode: this.mode,
+      file: this.file,
+      interactions: Object.keys(this.interactions).length
+    };
+  }
+}
+
+module.exports = Cassette;
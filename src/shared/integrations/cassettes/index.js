@@ -0,0 +1,70 @@
+const path = require('path');
+const logger = require('../../logging/logger');
+const { config } = require('../../config');
+const Cassette = require('./cassette');
+
+/**
+ * MCP Cassettes
+ *
+ * Record-and-replay for adapter traffic, selected with MCP_CASSETTE_MODE:
+ *
+ *   off     calls go to the MCP server / fake backend as usual (default)
+ *   record  calls go through as usual and each request/response pair is
+ *           written, redacted, to `<dir>/<name>/<tool>.json`
+ *   replay  calls are served from the cassette only; an unrecorded call
+ *           throws MCPCassetteMissError instead of reaching any backend
+ */
+
+const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+const cassettes = new Map();
+
+function resolveMode() {
+  const mode = config.mcp.cassettes.mode;
+  if (CASSETTE_MODES.includes(mode)) return mode;
+
+  logger.warn(`Unknown MCP cassette mode '${mode}', cassettes disabled`);
+  return 'off';
+}
+
+function getCassetteDir() {
+  const { dir, name } = config.mcp.cassettes;
+  return path.resolve(config.storage.dataDir, dir, name);
+}
+
+/**
+ * Cassette for an adapter tool name, or null when cassettes are off
+ */
+function getCassette(toolName) {
+  const mode = resolveMode();
+  if (mode === 'off') return null;
+
+  if (!cassettes.has(toolName)) {
+    const file = path.join(getCassetteDir(), `${toolName}.json`);
+    logger.info(`Using ${mode} cassette for ${toolName}: ${file}`);
+    cassettes.set(toolName, new Cassette(toolName, file, mode));
+  }
+  return cassettes.get(toolName);
+}
+
+function getCassetteStatus() {
+  return {
+    mode: resolveMode(),
+    dir: getCassetteDir(),
+    cassettes: Array.from(cassettes.values()).map(cassette => cassette.getStatus())
+  };
+}
+
+/**
+ * Forget loaded cassettes so the next call reloads them from disk
+ */
+function resetCassettes() {
+  cassettes.clear();
+}
+
+module.exports = {
+  CASSETTE_MODES,
+  getCassette,
+  getCassetteStatus,
+  resetCassettes
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+/**
+ * Cassette redaction
+ *
+ * Strips secrets and PII from recorded params and responses before they are
+ * written to disk. Redaction is deterministic and idempotent: the same email
+ * always maps to the same pseudonym, and pseudonyms pass through unchanged,
+ * so calls built from replayed data hash to the same cassette keys.
+ */
+
+const REDACTED = '[REDACTED]';
+const PSEUDONYM_DOMAIN = 'redacted.invalid';
+
+const SECRET_KEY = /token|secret|password|passwd|api[-_]?key|authorization|cookie|credential|private[-_]?key|signature/i;
+// Pagination cursors look like tokens but must survive so pages stay distinct
+const CURSOR_KEY = /page_?token|cursor/i;
+
+const SECRET_VALUES = [
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+  /\b[spr]k_(?:live|test)_[A-Za-z0-9]+/g,
+  /\bgh[pousr]_[A-Za-z0-9]{20,}/g,
+  /\bxox[abpr]-[A-Za-z0-9-]+/g,
+  /\b(?:secret|ntn)_[A-Za-z0-9]{20,}/g,
+  /\bya29\.[\w-]+/g
+];
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const PHONE = /(?:\+\d{1,3}[\s.-]?)?\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g;
+
+function pseudonymizeEmail(email) {
+  if (email.toLowerCase().endsWith(`@${PSEUDONYM_DOMAIN}`)) return email;
+  const digest = crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 10);
+  return `user-${digest}@${PSEUDONYM_DOMAIN}`;
+}
+
+function isSecretKey(key) {
+  return SECRET_KEY.test(key) && !CURSOR_KEY.test(key);
+}
+
+function redactString(value) {
+  let redacted = value;
+  for (const pattern of SECRET_VALUES) {
+    redacted = redacted.replace(pattern, REDACTED);
+  }
+  return redacted
+    .replace(EMAIL, pseudonymizeEmail)
+    .replace(PHONE, '[REDACTED_PHONE]');
+}
+
+/**
+ * Deep copy of `value` with secret-named fields blanked, and tokens, emails
+ * and phone numbers inside strings replaced
+ */
+function redact(value) {
+  if (typeof value === 'string') return redactString(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') {
+    const redacted = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined || typeof item === 'function') continue;
+      redacted[key] = isSecretKey(key) && item !== null ? REDACTED : redact(item);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+module.exports = {
+  REDACTED,
+  redact,
+  pseudonymizeEmail
+};
@@ -1,5 +1,6 @@
 const logger = require('../logging/logger');
 const { config } = require('../config');
+const auditLedger = require('../storage/audit-ledger');
 
 /**
  * Cursor-Slack Bridge Integration
@@ -79,6 +80,7 @@ class CursorSlackBridge {
     const statusEmoji = {
       'started': '🚀',
       'completed': '✅',
+      'skipped': '⏭️',
       'failed': '❌',
       'warning': '⚠️'
     };
@@ -355,6 +357,7 @@ class CursorSlackBridge {
     const colors = {
       'started': '#2196F3',
       'completed': '#4CAF50',
+      'skipped': '#9E9E9E',
       'failed': '#F44336',
       'warning': '#FF9800'
     };
@@ -373,10 +376,12 @@ class CursorSlackBridge {
     try {
       // In a real implementation, this would make an HTTP request to Cursor's webhook
       // For now, we'll simulate the request
-      this.logger.info('Sending message to Slack via Cursor webhook:', JSON.stringify(message, null, 2));
-      
-      // Simulate successful webhook call
-      return { success: true, timestamp: new Date().toISOString() };
+      return await auditLedger.track('slack', 'postMessage', message, async () => {
+        this.logger.info('Sending message to Slack via Cursor webhook:', JSON.stringify(message, null, 2));
+        
+        // Simulate successful webhook call
+        return { success: true, timestamp: new Date().toISOString() };
+      }, { target: message.channel || this.slackChannel, summary: message.text });
     } catch (error) {
       this.logger.error('Failed to send message to Slack via Cursor webhook:', error);
       throw error;
@@ -1,5 +1,19 @@
 const CursorSlackBridge = require('./cursor-slack-bridge');
 const logger = require('../logging/logger');
+const auditLedger = require('../storage/audit-ledger');
+
+// Short names accepted for the built-in automations; full automation ids also work
+const AUTOMATION_ALIASES = {
+  'sports-prospector': 'sports-club-prospector',
+  'email-processor': 'mcp-email-processor',
+  'revenue-tracker': 'mcp-revenue-tracker',
+  'bd-dashboard': 'bd-dashboard-reporter'
+};
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Run statuses counted as failures in run summaries
+const FAILED_STATUSES = ['failed', 'timeout', 'hung', 'interrupted'];
 
 /**
  * Cursor-Slack Command Interface
@@ -29,6 +43,14 @@ class CursorSlackCommands {
           return await this.handleProspectsCommand(args, user);
         case 'metrics':
           return await this.handleMetricsCommand(user);
+        case 'audit':
+          return await this.handleAuditCommand(args, user);
+        case 'pause':
+          return await this.handlePauseCommand(args, user);
+        case 'resume':
+          return await this.handleResumeCommand(args, user);
+        case 'schedule':
+          return await this.handleScheduleCommand(args, user);
         case 'help':
           return await this.handleHelpCommand(user);
         default:
@@ -104,18 +126,9 @@ class CursorSlackCommands {
     }
 
     const automationName = args[0];
-    const validAutomations = {
-      'sports-prospector': 'sports-club-prospector',
-      'email-processor': 'mcp-email-processor',
-      'revenue-tracker': 'mcp-revenue-tracker',
-      'bd-dashboard': 'bd-dashboard-reporter'
-    };
-
-    if (!validAutomations[automationName]) {
-      return {
-        response_type: 'ephemeral',
-        text: `❌ Unknown automation: ${automationName}. Available: ${Object.keys(validAutomations).join(', ')}`
-      };
+    const automationId = this.resolveAutomation(automationName);
+    if (!automationId) {
+      return this.unknownAutomationResponse(automationName);
     }
 
     // Send immediate response
@@ -131,7 +144,7 @@ class CursorSlackCommands {
     };
 
     // Run automation asynchronously
-    this.runAutomationAsync(validAutomations[automationName], user);
+    this.runAutomationAsync(automationId, user);
 
     return response;
   }
@@ -198,8 +211,11 @@ class CursorSlackCommands {
    */
   async handleMetricsCommand(user) {
     const metrics = await this.getBDMetrics();
+    const runSummary = this.orchestrator.getRunSummary({
+      since: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+    });
 
-    return {
+    const response = {
       response_type: 'in_channel',
       text: `📈 *BD Performance Metrics*`,
       attachments: [{
@@ -254,6 +270,178 @@ class CursorSlackCommands {
         ts: Math.floor(Date.now() / 1000)
       }]
     };
+
+    // Add automation run history from the persisted store
+    const runEntries = Object.values(runSummary);
+    if (runEntries.length > 0) {
+      response.attachments.push({
+        color: '#9C27B0',
+        title: 'Automation Runs (7d)',
+        text: runEntries.map(entry => {
+          const failed = FAILED_STATUSES.reduce((count, status) => count + (entry.statusCounts[status] || 0), 0);
+          const lastRun = entry.lastRun ? ` • last ${entry.lastRun.status} ${new Date(entry.lastRun.startedAt).toLocaleString()}` : '';
+          return `• *${entry.name}* - ${entry.totalRuns} runs, ${entry.successRate}% success, ${failed} failed${lastRun}`;
+        }).join('\n')
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Handle: /bd-automation audit <club>
+   */
+  async handleAuditCommand(args, user) {
+    const search = (args || []).join(' ').trim();
+    if (!search) {
+      return {
+        response_type: 'ephemeral',
+        text: `❌ Please specify a club, email or other target to search for, e.g. \`/bd-automation audit Austin FC\``
+      };
+    }
+
+    const entries = this.orchestrator.getAuditLog({ search, limit: 20 });
+    const integrity = auditLedger.verify();
+
+    const lines = entries.map(entry => {
+      const when = new Date(entry.recordedAt).toLocaleString();
+      const summary = entry.summary ? ` - ${entry.summary}` : '';
+      const origin = entry.runId ? `${entry.automation}, run \`${entry.runId.slice(0, 8)}\`` : 'outside a run';
+      const outcome = entry.status === 'failed' ? ` ❌ ${entry.error}` : '';
+      return `• ${when} *${entry.service}.${entry.action}* → ${entry.target || 'n/a'}${summary} (${origin})${outcome}`;
+    });
+
+    return {
+      response_type: 'ephemeral',
+      text: `🧾 *Audit trail for "${search}"* - ${entries.length === 20 ? 'latest 20' : entries.length} write(s)`,
+      attachments: [{
+        color: integrity.valid ? '#607D8B' : '#F44336',
+        text: lines.length > 0 ? lines.join('\n') : 'No recorded writes match this search.',
+        footer: integrity.valid
+          ? `Ledger: ${integrity.entries} entries, hash chain verified • Requested by ${user.name}`
+          : `⚠️ Ledger hash chain broken at entry ${integrity.brokenAt}: ${integrity.reason}`,
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+
+  /**
+   * Handle: /bd-automation pause <automation> [for <duration>] [reason]
+   */
+  async handlePauseCommand(args, user) {
+    const [automationName, ...rest] = args || [];
+    const automationId = this.resolveAutomation(automationName);
+    if (!automationId) {
+      return this.unknownAutomationResponse(automationName, 'pause');
+    }
+
+    let until = null;
+    if (rest[0] === 'for') {
+      const duration = parseDuration(rest[1]);
+      if (!duration) {
+        return {
+          response_type: 'ephemeral',
+          text: `❌ Invalid duration: ${rest[1] || '(none)'}. Use e.g. \`30m\`, \`4h\` or \`2d\`.`
+        };
+      }
+      until = new Date(Date.now() + duration);
+      rest.splice(0, 2);
+    }
+
+    const state = this.orchestrator.pauseAutomation(automationId, {
+      until,
+      reason: rest.join(' ') || null,
+      by: user.name
+    });
+
+    return {
+      response_type: 'in_channel',
+      text: `⏸️ <@${user.id}> paused *${automationName}*${state.pausedUntil ? ` until ${new Date(state.pausedUntil).toLocaleString()}` : ''}`,
+      attachments: [{
+        color: '#FF9800',
+        text: `Scheduled runs are skipped${state.pauseReason ? ` (${state.pauseReason})` : ''}; manual runs still work. Use \`/bd-automation resume ${automationName}\` to resume.`,
+        footer: 'GMTM BD Automation',
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+
+  /**
+   * Handle: /bd-automation resume <automation>
+   */
+  async handleResumeCommand(args, user) {
+    const automationName = args?.[0];
+    const automationId = this.resolveAutomation(automationName);
+    if (!automationId) {
+      return this.unknownAutomationResponse(automationName, 'resume');
+    }
+
+    const state = this.orchestrator.resumeAutomation(automationId, { by: user.name });
+
+    return {
+      response_type: 'in_channel',
+      text: `▶️ <@${user.id}> resumed *${automationName}*`,
+      attachments: [{
+        color: '#4CAF50',
+        text: state.schedule ? `Next runs follow \`${state.schedule}\`.` : 'This automation has no schedule and only runs manually.',
+        footer: 'GMTM BD Automation',
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+
+  /**
+   * Handle: /bd-automation schedule <automation> [<cron expression>|default]
+   */
+  async handleScheduleCommand(args, user) {
+    const [automationName, ...rest] = args || [];
+    const automationId = this.resolveAutomation(automationName);
+    if (!automationId) {
+      return this.unknownAutomationResponse(automationName, 'schedule');
+    }
+
+    const expression = rest.join(' ').replace(/^["'`]|["'`]$/g, '').trim();
+    if (!expression) {
+      const state = this.orchestrator.getAutomationState(automationId);
+      return {
+        response_type: 'ephemeral',
+        text: `🗓️ *${automationName}* runs on \`${state.schedule || 'manual only'}\`${state.scheduleOverridden ? ` (overridden by ${state.updatedBy}; default \`${state.defaultSchedule || 'manual only'}\`)` : ''}${state.paused ? ' - currently paused' : ''}`
+      };
+    }
+
+    const state = this.orchestrator.setAutomationSchedule(
+      automationId,
+      expression === 'default' ? null : expression,
+      { by: user.name }
+    );
+
+    return {
+      response_type: 'in_channel',
+      text: `🗓️ <@${user.id}> ${expression === 'default' ? 'restored the default schedule of' : 'rescheduled'} *${automationName}*: \`${state.schedule || 'manual only'}\``,
+      attachments: [{
+        color: '#2196F3',
+        text: 'The new schedule is active now, no redeploy needed.',
+        footer: 'GMTM BD Automation',
+        ts: Math.floor(Date.now() / 1000)
+      }]
+    };
+  }
+
+  /**
+   * Automation id for a short name or id, or null if there is no such automation
+   */
+  resolveAutomation(name) {
+    const automationId = AUTOMATION_ALIASES[name] || name;
+    return automationId && this.orchestrator.automations.has(automationId) ? automationId : null;
+  }
+
+  unknownAutomationResponse(name, command = 'run') {
+    return {
+      response_type: 'ephemeral',
+      text: name
+        ? `❌ Unknown automation: ${name}. Available: ${Object.keys(AUTOMATION_ALIASES).join(', ')}`
+        : `❌ Please specify an automation, e.g. \`/bd-automation ${command} email-processor\``
+    };
   }
 
   /**
@@ -286,6 +474,26 @@ class CursorSlackCommands {
             value: 'Show BD performance metrics and KPIs',
             short: false
           },
+          {
+            title: '/bd-automation audit <club>',
+            value: 'Show every email, CRM record, event, issue and Slack post recorded for a club',
+            short: false
+          },
+          {
+            title: '/bd-automation pause <automation> [for <duration>] [reason]',
+            value: 'Skip scheduled runs of an automation, e.g. `pause email-processor for 4h inbox migration`',
+            short: false
+          },
+          {
+            title: '/bd-automation resume <automation>',
+            value: 'Resume scheduled runs of a paused automation',
+            short: false
+          },
+          {
+            title: '/bd-automation schedule <automation> [cron|default]',
+            value: 'Show or change when an automation runs, e.g. `schedule revenue-tracker 0 7 * * *`',
+            short: false
+          },
           {
             title: '/bd-automation help',
             value: 'Show this help message',
@@ -318,7 +526,19 @@ class CursorSlackCommands {
       });
 
       // Run the automation
-      const result = await this.orchestrator.runAutomation(automationName);
+      const result = await this.orchestrator.runAutomation(automationName, {
+        trigger: 'slack',
+        triggeredBy: user.name
+      });
+
+      // Paused, disabled, in a maintenance window or already running: say so, not that it completed
+      if (result.skipped) {
+        await this.bridge.sendAutomationUpdate(automationName, 'skipped', {
+          summary: result.summary,
+          triggeredBy: user.name
+        });
+        return;
+      }
 
       // Send completion notification
       await this.bridge.sendAutomationUpdate(automationName, 'completed', {
@@ -490,4 +710,12 @@ class CursorSlackCommands {
   }
 }
 
+/**
+ * Milliseconds in a duration such as '30m', '4h' or '2d', or null if it is not one
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhd])$/.exec(value || '');
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
 module.exports = CursorSlackCommands;
\ No newline at end of file
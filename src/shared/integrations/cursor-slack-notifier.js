@@ -1,4 +1,6 @@
 const logger = require('../logging/logger');
+const { captureSideEffect } = require('../runtime/side-effect-plan');
+const auditLedger = require('../storage/audit-ledger');
 
 /**
  * Cursor-Slack Notifier
@@ -18,8 +20,14 @@ class CursorSlackNotifier {
       // Format message for Cursor
       const cursorMessage = this.formatForCursor(message);
       
+      if (captureSideEffect('slack', 'postMessage', { channel: this.channel, text: cursorMessage })) {
+        return true;
+      }
+      
       // Log the message (Cursor will pick this up)
-      console.log(`@Cursor post to ${this.channel}: ${cursorMessage}`);
+      await auditLedger.track('slack', 'postMessage', { channel: this.channel, text: cursorMessage }, async () => {
+        console.log(`@Cursor post to ${this.channel}: ${cursorMessage}`);
+      }, { target: this.channel, summary: cursorMessage.split('\n')[0] });
       
       this.logger.info(`Sent notification via Cursor-Slack: ${message.type}`);
       return true;
@@ -0,0 +1,46 @@
+const DirectBackend = require('./direct-backend');
+const { createGoogleAuth } = require('./google-auth');
+
+/**
+ * Direct Google Calendar
+ *
+ * Calendar API v3 via googleapis. Recurring events are expanded into single
+ * instances so `getEvents` matches what the MCP tool and fake return.
+ */
+class GoogleCalendarDirectBackend extends DirectBackend {
+  constructor(credentials) {
+    super('google-calendar', ['getEvents', 'createEvent', 'updateEvent', 'deleteEvent']);
+    const { google } = require('googleapis');
+    this.calendar = google.calendar({ version: 'v3', auth: createGoogleAuth(credentials) });
+  }
+
+  async getEvents({ calendarId = 'primary', timeMin, timeMax, maxResults = 250, pageToken }) {
+    const { data } = await this.calendar.events.list({
+      calendarId,
+      timeMin,
+      timeMax,
+      maxResults,
+      pageToken,
+      singleEvents: true,
+      orderBy: 'startTime'
+    });
+    return { kind: data.kind, items: data.items || [], nextPageToken: data.nextPageToken || null };
+  }
+
+  async createEvent({ calendarId = 'primary', event = {} }) {
+    const { data } = await this.calendar.events.insert({ calendarId, requestBody: event });
+    return data;
+  }
+
+  async updateEvent({ calendarId = 'primary', eventId, event = {} }) {
+    const { data } = await this.calendar.events.patch({ calendarId, eventId, requestBody: event });
+    return data;
+  }
+
+  async deleteEvent({ calendarId = 'primary', eventId }) {
+    await this.calendar.events.delete({ calendarId, eventId });
+    return { deleted: true, id: eventId };
+  }
+}
+
+module.exports = GoogleCalendarDirectBackend;
@@ -0,0 +1,40 @@
+const logger = require('../../logging/logger');
+const { AutomationError, DirectAPIError } = require('../../errors');
+
+/**
+ * Direct Backend
+ *
+ * Base class for adapters' direct-API implementations, used instead of an
+ * MCP server when the adapter's backend policy allows it. Subclasses
+ * implement one method per adapter action and return the same envelopes as
+ * the MCP tools and fakes, so adapters unwrap them the same way. SDK
+ * failures are wrapped in DirectAPIError so the retry policy can classify them.
+ */
+class DirectBackend {
+  /**
+   * @param {string} service - adapter tool name, e.g. 'gmail'
+   * @param {string[]} actions - adapter actions this backend implements
+   */
+  constructor(service, actions) {
+    this.service = service;
+    this.actions = new Set(actions);
+    this.logger = logger.child({ service: `direct-${service}` });
+  }
+
+  async execute(action, params = {}) {
+    if (!this.actions.has(action)) {
+      throw new AutomationError(`Direct ${this.service} backend does not implement '${action}'`, {
+        code: 'DIRECT_ACTION_UNSUPPORTED'
+      });
+    }
+
+    this.logger.debug(`Direct ${this.service}.${action}`);
+    try {
+      return await this[action](params);
+    } catch (error) {
+      throw new DirectAPIError(this.service, action, error);
+    }
+  }
+}
+
+module.exports = DirectBackend;
@@ -0,0 +1,139 @@
+const DirectBackend = require('./direct-backend');
+const { createGoogleAuth } = require('./google-auth');
+const { extractBody, extractAttachments } = require('../../types/email');
+
+/**
+ * Direct Gmail
+ *
+ * Gmail API via googleapis. Messages are flattened to the adapter shape
+ * (`{ id, threadId, from, to, subject, body, date, labelIds, snippet }`);
+ * search results carry headers and snippet but no body.
+ */
+
+const SUMMARY_HEADERS = ['From', 'To', 'Subject', 'Date'];
+
+class GmailDirectBackend extends DirectBackend {
+  constructor(credentials) {
+    super('gmail', ['search', 'get', 'send', 'markRead', 'getAttachment', 'listLabels', 'createLabel', 'modifyLabels', 'trash']);
+    const { google } = require('googleapis');
+    this.gmail = google.gmail({ version: 'v1', auth: createGoogleAuth(credentials) });
+  }
+
+  async search({ query = '', maxResults = 10, pageToken }) {
+    const { data } = await this.gmail.users.messages.list({ userId: 'me', q: query, maxResults, pageToken });
+
+    const messages = await Promise.all((data.messages || []).map(async ({ id }) => {
+      const { data: message } = await this.gmail.users.messages.get({
+        userId: 'me',
+        id,
+        format: 'metadata',
+        metadataHeaders: SUMMARY_HEADERS
+      });
+      const { body, ...summary } = flattenMessage(message);
+      return summary;
+    }));
+
+    return {
+      messages,
+      resultSizeEstimate: data.resultSizeEstimate || 0,
+      nextPageToken: data.nextPageToken || null
+    };
+  }
+
+  async get({ messageId }) {
+    const { data } = await this.gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+    return flattenMessage(data);
+  }
+
+  async send({ to, subject, body, threadId, cc, bcc, html = false, inReplyTo }) {
+    const headers = [
+      `To: ${Array.isArray(to) ? to.join(', ') : to}`,
+      cc && `Cc: ${Array.isArray(cc) ? cc.join(', ') : cc}`,
+      bcc && `Bcc: ${Array.isArray(bcc) ? bcc.join(', ') : bcc}`,
+      `Subject: ${encodeHeader(subject || '')}`,
+      inReplyTo && `In-Reply-To: ${inReplyTo}`,
+      inReplyTo && `References: ${inReplyTo}`,
+      'MIME-Version: 1.0',
+      `Content-Type: text/${html ? 'html' : 'plain'}; charset="UTF-8"`,
+      'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+
+    const mime = `${headers.join('\r\n')}\r\n\r\n${Buffer.from(body || '', 'utf8').toString('base64')}`;
+    const { data } = await this.gmail.users.messages.send({
+      userId: 'me',
+      requestBody: { raw: Buffer.from(mime, 'utf8').toString('base64url'), threadId }
+    });
+    return { id: data.id, threadId: data.threadId, labelIds: data.labelIds || [] };
+  }
+
+  async markRead({ messageId }) {
+    const { data } = await this.gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { removeLabelIds: ['UNREAD'] }
+    });
+    return { id: data.id, threadId: data.threadId, labelIds: data.labelIds || [] };
+  }
+
+  async getAttachment({ messageId, attachmentId }) {
+    const { data } = await this.gmail.users.messages.attachments.get({ userId: 'me', messageId, id: attachmentId });
+    return { attachmentId, size: data.size, data: data.data };
+  }
+
+  async listLabels() {
+    const { data } = await this.gmail.users.labels.list({ userId: 'me' });
+    return { labels: data.labels || [] };
+  }
+
+  async createLabel({ name, labelListVisibility = 'labelShow', messageListVisibility = 'show' }) {
+    const { data } = await this.gmail.users.labels.create({
+      userId: 'me',
+      requestBody: { name, labelListVisibility, messageListVisibility }
+    });
+    return data;
+  }
+
+  async modifyLabels({ messageId, addLabelIds = [], removeLabelIds = [] }) {
+    const { data } = await this.gmail.users.messages.modify({
+      userId: 'me',
+      id: messageId,
+      requestBody: { addLabelIds, removeLabelIds }
+    });
+    return { id: data.id, threadId: data.threadId, labelIds: data.labelIds || [] };
+  }
+
+  async trash({ messageId }) {
+    const { data } = await this.gmail.users.messages.trash({ userId: 'me', id: messageId });
+    return { id: data.id, threadId: data.threadId, labelIds: data.labelIds || [] };
+  }
+}
+
+function flattenMessage(message) {
+  const headers = {};
+  for (const { name, value } of message.payload?.headers || []) {
+    headers[name.toLowerCase()] = value;
+  }
+
+  return {
+    id: message.id,
+    threadId: message.threadId,
+    from: headers.from || '',
+    to: headers.to || '',
+    subject: headers.subject || '',
+    body: extractBody(message.payload) || '',
+    date: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : headers.date || null,
+    labelIds: message.labelIds || [],
+    snippet: message.snippet || '',
+    inReplyTo: headers['in-reply-to'] || null,
+    attachments: extractAttachments(message.payload)
+  };
+}
+
+/**
+ * RFC 2047 encoding for non-ASCII header values
+ */
+function encodeHeader(value) {
+  return /^[\x00-\x7F]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+module.exports = GmailDirectBackend;
@@ -0,0 +1,14 @@
+/**
+ * OAuth2 client for the Google APIs, authorized with the refresh token in
+ * `config.gmail.credentials` (shared by Gmail and Calendar)
+ */
+function createGoogleAuth({ client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken }) {
+  const { google } = require('googleapis');
+  const auth = new google.auth.OAuth2(clientId, clientSecret);
+  auth.setCredentials({ refresh_token: refreshToken });
+  return auth;
+}
+
+module.exports = {
+  createGoogleAuth
+};
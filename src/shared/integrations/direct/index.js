@@ -0,0 +1,89 @@
+const logger = require('../../logging/logger');
+const { config } = require('../../config');
+const GmailDirectBackend = require('./gmail-direct');
+const GoogleCalendarDirectBackend = require('./calendar-direct');
+const NotionDirectBackend = require('./notion-direct');
+
+/**
+ * Direct API Backends
+ *
+ * SDK implementations for adapters that can run without an MCP server.
+ * Each adapter with one follows a backend policy (`config.mcp.backends`):
+ *
+ *   mcp     MCP server only; without one, the fake backend / simulation
+ *   direct  direct SDK calls only; fails if credentials are missing
+ *   auto    MCP server if configured, falling back to direct calls when the
+ *           server is unreachable; direct calls if no server is configured
+ *           and credentials are present; otherwise the fake backend (default)
+ */
+
+const BACKEND_POLICIES = ['mcp', 'direct', 'auto'];
+
+// Unset, or still the placeholder copied from .env.example
+function isConfigured(value) {
+  return !!value && !/^your_.*_here$/.test(value);
+}
+
+function hasGoogleCredentials({ client_id: clientId, client_secret: clientSecret, refresh_token: refreshToken } = {}) {
+  return isConfigured(clientId) && isConfigured(clientSecret) && isConfigured(refreshToken);
+}
+
+// Factories return null when the credentials they need are not configured
+const DIRECT_BACKENDS = {
+  gmail: () => (hasGoogleCredentials(config.gmail.credentials)
+    ? new GmailDirectBackend(config.gmail.credentials)
+    : null),
+  'google-calendar': () => (hasGoogleCredentials(config.gmail.credentials)
+    ? new GoogleCalendarDirectBackend(config.gmail.credentials)
+    : null),
+  notion: () => (isConfigured(config.notion.apiKey)
+    ? new NotionDirectBackend({ apiKey: config.notion.apiKey, timeoutMs: config.mcp.requestTimeoutMs })
+    : null)
+};
+
+const backends = new Map();
+
+/**
+ * Backend policy for an adapter; adapters without a direct implementation are always 'mcp'
+ */
+function resolveBackendPolicy(toolName) {
+  if (!DIRECT_BACKENDS[toolName]) return 'mcp';
+
+  const policy = config.mcp.backends[toolName] || 'auto';
+  if (BACKEND_POLICIES.includes(policy)) return policy;
+
+  logger.warn(`Unknown backend policy '${policy}' for ${toolName}, using 'auto'`);
+  return 'auto';
+}
+
+/**
+ * Direct backend for an adapter tool name, or null if it has none or its credentials are missing
+ */
+function getDirectBackend(toolName) {
+  if (!DIRECT_BACKENDS[toolName]) return null;
+
+  if (!backends.has(toolName)) {
+    const backend = DIRECT_BACKENDS[toolName]();
+    if (!backend) return null;
+    backends.set(toolName, backend);
+  }
+  return backends.get(toolName);
+}
+
+function getDirectBackendStatus() {
+  const status = {};
+  for (const toolName of Object.keys(DIRECT_BACKENDS)) {
+    status[toolName] = {
+      policy: resolveBackendPolicy(toolName),
+      credentialsConfigured: !!getDirectBackend(toolName)
+    };
+  }
+  return status;
+}
+
+module.exports = {
+  BACKEND_POLICIES,
+  resolveBackendPolicy,
+  getDirectBackend,
+  getDirectBackendStatus
+};
@@ -0,0 +1,47 @@
+const { Client } = require('@notionhq/client');
+const DirectBackend = require('./direct-backend');
+
+/**
+ * Direct Notion
+ *
+ * Notion API via @notionhq/client, authenticated with `config.notion.apiKey`.
+ * Responses are returned as the API sends them.
+ */
+class NotionDirectBackend extends DirectBackend {
+  constructor({ apiKey, timeoutMs }) {
+    super('notion', ['queryDatabase', 'createPage', 'updatePage', 'getPage', 'appendBlocks']);
+    this.notion = new Client({ auth: apiKey, timeoutMs });
+  }
+
+  async queryDatabase({ databaseId, filter = {}, sorts = [], start_cursor: startCursor, page_size: pageSize = 100 }) {
+    return this.notion.databases.query({
+      database_id: databaseId,
+      filter: filter && Object.keys(filter).length > 0 ? filter : undefined,
+      sorts: sorts && sorts.length > 0 ? sorts : undefined,
+      start_cursor: startCursor,
+      page_size: pageSize
+    });
+  }
+
+  async createPage({ databaseId, properties = {}, content = [] }) {
+    return this.notion.pages.create({
+      parent: { database_id: databaseId },
+      properties,
+      children: content.length > 0 ? content : undefined
+    });
+  }
+
+  async updatePage({ pageId, properties = {} }) {
+    return this.notion.pages.update({ page_id: pageId, properties });
+  }
+
+  async getPage({ pageId }) {
+    return this.notion.pages.retrieve({ page_id: pageId });
+  }
+
+  async appendBlocks({ pageId, blocks = [] }) {
+    return this.notion.blocks.children.append({ block_id: pageId, children: blocks });
+  }
+}
+
+module.exports = NotionDirectBackend;
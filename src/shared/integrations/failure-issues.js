@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { collect } = require('./mcp-adapters');
+
+/**
+ * Failure Issues
+ *
+ * Files automation failures as GitHub issues in `config.github` without
+ * flooding the repository. Each failure is fingerprinted by automation and
+ * normalized error (ids, numbers, timestamps and emails stripped), and the
+ * fingerprint is embedded in the issue body:
+ *
+ *   - a failure with the fingerprint of an open issue is added to it as a comment
+ *   - any other failure opens a new issue labelled `config.github.failureLabel`
+ *   - the next successful run of the automation closes its open failure issues
+ *
+ * Reporting is optional: until `config.github.owner` is set, failures are
+ * only logged.
+ */
+
+const MARKER = /<!-- automation-failure (\{.*?\}) -->/;
+
+class FailureIssueReporter {
+  /**
+   * @param {MCPGitHubAdapter} github
+   */
+  constructor(github) {
+    this.github = github;
+    this.logger = logger.child({ service: 'failure-issues' });
+  }
+
+  get enabled() {
+    return !!config.github.owner;
+  }
+
+  /**
+   * Report a failure, commenting on the matching open issue if there is one
+   *
+   * @param {string} automation - automation name
+   * @param {Error} error
+   * @param {Object} issue - used when a new issue is opened
+   * @param {string} issue.title
+   * @param {string} issue.body
+   * @param {string[]} [issue.labels]
+   * @returns {Promise<{action: 'created'|'commented', issueNumber: number, fingerprint: string}|null>} null when reporting is off
+   */
+  async report(automation, error, { title, body, labels = [] }) {
+    if (!this.enabled) {
+      this.logger.debug(`Not filing a failure issue for ${automation}: GITHUB_OWNER is not set`);
+      return null;
+    }
+
+    const { owner, repo, failureLabel } = config.github;
+    const fingerprint = fingerprintFailure(automation, error);
+
+    const existing = (await this.findOpenIssues(marker => marker.fingerprint === fingerprint))[0];
+    if (existing) {
+      await this.github.addComment(owner, repo, existing.number, [
+        `🔁 **${automation}** failed again at ${new Date().toLocaleString()}`,
+        '',
+        `**Error:** ${error.message}`
+      ].join('\n'));
+      this.logger.info(`Recorded repeat failure of ${automation} on ${owner}/${repo}#${existing.number}`);
+      return { action: 'commented', issueNumber: existing.number, fingerprint };
+    }
+
+    const created = await this.github.createIssue(
+      owner,
+      repo,
+      title,
+      `${body.trim()}\n\n<!-- automation-failure ${JSON.stringify({ automation, fingerprint })} -->`,
+      [...new Set([failureLabel, ...labels])]
+    );
+    this.logger.info(`Opened failure issue for ${automation} (${fingerprint}) on ${owner}/${repo}#${created.number}`);
+    return { action: 'created', issueNumber: created.number, fingerprint };
+  }
+
+  /**
+   * Close the open failure issues of an automation that has succeeded
+   *
+   * @returns {Promise<number[]>} numbers of the closed issues
+   */
+  async resolve(automation) {
+    if (!this.enabled || !config.github.autoCloseFailures) return [];
+
+    const { owner, repo } = config.github;
+    const open = await this.findOpenIssues(marker => marker.automation === automation);
+    for (const issue of open) {
+      await this.github.addComment(owner, repo, issue.number,
+        `✅ **${automation}** succeeded at ${new Date().toLocaleString()}; closing automatically.`);
+      await this.github.updateIssue(owner, repo, issue.number, { state: 'closed' });
+      this.logger.info(`Closed failure issue ${owner}/${repo}#${issue.number}: ${automation} succeeded`);
+    }
+    return open.map(issue => issue.number);
+  }
+
+  /**
+   * Open failure issues whose embedded marker matches `predicate`
+   */
+  async findOpenIssues(predicate) {
+    const { owner, repo, failureLabel } = config.github;
+    const issues = await collect(this.github.iterateIssues(owner, repo, 'open', [failureLabel]));
+    return issues.filter(issue => {
+      const marker = parseMarker(issue.body);
+      return marker && predicate(marker);
+    });
+  }
+}
+
+function parseMarker(body) {
+  const match = MARKER.exec(body || '');
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Error message with the details that vary between occurrences of the same
+ * failure (ids, timestamps, counts, emails, URL paths) replaced by placeholders
+ */
+function normalizeErrorMessage(message) {
+  return String(message || '')
+    .toLowerCase()
+    .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/g, '<uuid>')
+    .replace(/\d{4}-\d{2}-\d{2}t\d{2}:\d{2}[\d:.]*z?/g, '<time>')
+    .replace(/[\w.+-]+@[\w-]+\.[\w.-]+/g, '<email>')
+    .replace(/(https?:\/\/[^/\s]+)\S*/g, '$1')
+    .replace(/\b[0-9a-f]{16,}\b/g, '<hex>')
+    .replace(/\d+(\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Stable id for "this automation failing in this way"
+ */
+function fingerprintFailure(automation, error) {
+  return crypto.createHash('sha256')
+    .update(`${automation}\n${error?.code || ''}\n${normalizeErrorMessage(error?.message)}`)
+    .digest('hex')
+    .slice(0, 12);
+}
+
+module.exports = {
+  FailureIssueReporter,
+  fingerprintFailure,
+  normalizeErrorMessage
+};
@@ -0,0 +1,77 @@
+const FakeBackend = require('./fake-backend');
+
+/**
+ * Fake Google Calendar
+ *
+ * Calendars of events in the Calendar API shape. `getEvents` returns events
+ * overlapping [timeMin, timeMax) ordered by start time, paginated with
+ * `pageToken` / `nextPageToken`.
+ */
+class FakeGoogleCalendar extends FakeBackend {
+  constructor(fixture) {
+    super('google-calendar', ['getEvents', 'createEvent', 'updateEvent', 'deleteEvent'], fixture);
+  }
+
+  seed(fixture) {
+    this.calendars = new Map();
+    for (const [calendarId, events] of Object.entries(fixture.calendars || {})) {
+      events.forEach(event => this.insertEvent(calendarId, event));
+    }
+  }
+
+  calendar(calendarId) {
+    if (!this.calendars.has(calendarId)) this.calendars.set(calendarId, new Map());
+    return this.calendars.get(calendarId);
+  }
+
+  insertEvent(calendarId, event) {
+    const now = new Date().toISOString();
+    const id = event.id || this.nextId('evt');
+    const stored = {
+      kind: 'calendar#event',
+      status: 'confirmed',
+      created: now,
+      updated: now,
+      ...event,
+      id,
+      htmlLink: `https://calendar.google.com/calendar/event?eid=${id}`
+    };
+    this.calendar(calendarId).set(id, stored);
+    return stored;
+  }
+
+  getEvents({ calendarId = 'primary', timeMin, timeMax, maxResults = 250, pageToken }) {
+    const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+    const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+
+    const events = Array.from(this.calendar(calendarId).values())
+      .filter(event => event.status !== 'cancelled')
+      .filter(event => eventTime(event.end) > min && eventTime(event.start) < max)
+      .sort((a, b) => eventTime(a.start) - eventTime(b.start));
+
+    const { items, nextCursor } = this.page(events, pageToken, maxResults);
+    return { kind: 'calendar#events', items, nextPageToken: nextCursor };
+  }
+
+  createEvent({ calendarId = 'primary', event = {} }) {
+    return this.insertEvent(calendarId, event);
+  }
+
+  updateEvent({ calendarId = 'primary', eventId, event = {} }) {
+    const existing = this.calendar(calendarId).get(eventId);
+    if (!existing) throw this.notFound('event', eventId);
+    Object.assign(existing, event, { id: eventId, updated: new Date().toISOString() });
+    return existing;
+  }
+
+  deleteEvent({ calendarId = 'primary', eventId }) {
+    if (!this.calendar(calendarId).delete(eventId)) throw this.notFound('event', eventId);
+    return { deleted: true, id: eventId };
+  }
+}
+
+function eventTime(time = {}) {
+  return new Date(time.dateTime || time.date || 0).getTime();
+}
+
+module.exports = FakeGoogleCalendar;
@@ -0,0 +1,64 @@
+const FakeBackend = require('./fake-backend');
+
+/**
+ * Fake Canva
+ *
+ * Designs created from templates, paginated with `continuation`, and
+ * exports that complete immediately with a download URL.
+ */
+class FakeCanva extends FakeBackend {
+  constructor(fixture) {
+    super('canva', ['getDesigns', 'createDesign', 'exportDesign'], fixture);
+  }
+
+  seed(fixture) {
+    this.designs = new Map();
+    (fixture.designs || []).forEach(design => this.insertDesign(design));
+  }
+
+  insertDesign(design) {
+    const now = Math.floor(Date.now() / 1000);
+    const id = design.id || this.nextId('DAF');
+    const stored = {
+      id,
+      title: design.title || 'Untitled design',
+      template_id: design.template_id || null,
+      modifications: design.modifications || {},
+      created_at: design.created_at || now,
+      updated_at: design.updated_at || design.created_at || now,
+      urls: {
+        edit_url: `https://www.canva.com/design/${id}/edit`,
+        view_url: `https://www.canva.com/design/${id}/view`
+      }
+    };
+    this.designs.set(id, stored);
+    return stored;
+  }
+
+  getDesigns({ limit = 20, continuation }) {
+    const designs = Array.from(this.designs.values()).sort((a, b) => b.updated_at - a.updated_at);
+    const { items, nextCursor } = this.page(designs, continuation, limit);
+    return { items, continuation: nextCursor };
+  }
+
+  createDesign({ templateId, modifications = {} }) {
+    const title = modifications.customText?.clubName
+      ? `${templateId} - ${modifications.customText.clubName}`
+      : templateId;
+    return this.insertDesign({ title, template_id: templateId, modifications });
+  }
+
+  exportDesign({ designId, format = 'png' }) {
+    if (!this.designs.has(designId)) throw this.notFound('design', designId);
+    const downloadUrl = `https://export-download.canva.com/${designId}/export.${format}`;
+    return {
+      id: this.nextId('export'),
+      status: 'success',
+      format,
+      downloadUrl,
+      urls: [downloadUrl]
+    };
+  }
+}
+
+module.exports = FakeCanva;
@@ -0,0 +1,129 @@
+const FakeBackend = require('./fake-backend');
+
+/**
+ * Fake Google Drive
+ *
+ * Files with content and sharing permissions in the Drive API shape.
+ * `listFiles` understands the common query clauses joined with `and`:
+ * `name contains '...'`, `name = '...'`, `mimeType = '...'`,
+ * `'<folderId>' in parents`, `trashed = false` and
+ * `appProperties has { key='...' and value='...' }`. Content created with
+ * `contentEncoding: 'base64'` is kept encoded; its size is the decoded size.
+ */
+class FakeGoogleDrive extends FakeBackend {
+  constructor(fixture) {
+    super('google-drive', ['listFiles', 'getFile', 'createFile', 'updateFile', 'shareFile'], fixture);
+  }
+
+  seed(fixture) {
+    this.files = new Map();
+    (fixture.files || []).forEach(file => this.insertFile(file));
+  }
+
+  insertFile(file) {
+    const now = new Date().toISOString();
+    const id = file.id || this.nextId('file');
+    const stored = {
+      kind: 'drive#file',
+      id,
+      name: file.name,
+      mimeType: file.mimeType || 'application/octet-stream',
+      parents: file.parents || [],
+      createdTime: file.createdTime || now,
+      modifiedTime: file.modifiedTime || file.createdTime || now,
+      trashed: !!file.trashed,
+      size: String(contentSize(file.content, file.contentEncoding)),
+      webViewLink: `https://drive.google.com/file/d/${id}/view`,
+      permissions: file.permissions || [],
+      appProperties: file.appProperties || {},
+      content: file.content || ''
+    };
+    this.files.set(id, stored);
+    return stored;
+  }
+
+  listFiles({ query = '', maxResults = 100, pageToken }) {
+    const clauses = splitClauses(query);
+    const files = Array.from(this.files.values())
+      .filter(file => clauses.every(clause => matchesClause(file, clause)))
+      .filter(file => /trashed/.test(query) || !file.trashed)
+      .sort((a, b) => b.modifiedTime.localeCompare(a.modifiedTime));
+
+    const { items, nextCursor } = this.page(files, pageToken, maxResults);
+    return { kind: 'drive#fileList', files: items.map(withoutContent), nextPageToken: nextCursor };
+  }
+
+  getFile({ fileId }) {
+    const file = this.files.get(fileId);
+    if (!file) throw this.notFound('file', fileId);
+    return file;
+  }
+
+  createFile({ name, content, mimeType, parents = [], contentEncoding, appProperties }) {
+    return withoutContent(this.insertFile({ name, content, mimeType, parents, contentEncoding, appProperties }));
+  }
+
+  updateFile({ fileId, content, name }) {
+    const file = this.files.get(fileId);
+    if (!file) throw this.notFound('file', fileId);
+    if (content !== undefined && content !== null) {
+      file.content = content;
+      file.size = String(typeof content === 'string' ? Buffer.byteLength(content) : 0);
+    }
+    if (name) file.name = name;
+    file.modifiedTime = new Date().toISOString();
+    return withoutContent(file);
+  }
+
+  shareFile({ fileId, email, role = 'reader' }) {
+    const file = this.files.get(fileId);
+    if (!file) throw this.notFound('file', fileId);
+    const permission = { kind: 'drive#permission', id: this.nextId('perm'), type: 'user', emailAddress: email, role };
+    file.permissions.push(permission);
+    return permission;
+  }
+}
+
+function contentSize(content, encoding = 'utf8') {
+  if (typeof content !== 'string') return 0;
+  return encoding === 'base64' ? Buffer.from(content, 'base64').length : Buffer.byteLength(content);
+}
+
+function withoutContent(file) {
+  const { content, ...rest } = file;
+  return rest;
+}
+
+/**
+ * Query clauses joined with `and`, leaving the `and` inside
+ * `appProperties has { ... }` alone
+ */
+function splitClauses(query) {
+  return query.split(/\s+and\s+(?![^{]*\})/i).map(clause => clause.trim()).filter(Boolean);
+}
+
+function matchesClause(file, clause) {
+  let match;
+  if ((match = /^name\s+contains\s+'(.*)'$/i.exec(clause))) {
+    return file.name.toLowerCase().includes(match[1].toLowerCase());
+  }
+  if ((match = /^name\s*=\s*'(.*)'$/i.exec(clause))) {
+    return file.name === match[1];
+  }
+  if ((match = /^mimeType\s*=\s*'(.*)'$/i.exec(clause))) {
+    return file.mimeType === match[1];
+  }
+  if ((match = /^'(.*)'\s+in\s+parents$/i.exec(clause))) {
+    return file.parents.includes(match[1]);
+  }
+  if ((match = /^appProperties\s+has\s+\{\s*key\s*=\s*'(.*)'\s+and\s+value\s*=\s*'(.*)'\s*\}$/i.exec(clause))) {
+    return file.appProperties[match[1]] === match[2];
+  }
+  if ((match = /^trashed\s*=\s*(true|false)$/i.exec(clause))) {
+    return file.trashed === (match[1].toLowerCase() === 'true');
+  }
+  // Unsupported clauses do not narrow results
+  return true;
+}
+
+module.exports = FakeGoogleDrive;
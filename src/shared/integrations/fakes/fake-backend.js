@@ -0,0 +1,72 @@
+const logger = require('../../logging/logger');
+const { AutomationError } = require('../../errors');
+
+/**
+ * Fake Backend
+ *
+ * Base class for the in-memory stand-ins used when no MCP server is
+ * configured for an adapter. Subclasses implement one method per adapter
+ * action (listed in `actions`) and return the same envelopes the real tool
+ * would, so adapters and automations run their normal code paths.
+ */
+class FakeBackend {
+  /**
+   * @param {string} service - adapter tool name, e.g. 'gmail'
+   * @param {string[]} actions - adapter actions this fake implements
+   * @param {Object} fixture - seed data
+   */
+  constructor(service, actions, fixture = {}) {
+    this.service = service;
+    this.actions = new Set(actions);
+    this.sequence = 0;
+    this.logger = logger.child({ service: `fake-${service}` });
+    this.seed(structuredClone(fixture));
+  }
+
+  /**
+   * Load fixture data into the backend's collections
+   */
+  seed() {
+    throw new Error('seed() must be implemented by the fake backend');
+  }
+
+  async execute(action, params = {}) {
+    if (!this.actions.has(action)) {
+      throw new AutomationError(`Fake ${this.service} backend does not implement '${action}'`, {
+        code: 'FAKE_ACTION_UNSUPPORTED'
+      });
+    }
+
+    this.logger.debug(`Fake ${this.service}.${action}`, params);
+    // Hand out copies so callers cannot mutate the backend's state
+    return structuredClone(await this[action](params));
+  }
+
+  nextId(prefix) {
+    this.sequence++;
+    return `${prefix}_${Date.now().toString(36)}${this.sequence.toString(36).padStart(4, '0')}`;
+  }
+
+  notFound(kind, id) {
+    const error = new AutomationError(`Fake ${this.service}: ${kind} '${id}' not found`, { code: 'FAKE_NOT_FOUND' });
+    error.status = 404;
+    return error;
+  }
+
+  /**
+   * Offset-based page of `items`; the cursor is the offset of the next page
+   *
+   * @returns {{items: Array, nextCursor: string|null}}
+   */
+  page(items, cursor, pageSize) {
+    const offset = cursor ? parseInt(cursor, 10) || 0 : 0;
+    const size = Math.max(1, pageSize || items.length || 1);
+    const end = offset + size;
+    return {
+      items: items.slice(offset, end),
+      nextCursor: end < items.length ? String(end) : null
+    };
+  }
+}
+
+module.exports = FakeBackend;
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Fixture loading for the fake backends
+ *
+ * Fixtures are JSON files named after the adapter (`gmail.json`,
+ * `stripe.json`, ...). Dates are written relative to load time so seeded data
+ * always falls inside the windows automations query:
+ *
+ *   "{{now-2h}}"              ISO timestamp two hours ago
+ *   "{{yesterday+10h}}"       10:00 local time yesterday
+ *   "{{unix:now-3d}}"         Unix seconds (Stripe style)
+ *
+ * Bases are `now`, `today` and `yesterday` (local midnight); offsets are
+ * any number of `+N`/`-N` with unit `m`, `h` or `d`.
+ */
+
+const PLACEHOLDER = /^\{\{(unix:)?(now|today|yesterday)((?:[+-]\d+[mhd])*)\}\}$/;
+const UNIT_MS = { m: 60000, h: 3600000, d: 86400000 };
+
+function resolveTime(value, now) {
+  const match = PLACEHOLDER.exec(value);
+  if (!match) return value;
+
+  const [, unix, base, offsets] = match;
+  const date = new Date(now);
+  if (base !== 'now') {
+    date.setHours(0, 0, 0, 0);
+    if (base === 'yesterday') date.setDate(date.getDate() - 1);
+  }
+
+  let time = date.getTime();
+  for (const [, sign, amount, unit] of offsets.matchAll(/([+-])(\d+)([mhd])/g)) {
+    time += (sign === '-' ? -1 : 1) * parseInt(amount, 10) * UNIT_MS[unit];
+  }
+
+  return unix ? Math.floor(time / 1000) : new Date(time).toISOString();
+}
+
+function resolvePlaceholders(value, now) {
+  if (typeof value === 'string') return resolveTime(value, now);
+  if (Array.isArray(value)) return value.map(item => resolvePlaceholders(item, now));
+  if (value && typeof value === 'object') {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolvePlaceholders(item, now);
+    }
+    return resolved;
+  }
+  return value;
+}
+
+/**
+ * Read `<service>.json` from the fixtures directory; missing files seed an empty backend
+ */
+function loadFixture(service, fixturesDir, now = new Date()) {
+  const file = path.join(fixturesDir, `${service}.json`);
+  if (!fs.existsSync(file)) return {};
+  return resolvePlaceholders(JSON.parse(fs.readFileSync(file, 'utf8')), now);
+}
+
+module.exports = {
+  loadFixture,
+  resolvePlaceholders
+};
@@ -0,0 +1,132 @@
+const FakeBackend = require('./fake-backend');
+
+/**
+ * Fake GitHub
+ *
+ * Repositories with issues and pull requests in the REST API shape. Like the
+ * REST API, `getIssues` returns a bare array and paginates with `page` /
+ * `per_page`; issues keep a comment count.
+ */
+class FakeGitHub extends FakeBackend {
+  constructor(fixture) {
+    super('github', ['createIssue', 'getIssues', 'updateIssue', 'addComment', 'createPR', 'getRepo'], fixture);
+  }
+
+  seed(fixture) {
+    this.repos = new Map();
+    for (const [fullName, repo] of Object.entries(fixture.repos || {})) {
+      const [owner, name] = fullName.split('/');
+      const stored = this.repo(owner, name, repo);
+      (repo.issues || []).forEach(issue => this.insertIssue(stored, issue));
+    }
+  }
+
+  repo(owner, name, details = {}) {
+    const fullName = `${owner}/${name}`;
+    if (!this.repos.has(fullName)) {
+      this.repos.set(fullName, {
+        info: {
+          id: this.repos.size + 1,
+          name,
+          full_name: fullName,
+          owner: { login: owner },
+          private: true,
+          default_branch: 'main',
+          html_url: `https://github.com/${fullName}`,
+          description: details.description || null
+        },
+        issues: new Map(),
+        nextNumber: 1
+      });
+    }
+    return this.repos.get(fullName);
+  }
+
+  insertIssue(repo, issue) {
+    const now = new Date().toISOString();
+    const number = issue.number || repo.nextNumber;
+    repo.nextNumber = Math.max(repo.nextNumber, number + 1);
+
+    const stored = {
+      id: number * 1000 + repo.info.id,
+      number,
+      title: issue.title,
+      body: issue.body || '',
+      state: issue.state || 'open',
+      labels: (issue.labels || []).map(label => (typeof label === 'string' ? { name: label } : label)),
+      comments: issue.comments || 0,
+      created_at: issue.created_at || now,
+      updated_at: issue.updated_at || issue.created_at || now,
+      closed_at: issue.state === 'closed' ? (issue.closed_at || now) : null,
+      html_url: `${repo.info.html_url}/${issue.pull_request ? 'pull' : 'issues'}/${number}`
+    };
+    if (issue.pull_request) stored.pull_request = issue.pull_request;
+    repo.issues.set(number, stored);
+    return stored;
+  }
+
+  createIssue({ owner, repo, title, body, labels = [] }) {
+    return this.insertIssue(this.repo(owner, repo), { title, body, labels });
+  }
+
+  getIssues({ owner, repo, state = 'open', labels = [], page = 1, per_page: perPage = 30 }) {
+    const wanted = Array.isArray(labels) ? labels : String(labels).split(',').filter(Boolean);
+
+    const issues = Array.from(this.repo(owner, repo).issues.values())
+      .filter(issue => state === 'all' || issue.state === state)
+      .filter(issue => wanted.every(label => issue.labels.some(existing => existing.name === label)))
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+
+    const start = (Math.max(1, page) - 1) * perPage;
+    return issues.slice(start, start + perPage);
+  }
+
+  updateIssue({ owner, repo, issueNumber, updates = {} }) {
+    const issue = this.repo(owner, repo).issues.get(Number(issueNumber));
+    if (!issue) throw this.notFound('issue', `${owner}/${repo}#${issueNumber}`);
+
+    const { labels, ...rest } = updates;
+    Object.assign(issue, rest, { updated_at: new Date().toISOString() });
+    if (labels) issue.labels = labels.map(label => (typeof label === 'string' ? { name: label } : label));
+    if (updates.state === 'closed' && !issue.closed_at) issue.closed_at = issue.updated_at;
+    if (updates.state === 'open') issue.closed_at = null;
+    return issue;
+  }
+
+  addComment({ owner, repo, issueNumber, body }) {
+    const stored = this.repo(owner, repo);
+    const issue = stored.issues.get(Number(issueNumber));
+    if (!issue) throw this.notFound('issue', `${owner}/${repo}#${issueNumber}`);
+
+    const now = new Date().toISOString();
+    const id = ++this.sequence;
+    issue.comments++;
+    issue.updated_at = now;
+    return {
+      id,
+      body,
+      html_url: `${issue.html_url}#issuecomment-${id}`,
+      created_at: now,
+      updated_at: now
+    };
+  }
+
+  createPR({ owner, repo, title, body, head, base }) {
+    return this.insertIssue(this.repo(owner, repo), {
+      title,
+      body,
+      pull_request: { head: { ref: head }, base: { ref: base }, merged: false }
+    });
+  }
+
+  getRepo({ owner, repo }) {
+    const stored = this.repos.get(`${owner}/${repo}`);
+    if (!stored) throw this.notFound('repository', `${owner}/${repo}`);
+    return {
+      ...stored.info,
+      open_issues_count: Array.from(stored.issues.values()).filter(issue => issue.state === 'open').length
+    };
+  }
+}
+
+module.exports = FakeGitHub;
@@ -0,0 +1,194 @@
+const FakeBackend = require('./fake-backend');
+const { AutomationError } = require('../../errors');
+
+const SYSTEM_LABELS = [
+  'INBOX', 'UNREAD', 'STARRED', 'IMPORTANT', 'SENT', 'DRAFT', 'SPAM', 'TRASH',
+  'CATEGORY_PERSONAL', 'CATEGORY_SOCIAL', 'CATEGORY_PROMOTIONS', 'CATEGORY_UPDATES', 'CATEGORY_FORUMS'
+];
+
+/**
+ * Fake Gmail
+ *
+ * A mailbox of flattened messages (subject/from/to/body rather than MIME
+ * payloads) with labels and read state. System labels use their name as id;
+ * user labels come from the fixture's `labels` or `createLabel`. `search` understands the Gmail query
+ * operators the automations use: is:unread/read, newer_than/older_than,
+ * from:, to:, subject:, label:, in:, plus free-text terms.
+ */
+class FakeGmail extends FakeBackend {
+  constructor(fixture) {
+    super('gmail', ['search', 'get', 'send', 'markRead', 'getAttachment', 'listLabels', 'createLabel', 'modifyLabels', 'trash'], fixture);
+  }
+
+  seed(fixture) {
+    this.labels = new Map(SYSTEM_LABELS.map(id => [id, { id, name: id, type: 'system' }]));
+    for (const label of fixture.labels || []) {
+      this.createLabel(label);
+    }
+    this.messages = new Map();
+    for (const message of fixture.messages || []) {
+      this.addMessage(message);
+    }
+  }
+
+  addMessage(message) {
+    const id = message.id || this.nextId('msg');
+    const stored = {
+      id,
+      threadId: message.threadId || id,
+      from: message.from || '',
+      to: message.to || '',
+      subject: message.subject || '',
+      body: message.body || '',
+      date: message.date || new Date().toISOString(),
+      labelIds: message.labelIds || ['INBOX', 'UNREAD'],
+      inReplyTo: message.inReplyTo || null,
+      attachments: message.attachments || []
+    };
+    stored.snippet = message.snippet || stored.body.replace(/\s+/g, ' ').substring(0, 120);
+    this.messages.set(id, stored);
+    return stored;
+  }
+
+  search({ query = '', maxResults = 10, pageToken } = {}) {
+    const matches = Array.from(this.messages.values())
+      .filter(message => this.matchesQuery(message, query))
+      .sort((a, b) => b.date.localeCompare(a.date));
+
+    const { items, nextCursor } = this.page(matches, pageToken, maxResults);
+    return {
+      messages: items.map(({ id, threadId, subject, from, to, date, snippet, labelIds }) => ({
+        id, threadId, subject, from, to, date, snippet, labelIds
+      })),
+      resultSizeEstimate: matches.length,
+      nextPageToken: nextCursor
+    };
+  }
+
+  get({ messageId }) {
+    const message = this.messages.get(messageId);
+    if (!message) throw this.notFound('message', messageId);
+    return message;
+  }
+
+  send({ to, subject, body, threadId, cc, bcc }) {
+    const message = this.addMessage({
+      threadId,
+      from: 'me',
+      to: Array.isArray(to) ? to.join(', ') : to,
+      subject,
+      body,
+      labelIds: ['SENT']
+    });
+    if (cc) message.cc = cc;
+    if (bcc) message.bcc = bcc;
+    return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+  }
+
+  markRead({ messageId }) {
+    const message = this.messages.get(messageId);
+    if (!message) throw this.notFound('message', messageId);
+    message.labelIds = message.labelIds.filter(label => label !== 'UNREAD');
+    return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+  }
+
+  /**
+   * Attachment content: the fixture's base64 `data`, or else the filename
+   * repeated to the attachment's size
+   */
+  getAttachment({ messageId, attachmentId }) {
+    const message = this.messages.get(messageId);
+    if (!message) throw this.notFound('message', messageId);
+    const attachment = message.attachments.find(candidate => candidate.attachmentId === attachmentId);
+    if (!attachment) throw this.notFound('attachment', attachmentId);
+
+    const bytes = attachment.data
+      ? Buffer.from(attachment.data, 'base64')
+      : Buffer.alloc(attachment.size || 0, attachment.filename);
+    return { attachmentId, size: bytes.length, data: bytes.toString('base64url') };
+  }
+
+  listLabels() {
+    return { labels: Array.from(this.labels.values()) };
+  }
+
+  createLabel({ name, id }) {
+    if (Array.from(this.labels.values()).some(label => label.name === name)) {
+      const error = new AutomationError(`Fake gmail: label '${name}' already exists`, { code: 'FAKE_CONFLICT' });
+      error.status = 409;
+      throw error;
+    }
+    const label = { id: id || this.nextId('Label'), name, type: 'user' };
+    this.labels.set(label.id, label);
+    return label;
+  }
+
+  modifyLabels({ messageId, addLabelIds = [], removeLabelIds = [] }) {
+    const message = this.messages.get(messageId);
+    if (!message) throw this.notFound('message', messageId);
+    for (const labelId of [...addLabelIds, ...removeLabelIds]) {
+      if (!this.labels.has(labelId)) throw this.notFound('label', labelId);
+    }
+    message.labelIds = [...new Set([...message.labelIds, ...addLabelIds])]
+      .filter(label => !removeLabelIds.includes(label));
+    return { id: message.id, threadId: message.threadId, labelIds: message.labelIds };
+  }
+
+  trash({ messageId }) {
+    return this.modifyLabels({ messageId, addLabelIds: ['TRASH'], removeLabelIds: ['INBOX'] });
+  }
+
+  matchesQuery(message, query) {
+    const haystack = `${message.subject} ${message.body}`.toLowerCase();
+    const ageMs = Date.now() - new Date(message.date).getTime();
+
+    return tokenize(query).every(token => {
+      const [operator, ...rest] = token.split(':');
+      const value = rest.join(':').toLowerCase();
+      if (!rest.length) return haystack.includes(token.toLowerCase());
+
+      switch (operator.toLowerCase()) {
+        case 'is':
+          if (value === 'unread') return message.labelIds.includes('UNREAD');
+          if (value === 'read') return !message.labelIds.includes('UNREAD');
+          if (value === 'starred') return message.labelIds.includes('STARRED');
+          return true;
+        case 'in':
+        case 'label':
+          // Gmail accepts label names with '/' and spaces written as '-'
+          return message.labelIds.some(id => {
+            const name = (this.labels.get(id)?.name || id).toLowerCase();
+            return id.toLowerCase() === value || name === value || name.replace(/[/\s]/g, '-') === value;
+          });
+        case 'from':
+          return message.from.toLowerCase().includes(value);
+        case 'to':
+          return message.to.toLowerCase().includes(value);
+        case 'subject':
+          return message.subject.toLowerCase().includes(value);
+        case 'newer_than':
+          return ageMs <= parseAge(value);
+        case 'older_than':
+          return ageMs > parseAge(value);
+        default:
+          return haystack.includes(token.toLowerCase());
+      }
+    });
+  }
+}
+
+/**
+ * Split a query on whitespace, keeping quoted phrases together
+ */
+function tokenize(query) {
+  return (query.match(/(?:[^\s"]+|"[^"]*")+/g) || []).map(token => token.replace(/"/g, ''));
+}
+
+function parseAge(value) {
+  const match = /^(\d+)([hdmy])$/.exec(value);
+  if (!match) return Infinity;
+  const hours = { h: 1, d: 24, m: 24 * 30, y: 24 * 365 }[match[2]];
+  return parseInt(match[1], 10) * hours * 3600000;
+}
+
+module.exports = FakeGmail;
@@ -0,0 +1,55 @@
+const { config } = require('../../config');
+const { loadFixture } = require('./fixtures');
+const FakeGmail = require('./gmail-fake');
+const FakeNotion = require('./notion-fake');
+const FakeGoogleCalendar = require('./calendar-fake');
+const FakeGitHub = require('./github-fake');
+const FakeStripe = require('./stripe-fake');
+const FakeGoogleDrive = require('./drive-fake');
+const FakeIntercom = require('./intercom-fake');
+const FakeCanva = require('./canva-fake');
+
+/**
+ * Fake Backends
+ *
+ * One stateful fake per adapter, shared by every adapter instance in the
+ * process and seeded from `<fixturesDir>/<tool>.json` on first use.
+ */
+
+const FAKES = {
+  gmail: FakeGmail,
+  notion: FakeNotion,
+  'google-calendar': FakeGoogleCalendar,
+  github: FakeGitHub,
+  stripe: FakeStripe,
+  'google-drive': FakeGoogleDrive,
+  intercom: FakeIntercom,
+  canva: FakeCanva
+};
+
+const backends = new Map();
+
+/**
+ * Fake backend for an adapter tool name, or null if none exists or fakes are disabled
+ */
+function getFakeBackend(toolName) {
+  if (!config.mcp.fakes.enabled || !FAKES[toolName]) return null;
+
+  if (!backends.has(toolName)) {
+    backends.set(toolName, new FAKES[toolName](loadFixture(toolName, config.mcp.fakes.fixturesDir)));
+  }
+  return backends.get(toolName);
+}
+
+/**
+ * Drop all fake state so the next call reseeds from fixtures
+ */
+function resetFakeBackends() {
+  backends.clear();
+}
+
+module.exports = {
+  FAKES,
+  getFakeBackend,
+  resetFakeBackends
+};
@@ -0,0 +1,99 @@
+const FakeBackend = require('./fake-backend');
+const { AutomationError } = require('../../errors');
+
+/**
+ * Fake Intercom
+ *
+ * Contacts and conversations in the Intercom API shape. Replies sent with
+ * `sendMessage` are appended to the conversation's parts.
+ */
+class FakeIntercom extends FakeBackend {
+  constructor(fixture) {
+    super('intercom', ['getConversations', 'getContacts', 'sendMessage', 'createContact'], fixture);
+  }
+
+  seed(fixture) {
+    const now = Math.floor(Date.now() / 1000);
+    this.contacts = (fixture.contacts || []).map(contact => ({
+      type: 'contact',
+      id: contact.id || this.nextId('contact'),
+      created_at: now,
+      custom_attributes: {},
+      ...contact
+    }));
+    this.conversations = (fixture.conversations || []).map(conversation => ({
+      type: 'conversation',
+      id: conversation.id || this.nextId('conv'),
+      created_at: now,
+      updated_at: conversation.created_at || now,
+      state: 'open',
+      admin_assignee_id: null,
+      conversation_parts: { type: 'conversation_part.list', conversation_parts: [] },
+      ...conversation
+    }));
+  }
+
+  getConversations({ assignedTo = null, state = 'open' }) {
+    const conversations = this.conversations
+      .filter(conversation => !state || state === 'all' || conversation.state === state)
+      .filter(conversation => !assignedTo || String(conversation.admin_assignee_id) === String(assignedTo))
+      .sort((a, b) => b.updated_at - a.updated_at);
+
+    return {
+      type: 'conversation.list',
+      conversations,
+      total_count: conversations.length,
+      pages: { type: 'pages', page: 1, per_page: conversations.length, total_pages: 1 }
+    };
+  }
+
+  getContacts({ email = null, limit = 50, starting_after: startingAfter }) {
+    const contacts = this.contacts.filter(contact => !email || contact.email === email);
+    const { items, nextCursor } = this.page(contacts, startingAfter, limit);
+    return {
+      type: 'list',
+      data: items,
+      total_count: contacts.length,
+      pages: { type: 'pages', per_page: limit, next: nextCursor ? { starting_after: nextCursor } : null }
+    };
+  }
+
+  sendMessage({ conversationId, message, messageType = 'comment' }) {
+    const conversation = this.conversations.find(item => item.id === conversationId);
+    if (!conversation) throw this.notFound('conversation', conversationId);
+
+    const now = Math.floor(Date.now() / 1000);
+    conversation.conversation_parts.conversation_parts.push({
+      type: 'conversation_part',
+      id: this.nextId('part'),
+      part_type: messageType,
+      body: message,
+      created_at: now,
+      author: { type: 'admin' }
+    });
+    conversation.updated_at = now;
+    return conversation;
+  }
+
+  createContact({ email, name, customAttributes = {} }) {
+    if (this.contacts.some(contact => contact.email === email)) {
+      const error = new AutomationError(`Fake intercom: contact with email '${email}' already exists`, { code: 'FAKE_CONFLICT' });
+      error.status = 409;
+      throw error;
+    }
+
+    const contact = {
+      type: 'contact',
+      id: this.nextId('contact'),
+      role: 'user',
+      email,
+      name,
+      created_at: Math.floor(Date.now() / 1000),
+      custom_attributes: customAttributes
+    };
+    this.contacts.push(contact);
+    return contact;
+  }
+}
+
+module.exports = FakeIntercom;
@@ -0,0 +1,174 @@
+const FakeBackend = require('./fake-backend');
+const { propertyValue } = require('../../types/notion');
+
+/**
+ * Fake Notion
+ *
+ * Databases of pages in the Notion API shape. `queryDatabase` supports
+ * property filters (select, status, multi_select, title, rich_text, number,
+ * checkbox, date, email, url), `and` / `or` compounds, sorts and
+ * `start_cursor` / `page_size` pagination.
+ */
+class FakeNotion extends FakeBackend {
+  constructor(fixture) {
+    super('notion', ['queryDatabase', 'createPage', 'updatePage', 'getPage', 'appendBlocks'], fixture);
+  }
+
+  seed(fixture) {
+    this.databases = new Map();
+    this.pages = new Map();
+
+    for (const [databaseId, database] of Object.entries(fixture.databases || {})) {
+      this.databases.set(databaseId, { id: databaseId, title: database.title || databaseId, pageIds: [] });
+      for (const page of database.pages || []) {
+        this.insertPage(databaseId, page);
+      }
+    }
+  }
+
+  ensureDatabase(databaseId) {
+    if (!this.databases.has(databaseId)) {
+      this.databases.set(databaseId, { id: databaseId, title: databaseId, pageIds: [] });
+    }
+    return this.databases.get(databaseId);
+  }
+
+  insertPage(databaseId, page) {
+    const now = new Date().toISOString();
+    const id = page.id || this.nextId('page');
+    const stored = {
+      object: 'page',
+      id,
+      parent: { type: 'database_id', database_id: databaseId },
+      created_time: page.created_time || now,
+      last_edited_time: page.last_edited_time || page.created_time || now,
+      archived: false,
+      properties: page.properties || {},
+      url: `https://www.notion.so/${id.replace(/-/g, '')}`,
+      children: page.children || []
+    };
+    this.pages.set(id, stored);
+    this.ensureDatabase(databaseId).pageIds.push(id);
+    return stored;
+  }
+
+  queryDatabase({ databaseId, filter = {}, sorts = [], start_cursor: startCursor, page_size: pageSize = 100 }) {
+    const database = this.ensureDatabase(databaseId);
+    let results = database.pageIds
+      .map(id => this.pages.get(id))
+      .filter(page => !page.archived && matchesFilter(page, filter));
+
+    results = sortPages(results, sorts);
+
+    const { items, nextCursor } = this.page(results, startCursor, pageSize);
+    return {
+      object: 'list',
+      results: items.map(withoutChildren),
+      has_more: nextCursor !== null,
+      next_cursor: nextCursor
+    };
+  }
+
+  createPage({ databaseId, properties = {}, content = [] }) {
+    return withoutChildren(this.insertPage(databaseId, { properties, children: content }));
+  }
+
+  updatePage({ pageId, properties = {} }) {
+    const page = this.pages.get(pageId);
+    if (!page) throw this.notFound('page', pageId);
+    page.properties = { ...page.properties, ...properties };
+    page.last_edited_time = new Date().toISOString();
+    return withoutChildren(page);
+  }
+
+  getPage({ pageId }) {
+    const page = this.pages.get(pageId);
+    if (!page) throw this.notFound('page', pageId);
+    return withoutChildren(page);
+  }
+
+  appendBlocks({ pageId, blocks = [] }) {
+    const page = this.pages.get(pageId);
+    if (!page) throw this.notFound('page', pageId);
+    const appended = blocks.map(block => ({ object: 'block', id: this.nextId('block'), ...block }));
+    page.children.push(...appended);
+    page.last_edited_time = new Date().toISOString();
+    return { object: 'list', results: appended, has_more: false, next_cursor: null };
+  }
+}
+
+function withoutChildren(page) {
+  const { children, ...rest } = page;
+  return rest;
+}
+
+function matchesCondition(value, condition = {}) {
+  return Object.entries(condition).every(([operator, expected]) => {
+    switch (operator) {
+      case 'equals':
+        return value === expected;
+      case 'does_not_equal':
+        return value !== expected;
+      case 'contains':
+        return Array.isArray(value) ? value.includes(expected) : String(value ?? '').toLowerCase().includes(String(expected).toLowerCase());
+      case 'does_not_contain':
+        return Array.isArray(value) ? !value.includes(expected) : !String(value ?? '').toLowerCase().includes(String(expected).toLowerCase());
+      case 'starts_with':
+        return String(value ?? '').toLowerCase().startsWith(String(expected).toLowerCase());
+      case 'ends_with':
+        return String(value ?? '').toLowerCase().endsWith(String(expected).toLowerCase());
+      case 'is_empty':
+        return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+      case 'is_not_empty':
+        return !(value === null || value === '' || (Array.isArray(value) && value.length === 0));
+      case 'greater_than':
+      case 'after':
+        return value !== null && value > expected;
+      case 'greater_than_or_equal_to':
+      case 'on_or_after':
+        return value !== null && value >= expected;
+      case 'less_than':
+      case 'before':
+        return value !== null && value < expected;
+      case 'less_than_or_equal_to':
+      case 'on_or_before':
+        return value !== null && value <= expected;
+      default:
+        // Relative date filters (past_week, ...) and unknown operators do not narrow results
+        return true;
+    }
+  });
+}
+
+function matchesFilter(page, filter) {
+  if (!filter || Object.keys(filter).length === 0) return true;
+  if (filter.and) return filter.and.every(part => matchesFilter(page, part));
+  if (filter.or) return filter.or.some(part => matchesFilter(page, part));
+
+  const { property, timestamp, ...conditions } = filter;
+  if (timestamp) {
+    return matchesCondition(page[timestamp], conditions[timestamp]);
+  }
+
+  const value = propertyValue(page.properties[property]);
+  return Object.values(conditions).every(condition => matchesCondition(value, condition));
+}
+
+function sortPages(pages, sorts = []) {
+  if (!sorts.length) {
+    return pages.sort((a, b) => b.created_time.localeCompare(a.created_time));
+  }
+
+  return pages.sort((a, b) => {
+    for (const sort of sorts) {
+      const left = sort.timestamp ? a[sort.timestamp] : propertyValue(a.properties[sort.property]);
+      const right = sort.timestamp ? b[sort.timestamp] : propertyValue(b.properties[sort.property]);
+      if (left === right) continue;
+      const order = left === null ? 1 : right === null ? -1 : (left < right ? -1 : 1);
+      return sort.direction === 'descending' ? -order : order;
+    }
+    return 0;
+  });
+}
+
+module.exports = FakeNotion;
@@ -0,0 +1,86 @@
+const FakeBackend = require('./fake-backend');
+
+/**
+ * Fake Stripe
+ *
+ * Customers, payments, subscriptions and invoices in the Stripe API shape.
+ * List calls return `{ object: 'list', data, has_more }`, newest first, and
+ * paginate with `limit` / `starting_after`. `created` range filters
+ * (gt/gte/lt/lte, Unix seconds) and status filters are applied.
+ */
+const COLLECTIONS = {
+  customers: 'cus',
+  payments: 'pi',
+  subscriptions: 'sub',
+  invoices: 'in'
+};
+
+class FakeStripe extends FakeBackend {
+  constructor(fixture) {
+    super('stripe', ['getCustomers', 'getCustomer', 'getPayments', 'getSubscriptions', 'getInvoices'], fixture);
+  }
+
+  seed(fixture) {
+    for (const [collection, prefix] of Object.entries(COLLECTIONS)) {
+      this[collection] = (fixture[collection] || []).map(item => ({
+        id: item.id || this.nextId(prefix),
+        created: item.created || Math.floor(Date.now() / 1000),
+        livemode: false,
+        ...item
+      }));
+    }
+  }
+
+  list(collection, { limit = 10, starting_after: startingAfter, created, status }, url) {
+    let items = this[collection]
+      .filter(item => matchesCreated(item.created, created))
+      .filter(item => !status || status === 'all' || item.status === status)
+      .sort((a, b) => b.created - a.created);
+
+    if (startingAfter) {
+      const index = items.findIndex(item => item.id === startingAfter);
+      items = index === -1 ? [] : items.slice(index + 1);
+    }
+
+    const size = Math.min(Math.max(1, limit), 100);
+    return {
+      object: 'list',
+      data: items.slice(0, size),
+      has_more: items.length > size,
+      url
+    };
+  }
+
+  getCustomers(params) {
+    return this.list('customers', params, '/v1/customers');
+  }
+
+  getCustomer({ customerId }) {
+    const customer = this.customers.find(item => item.id === customerId);
+    if (!customer) throw this.notFound('customer', customerId);
+    return customer;
+  }
+
+  getPayments(params) {
+    return this.list('payments', params, '/v1/payment_intents');
+  }
+
+  getSubscriptions(params) {
+    return this.list('subscriptions', params, '/v1/subscriptions');
+  }
+
+  getInvoices(params) {
+    return this.list('invoices', params, '/v1/invoices');
+  }
+}
+
+function matchesCreated(created, range) {
+  if (!range || typeof range !== 'object') return range === undefined || range === null || created === range;
+  if (range.gt !== undefined && !(created > range.gt)) return false;
+  if (range.gte !== undefined && !(created >= range.gte)) return false;
+  if (range.lt !== undefined && !(created < range.lt)) return false;
+  if (range.lte !== undefined && !(created <= range.lte)) return false;
+  return true;
+}
+
+module.exports = FakeStripe;
@@ -1,4 +1,17 @@
 const logger = require('../logging/logger');
+const { config } = require('../config');
+const { captureSideEffect, plannedRead } = require('../runtime/side-effect-plan');
+const { getMCPClient } = require('./mcp-transport');
+const { getFakeBackend } = require('./fakes');
+const { getCassette } = require('./cassettes');
+const { resolveBackendPolicy, getDirectBackend } = require('./direct');
+const { callWithResilience } = require('./resilience');
+const { getRunContext } = require('../runtime/run-context');
+const auditLedger = require('../storage/audit-ledger');
+const emailSnoozes = require('../storage/email-snoozes');
+const { AutomationError, MCPTransportError, MCPTimeoutError, MalformedResponseError } = require('../errors');
+const types = require('../types');
+const { pageTitle } = require('../types/notion');
 
 /**
  * MCP Tool Adapters
@@ -6,27 +19,141 @@ const logger = require('../logging/logger');
  * These adapters provide a consistent interface for MCP tools,
  * allowing automations to use MCP capabilities directly through Claude Code.
  * 
- * Note: These adapters are designed to work when run within Claude Code's
- * execution environment where MCP tools are available.
+ * Calls go to the MCP server configured for the adapter in the MCP servers
+ * config (stdio or streamable HTTP, see ./mcp-transport). Adapters without a
+ * configured server use the stateful fake backends in ./fakes. Gmail, Notion
+ * and Calendar can also call their APIs directly (see ./direct for the
+ * mcp / direct / auto backend policy). With
+ * MCP_CASSETTE_MODE set, calls are recorded to or replayed from cassettes
+ * (see ./cassettes). Calls to MCP servers and direct APIs are rate limited
+ * and guarded by a per-service circuit breaker (see ./resilience). Every
+ * mutating call is appended to the audit ledger (../storage/audit-ledger).
+ *
+ * Whatever the backend, adapter methods return the canonical types in
+ * ../types (Email, NotionPage, CalendarEvent, Payment, ...); malformed tool
+ * output raises MalformedResponseError.
+ *
+ * List methods return a single page. The `iterate*` methods are async
+ * iterators that follow the service's cursor across every page, up to
+ * `config.mcp.pagination.maxItems` items:
+ *
+ *   const payments = await collect(stripe.iteratePayments({ gte, lt }));
  */
 
 class MCPToolAdapter {
-  constructor(toolName) {
+  /**
+   * @param {string} toolName - MCP tool name
+   * @param {string[]} mutatingActions - actions with side effects, captured instead of executed in dry runs
+   */
+  constructor(toolName, mutatingActions = []) {
     this.toolName = toolName;
+    this.mutatingActions = new Set(mutatingActions);
     this.logger = logger.child({ service: `mcp-${toolName}` });
   }
 
   /**
-   * Execute an MCP tool through Claude Code
-   * This is a conceptual implementation - actual MCP tool execution
-   * would need to be handled by the Claude Code runtime.
+   * Execute an MCP tool, recording the call to or replaying it from the
+   * cassette when cassettes are enabled
    */
   async executeTool(action, params = {}) {
+    if (this.mutatingActions.has(action)) {
+      const planned = captureSideEffect(this.toolName, action, params);
+      if (planned) {
+        this.logger.info(`Dry run: recorded ${this.toolName}.${action} instead of executing it`);
+        return planned;
+      }
+    } else {
+      const planned = plannedRead(this.toolName, action, params);
+      if (planned) {
+        this.logger.info(`Dry run: ${this.toolName}.${action} reads ${planned.id}, which was only planned`);
+        return planned;
+      }
+    }
+    
+    const cassette = getCassette(this.toolName);
+    if (!cassette) return this.performTool(action, params);
+    
+    if (cassette.replaying) {
+      this.logger.info(`Replaying MCP tool from cassette: ${this.toolName}.${action}`);
+      return cassette.replay(action, params);
+    }
+    
+    try {
+      const result = await this.performTool(action, params);
+      cassette.record(action, params, { result });
+      return result;
+    } catch (error) {
+      cassette.record(action, params, { error });
+      throw error;
+    }
+  }
+
+  /**
+   * Invoke the tool, appending mutating calls and their outcome to the audit ledger
+   */
+  performTool(action, params) {
+    if (!this.mutatingActions.has(action)) return this.invokeTool(action, params);
+    return auditLedger.track(this.toolName, action, params, () => this.invokeTool(action, params), this.auditTarget(action, params));
+  }
+
+  /**
+   * Target and summary of a mutating call for its audit entry; adapters
+   * override this for their actions
+   *
+   * @returns {{target: string|null, summary: string|null}}
+   */
+  auditTarget(action, params) {
+    return { target: null, summary: null };
+  }
+
+  /**
+   * Run an MCP tool on the backend selected by the adapter's backend policy:
+   * the configured MCP server or the direct API, falling back to the fake
+   * backend (or a simulated response when fakes are disabled)
+   */
+  async invokeTool(action, params) {
+    const policy = resolveBackendPolicy(this.toolName);
+    const direct = policy === 'mcp' ? null : getDirectBackend(this.toolName);
+    
+    if (policy === 'direct') {
+      if (!direct) {
+        throw new AutomationError(`Backend policy for ${this.toolName} is 'direct' but its API credentials are not configured`, {
+          code: 'DIRECT_BACKEND_UNAVAILABLE'
+        });
+      }
+      this.logger.info(`Calling direct API: ${this.toolName}.${action}`);
+      return this.callRemote(action, () => direct.execute(action, params));
+    }
+    
+    const client = getMCPClient(this.toolName);
+    if (client) {
+      const toolName = client.resolveToolName(action);
+      this.logger.info(`Calling MCP tool: ${this.toolName}.${action} (${toolName})`);
+      return this.callRemote(action, async () => {
+        try {
+          return await client.callTool(toolName, params);
+        } catch (error) {
+          if (!direct || !this.canFallBackToDirect(action, error)) throw error;
+          this.logger.warn(`MCP server for ${this.toolName} unavailable (${error.message}), falling back to direct API`);
+          return direct.execute(action, params);
+        }
+      });
+    }
+    
+    if (direct) {
+      this.logger.info(`Calling direct API: ${this.toolName}.${action}`);
+      return this.callRemote(action, () => direct.execute(action, params));
+    }
+    
+    const fake = getFakeBackend(this.toolName);
+    if (fake) {
+      this.logger.info(`Executing MCP tool on fake backend: ${this.toolName}.${action}`);
+      return fake.execute(action, params);
+    }
+    
     this.logger.info(`Executing MCP tool: ${this.toolName}.${action}`, params);
     
-    // In a real implementation, this would interface with Claude Code's
-    // MCP tool execution system
-    // For demonstration purposes, we'll simulate successful execution
+    // No MCP server or fake backend for this tool - simulate successful execution
     this.logger.info(`✅ Simulated ${this.toolName} tool execution: ${action}`);
     
     // Return simulated success response
@@ -38,72 +165,439 @@ class MCPToolAdapter {
       simulated: true
     };
   }
+
+  /**
+   * Backend the adapter's calls go to, following the same order as
+   * `invokeTool`: 'cassette' (replay), 'mcp', 'direct' or 'fake'. Null when
+   * calls would only be simulated, or the 'direct' policy has no credentials.
+   */
+  resolveBackend() {
+    if (getCassette(this.toolName)?.replaying) return 'cassette';
+
+    const policy = resolveBackendPolicy(this.toolName);
+    const direct = policy === 'mcp' ? null : getDirectBackend(this.toolName);
+    if (policy === 'direct') return direct ? 'direct' : null;
+    if (getMCPClient(this.toolName)) return 'mcp';
+    if (direct) return 'direct';
+    return getFakeBackend(this.toolName) ? 'fake' : null;
+  }
+
+  /**
+   * Make a call that leaves the process (MCP server or direct API) through
+   * the service's rate limits and circuit breaker. Fakes and simulated
+   * responses are local and skip both. A cancelled or timed-out run stops
+   * waiting for a rate-limit token.
+   */
+  callRemote(action, call) {
+    return callWithResilience(this.toolName, call, { action, signal: getRunContext()?.signal });
+  }
+
+  /**
+   * Whether a failed MCP call may be retried on the direct API: only when the
+   * server could not be reached, or it timed out on an action without side
+   * effects (a timed-out write may still have gone through)
+   */
+  canFallBackToDirect(action, error) {
+    if (error instanceof MCPTransportError) return true;
+    return error instanceof MCPTimeoutError && !this.mutatingActions.has(action);
+  }
+
+  /**
+   * Execute an action and normalize its result into a canonical type.
+   * Dry-run and simulated placeholders are passed through as they are.
+   */
+  async toolResult(action, params, type) {
+    const result = await this.executeTool(action, params);
+    if (isPlaceholder(result)) return result;
+    return type.from(result, { service: this.toolName, action });
+  }
+
+  /**
+   * Execute a list action and return its items as an array of a canonical
+   * type, unwrapping the service's list envelope (`messages`, `results`, `data`, ...)
+   */
+  async listTool(action, params, itemsKey, type) {
+    const { items } = await this.listPage(action, params, itemsKey, type);
+    return items;
+  }
+
+  /**
+   * Execute a list action, returning its canonical items together with the
+   * raw result, whose envelope carries the next-page cursor. `result` is
+   * null when the call returned a placeholder.
+   */
+  async listPage(action, params, itemsKey, type) {
+    const result = await this.executeTool(action, params);
+    if (isPlaceholder(result)) {
+      this.logger.debug(`${this.toolName}.${action} returned a placeholder instead of a list`);
+      return { result: null, items: [] };
+    }
+    
+    const items = Array.isArray(result) ? result : result?.[itemsKey];
+    if (!Array.isArray(items)) {
+      const got = items === null ? 'null' : typeof items;
+      throw new MalformedResponseError(`${type.name} list`, [`${itemsKey || '(root)'}: expected array, got ${got}`], {
+        service: this.toolName,
+        action
+      });
+    }
+    return { result, items: items.map(item => type.from(item, { service: this.toolName, action })) };
+  }
+
+  /**
+   * Iterate over every item of a paginated list action, fetching pages as
+   * they are consumed
+   *
+   * @param {string} action
+   * @param {Object} params - params of the first page, without page size or cursor
+   * @param {Object} pagination - how the service paginates
+   * @param {string|null} pagination.itemsKey - list envelope key, null for a bare array
+   * @param {Object} pagination.type - canonical item type
+   * @param {string} pagination.pageSizeParam - e.g. 'limit', 'maxResults', 'page_size'
+   * @param {string} pagination.cursorParam - e.g. 'starting_after', 'pageToken', 'page'
+   * @param {Function} pagination.nextCursor - (result, items, pageParams) => cursor of the next page, or null after the last
+   * @param {Object} [options]
+   * @param {number} [options.pageSize] - items per request, defaults to config.mcp.pagination.pageSize
+   * @param {number} [options.maxItems] - stop after this many items, defaults to config.mcp.pagination.maxItems
+   */
+  async *paginate(action, params, pagination, options = {}) {
+    const { itemsKey, type, pageSizeParam, cursorParam, nextCursor } = pagination;
+    const pageSize = options.pageSize || config.mcp.pagination.pageSize;
+    const maxItems = options.maxItems || config.mcp.pagination.maxItems;
+    const seenCursors = new Set();
+    let cursor = null;
+    let count = 0;
+    
+    while (true) {
+      const pageParams = { ...params, [pageSizeParam]: pageSize };
+      if (cursor !== null) pageParams[cursorParam] = cursor;
+      
+      const { result, items } = await this.listPage(action, pageParams, itemsKey, type);
+      const remaining = maxItems - count;
+      for (const item of items.slice(0, remaining)) {
+        count++;
+        yield item;
+      }
+      
+      cursor = result && items.length > 0 ? nextCursor(result, items, pageParams) ?? null : null;
+      if (items.length > remaining || (cursor !== null && count >= maxItems)) {
+        this.logger.warn(`${this.toolName}.${action}: stopped after ${maxItems} items, results are truncated`);
+        return;
+      }
+      if (cursor === null) return;
+      
+      if (seenCursors.has(cursor)) {
+        throw new MalformedResponseError(`${type.name} list`, [`${cursorParam}: cursor ${cursor} was already returned`], {
+          service: this.toolName,
+          action
+        });
+      }
+      seenCursors.add(cursor);
+    }
+  }
+}
+
+/**
+ * Dry-run and simulated results stand in for a call that never reached a backend
+ */
+function isPlaceholder(result) {
+  return !!result && (result.dryRun === true || result.simulated === true);
 }
 
+/**
+ * Gmail. Label, archive, star and snooze operations take label names
+ * (`ops-automation/archive`, `STARRED`); user labels are created on first use.
+ * Gmail has no snooze API: a snoozed message is archived under
+ * `config.gmail.labels.snoozed` until `wakeSnoozedEmails()` finds it due.
+ */
 class MCPGmailAdapter extends MCPToolAdapter {
   constructor() {
-    super('gmail');
-  }
-
-  async searchEmails(query, maxResults = 10) {
-    // When running in Claude Code, this would use the Gmail MCP
-    return this.executeTool('search', { query, maxResults });
+    super('gmail', ['send', 'markRead', 'createLabel', 'modifyLabels', 'trash']);
+    // Label name -> id, filled from listLabels and labels created by this adapter
+    this.labelIds = null;
+    // Label id -> name, the reverse of labelIds
+    this.labelNames = null;
+  }
+
+  auditTarget(action, params) {
+    switch (action) {
+      case 'send':
+        return { target: params.to, summary: params.subject };
+      case 'createLabel':
+        return { target: params.name, summary: null };
+      case 'modifyLabels':
+        return {
+          target: params.messageId,
+          summary: [
+            ...(params.addLabelIds || []).map(id => `+${id}`),
+            ...(params.removeLabelIds || []).map(id => `-${id}`)
+          ].join(' ') || null
+        };
+      default:
+        return { target: params.messageId, summary: null };
+    }
+  }
+
+  async searchEmails(query, maxResults = 10, options = {}) {
+    return this.listTool('search', { query, maxResults, ...options }, 'messages', types.EmailSummary);
+  }
+
+  iterateEmails(query, options = {}) {
+    return this.paginate('search', { query }, {
+      itemsKey: 'messages',
+      type: types.EmailSummary,
+      pageSizeParam: 'maxResults',
+      cursorParam: 'pageToken',
+      nextCursor: result => result.nextPageToken
+    }, options);
   }
 
   async sendEmail(to, subject, body, options = {}) {
-    return this.executeTool('send', { to, subject, body, ...options });
+    return this.toolResult('send', { to, subject, body, ...options }, types.MessageRef);
   }
 
+  /**
+   * Full message, with `labelNames` resolved from its label ids so rules can
+   * name user labels ('Clubs/Priority' rather than 'Label_123')
+   */
   async getEmail(messageId) {
-    return this.executeTool('get', { messageId });
+    const email = await this.toolResult('get', { messageId }, types.Email);
+    return { ...email, labelNames: await this.resolveLabelNames(email.labelIds) };
   }
 
   async markAsRead(messageId) {
-    return this.executeTool('markRead', { messageId });
+    return this.toolResult('markRead', { messageId }, types.MessageRef);
+  }
+
+  /**
+   * Download an attachment listed in `Email.attachments`
+   *
+   * @returns {Promise<{attachmentId: string, size: number, data: string}>} content as base64
+   */
+  async getAttachment(messageId, attachmentId) {
+    return this.toolResult('getAttachment', { messageId, attachmentId }, types.AttachmentContent);
+  }
+
+  async listLabels() {
+    return this.listTool('listLabels', {}, 'labels', types.GmailLabel);
+  }
+
+  async createLabel(name, options = {}) {
+    return this.toolResult('createLabel', { name, ...options }, types.GmailLabel);
+  }
+
+  /**
+   * Id of a label by name (or id), creating the label if it does not exist
+   */
+  async getOrCreateLabel(name) {
+    if (!this.labelIds) await this.refreshLabels();
+    if (this.labelIds.has(name)) return this.labelIds.get(name);
+
+    let label;
+    try {
+      label = await this.createLabel(name);
+    } catch (error) {
+      // Created meanwhile by another process
+      await this.refreshLabels();
+      if (this.labelIds.has(name)) return this.labelIds.get(name);
+      throw error;
+    }
+
+    // A dry run's placeholder id must not be reused by later real calls
+    if (isPlaceholder(label)) return label.id;
+    this.labelIds.set(name, label.id);
+    this.labelNames.set(label.id, name);
+    return label.id;
+  }
+
+  async refreshLabels() {
+    const labels = await this.listLabels();
+    this.labelIds = new Map();
+    this.labelNames = new Map();
+    for (const label of labels) {
+      this.labelIds.set(label.name, label.id);
+      this.labelIds.set(label.id, label.id);
+      this.labelNames.set(label.id, label.name);
+    }
+  }
+
+  /**
+   * Names of labels by id. The label list is refetched once for an id it
+   * does not know (a label created since); ids that still cannot be named,
+   * or all of them when the list cannot be fetched, stay as they are.
+   */
+  async resolveLabelNames(labelIds) {
+    try {
+      if (!this.labelNames || labelIds.some(id => !this.labelNames.has(id))) {
+        await this.refreshLabels();
+      }
+    } catch (error) {
+      this.logger.warn(`Could not list Gmail labels, matching rules on label ids: ${error.message}`);
+      return labelIds;
+    }
+    for (const id of labelIds) {
+      // Not refetched again for every message that carries it
+      if (!this.labelNames.has(id)) this.labelNames.set(id, id);
+    }
+    return labelIds.map(id => this.labelNames.get(id));
+  }
+
+  /**
+   * Add and remove labels on a message, by label id
+   */
+  async modifyLabels(messageId, { add = [], remove = [] } = {}) {
+    return this.toolResult('modifyLabels', { messageId, addLabelIds: add, removeLabelIds: remove }, types.MessageRef);
+  }
+
+  /**
+   * Apply labels by name, creating missing ones
+   */
+  async applyLabels(messageId, names) {
+    const ids = await Promise.all([].concat(names).map(name => this.getOrCreateLabel(name)));
+    return this.modifyLabels(messageId, { add: ids });
+  }
+
+  async removeLabels(messageId, names) {
+    const ids = await Promise.all([].concat(names).map(name => this.getOrCreateLabel(name)));
+    return this.modifyLabels(messageId, { remove: ids });
+  }
+
+  async archive(messageId) {
+    return this.modifyLabels(messageId, { remove: ['INBOX'] });
+  }
+
+  async trash(messageId) {
+    return this.toolResult('trash', { messageId }, types.MessageRef);
+  }
+
+  async star(messageId) {
+    return this.modifyLabels(messageId, { add: ['STARRED'] });
+  }
+
+  async unstar(messageId) {
+    return this.modifyLabels(messageId, { remove: ['STARRED'] });
+  }
+
+  /**
+   * Archive a message under the snoozed label until `until`
+   *
+   * @param {string} messageId
+   * @param {Date|string} until
+   * @param {Object} [details] - kept with the snooze, e.g. `{ subject }`
+   */
+  async snooze(messageId, until, details = {}) {
+    const labelId = await this.getOrCreateLabel(config.gmail.labels.snoozed);
+    const result = await this.modifyLabels(messageId, { add: [labelId], remove: ['INBOX'] });
+    emailSnoozes.add(messageId, until, details);
+    return result;
+  }
+
+  /**
+   * Return snoozed messages that are due to the inbox, unread
+   *
+   * @returns {Promise<string[]>} ids of the messages woken
+   */
+  async wakeSnoozedEmails(at = new Date()) {
+    const due = emailSnoozes.due(at);
+    if (due.length === 0) return [];
+
+    const labelId = await this.getOrCreateLabel(config.gmail.labels.snoozed);
+    const woken = [];
+    for (const { messageId } of due) {
+      try {
+        await this.modifyLabels(messageId, { add: ['INBOX', 'UNREAD'], remove: [labelId] });
+        emailSnoozes.remove(messageId);
+        woken.push(messageId);
+      } catch (error) {
+        // A message deleted while snoozed will never come back; stop trying
+        if (error.status === 404) emailSnoozes.remove(messageId);
+        this.logger.error(`Failed to wake snoozed email ${messageId}: ${error.message}`);
+      }
+    }
+    return woken;
   }
 }
 
 class MCPNotionAdapter extends MCPToolAdapter {
   constructor() {
-    super('notion');
+    super('notion', ['createPage', 'updatePage', 'appendBlocks']);
   }
 
-  async queryDatabase(databaseId, filter = {}, sorts = []) {
-    return this.executeTool('queryDatabase', { databaseId, filter, sorts });
+  auditTarget(action, params) {
+    switch (action) {
+      case 'createPage':
+        return { target: params.databaseId, summary: pageTitle(params.properties || {}) };
+      case 'updatePage':
+        return { target: params.pageId, summary: pageTitle(params.properties || {}) };
+      default:
+        return { target: params.pageId, summary: null };
+    }
+  }
+
+  async queryDatabase(databaseId, filter = {}, sorts = [], options = {}) {
+    return this.listTool('queryDatabase', { databaseId, filter, sorts, ...options }, 'results', types.NotionPage);
+  }
+
+  iterateDatabase(databaseId, filter = {}, sorts = [], options = {}) {
+    return this.paginate('queryDatabase', { databaseId, filter, sorts }, {
+      itemsKey: 'results',
+      type: types.NotionPage,
+      pageSizeParam: 'page_size',
+      cursorParam: 'start_cursor',
+      nextCursor: result => (result.has_more === false ? null : result.next_cursor)
+    }, options);
   }
 
   async createPage(databaseId, properties, content = []) {
-    return this.executeTool('createPage', { databaseId, properties, content });
+    return this.toolResult('createPage', { databaseId, properties, content }, types.NotionPage);
   }
 
   async updatePage(pageId, properties) {
-    return this.executeTool('updatePage', { pageId, properties });
+    return this.toolResult('updatePage', { pageId, properties }, types.NotionPage);
   }
 
   async getPage(pageId) {
-    return this.executeTool('getPage', { pageId });
+    return this.toolResult('getPage', { pageId }, types.NotionPage);
   }
 
   async appendToPage(pageId, blocks) {
-    return this.executeTool('appendBlocks', { pageId, blocks });
+    return this.listTool('appendBlocks', { pageId, blocks }, 'results', types.NotionBlock);
   }
 }
 
 class MCPGoogleCalendarAdapter extends MCPToolAdapter {
   constructor() {
-    super('google-calendar');
+    super('google-calendar', ['createEvent', 'updateEvent', 'deleteEvent']);
+  }
+
+  auditTarget(action, params) {
+    const attendees = (params.event?.attendees || []).map(attendee => attendee.email).join(', ');
+    return {
+      target: params.eventId ? `${params.calendarId}/${params.eventId}` : params.calendarId,
+      summary: [params.event?.summary, attendees].filter(Boolean).join(' - ') || null
+    };
   }
 
   async createEvent(calendarId, event) {
-    return this.executeTool('createEvent', { calendarId, event });
+    return this.toolResult('createEvent', { calendarId, event }, types.CalendarEvent);
   }
 
-  async getEvents(calendarId, timeMin, timeMax, maxResults = 250) {
-    return this.executeTool('getEvents', { calendarId, timeMin, timeMax, maxResults });
+  async getEvents(calendarId, timeMin, timeMax, maxResults = 250, options = {}) {
+    return this.listTool('getEvents', { calendarId, timeMin, timeMax, maxResults, ...options }, 'items', types.CalendarEvent);
+  }
+
+  iterateEvents(calendarId, timeMin, timeMax, options = {}) {
+    return this.paginate('getEvents', { calendarId, timeMin, timeMax }, {
+      itemsKey: 'items',
+      type: types.CalendarEvent,
+      pageSizeParam: 'maxResults',
+      cursorParam: 'pageToken',
+      nextCursor: result => result.nextPageToken
+    }, options);
   }
 
   async updateEvent(calendarId, eventId, event) {
-    return this.executeTool('updateEvent', { calendarId, eventId, event });
+    return this.toolResult('updateEvent', { calendarId, eventId, event }, types.CalendarEvent);
   }
 
   async deleteEvent(calendarId, eventId) {
@@ -113,27 +607,60 @@ class MCPGoogleCalendarAdapter extends MCPToolAdapter {
 
 class MCPGitHubAdapter extends MCPToolAdapter {
   constructor() {
-    super('github');
+    super('github', ['createIssue', 'updateIssue', 'addComment', 'createPR']);
   }
 
+  async executeTool(action, params = {}) {
+    // config.github.owner has no default; fail clearly rather than call 'undefined/<repo>'
+    if ('owner' in params && !params.owner) {
+      throw new AutomationError(`GitHub ${action} needs a repository owner: set GITHUB_OWNER`, { code: 'GITHUB_OWNER_NOT_SET' });
+    }
+    return super.executeTool(action, params);
+  }
+
+  auditTarget(action, params) {
+    const repo = `${params.owner}/${params.repo}`;
+    return {
+      target: params.issueNumber ? `${repo}#${params.issueNumber}` : repo,
+      summary: params.title || params.updates?.title || params.updates?.state || params.body || null
+    };
+  }
+
+  // `config.github.labels` are added to every issue this service opens
   async createIssue(owner, repo, title, body, labels = []) {
-    return this.executeTool('createIssue', { owner, repo, title, body, labels });
+    labels = [...new Set([...labels, ...config.github.labels])];
+    return this.toolResult('createIssue', { owner, repo, title, body, labels }, types.Issue);
   }
 
-  async getIssues(owner, repo, state = 'open', labels = []) {
-    return this.executeTool('getIssues', { owner, repo, state, labels });
+  async getIssues(owner, repo, state = 'open', labels = [], options = {}) {
+    return this.listTool('getIssues', { owner, repo, state, labels, ...options }, null, types.Issue);
+  }
+
+  // GitHub pages by number; a short page is the last one
+  iterateIssues(owner, repo, state = 'open', labels = [], options = {}) {
+    return this.paginate('getIssues', { owner, repo, state, labels }, {
+      itemsKey: null,
+      type: types.Issue,
+      pageSizeParam: 'per_page',
+      cursorParam: 'page',
+      nextCursor: (result, items, params) => (items.length < params.per_page ? null : (params.page || 1) + 1)
+    }, options);
   }
 
   async updateIssue(owner, repo, issueNumber, updates) {
-    return this.executeTool('updateIssue', { owner, repo, issueNumber, updates });
+    return this.toolResult('updateIssue', { owner, repo, issueNumber, updates }, types.Issue);
+  }
+
+  async addComment(owner, repo, issueNumber, body) {
+    return this.toolResult('addComment', { owner, repo, issueNumber, body }, types.IssueComment);
   }
 
   async createPullRequest(owner, repo, title, body, head, base) {
-    return this.executeTool('createPR', { owner, repo, title, body, head, base });
+    return this.toolResult('createPR', { owner, repo, title, body, head, base }, types.Issue);
   }
 
   async getRepositoryInfo(owner, repo) {
-    return this.executeTool('getRepo', { owner, repo });
+    return this.toolResult('getRepo', { owner, repo }, types.Repository);
   }
 }
 
@@ -142,91 +669,171 @@ class MCPStripeAdapter extends MCPToolAdapter {
     super('stripe');
   }
 
-  async getCustomers(limit = 100) {
-    return this.executeTool('getCustomers', { limit });
+  async getCustomers(limit = 100, options = {}) {
+    return this.listTool('getCustomers', { limit, ...options }, 'data', types.Customer);
   }
 
   async getCustomer(customerId) {
-    return this.executeTool('getCustomer', { customerId });
+    return this.toolResult('getCustomer', { customerId }, types.Customer);
   }
 
-  async getPayments(limit = 100, created = {}) {
-    return this.executeTool('getPayments', { limit, created });
+  async getPayments(limit = 100, created = {}, options = {}) {
+    return this.listTool('getPayments', { limit, created, ...options }, 'data', types.Payment);
   }
 
-  async getSubscriptions(limit = 100, status = 'active') {
-    return this.executeTool('getSubscriptions', { limit, status });
+  async getSubscriptions(limit = 100, status = 'active', options = {}) {
+    return this.listTool('getSubscriptions', { limit, status, ...options }, 'data', types.Subscription);
   }
 
-  async getInvoices(limit = 100, status = 'paid') {
-    return this.executeTool('getInvoices', { limit, status });
+  async getInvoices(limit = 100, status = 'paid', options = {}) {
+    return this.listTool('getInvoices', { limit, status, ...options }, 'data', types.Invoice);
   }
+
+  iterateCustomers(created = {}, options = {}) {
+    return this.paginate('getCustomers', { created }, stripePagination(types.Customer), options);
+  }
+
+  iteratePayments(created = {}, options = {}) {
+    return this.paginate('getPayments', { created }, stripePagination(types.Payment), options);
+  }
+
+  iterateSubscriptions(status = 'active', options = {}) {
+    return this.paginate('getSubscriptions', { status }, stripePagination(types.Subscription), options);
+  }
+
+  iterateInvoices(status = 'paid', created = {}, options = {}) {
+    return this.paginate('getInvoices', { status, created }, stripePagination(types.Invoice), options);
+  }
+}
+
+/**
+ * Stripe lists page with `starting_after`, the id of the last item seen,
+ * while `has_more` is set
+ */
+function stripePagination(type) {
+  return {
+    itemsKey: 'data',
+    type,
+    pageSizeParam: 'limit',
+    cursorParam: 'starting_after',
+    nextCursor: (result, items) => (result.has_more ? items[items.length - 1].id : null)
+  };
 }
 
 class MCPGoogleDriveAdapter extends MCPToolAdapter {
   constructor() {
-    super('google-drive');
+    super('google-drive', ['createFile', 'updateFile', 'shareFile']);
+  }
+
+  auditTarget(action, params) {
+    switch (action) {
+      case 'createFile':
+        return { target: (params.parents || []).join(', ') || null, summary: params.name };
+      case 'shareFile':
+        return { target: params.fileId, summary: `${params.role} for ${params.email}` };
+      default:
+        return { target: params.fileId, summary: params.name };
+    }
+  }
+
+  async listFiles(query = '', maxResults = 100, options = {}) {
+    return this.listTool('listFiles', { query, maxResults, ...options }, 'files', types.DriveFile);
   }
 
-  async listFiles(query = '', maxResults = 100) {
-    return this.executeTool('listFiles', { query, maxResults });
+  iterateFiles(query = '', options = {}) {
+    return this.paginate('listFiles', { query }, {
+      itemsKey: 'files',
+      type: types.DriveFile,
+      pageSizeParam: 'maxResults',
+      cursorParam: 'pageToken',
+      nextCursor: result => result.nextPageToken
+    }, options);
   }
 
   async getFile(fileId) {
-    return this.executeTool('getFile', { fileId });
+    return this.toolResult('getFile', { fileId }, types.DriveFile);
   }
 
-  async createFile(name, content, mimeType, parents = []) {
-    return this.executeTool('createFile', { name, content, mimeType, parents });
+  /**
+   * @param {Object} [options]
+   * @param {'utf8'|'base64'} [options.contentEncoding='utf8'] - 'base64' for binary content such as email attachments
+   * @param {Object<string, string>} [options.appProperties] - private key/value pairs to find the file by later
+   */
+  async createFile(name, content, mimeType, parents = [], options = {}) {
+    return this.toolResult('createFile', { name, content, mimeType, parents, ...options }, types.DriveFile);
   }
 
   async updateFile(fileId, content, name = null) {
-    return this.executeTool('updateFile', { fileId, content, name });
+    return this.toolResult('updateFile', { fileId, content, name }, types.DriveFile);
   }
 
   async shareFile(fileId, email, role = 'reader') {
-    return this.executeTool('shareFile', { fileId, email, role });
+    return this.toolResult('shareFile', { fileId, email, role }, types.DrivePermission);
   }
 }
 
 class MCPIntercomAdapter extends MCPToolAdapter {
   constructor() {
-    super('intercom');
+    super('intercom', ['sendMessage', 'createContact']);
   }
 
-  async getConversations(assignedTo = null, state = 'open') {
-    return this.executeTool('getConversations', { assignedTo, state });
+  auditTarget(action, params) {
+    switch (action) {
+      case 'createContact':
+        return { target: params.email, summary: params.name };
+      default:
+        return { target: params.conversationId, summary: params.message };
+    }
   }
 
-  async getContacts(email = null, limit = 50) {
-    return this.executeTool('getContacts', { email, limit });
+  async getConversations(assignedTo = null, state = 'open', options = {}) {
+    return this.listTool('getConversations', { assignedTo, state, ...options }, 'conversations', types.Conversation);
+  }
+
+  async getContacts(email = null, limit = 50, options = {}) {
+    return this.listTool('getContacts', { email, limit, ...options }, 'data', types.Contact);
   }
 
   async sendMessage(conversationId, message, messageType = 'comment') {
-    return this.executeTool('sendMessage', { conversationId, message, messageType });
+    return this.toolResult('sendMessage', { conversationId, message, messageType }, types.Conversation);
   }
 
   async createContact(email, name, customAttributes = {}) {
-    return this.executeTool('createContact', { email, name, customAttributes });
+    return this.toolResult('createContact', { email, name, customAttributes }, types.Contact);
   }
 }
 
 class MCPCanvaAdapter extends MCPToolAdapter {
   constructor() {
-    super('canva');
+    super('canva', ['createDesign']);
   }
 
-  async getDesigns(limit = 20) {
-    return this.executeTool('getDesigns', { limit });
+  auditTarget(action, params) {
+    return { target: params.templateId, summary: params.modifications?.customText?.clubName || null };
+  }
+
+  async getDesigns(limit = 20, options = {}) {
+    return this.listTool('getDesigns', { limit, ...options }, 'items', types.Design);
   }
 
   async createDesign(templateId, modifications = {}) {
-    return this.executeTool('createDesign', { templateId, modifications });
+    return this.toolResult('createDesign', { templateId, modifications }, types.Design);
   }
 
   async exportDesign(designId, format = 'png') {
-    return this.executeTool('exportDesign', { designId, format });
+    return this.toolResult('exportDesign', { designId, format }, types.DesignExport);
+  }
+}
+
+/**
+ * Drain an adapter iterator into an array
+ */
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) {
+    items.push(item);
   }
+  return items;
 }
 
 /**
@@ -256,5 +863,7 @@ module.exports = {
   MCPGoogleDriveAdapter,
   MCPIntercomAdapter,
   MCPCanvaAdapter,
-  createMCPAdapters
+  createMCPAdapters,
+  collect,
+  isPlaceholder
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+const logger = require('../../logging/logger');
+const { config } = require('../../config');
+const {
+  MCPTransportError,
+  MCPTimeoutError,
+  MCPProtocolError
+} = require('../../errors');
+
+/**
+ * MCP Transport
+ *
+ * JSON-RPC 2.0 request/response bookkeeping shared by the stdio and HTTP
+ * transports. Subclasses implement open(), send(message) and close(), and
+ * feed every message received from the server into handleMessage().
+ */
+class MCPTransport {
+  constructor(serverName, options = {}) {
+    this.serverName = serverName;
+    this.timeoutMs = options.timeoutMs || config.mcp.requestTimeoutMs;
+    this.nextId = 1;
+    this.pending = new Map();
+    this.isOpen = false;
+    this.logger = logger.child({ service: `mcp-transport-${serverName}` });
+  }
+
+  async open() {
+    throw new Error('open() must be implemented by the transport');
+  }
+
+  async send() {
+    throw new Error('send() must be implemented by the transport');
+  }
+
+  async close() {
+    this.isOpen = false;
+    this.failPending(new MCPTransportError(this.serverName, 'Transport closed'));
+  }
+
+  /**
+   * Send a JSON-RPC request and resolve with its result
+   *
+   * @param {string} method - e.g. 'tools/list'
+   * @param {Object} [params]
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - overrides the configured request timeout
+   */
+  request(method, params = {}, { timeoutMs = this.timeoutMs } = {}) {
+    const id = this.nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new MCPTimeoutError(this.serverName, method, timeoutMs));
+      }, timeoutMs);
+
+      this.pending.set(id, { method, resolve, reject, timer });
+
+      this.send({ jsonrpc: '2.0', id, method, params }).catch(error => {
+        this.settle(id, () => reject(error instanceof MCPTransportError
+          ? error
+          : new MCPTransportError(this.serverName, error.message, { cause: error })));
+      });
+    });
+  }
+
+  async notify(method, params) {
+    const message = { jsonrpc: '2.0', method };
+    if (params) message.params = params;
+    await this.send(message);
+  }
+
+  handleMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach(item => this.handleMessage(item));
+      return;
+    }
+    if (!message || message.jsonrpc !== '2.0') {
+      this.logger.warn('Ignoring non JSON-RPC message from MCP server', { message });
+      return;
+    }
+
+    // Response to one of our requests
+    if (message.id !== undefined && (message.result !== undefined || message.error !== undefined)) {
+      const pending = this.pending.get(message.id);
+      if (!pending) {
+        this.logger.debug(`Response for unknown request id ${message.id}`);
+        return;
+      }
+      this.settle(message.id, () => {
+        if (message.error) {
+          pending.reject(new MCPProtocolError(this.serverName, pending.method, message.error));
+        } else {
+          pending.resolve(message.result);
+        }
+      });
+      return;
+    }
+
+    // Server-initiated request: answer pings, decline anything else
+    if (message.id !== undefined && message.method) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported by client: ${message.method}` } };
+      this.send(reply).catch(error => this.logger.warn(`Failed to answer server request: ${error.message}`));
+      return;
+    }
+
+    this.logger.debug(`MCP notification: ${message.method}`, message.params);
+  }
+
+  settle(id, fn) {
+    const pending = this.pending.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this.pending.delete(id);
+    fn();
+  }
+
+  failPending(error) {
+    for (const [id, pending] of Array.from(this.pending.entries())) {
+      this.settle(id, () => pending.reject(error));
+    }
+  }
+}
+
+module.exports = MCPTransport;
@@ -0,0 +1,134 @@
+const MCPTransport = require('./base-transport');
+const { MCPTransportError } = require('../../errors');
+
+/**
+ * Streamable HTTP MCP Transport
+ *
+ * POSTs each JSON-RPC message to the server's MCP endpoint. The server
+ * answers with either a JSON body or a `text/event-stream` whose events
+ * carry the response (and any notifications sent before it). The session id
+ * returned by `initialize` is echoed on every later request.
+ */
+class HttpTransport extends MCPTransport {
+  /**
+   * @param {string} serverName
+   * @param {Object} options
+   * @param {string} options.url - MCP endpoint, e.g. http://localhost:3333/mcp
+   * @param {Object} [options.headers] - extra headers (auth tokens, ...)
+   */
+  constructor(serverName, options = {}) {
+    super(serverName, options);
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+  }
+
+  async open() {
+    if (!this.url) {
+      throw new MCPTransportError(this.serverName, 'No url configured for HTTP transport');
+    }
+    this.isOpen = true;
+  }
+
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...this.headers
+    };
+    if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+    if (this.protocolVersion) headers['MCP-Protocol-Version'] = this.protocolVersion;
+    return headers;
+  }
+
+  async send(message) {
+    if (!this.isOpen) {
+      throw new MCPTransportError(this.serverName, 'Transport is not open');
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: this.buildHeaders(),
+        body: JSON.stringify(message)
+      });
+    } catch (error) {
+      throw new MCPTransportError(this.serverName, `Request to ${this.url} failed: ${error.message}`, { cause: error });
+    }
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) this.sessionId = sessionId;
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new MCPTransportError(this.serverName, `HTTP ${response.status} from ${this.url}${body ? `: ${body.substring(0, 200)}` : ''}`);
+      error.status = response.status;
+      // Client errors will not fix themselves on retry; rate limits and server errors might
+      error.transient = response.status === 429 || response.status >= 500;
+      if (response.status === 404 && this.sessionId) {
+        // Session expired on the server; the next initialize starts a new one
+        this.sessionId = null;
+      }
+      throw error;
+    }
+
+    // Notifications and responses are acknowledged with 202 and no body
+    if (response.status === 202) return;
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) {
+      await this.readEventStream(response);
+    } else {
+      const text = await response.text();
+      if (text.trim()) this.handleMessage(JSON.parse(text));
+    }
+  }
+
+  /**
+   * Dispatch every `data:` event of an SSE response body
+   */
+  async readEventStream(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const dispatch = (event) => {
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (!data) return;
+      try {
+        this.handleMessage(JSON.parse(data));
+      } catch (error) {
+        this.logger.warn(`Unparseable SSE event from MCP server: ${data.substring(0, 200)}`);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let boundary;
+      while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+      }
+    }
+    if (buffer.trim()) dispatch(buffer);
+  }
+
+  async close() {
+    if (this.sessionId) {
+      try {
+        await fetch(this.url, { method: 'DELETE', headers: this.buildHeaders() });
+      } catch (error) {
+        this.logger.debug(`Failed to end MCP session: ${error.message}`);
+      }
+      this.sessionId = null;
+    }
+    await super.close();
+  }
+}
+
+module.exports = HttpTransport;
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../logging/logger');
+const { config } = require('../../config');
+const MCPClient = require('./mcp-client');
+const StdioTransport = require('./stdio-transport');
+const HttpTransport = require('./http-transport');
+
+/**
+ * MCP Transport Registry
+ *
+ * Reads the MCP servers config and hands out one connected client per
+ * server. The config file uses the familiar `mcpServers` shape, keyed by
+ * adapter tool name ('gmail', 'notion', 'google-calendar', ...):
+ *
+ *   {
+ *     "mcpServers": {
+ *       "gmail": { "command": "node", "args": ["scripts/mcp-stub-server.js"] },
+ *       "notion": { "url": "http://localhost:3333/mcp", "headers": { "Authorization": "Bearer ${NOTION_TOKEN}" } },
+ *       "github": { "command": "...", "tools": { "createIssue": "create_issue" } }
+ *     }
+ *   }
+ *
+ * `${VAR}` placeholders in env and headers are filled from the environment.
+ */
+
+const TRANSPORTS = {
+  stdio: StdioTransport,
+  http: HttpTransport
+};
+
+const REPO_ROOT = path.join(__dirname, '../../../..');
+
+const clients = new Map();
+let serverConfigs = null;
+
+function expandEnv(values = {}) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(values)) {
+    expanded[key] = typeof value === 'string'
+      ? value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '')
+      : value;
+  }
+  return expanded;
+}
+
+function loadServerConfigs() {
+  if (serverConfigs) return serverConfigs;
+
+  serverConfigs = {};
+  const file = config.mcp.serversFile;
+  if (!fs.existsSync(file)) {
+    logger.debug(`No MCP servers config at ${file}; MCP tools will be simulated`);
+    return serverConfigs;
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    serverConfigs = parsed.mcpServers || {};
+    logger.info(`Loaded MCP servers config: ${Object.keys(serverConfigs).join(', ') || 'none'}`);
+  } catch (error) {
+    logger.error(`Invalid MCP servers config ${file}: ${error.message}`);
+  }
+  return serverConfigs;
+}
+
+function createTransport(serverName, serverConfig) {
+  const type = serverConfig.transport || (serverConfig.url ? 'http' : 'stdio');
+  const Transport = TRANSPORTS[type];
+  if (!Transport) {
+    throw new Error(`Unknown MCP transport '${type}' for server '${serverName}'`);
+  }
+
+  // Servers are launched from the repo root unless a cwd is given
+  return new Transport(serverName, {
+    ...serverConfig,
+    cwd: path.resolve(REPO_ROOT, serverConfig.cwd || '.'),
+    env: expandEnv(serverConfig.env),
+    headers: expandEnv(serverConfig.headers)
+  });
+}
+
+/**
+ * Client for the named server, or null when the server is not configured
+ */
+function getMCPClient(serverName) {
+  if (clients.has(serverName)) return clients.get(serverName);
+
+  const serverConfig = loadServerConfigs()[serverName];
+  if (!serverConfig || serverConfig.disabled) return null;
+
+  const client = new MCPClient(serverName, createTransport(serverName, serverConfig), {
+    tools: serverConfig.tools
+  });
+  clients.set(serverName, client);
+  return client;
+}
+
+function getMCPServerStatus() {
+  const status = {};
+  for (const [serverName, serverConfig] of Object.entries(loadServerConfigs())) {
+    const client = clients.get(serverName);
+    status[serverName] = {
+      transport: serverConfig.transport || (serverConfig.url ? 'http' : 'stdio'),
+      disabled: !!serverConfig.disabled,
+      ...(client ? client.getStatus() : { connected: false, server: null, toolCount: null })
+    };
+  }
+  return status;
+}
+
+async function closeAllClients() {
+  const closing = Array.from(clients.values()).map(client => client.close().catch(error => {
+    logger.warn(`Failed to close MCP client ${client.serverName}: ${error.message}`);
+  }));
+  clients.clear();
+  await Promise.all(closing);
+}
+
+module.exports = {
+  MCPClient,
+  StdioTransport,
+  HttpTransport,
+  createTransport,
+  getMCPClient,
+  getMCPServerStatus,
+  closeAllClients
+};
@@ -0,0 +1,159 @@
+const logger = require('../../logging/logger');
+const { config } = require('../../config');
+const { MCPToolNotFoundError, MCPToolError } = require('../../errors');
+const { version } = require('../../../../package.json');
+
+/**
+ * MCP Client
+ *
+ * Speaks the MCP lifecycle over a transport: `initialize` handshake, tool
+ * discovery through `tools/list` (following pagination cursors) and
+ * `tools/call`. Adapter actions are mapped to server tool names through the
+ * server's `tools` config; unmapped actions use the action name as-is.
+ */
+class MCPClient {
+  /**
+   * @param {string} serverName - adapter / server name from the MCP servers config
+   * @param {MCPTransport} transport
+   * @param {Object} [options]
+   * @param {Object} [options.tools] - action name -> tool name overrides
+   */
+  constructor(serverName, transport, options = {}) {
+    this.serverName = serverName;
+    this.transport = transport;
+    this.toolNames = options.tools || {};
+    this.tools = null;
+    this.serverInfo = null;
+    this.connecting = null;
+    this.logger = logger.child({ service: `mcp-client-${serverName}` });
+  }
+
+  get isConnected() {
+    return !!this.serverInfo && this.transport.isOpen;
+  }
+
+  async connect() {
+    if (this.isConnected) return;
+    if (!this.connecting) {
+      this.connecting = this.handshake().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async handshake() {
+    // A dead stdio process or expired HTTP session starts over from scratch
+    this.tools = null;
+    this.serverInfo = null;
+    await this.transport.open();
+
+    const result = await this.transport.request('initialize', {
+      protocolVersion: config.mcp.protocolVersion,
+      capabilities: {},
+      clientInfo: { name: 'gmtm-ops-automation', version }
+    });
+
+    this.transport.protocolVersion = result.protocolVersion;
+    await this.transport.notify('notifications/initialized');
+
+    this.serverInfo = result.serverInfo || { name: this.serverName };
+    this.capabilities = result.capabilities || {};
+    this.logger.info(`Connected to MCP server ${this.serverInfo.name} ${this.serverInfo.version || ''}`.trim(), {
+      protocolVersion: result.protocolVersion
+    });
+  }
+
+  /**
+   * Discover the server's tools, cached until reconnect or `refresh`
+   *
+   * @returns {Promise<Map<string, Object>>} tool name -> tool definition
+   */
+  async listTools({ refresh = false } = {}) {
+    await this.connect();
+    if (this.tools && !refresh) return this.tools;
+
+    const tools = new Map();
+    let cursor;
+    do {
+      const page = await this.transport.request('tools/list', cursor ? { cursor } : {});
+      (page.tools || []).forEach(tool => tools.set(tool.name, tool));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    this.tools = tools;
+    this.logger.debug(`Discovered ${tools.size} tools`, { tools: Array.from(tools.keys()) });
+    return tools;
+  }
+
+  resolveToolName(action) {
+    return this.toolNames[action] || action;
+  }
+
+  /**
+   * Call a tool and return its parsed result
+   *
+   * @throws {MCPToolNotFoundError} when the server does not expose the tool
+   * @throws {MCPToolError} when the tool reports `isError`
+   */
+  async callTool(toolName, args = {}) {
+    const tools = await this.listTools();
+    if (!tools.has(toolName)) {
+      throw new MCPToolNotFoundError(this.serverName, toolName, Array.from(tools.keys()));
+    }
+
+    const result = await this.transport.request('tools/call', { name: toolName, arguments: args });
+
+    if (result.isError) {
+      const message = textContent(result.content) || 'Tool reported an error';
+      throw new MCPToolError(this.serverName, toolName, message, result.content);
+    }
+
+    return parseToolResult(result);
+  }
+
+  getStatus() {
+    return {
+      connected: this.isConnected,
+      server: this.serverInfo,
+      toolCount: this.tools ? this.tools.size : null
+    };
+  }
+
+  async close() {
+    await this.transport.close();
+    this.serverInfo = null;
+    this.tools = null;
+  }
+}
+
+function textContent(content = []) {
+  return content
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+}
+
+/**
+ * Prefer structured content; otherwise decode a JSON text result, falling
+ * back to the raw text or content list
+ */
+function parseToolResult(result) {
+  if (result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+
+  const content = result.content || [];
+  if (content.length > 0 && content.every(item => item.type === 'text')) {
+    const text = textContent(content);
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  return content;
+}
+
+module.exports = MCPClient;
@@ -0,0 +1,103 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const MCPTransport = require('./base-transport');
+const { MCPTransportError } = require('../../errors');
+
+/**
+ * Stdio MCP Transport
+ *
+ * Launches the MCP server as a child process and exchanges newline-delimited
+ * JSON-RPC messages over its stdin/stdout. The server's stderr is forwarded
+ * to the log.
+ */
+class StdioTransport extends MCPTransport {
+  /**
+   * @param {string} serverName
+   * @param {Object} options
+   * @param {string} options.command - executable to launch
+   * @param {string[]} [options.args]
+   * @param {Object} [options.env] - extra environment variables
+   * @param {string} [options.cwd]
+   */
+  constructor(serverName, options = {}) {
+    super(serverName, options);
+    this.command = options.command;
+    this.args = options.args || [];
+    this.env = options.env || {};
+    this.cwd = options.cwd;
+    this.child = null;
+  }
+
+  async open() {
+    if (this.isOpen) return;
+    if (!this.command) {
+      throw new MCPTransportError(this.serverName, 'No command configured for stdio transport');
+    }
+
+    this.child = spawn(this.command, this.args, {
+      cwd: this.cwd,
+      env: { ...process.env, ...this.env },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+      this.child.once('spawn', resolve);
+      this.child.once('error', error => reject(new MCPTransportError(this.serverName, `Failed to start '${this.command}': ${error.message}`, { cause: error })));
+    });
+
+    readline.createInterface({ input: this.child.stdout }).on('line', line => {
+      if (!line.trim()) return;
+      try {
+        this.handleMessage(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn(`Unparseable line from MCP server: ${line.substring(0, 200)}`);
+      }
+    });
+
+    readline.createInterface({ input: this.child.stderr }).on('line', line => {
+      this.logger.debug(`[${this.serverName} stderr] ${line}`);
+    });
+
+    this.child.on('exit', (code, signal) => {
+      this.isOpen = false;
+      this.child = null;
+      this.failPending(new MCPTransportError(this.serverName, `Server process exited (code ${code}, signal ${signal})`));
+    });
+
+    // Writes after the server died surface through the pending request instead
+    this.child.stdin.on('error', error => this.logger.warn(`MCP server stdin error: ${error.message}`));
+
+    // An idle server must not keep the process alive; pending requests hold their own timers
+    this.child.unref();
+    [this.child.stdin, this.child.stdout, this.child.stderr].forEach(stream => stream.unref?.());
+
+    this.isOpen = true;
+    this.logger.info(`Started MCP server process: ${this.command} ${this.args.join(' ')}`);
+  }
+
+  async send(message) {
+    if (!this.isOpen || !this.child) {
+      throw new MCPTransportError(this.serverName, 'Server process is not running');
+    }
+
+    await new Promise((resolve, reject) => {
+      this.child.stdin.write(`${JSON.stringify(message)}\n`, error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  async close() {
+    const child = this.child;
+    await super.close();
+    if (!child) return;
+
+    if (child.exitCode !== null || child.signalCode !== null) return;
+
+    child.stdin.end();
+    const exited = new Promise(resolve => child.once('exit', resolve));
+    const timer = setTimeout(() => child.kill('SIGTERM'), 2000);
+    await exited;
+    clearTimeout(timer);
+  }
+}
+
+module.exports = StdioTransport;
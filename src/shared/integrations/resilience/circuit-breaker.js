@@ -0,0 +1,143 @@
+const logger = require('../../logging/logger');
+const { CircuitOpenError, isTransientError } = require('../../errors');
+const { throwIfAborted } = require('../../utils');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Circuit breaker for one outbound service
+ *
+ * Closed: calls go through; `failureThreshold` consecutive transient failures
+ * (network errors, timeouts, 429/5xx) open the circuit. Open: calls fail
+ * immediately with CircuitOpenError until `resetTimeoutMs` has passed.
+ * Half-open: up to `halfOpenMaxCalls` probe calls go through; a successful
+ * probe closes the circuit, a failed one opens it again.
+ *
+ * Non-transient errors (validation, not found, ...) mean the service answered,
+ * so they count as healthy responses.
+ */
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30000, halfOpenMaxCalls = 1 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.logger = logger.child({ service: `circuit-${name}` });
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.probes = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.rejected = 0;
+  }
+
+  /**
+   * Run `fn` if the circuit allows it, recording the outcome
+   *
+   * @param {Function} fn
+   * @param {AbortSignal} [signal] - a call that fails once its caller gave up
+   *   says nothing about the service, so it is not recorded
+   */
+  async execute(fn, signal) {
+    throwIfAborted(signal);
+    this.admit();
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (signal?.aborted) {
+        this.releaseProbe();
+      } else {
+        this.recordFailure(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Throw CircuitOpenError unless a call may go through now
+   */
+  admit() {
+    if (this.state === STATES.OPEN) {
+      const retryAfterMs = this.retryAfterMs();
+      if (retryAfterMs > 0) {
+        this.rejected++;
+        throw new CircuitOpenError(this.name, retryAfterMs, this.lastFailure?.message);
+      }
+      this.transition(STATES.HALF_OPEN);
+      this.probes = 0;
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probes >= this.halfOpenMaxCalls) {
+        this.rejected++;
+        throw new CircuitOpenError(this.name, 0, this.lastFailure?.message);
+      }
+      this.probes++;
+    }
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a probe through, 0 otherwise
+   */
+  retryAfterMs() {
+    if (this.state !== STATES.OPEN) return 0;
+    return Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+  }
+
+  /**
+   * Give back a half-open probe slot whose call was abandoned
+   */
+  releaseProbe() {
+    if (this.state === STATES.HALF_OPEN && this.probes > 0) this.probes--;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+      this.openedAt = null;
+    }
+  }
+
+  recordFailure(error) {
+    if (!isTransientError(error)) {
+      this.recordSuccess();
+      return;
+    }
+
+    this.failures++;
+    this.lastFailure = { message: error.message, at: new Date().toISOString() };
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      if (this.state !== STATES.OPEN) this.transition(STATES.OPEN);
+    }
+  }
+
+  transition(state) {
+    const log = state === STATES.OPEN ? 'warn' : 'info';
+    this.logger[log](`Circuit for ${this.name} ${this.state} -> ${state}${state === STATES.OPEN ? ` after ${this.failures} failure(s): ${this.lastFailure?.message}` : ''}`);
+    this.state = state;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextProbeAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastFailure: this.lastFailure,
+      rejected: this.rejected
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,88 @@
+const { config } = require('../../config');
+const TokenBucket = require('./token-bucket');
+const CircuitBreaker = require('./circuit-breaker');
+
+/**
+ * Outbound Call Resilience
+ *
+ * Every remote call to a service (MCP adapter tool name such as 'notion',
+ * or 'hubspot') goes through that service's token bucket and circuit breaker:
+ *
+ *   - `config.resilience.rateLimits[service]` paces all calls to the service,
+ *     and `rateLimits['service.action']`, when set, additionally paces one
+ *     action (e.g. 'gmail.send'). Services without an entry are not paced.
+ *   - `config.resilience.circuitBreaker` sets when a flapping service is cut
+ *     off and how it is probed again, so automations fail fast instead of
+ *     each waiting out its own timeouts and retries.
+ */
+
+const buckets = new Map();
+const breakers = new Map();
+
+function getBucket(name) {
+  if (!buckets.has(name)) {
+    const limit = config.resilience.rateLimits[name];
+    buckets.set(name, limit ? new TokenBucket(name, limit) : null);
+  }
+  return buckets.get(name);
+}
+
+function getCircuitBreaker(service) {
+  if (!breakers.has(service)) {
+    breakers.set(service, new CircuitBreaker(service, config.resilience.circuitBreaker));
+  }
+  return breakers.get(service);
+}
+
+/**
+ * Make a remote call to `service` through its circuit breaker and rate limits
+ *
+ * @param {string} service - e.g. 'notion', 'hubspot'
+ * @param {Function} call - performs the request
+ * @param {Object} [options]
+ * @param {string} [options.action] - also applies the `service.action` rate limit
+ * @param {AbortSignal} [options.signal] - aborts waiting for a rate-limit token; a call
+ *   failing after it is aborted is not counted against the circuit
+ * @throws {CircuitOpenError} when the service's circuit is open
+ */
+async function callWithResilience(service, call, { action, signal } = {}) {
+  if (!config.resilience.enabled) return call();
+
+  const breaker = getCircuitBreaker(service);
+  // Fail fast rather than queueing for a token first
+  if (breaker.retryAfterMs() > 0) breaker.admit();
+
+  await getBucket(service)?.take(signal);
+  if (action) await getBucket(`${service}.${action}`)?.take(signal);
+
+  return breaker.execute(call, signal);
+}
+
+/**
+ * Circuit and rate-limit state of every service called so far
+ */
+function getResilienceStatus() {
+  const status = {};
+  for (const [service, breaker] of breakers) {
+    status[service] = {
+      circuit: breaker.getStatus(),
+      rateLimit: getBucket(service)?.getStatus() || null
+    };
+  }
+  return status;
+}
+
+/**
+ * Drop all buckets and breakers, e.g. after changing the config
+ */
+function resetResilience() {
+  buckets.clear();
+  breakers.clear();
+}
+
+module.exports = {
+  callWithResilience,
+  getCircuitBreaker,
+  getResilienceStatus,
+  resetResilience
+};
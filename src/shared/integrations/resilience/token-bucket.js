@@ -0,0 +1,66 @@
+const { sleep } = require('../../utils');
+
+/**
+ * Token bucket rate limiter
+ *
+ * Holds up to `burst` tokens, refilled continuously at `ratePerSecond`. Each
+ * call takes one token, waiting for it when the bucket is empty. Waiting
+ * callers reserve their token up front (the balance goes negative), so they
+ * are served in arrival order and never exceed the configured rate together.
+ */
+class TokenBucket {
+  /**
+   * @param {string} name - service (or `service.action`) the bucket limits
+   * @param {Object} options
+   * @param {number} options.ratePerSecond
+   * @param {number} [options.burst] - bucket capacity, defaults to one second of tokens
+   */
+  constructor(name, { ratePerSecond, burst }) {
+    this.name = name;
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = burst || Math.max(1, Math.ceil(ratePerSecond));
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.throttled = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token, waiting until one is available
+   *
+   * @param {AbortSignal} [signal] - gives the reserved token back and rejects if aborted while waiting
+   * @returns {Promise<number>} milliseconds waited
+   */
+  async take(signal) {
+    this.refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) return 0;
+
+    const waitMs = Math.ceil((-this.tokens / this.ratePerSecond) * 1000);
+    this.throttled++;
+    try {
+      await sleep(waitMs, signal);
+    } catch (error) {
+      this.tokens += 1;
+      throw error;
+    }
+    return waitMs;
+  }
+
+  getStatus() {
+    this.refill();
+    return {
+      ratePerSecond: this.ratePerSecond,
+      burst: this.capacity,
+      available: Math.max(0, Math.floor(this.tokens)),
+      throttled: this.throttled
+    };
+  }
+}
+
+module.exports = TokenBucket;
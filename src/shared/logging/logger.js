@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const { config } = require('../config');
+const { stampRunContext, RunLogTransport } = require('./run-log-transport');
 
 const logDir = path.join(__dirname, '../../../logs');
 
@@ -24,6 +25,8 @@ const logger = winston.createLogger({
       maxsize: 5242880, // 5MB
       maxFiles: 5,
     }),
+    // Per-run copy of lines logged while a run executes
+    new RunLogTransport(),
   ],
 });
 
@@ -36,6 +39,11 @@ if (config.app.environment !== 'production') {
   }));
 }
 
+// Every line, from this logger and its children, passes through write() in
+// the caller's async context; stamp the run there rather than in a format
+const write = logger.write.bind(logger);
+logger.write = (info, ...rest) => write(stampRunContext(info), ...rest);
+
 logger.stream = {
   write: (message) => {
     logger.info(message.trim());
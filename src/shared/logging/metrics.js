@@ -6,7 +6,10 @@ class MetricsCollector {
       automationRuns: {},
       executionTimes: {},
       errorCounts: {},
-      successCounts: {}
+      successCounts: {},
+      timeoutCounts: {},
+      cancelledCounts: {},
+      retryCounts: {}
     };
   }
 
@@ -47,6 +50,10 @@ class MetricsCollector {
     
     if (status === 'success') {
       this.metrics.successCounts[run.name] = (this.metrics.successCounts[run.name] || 0) + 1;
+    } else if (status === 'timeout') {
+      this.metrics.timeoutCounts[run.name] = (this.metrics.timeoutCounts[run.name] || 0) + 1;
+    } else if (status === 'cancelled') {
+      this.metrics.cancelledCounts[run.name] = (this.metrics.cancelledCounts[run.name] || 0) + 1;
     } else {
       this.metrics.errorCounts[run.name] = (this.metrics.errorCounts[run.name] || 0) + 1;
     }
@@ -59,6 +66,21 @@ class MetricsCollector {
     });
   }
 
+  recordAutomationRetry(key, attempt, error = null) {
+    if (!this.metrics.automationRuns[key]) return;
+    
+    const run = this.metrics.automationRuns[key];
+    run.retries = (run.retries || 0) + 1;
+    this.metrics.retryCounts[run.name] = (this.metrics.retryCounts[run.name] || 0) + 1;
+    
+    logger.warn(`Automation retrying: ${run.name}`, {
+      automation: run.name,
+      status: 'retry',
+      attempt,
+      error: error ? error.message : null
+    });
+  }
+
   getMetrics() {
     return {
       ...this.metrics,
@@ -73,12 +95,17 @@ class MetricsCollector {
       const times = this.metrics.executionTimes[automationName];
       const successCount = this.metrics.successCounts[automationName] || 0;
       const errorCount = this.metrics.errorCounts[automationName] || 0;
-      const totalRuns = successCount + errorCount;
+      const timeoutCount = this.metrics.timeoutCounts[automationName] || 0;
+      const cancelledCount = this.metrics.cancelledCounts[automationName] || 0;
+      const totalRuns = successCount + errorCount + timeoutCount + cancelledCount;
       
       summary[automationName] = {
         totalRuns,
         successCount,
         errorCount,
+        timeoutCount,
+        cancelledCount,
+        retryCount: this.metrics.retryCounts[automationName] || 0,
         successRate: totalRuns > 0 ? (successCount / totalRuns * 100).toFixed(2) : 0,
         avgExecutionTime: times.length > 0 ? Math.round(times.reduce((a, b) => a + b) / times.length) : 0,
         minExecutionTime: times.length > 0 ? Math.min(...times) : 0,
@@ -94,7 +121,10 @@ class MetricsCollector {
       automationRuns: {},
       executionTimes: {},
       errorCounts: {},
-      successCounts: {}
+      successCounts: {},
+      timeoutCounts: {},
+      cancelledCounts: {},
+      retryCounts: {}
     };
     logger.info('Metrics reset');
   }
@@ -0,0 +1,44 @@
+const winston = require('winston');
+const { getRunContext } = require('../runtime/run-context');
+const runLogs = require('../storage/run-logs');
+
+/**
+ * Stamp a line logged inside a run with its run id and automation.
+ *
+ * Must be called where the line is logged: winston's formats run when its
+ * stream processes the line, which under backpressure is after the caller's
+ * async context (and so the run context) is gone.
+ */
+function stampRunContext(info) {
+  const context = getRunContext();
+  if (context?.runId && info && typeof info === 'object') {
+    info.runId = info.runId || context.runId;
+    info.automation = info.automation || context.automation;
+  }
+  return info;
+}
+
+/**
+ * Winston transport copying every line stamped with a run id to that run's log
+ */
+class RunLogTransport extends winston.Transport {
+  log(info, callback) {
+    if (info.runId) {
+      const { runId, level, message, timestamp, ...meta } = info;
+      // Some callers log their own `timestamp` (epoch ms) as metadata
+      const time = new Date(timestamp ?? Date.now());
+      runLogs.append(runId, {
+        timestamp: Number.isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString(),
+        level,
+        message,
+        ...meta
+      });
+    }
+    callback();
+  }
+}
+
+module.exports = {
+  stampRunContext,
+  RunLogTransport
+};
@@ -0,0 +1,34 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Run Context
+ *
+ * Carries per-run state (run id, automation, dry-run plan, the current
+ * attempt's abort signal) through every
+ * async call made while an automation runs, so adapters and services can
+ * consult it without each automation threading it through by hand.
+ */
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` visible to everything it awaits
+ */
+function runWithContext(context, fn) {
+  const parent = storage.getStore();
+  return storage.run({ ...(parent || {}), ...context }, fn);
+}
+
+function getRunContext() {
+  return storage.getStore() || null;
+}
+
+function isDryRun() {
+  return !!getRunContext()?.dryRun;
+}
+
+module.exports = {
+  runWithContext,
+  getRunContext,
+  isDryRun
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+const { getRunContext } = require('./run-context');
+
+/**
+ * Side-Effect Plan
+ *
+ * Collects the mutating calls a dry run would have made (emails sent, pages
+ * created, issues opened, ...) in the order they were attempted. Adapters
+ * record into the plan of the current run context and return a placeholder
+ * result so the automation carries on as if the call had succeeded. Reads
+ * that refer to a placeholder's id get a placeholder back too.
+ */
+const PLACEHOLDER_ID = /dry-run-([\w-]+?)-(\d+)(?!\d)/g;
+
+class SideEffectPlan {
+  constructor({ runId, automation } = {}) {
+    this.runId = runId;
+    this.automation = automation;
+    this.createdAt = new Date().toISOString();
+    this.effects = [];
+  }
+
+  /**
+   * Record a side effect and return the placeholder handed back to the caller
+   *
+   * @param {string} service - e.g. 'gmail', 'hubspot', 'slack'
+   * @param {string} action - e.g. 'send', 'createLead'
+   * @param {Object} params - arguments the call would have been made with
+   * @param {Object} [placeholder] - service-specific fields to include in the placeholder result
+   */
+  record(service, action, params = {}, placeholder = {}) {
+    const sequence = this.effects.length + 1;
+    const id = `dry-run-${service}-${sequence}`;
+
+    this.effects.push({
+      sequence,
+      service,
+      action,
+      params: toPlainData(params),
+      recordedAt: new Date().toISOString()
+    });
+
+    return {
+      success: true,
+      id,
+      action,
+      tool: service,
+      timestamp: new Date().toISOString(),
+      dryRun: true,
+      ...placeholder
+    };
+  }
+
+  /**
+   * Placeholder id issued by this plan that params refer to (as a value or
+   * inside a query string), or null
+   */
+  findPlaceholderId(params) {
+    const text = JSON.stringify(params) || '';
+    for (const [id, service, sequence] of text.matchAll(PLACEHOLDER_ID)) {
+      if (this.effects[sequence - 1]?.service === service) return id;
+    }
+    return null;
+  }
+
+  get size() {
+    return this.effects.length;
+  }
+
+  /**
+   * Effect counts keyed by `service.action`
+   */
+  summarize() {
+    const counts = {};
+    for (const effect of this.effects) {
+      const key = `${effect.service}.${effect.action}`;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  toJSON() {
+    return {
+      runId: this.runId,
+      automation: this.automation,
+      createdAt: this.createdAt,
+      totalEffects: this.effects.length,
+      counts: this.summarize(),
+      effects: this.effects
+    };
+  }
+
+  toMarkdown() {
+    const lines = [
+      `# Dry-run plan: ${this.automation || 'unknown automation'}`,
+      '',
+      `- Run: \`${this.runId || 'n/a'}\``,
+      `- Created: ${this.createdAt}`,
+      `- Side effects: ${this.effects.length}`,
+      ''
+    ];
+
+    const counts = this.summarize();
+    if (Object.keys(counts).length > 0) {
+      lines.push('## Summary', '', '| Call | Count |', '| --- | --- |');
+      for (const [key, count] of Object.entries(counts)) {
+        lines.push(`| \`${key}\` | ${count} |`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Effects', '');
+    if (this.effects.length === 0) {
+      lines.push('_No side effects would be performed._');
+    }
+    for (const effect of this.effects) {
+      lines.push(
+        `### ${effect.sequence}. \`${effect.service}.${effect.action}\``,
+        '',
+        '```json',
+        JSON.stringify(effect.params, null, 2),
+        '```',
+        ''
+      );
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Write the plan to the dry-run directory as JSON and/or Markdown
+   *
+   * @param {Object} options
+   * @param {string[]} [options.formats=['json', 'md']]
+   * @param {string} [options.dir] - defaults to <dataDir>/<storage.dryRuns.dir>
+   * @returns {string[]} paths written
+   */
+  export({ formats = ['json', 'md'], dir } = {}) {
+    const outputDir = dir || path.resolve(config.storage.dataDir, config.storage.dryRuns.dir);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const stamp = this.createdAt.replace(/[:.]/g, '-');
+    const baseName = `${this.automation || 'run'}-${stamp}`;
+    const written = [];
+
+    if (formats.includes('json')) {
+      const filePath = path.join(outputDir, `${baseName}.json`);
+      fs.writeFileSync(filePath, JSON.stringify(this, null, 2));
+      written.push(filePath);
+    }
+    if (formats.includes('md')) {
+      const filePath = path.join(outputDir, `${baseName}.md`);
+      fs.writeFileSync(filePath, this.toMarkdown());
+      written.push(filePath);
+    }
+
+    return written;
+  }
+}
+
+/**
+ * Deep copy params into JSON-safe data so the plan is unaffected by later
+ * mutation of the caller's objects
+ */
+function toPlainData(value) {
+  try {
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      if (Buffer.isBuffer(item) || item?.type === 'Buffer') return `<binary ${item.length || item.data?.length || 0} bytes>`;
+      return item;
+    }));
+  } catch (error) {
+    return { unserializable: String(value) };
+  }
+}
+
+/**
+ * Record a side effect into the current run's plan when it is a dry run
+ *
+ * @returns {Object|null} placeholder result, or null when the call should really be made
+ */
+function captureSideEffect(service, action, params, placeholder) {
+  const plan = getRunContext()?.sideEffectPlan;
+  if (!plan) return null;
+  return plan.record(service, action, params, placeholder);
+}
+
+/**
+ * Placeholder for a read of something the current dry run only planned to
+ * create (exporting a design it did not create, listing a folder it did not
+ * make), which the backend would reject as not found
+ *
+ * @returns {Object|null} placeholder result, or null when the call should really be made
+ */
+function plannedRead(service, action, params) {
+  const id = getRunContext()?.sideEffectPlan?.findPlaceholderId(params);
+  if (!id) return null;
+  return { success: true, id, action, tool: service, timestamp: new Date().toISOString(), dryRun: true };
+}
+
+module.exports = {
+  SideEffectPlan,
+  captureSideEffect,
+  plannedRead
+};
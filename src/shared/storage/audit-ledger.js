@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { getRunContext } = require('../runtime/run-context');
+const { withFileLock } = require('./file-lock');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Audit Ledger
+ *
+ * Append-only record of every external write (emails sent, Notion pages,
+ * calendar events, GitHub issues, HubSpot records, Slack posts), kept in a
+ * local JSON Lines file. Entries are never rewritten: each one carries the
+ * hash of the previous entry, so `verify()` detects edited, removed or
+ * reordered lines. The orchestrator and the Slack command process both
+ * append, so each append reads the tail and writes its entry under a
+ * lockfile; otherwise two processes could chain entries to the same tail.
+ *
+ * Entries record who wrote what where - run id, automation, service, action,
+ * target and a short summary - plus a hash of the payload rather than the
+ * payload itself, and the id of the created or updated resource.
+ */
+class AuditLedger {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      path.resolve(config.storage.dataDir, config.storage.audit.file);
+    this.logger = logger.child({ service: 'audit-ledger' });
+    this.entries = [];
+    this.offset = 0;
+    this.loaded = false;
+  }
+
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.readNewLines();
+    } catch (error) {
+      this.logger.error(`Failed to load audit ledger: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply any lines appended since the last read (including by other processes)
+   */
+  readNewLines() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { size } = fs.statSync(this.filePath);
+    if (size <= this.offset) return;
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+
+      // Only consume complete lines; a partial trailing line is picked up next time
+      const text = buffer.toString('utf8');
+      const lastNewline = text.lastIndexOf('\n');
+      if (lastNewline === -1) return;
+
+      for (const line of text.slice(0, lastNewline).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          this.entries.push(JSON.parse(line));
+        } catch (error) {
+          this.logger.warn(`Skipping corrupt audit ledger line: ${error.message}`);
+        }
+      }
+
+      this.offset += Buffer.byteLength(text.slice(0, lastNewline + 1));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Append an entry for a write that was performed (or attempted)
+   *
+   * @param {Object} fields
+   * @param {string} fields.service - e.g. 'gmail', 'hubspot', 'slack'
+   * @param {string} fields.action - e.g. 'send', 'createLead', 'postMessage'
+   * @param {Object} [fields.params] - payload of the call; only its hash is stored
+   * @param {string} [fields.target] - recipient, database, repository, channel, ...
+   * @param {string} [fields.summary] - subject, page or issue title, club name, ...
+   * @param {string} [fields.resultId] - id of the created or updated resource
+   * @param {string} [fields.status='success'] - 'success' or 'failed'
+   * @param {string} [fields.error] - failure message
+   */
+  record({ service, action, params, target = null, summary = null, resultId = null, status = 'success', error = null }) {
+    this.load();
+
+    const context = getRunContext();
+    try {
+      return withFileLock(this.filePath, () => this.append(context, {
+        service, action, params, target, summary, resultId, status, error
+      }));
+    } catch (writeError) {
+      // Auditing must never turn a successful write into a failed run
+      this.logger.error(`Failed to append ${service}.${action} to audit ledger: ${writeError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Chain an entry to the current tail of the file and append it; called
+   * with the ledger's file lock held
+   */
+  append(context, { service, action, params, target, summary, resultId, status, error }) {
+    this.readNewLines();
+    const previous = this.entries[this.entries.length - 1];
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      recordedAt: new Date().toISOString(),
+      runId: context?.runId || null,
+      automation: context?.automation || null,
+      service,
+      action,
+      target: target === null || target === undefined ? null : String(target),
+      summary: summary ? truncate(String(summary), 200) : null,
+      payloadHash: hashPayload(params),
+      resultId: resultId === null || resultId === undefined ? null : String(resultId),
+      status,
+      error,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.entries.push(entry);
+    this.offset = fs.statSync(this.filePath).size;
+    return entry;
+  }
+
+  /**
+   * Perform a write and record its outcome, rethrowing any failure
+   *
+   * @param {string} service
+   * @param {string} action
+   * @param {Object} params - payload, hashed into the entry
+   * @param {Function} call - performs the write
+   * @param {Object} [details]
+   * @param {string} [details.target]
+   * @param {string} [details.summary]
+   * @param {Function} [details.resultId] - picks the resource id out of the call's result
+   */
+  async track(service, action, params, call, { target, summary, resultId = defaultResultId } = {}) {
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      this.record({ service, action, params, target, summary, status: 'failed', error: error.message });
+      throw error;
+    }
+
+    this.record({ service, action, params, target, summary, resultId: resultId(result) });
+    return result;
+  }
+
+  /**
+   * Query entries, newest first
+   *
+   * @param {Object} filters
+   * @param {string} [filters.search] - matched against target and summary, ignoring case,
+   *   spaces and punctuation ('Austin FC' matches contact@austinfc.com)
+   * @param {string|string[]} [filters.service]
+   * @param {string|string[]} [filters.action]
+   * @param {string} [filters.runId]
+   * @param {string} [filters.automation]
+   * @param {string} [filters.status]
+   * @param {Date|string} [filters.since]
+   * @param {Date|string} [filters.until]
+   * @param {number} [filters.limit=50] - maximum number of entries (0 for no limit)
+   */
+  query(filters = {}) {
+    this.load();
+    this.readNewLines();
+
+    const matches = (value, expected) => {
+      if (expected === undefined || expected === null) return true;
+      return Array.isArray(expected) ? expected.includes(value) : value === expected;
+    };
+    const search = filters.search ? searchKey(filters.search) : null;
+    const since = filters.since ? new Date(filters.since).toISOString() : null;
+    const until = filters.until ? new Date(filters.until).toISOString() : null;
+    const limit = filters.limit === undefined ? 50 : filters.limit;
+
+    const entries = this.entries
+      .filter(entry =>
+        matches(entry.service, filters.service) &&
+        matches(entry.action, filters.action) &&
+        matches(entry.runId, filters.runId) &&
+        matches(entry.automation, filters.automation) &&
+        matches(entry.status, filters.status) &&
+        (!since || entry.recordedAt >= since) &&
+        (!until || entry.recordedAt < until) &&
+        (!search || searchKey(`${entry.target || ''} ${entry.summary || ''}`).includes(search))
+      )
+      .reverse();
+
+    return limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Check the hash chain from the first entry
+   *
+   * @returns {{valid: boolean, entries: number, brokenAt: number|null, reason: string|null}}
+   */
+  verify() {
+    this.load();
+    this.readNewLines();
+
+    let prevHash = GENESIS_HASH;
+    for (const [index, entry] of this.entries.entries()) {
+      const { hash, ...fields } = entry;
+      let reason = null;
+      if (entry.seq !== index + 1) reason = `expected seq ${index + 1}, found ${entry.seq}`;
+      else if (entry.prevHash !== prevHash) reason = 'previous hash does not match';
+      else if (hashEntry(fields) !== hash) reason = 'entry hash does not match its contents';
+
+      if (reason) return { valid: false, entries: this.entries.length, brokenAt: entry.seq, reason };
+      prevHash = hash;
+    }
+    return { valid: true, entries: this.entries.length, brokenAt: null, reason: null };
+  }
+}
+
+function defaultResultId(result) {
+  if (!result || typeof result !== 'object') return null;
+  return result.id ?? result.messageId ?? result.contactId ?? result.number ?? null;
+}
+
+function hashEntry(fields) {
+  return crypto.createHash('sha256').update(stableStringify(fields)).digest('hex');
+}
+
+function hashPayload(params) {
+  if (params === undefined) return null;
+  return crypto.createHash('sha256').update(stableStringify(params)).digest('hex');
+}
+
+/**
+ * JSON with object keys sorted, so equal payloads hash equally
+ */
+function stableStringify(value) {
+  if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    if (typeof value.toJSON === 'function') return stableStringify(value.toJSON());
+    const keys = Object.keys(value).filter(key => value[key] !== undefined && typeof value[key] !== 'function').sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function searchKey(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function truncate(text, length) {
+  return text.length > length ? text.substring(0, length) + '...' : text;
+}
+
+module.exports = new AuditLedger();
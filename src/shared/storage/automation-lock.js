@@ -0,0 +1,268 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+
+/**
+ * Automation Lock
+ *
+ * Cross-process single-flight lock backed by a lockfile in the data directory.
+ * The holder refreshes a heartbeat while the run is in flight; a lock whose
+ * heartbeat is older than the lease is considered abandoned (crashed process)
+ * and may be taken over. Other processes can ask the holder to stop by
+ * writing a cancel file next to the lock, which the holder notices on its
+ * next heartbeat.
+ */
+class AutomationLock {
+  constructor(automationName, options = {}) {
+    const lockConfig = config.automation.locks;
+    this.automationName = automationName;
+    this.lockDir = options.lockDir || path.resolve(config.storage.dataDir, lockConfig.dir);
+    this.leaseMs = options.leaseMs || lockConfig.leaseMs;
+    this.heartbeatMs = options.heartbeatMs || lockConfig.heartbeatMs;
+    this.lockPath = path.join(this.lockDir, `${automationName}.lock`);
+    this.cancelPath = `${this.lockPath}.cancel`;
+    this.token = null;
+    this.heartbeat = null;
+    this.logger = logger.child({ service: 'automation-lock' });
+  }
+
+  /**
+   * Try to take the lock once; returns true when acquired
+   */
+  tryAcquire(owner = {}) {
+    fs.mkdirSync(this.lockDir, { recursive: true });
+
+    const token = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const record = {
+      token,
+      automation: this.automationName,
+      pid: process.pid,
+      host: os.hostname(),
+      acquiredAt: now,
+      heartbeatAt: now,
+      leaseMs: this.leaseMs,
+      ...owner
+    };
+
+    try {
+      fs.writeFileSync(this.lockPath, JSON.stringify(record, null, 2), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      // Lock exists - take it over only if its lease has expired
+      const holder = this.readHolder();
+      if (!this.isAbandoned(holder)) return false;
+      if (!this.takeOver(holder, record)) return false;
+    }
+
+    this.token = token;
+    this.clearCancelRequest();
+    return true;
+  }
+
+  /**
+   * Replace an expired lock with our record
+   *
+   * Deleting the stale lockfile and writing ours are two steps, so another
+   * process racing for the same stale lock could delete the lock we just
+   * wrote. Only the process that creates the takeover marker for the stale
+   * holder's token (an exclusive create) may replace it, and it checks again
+   * under the marker that the stale holder is still there.
+   *
+   * @param {Object|null} stale - the expired holder, null when the lockfile was unreadable
+   * @returns {boolean} whether our record is now the lock
+   */
+  takeOver(stale, record) {
+    const staleToken = stale?.token || 'unreadable';
+    const markers = this.claimTakeover(staleToken);
+    if (!markers) return false;
+
+    try {
+      const holder = this.readHolder();
+      // Someone took the lock over (or it was released and re-acquired) since we read it
+      if (holder && holder.token !== stale?.token) return false;
+      if (!this.isAbandoned(holder)) return false;
+
+      this.logger.warn(`Taking over expired lock for ${this.automationName}`, { previousHolder: stale });
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      try {
+        fs.writeFileSync(this.lockPath, JSON.stringify(record, null, 2), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        // Acquired normally by another process in between
+        if (error.code === 'EEXIST') return false;
+        throw error;
+      }
+    } finally {
+      for (const marker of markers) {
+        try {
+          fs.unlinkSync(marker);
+        } catch (error) {
+          // Already gone
+        }
+      }
+    }
+  }
+
+  /**
+   * Create the takeover marker for a stale token. A marker older than the
+   * lease belongs to a process that died mid-takeover; the next generation's
+   * marker may then be claimed instead.
+   *
+   * @returns {string[]|null} the claimed marker and abandoned ones before it, or null when another process is taking over
+   */
+  claimTakeover(staleToken) {
+    const markers = [];
+    for (let generation = 0; ; generation++) {
+      const marker = `${this.lockPath}.takeover-${staleToken}-${generation}`;
+      try {
+        fs.writeFileSync(marker, JSON.stringify({ pid: process.pid, host: os.hostname(), at: new Date().toISOString() }), { flag: 'wx' });
+        markers.push(marker);
+        return markers;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        if (Date.now() - fs.statSync(marker).mtimeMs <= this.leaseMs) return null;
+      } catch (error) {
+        // Finished meanwhile; whoever held it has decided the takeover
+        return null;
+      }
+      markers.push(marker);
+    }
+  }
+
+  readHolder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isExpired(holder) {
+    return Date.now() - new Date(holder.heartbeatAt).getTime() > (holder.leaseMs || this.leaseMs);
+  }
+
+  /**
+   * Whether the lock may be taken over: its lease expired, or the lockfile is
+   * unreadable and older than a lease (a fresh one is still being written)
+   */
+  isAbandoned(holder) {
+    if (holder) return this.isExpired(holder);
+    try {
+      return Date.now() - fs.statSync(this.lockPath).mtimeMs > this.leaseMs;
+    } catch (error) {
+      return true;
+    }
+  }
+
+  isHeld() {
+    return this.token !== null;
+  }
+
+  /**
+   * Refresh the heartbeat on an interval while the run is in flight
+   *
+   * @param {Object} handlers
+   * @param {Function} [handlers.onCancelRequested] - called with the reason when another process asks the holder to stop
+   * @param {Function} [handlers.onLost] - called if the lock was taken over by someone else
+   */
+  startHeartbeat({ onCancelRequested, onLost } = {}) {
+    this.stopHeartbeat();
+
+    this.heartbeat = setInterval(() => {
+      const holder = this.readHolder();
+      if (!holder || holder.token !== this.token) {
+        this.logger.error(`Lost lock for ${this.automationName}`);
+        this.stopHeartbeat();
+        this.token = null;
+        if (onLost) onLost();
+        return;
+      }
+
+      try {
+        const tempPath = `${this.lockPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ ...holder, heartbeatAt: new Date().toISOString() }, null, 2));
+        fs.renameSync(tempPath, this.lockPath);
+      } catch (error) {
+        this.logger.warn(`Failed to refresh lock heartbeat for ${this.automationName}: ${error.message}`);
+      }
+
+      const cancelRequest = this.readCancelRequest();
+      if (cancelRequest && cancelRequest.token === this.token && onCancelRequested) {
+        this.clearCancelRequest();
+        onCancelRequested(cancelRequest.reason);
+      }
+    }, this.heartbeatMs);
+
+    // Never keep the process alive just for the heartbeat
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Ask the current holder (in any process) to cancel its run
+   */
+  requestCancel(reason = 'Cancelled by a newer run') {
+    const holder = this.readHolder();
+    if (!holder) return false;
+
+    fs.writeFileSync(this.cancelPath, JSON.stringify({
+      token: holder.token,
+      reason,
+      requestedAt: new Date().toISOString(),
+      requestedBy: { pid: process.pid, host: os.hostname() }
+    }));
+    return true;
+  }
+
+  readCancelRequest() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cancelPath, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearCancelRequest() {
+    try {
+      fs.unlinkSync(this.cancelPath);
+    } catch (error) {
+      // No pending request
+    }
+  }
+
+  release() {
+    this.stopHeartbeat();
+    if (!this.token) return;
+
+    const holder = this.readHolder();
+    if (holder && holder.token === this.token) {
+      try {
+        fs.unlinkSync(this.lockPath);
+      } catch (error) {
+        this.logger.warn(`Failed to release lock for ${this.automationName}: ${error.message}`);
+      }
+    }
+    this.token = null;
+  }
+}
+
+module.exports = AutomationLock;
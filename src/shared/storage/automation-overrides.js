@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+
+// Key for maintenance windows that apply to every automation
+const ALL_AUTOMATIONS = '*';
+
+/**
+ * Automation Overrides Store
+ *
+ * Runtime changes to automations that survive restarts without a redeploy,
+ * kept in a local JSON file keyed by automation id:
+ *
+ *   {
+ *     "mcp-email-processor": {
+ *       "paused": true, "pausedUntil": "2026-01-05T09:00:00.000Z", "pauseReason": "...",
+ *       "schedule": "0 * * * *",
+ *       "maintenanceWindows": [{ "id": "...", "start": "...", "end": "...", "reason": "..." }],
+ *       "updatedAt": "...", "updatedBy": "jane"
+ *     },
+ *     "*": { "maintenanceWindows": [...] }
+ *   }
+ *
+ * The file is rewritten atomically on every change and re-read whenever
+ * another process has changed it.
+ */
+class AutomationOverridesStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      path.resolve(config.storage.dataDir, config.storage.overrides.file);
+    this.logger = logger.child({ service: 'automation-overrides' });
+    this.overrides = {};
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Re-read the file if it changed since the last read
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.overrides = {};
+        this.mtimeMs = null;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs === this.mtimeMs) return;
+
+      this.overrides = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      this.mtimeMs = mtimeMs;
+    } catch (error) {
+      this.logger.error(`Failed to load automation overrides: ${error.message}`);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.overrides, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  get(automation) {
+    this.load();
+    return this.overrides[automation] || {};
+  }
+
+  getAll() {
+    this.load();
+    return { ...this.overrides };
+  }
+
+  /**
+   * Merge fields into an automation's overrides; `undefined` values remove a field
+   */
+  update(automation, fields, { by = 'system' } = {}) {
+    this.load();
+
+    const next = { ...this.overrides[automation], ...fields, updatedAt: new Date().toISOString(), updatedBy: by };
+    Object.keys(next).forEach(key => next[key] === undefined && delete next[key]);
+    this.overrides[automation] = next;
+    this.save();
+    return next;
+  }
+
+  /**
+   * Add a maintenance window for an automation, or for all of them when `automation` is null
+   */
+  addMaintenanceWindow(automation, { start, end, reason = null }, { by = 'system' } = {}) {
+    automation = automation || ALL_AUTOMATIONS;
+    const window = {
+      id: crypto.randomUUID().slice(0, 8),
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      reason,
+      createdBy: by
+    };
+    const windows = [...(this.get(automation).maintenanceWindows || []), window];
+    this.update(automation, { maintenanceWindows: windows }, { by });
+    return window;
+  }
+
+  /**
+   * Remove a maintenance window by id, whichever automation it belongs to
+   *
+   * @returns {boolean} whether a window was removed
+   */
+  removeMaintenanceWindow(windowId, { by = 'system' } = {}) {
+    for (const [automation, override] of Object.entries(this.getAll())) {
+      const windows = override.maintenanceWindows || [];
+      if (windows.some(window => window.id === windowId)) {
+        this.update(automation, { maintenanceWindows: windows.filter(window => window.id !== windowId) }, { by });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Maintenance window covering `at` for an automation, global windows included
+   */
+  getActiveMaintenanceWindow(automation, at = new Date()) {
+    const time = at.toISOString();
+    const windows = [
+      ...(this.get(automation).maintenanceWindows || []),
+      ...(this.get(ALL_AUTOMATIONS).maintenanceWindows || [])
+    ];
+    return windows.find(window => window.start <= time && time < window.end) || null;
+  }
+}
+
+module.exports = new AutomationOverridesStore();
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { isDryRun } = require('../runtime/run-context');
+
+/**
+ * Email Snooze Store
+ *
+ * Gmail's API has no snooze, so the Gmail adapter snoozes a message by
+ * archiving it under the snoozed label and remembering here when it is due
+ * back. Kept in a local JSON file keyed by message id:
+ *
+ *   {
+ *     "18c2f0...": { "until": "2026-01-05T09:00:00.000Z", "snoozedAt": "...", "subject": "..." }
+ *   }
+ *
+ * The file is rewritten atomically on every change and re-read whenever
+ * another process has changed it. Dry runs never write it.
+ */
+class EmailSnoozeStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      path.resolve(config.storage.dataDir, config.storage.emailSnoozes.file);
+    this.logger = logger.child({ service: 'email-snoozes' });
+    this.snoozes = {};
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Re-read the file if it changed since the last read
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.snoozes = {};
+        this.mtimeMs = null;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs === this.mtimeMs) return;
+
+      this.snoozes = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      this.mtimeMs = mtimeMs;
+    } catch (error) {
+      this.logger.error(`Failed to load email snoozes: ${error.message}`);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.snoozes, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  get(messageId) {
+    this.load();
+    return this.snoozes[messageId] || null;
+  }
+
+  add(messageId, until, details = {}) {
+    if (isDryRun()) return;
+    this.load();
+    this.snoozes[messageId] = { ...details, until: new Date(until).toISOString(), snoozedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  remove(messageId) {
+    if (isDryRun()) return;
+    this.load();
+    if (!this.snoozes[messageId]) return;
+    delete this.snoozes[messageId];
+    this.save();
+  }
+
+  /**
+   * Snoozes whose time has come, as `{ messageId, until, ... }`
+   */
+  due(at = new Date()) {
+    this.load();
+    const time = at.toISOString();
+    return Object.entries(this.snoozes)
+      .filter(([, snooze]) => snooze.until <= time)
+      .map(([messageId, snooze]) => ({ messageId, ...snooze }));
+  }
+}
+
+module.exports = new EmailSnoozeStore();
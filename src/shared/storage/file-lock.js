@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * File Lock
+ *
+ * Short cross-process mutex around a read-compute-write of a shared file
+ * (the audit ledger's appends, run history compaction). The lock is
+ * `<file>.lock`, created exclusively like the automation lockfiles; other
+ * processes wait for it synchronously, so callers need not be async.
+ *
+ * A holder keeps the lock for one write, so a lockfile older than `staleMs`
+ * whose process is gone was left by a crash and is removed.
+ */
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function readHolder(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isProcessAlive(holder) {
+  if (holder.host !== os.hostname()) return true;
+  try {
+    process.kill(holder.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Remove the lockfile if its holder is stale; returns true when removed
+ */
+function breakStaleLock(lockPath, staleMs) {
+  let stat;
+  try {
+    stat = fs.statSync(lockPath);
+  } catch (error) {
+    return error.code === 'ENOENT';
+  }
+  if (Date.now() - stat.mtimeMs <= staleMs) return false;
+
+  const holder = readHolder(lockPath);
+  if (holder && isProcessAlive(holder)) return false;
+
+  // Only remove the lockfile we judged stale, not one created since
+  if (readHolder(lockPath)?.token !== holder?.token) return false;
+  try {
+    fs.unlinkSync(lockPath);
+  } catch (error) {
+    // Removed by another waiter
+  }
+  return true;
+}
+
+/**
+ * Run `fn` while holding the lock for `filePath`
+ *
+ * @param {string} filePath - the shared file; the lock is `<filePath>.lock`
+ * @param {Function} fn - synchronous
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - give up waiting after this long
+ * @param {number} [options.staleMs=30000] - age after which a dead holder's lock is removed
+ * @returns {*} what `fn` returns
+ * @throws {Error} `code: 'FILE_LOCK_TIMEOUT'` when the lock could not be taken in time
+ */
+function withFileLock(filePath, fn, { timeoutMs = 10000, staleMs = 30000 } = {}) {
+  const lockPath = `${filePath}.lock`;
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + timeoutMs;
+  let wait = 1;
+
+  while (true) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ token, pid: process.pid, host: os.hostname(), at: new Date().toISOString() }), { flag: 'wx' });
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    if (breakStaleLock(lockPath, staleMs)) continue;
+    if (Date.now() >= deadline) {
+      const error = new Error(`Timed out after ${timeoutMs}ms waiting for ${lockPath}`);
+      error.code = 'FILE_LOCK_TIMEOUT';
+      throw error;
+    }
+    sleepSync(wait);
+    wait = Math.min(wait * 2, 50);
+  }
+
+  try {
+    return fn();
+  } finally {
+    if (readHolder(lockPath)?.token === token) {
+      try {
+        fs.unlinkSync(lockPath);
+      } catch (error) {
+        // Already gone
+      }
+    }
+  }
+}
+
+module.exports = {
+  withFileLock
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { getRunContext } = require('../runtime/run-context');
+
+/**
+ * Processed Email Ledger
+ *
+ * Remembers which Gmail messages the email processor has handled and what it
+ * created for them, so a message that shows up again (marking it read failed,
+ * or someone marked it unread) is not turned into a second task or issue.
+ * Kept in a local JSON file keyed by message id:
+ *
+ *   {
+ *     "18c2f0...": {
+ *       "threadId": "18c2e1...", "subject": "...", "from": "...",
+ *       "rule": "bug-reports", "priority": "High", "actions": [{ "type": "create_issue", ... }],
+ *       "status": "in_progress" | "completed",
+ *       "results": { "0": { "actionTaken": "created_github_issue", "issueNumber": 12, ... } },
+ *       "attempts": 1, "markedRead": false,
+ *       "firstSeenAt": "...", "updatedAt": "...", "completedAt": "..."
+ *     }
+ *   }
+ *
+ * `results` is keyed by the action's index in the rule and saved as soon as
+ * the action succeeds, so an interrupted message resumes with only the
+ * actions still missing. Entries older than the retention period are dropped.
+ */
+class ProcessedEmailStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      path.resolve(config.storage.dataDir, config.storage.processedEmails.file);
+    this.retentionDays = options.retentionDays || config.storage.processedEmails.retentionDays;
+    this.logger = logger.child({ service: 'processed-emails' });
+    this.messages = {};
+    this.mtimeMs = null;
+  }
+
+  /**
+   * Re-read the file if it changed since the last read
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        this.messages = {};
+        this.mtimeMs = null;
+        return;
+      }
+
+      const { mtimeMs } = fs.statSync(this.filePath);
+      if (mtimeMs === this.mtimeMs) return;
+
+      this.messages = JSON.parse(fs.readFileSync(this.filePath, 'utf8')) || {};
+      this.mtimeMs = mtimeMs;
+    } catch (error) {
+      this.logger.error(`Failed to load processed email ledger: ${error.message}`);
+    }
+  }
+
+  save() {
+    this.prune();
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.messages, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    this.mtimeMs = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Drop entries last touched before the retention period
+   */
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const [messageId, entry] of Object.entries(this.messages)) {
+      if (entry.updatedAt < cutoff) delete this.messages[messageId];
+    }
+  }
+
+  get(messageId) {
+    return this.all()[messageId] || null;
+  }
+
+  /**
+   * Entries of every message handled on a thread, oldest first
+   */
+  getThread(threadId) {
+    return Object.entries(this.all())
+      .filter(([, entry]) => entry.threadId === threadId)
+      .map(([messageId, entry]) => ({ messageId, ...entry }))
+      .sort((a, b) => a.firstSeenAt.localeCompare(b.firstSeenAt));
+  }
+
+  /**
+   * Stored entries, overlaid with the current dry run's own
+   */
+  all() {
+    this.load();
+    const planned = dryRunEntries();
+    return planned ? { ...this.messages, ...planned } : this.messages;
+  }
+
+  /**
+   * Merge fields into a message's entry, creating it if needed
+   *
+   * A dry run keeps its entries in its run context instead of the file:
+   * remembering a planned action would make the real run skip it.
+   */
+  update(messageId, fields) {
+    const now = new Date().toISOString();
+    const entry = { firstSeenAt: now, ...this.get(messageId), ...fields, updatedAt: now };
+
+    const planned = dryRunEntries();
+    if (planned) {
+      planned[messageId] = entry;
+      return entry;
+    }
+
+    try {
+      this.messages[messageId] = entry;
+      this.save();
+    } catch (error) {
+      this.logger.error(`Failed to save processed email ${messageId}: ${error.message}`);
+    }
+    return entry;
+  }
+}
+
+/**
+ * Entries written during the current dry run, or null outside dry runs
+ */
+function dryRunEntries() {
+  const context = getRunContext();
+  if (!context?.dryRun) return null;
+  context.processedEmails = context.processedEmails || {};
+  return context.processedEmails;
+}
+
+module.exports = new ProcessedEmailStore();
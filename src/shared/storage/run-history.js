@@ -0,0 +1,357 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logging/logger');
+const { config } = require('../config');
+const { withFileLock } = require('./file-lock');
+
+// Compaction rewrites the file starting with a header line naming its generation
+const HEADER_BYTES = 128;
+
+/**
+ * Run History Store
+ *
+ * Durable record of every orchestrator run, kept in a local JSON Lines file.
+ * Each change to a run appends a full snapshot of the record, so the latest
+ * line for a run id wins when the file is read back. Several processes can
+ * share the file: every query picks up lines written by other processes
+ * since the last read. Appends and compaction (which replaces the file) take
+ * the file's lock, so no append is lost to a compaction; each compaction
+ * starts the file with a new generation header, which tells readers to
+ * start over from the top.
+ */
+class RunHistoryStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath ||
+      path.resolve(config.storage.dataDir, config.storage.runHistory.file);
+    this.maxRecords = options.maxRecords || config.storage.runHistory.maxRecords;
+    this.logger = logger.child({ service: 'run-history' });
+    this.runs = new Map();
+    this.offset = 0;
+    this.generation = null;
+    this.loaded = false;
+  }
+
+  /**
+   * Read the history file, compact it and mark runs orphaned by a dead
+   * process as interrupted
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.readNewLines();
+      this.compact();
+
+      for (const run of this.runs.values()) {
+        if (run.status === 'running' && !this.isProcessAlive(run)) {
+          this.write({
+            ...run,
+            status: 'interrupted',
+            endedAt: new Date().toISOString(),
+            error: { name: 'Error', message: 'Process exited before the run finished' }
+          });
+        }
+      }
+
+      this.logger.info(`Loaded ${this.runs.size} run records from ${this.filePath}`);
+    } catch (error) {
+      this.logger.error(`Failed to load run history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Apply any lines appended since the last read (including by other processes)
+   */
+  readNewLines() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { size } = fs.statSync(this.filePath);
+    if (this.offset > 0 && (size < this.offset || this.readGeneration() !== this.generation)) {
+      // File was compacted by another process - start over
+      this.runs.clear();
+      this.offset = 0;
+      this.generation = null;
+    }
+    if (size === this.offset) return;
+
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - this.offset);
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+
+      // Only consume complete lines; a partial trailing line is picked up next time
+      const text = buffer.toString('utf8');
+      const lastNewline = text.lastIndexOf('\n');
+      if (lastNewline === -1) return;
+
+      for (const line of text.slice(0, lastNewline).split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (record.generation && !record.id) {
+            this.generation = record.generation;
+            continue;
+          }
+          this.runs.set(record.id, record);
+        } catch (error) {
+          this.logger.warn(`Skipping corrupt run history line: ${error.message}`);
+        }
+      }
+
+      this.offset += Buffer.byteLength(text.slice(0, lastNewline + 1));
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Generation named by the file's header line, null before its first compaction
+   */
+  readGeneration() {
+    const fd = fs.openSync(this.filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEADER_BYTES);
+      const bytes = fs.readSync(fd, buffer, 0, HEADER_BYTES, 0);
+      return /^\{"generation":"([\w-]+)"/.exec(buffer.toString('utf8', 0, bytes))?.[1] || null;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Rewrite the file with one line per run, keeping the newest maxRecords runs
+   */
+  compact() {
+    withFileLock(this.filePath, () => {
+      // Runs other processes wrote since our last read would be lost otherwise
+      this.readNewLines();
+      const records = Array.from(this.runs.values())
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+        .slice(-this.maxRecords);
+
+      const generation = crypto.randomUUID();
+      const tempPath = `${this.filePath}.${process.pid}.tmp`;
+      const content = [{ generation, compactedAt: new Date().toISOString() }, ...records]
+        .map(line => JSON.stringify(line) + '\n')
+        .join('');
+      fs.writeFileSync(tempPath, content);
+      fs.renameSync(tempPath, this.filePath);
+
+      this.runs = new Map(records.map(record => [record.id, record]));
+      this.offset = Buffer.byteLength(content);
+      this.generation = generation;
+    });
+  }
+
+  write(record) {
+    try {
+      withFileLock(this.filePath, () => {
+        this.readNewLines();
+        this.runs.set(record.id, record);
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+        this.offset = fs.statSync(this.filePath).size;
+      });
+    } catch (error) {
+      this.runs.set(record.id, record);
+      this.logger.error(`Failed to persist run ${record.id}: ${error.message}`);
+    }
+
+    return record;
+  }
+
+  isProcessAlive(run) {
+    if (run.host !== os.hostname()) return true;
+    if (run.pid === process.pid) return true;
+
+    try {
+      process.kill(run.pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Record the start of a run and return its id
+   */
+  recordStart({ id, automation, name, trigger = 'manual', dryRun = false, options = {} }) {
+    this.load();
+
+    const record = this.write({
+      id: id || crypto.randomUUID(),
+      automation,
+      name: name || automation,
+      trigger,
+      dryRun,
+      options: toSerializable(options),
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      durationMs: null,
+      error: null,
+      result: null,
+      pid: process.pid,
+      host: os.hostname()
+    });
+
+    return record.id;
+  }
+
+  /**
+   * Record the end of a run with its final status, error and result summary
+   */
+  recordEnd(runId, { status = 'success', error = null, result = null, attempts = 1 } = {}) {
+    this.load();
+
+    const run = this.runs.get(runId);
+    if (!run) {
+      this.logger.warn(`Cannot record end of unknown run ${runId}`);
+      return null;
+    }
+
+    const endedAt = new Date();
+    return this.write({
+      ...run,
+      status,
+      endedAt: endedAt.toISOString(),
+      durationMs: endedAt.getTime() - new Date(run.startedAt).getTime(),
+      attempts,
+      error: error ? { name: error.name, message: error.message } : null,
+      result: summarizeResult(result)
+    });
+  }
+
+  /**
+   * Merge extra fields into an existing run record
+   */
+  update(runId, fields) {
+    this.load();
+
+    const run = this.runs.get(runId);
+    if (!run) return null;
+    return this.write({ ...run, ...toSerializable(fields) });
+  }
+
+  get(runId) {
+    this.load();
+    this.readNewLines();
+    return this.runs.get(runId) || null;
+  }
+
+  /**
+   * Query runs, newest first
+   *
+   * @param {Object} filters
+   * @param {string|string[]} [filters.automation] - automation key(s)
+   * @param {string|string[]} [filters.status] - run status(es)
+   * @param {string|string[]} [filters.trigger] - trigger(s), e.g. 'schedule'
+   * @param {Date|string} [filters.since] - runs started at or after this time
+   * @param {Date|string} [filters.until] - runs started before this time
+   * @param {boolean} [filters.dryRun] - only dry runs (true) or only real runs (false); both when unset
+   * @param {number} [filters.limit=50] - maximum number of runs (0 for no limit)
+   */
+  query(filters = {}) {
+    this.load();
+    this.readNewLines();
+
+    const matches = (value, expected) => {
+      if (expected === undefined || expected === null) return true;
+      return Array.isArray(expected) ? expected.includes(value) : value === expected;
+    };
+    const since = filters.since ? new Date(filters.since).toISOString() : null;
+    const until = filters.until ? new Date(filters.until).toISOString() : null;
+    const limit = filters.limit === undefined ? 50 : filters.limit;
+
+    const runs = Array.from(this.runs.values())
+      .filter(run =>
+        matches(run.automation, filters.automation) &&
+        matches(run.status, filters.status) &&
+        matches(run.trigger, filters.trigger) &&
+        (filters.dryRun === undefined || !!run.dryRun === filters.dryRun) &&
+        (!since || run.startedAt >= since) &&
+        (!until || run.startedAt < until)
+      )
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+    return limit > 0 ? runs.slice(0, limit) : runs;
+  }
+
+  getLastRun(automation, filters = {}) {
+    return this.query({ ...filters, automation, limit: 1 })[0] || null;
+  }
+
+  /**
+   * Aggregate run counts and durations per automation. Dry runs are left out
+   * unless `filters.dryRun` asks for them.
+   */
+  summarize(filters = {}) {
+    const summary = {};
+
+    for (const run of this.query({ dryRun: false, ...filters, limit: 0 })) {
+      const entry = summary[run.automation] || (summary[run.automation] = {
+        name: run.name,
+        totalRuns: 0,
+        statusCounts: {},
+        successRate: 0,
+        avgDurationMs: 0,
+        lastRun: null
+      });
+
+      entry.totalRuns++;
+      entry.statusCounts[run.status] = (entry.statusCounts[run.status] || 0) + 1;
+      if (!entry.lastRun) {
+        entry.lastRun = { id: run.id, status: run.status, startedAt: run.startedAt, trigger: run.trigger };
+      }
+      if (run.durationMs !== null) {
+        entry.durationTotal = (entry.durationTotal || 0) + run.durationMs;
+        entry.durationCount = (entry.durationCount || 0) + 1;
+      }
+    }
+
+    Object.values(summary).forEach(entry => {
+      const successCount = entry.statusCounts.success || 0;
+      entry.successRate = (successCount / entry.totalRuns * 100).toFixed(2);
+      entry.avgDurationMs = entry.durationCount ? Math.round(entry.durationTotal / entry.durationCount) : 0;
+      delete entry.durationTotal;
+      delete entry.durationCount;
+    });
+
+    return summary;
+  }
+}
+
+/**
+ * Keep only JSON-safe values (drops functions, signals and other live objects)
+ */
+function toSerializable(value) {
+  try {
+    return JSON.parse(JSON.stringify(value, (key, item) => {
+      if (typeof item === 'function') return undefined;
+      if (item && typeof item === 'object' && typeof item.aborted === 'boolean') return undefined;
+      return item;
+    }) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reduce an automation result to its summary and top-level scalar fields
+ */
+function summarizeResult(result) {
+  if (!result || typeof result !== 'object') return toSerializable(result);
+
+  const summary = {};
+  for (const [key, value] of Object.entries(result)) {
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      summary[key] = typeof value === 'string' && value.length > 500 ? value.substring(0, 500) + '...' : value;
+    }
+  }
+  return summary;
+}
+
+module.exports = new RunHistoryStore();
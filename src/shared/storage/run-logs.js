@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * Run Log Store
+ *
+ * Keeps the log lines emitted while each run executes, one JSON Lines file
+ * per run id, so a run's logs can be fetched after the fact (and by another
+ * process). Only the newest `maxRuns` files are kept.
+ *
+ * The logger writes here for every line logged inside a run context, so this
+ * store must not log itself: failures to persist a line are dropped rather
+ * than allowed to break logging.
+ */
+class RunLogStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.resolve(config.storage.dataDir, config.storage.runLogs.dir);
+    this.maxRuns = options.maxRuns || config.storage.runLogs.maxRuns;
+    // Run ids this process has written a file for
+    this.knownRuns = new Set();
+  }
+
+  filePath(runId) {
+    // Run ids are UUIDs; anything else is never a file name we wrote
+    return path.join(this.dir, `${String(runId).replace(/[^a-zA-Z0-9-]/g, '')}.jsonl`);
+  }
+
+  /**
+   * Append a log entry to a run's log
+   */
+  append(runId, entry) {
+    try {
+      if (!this.knownRuns.has(runId)) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this.knownRuns.add(runId);
+        this.prune();
+      }
+      fs.appendFileSync(this.filePath(runId), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // Dropped on purpose, see class comment
+    }
+  }
+
+  /**
+   * Log entries of a run, oldest first, or null if the run has no log
+   *
+   * @param {string} runId
+   * @param {Object} [options]
+   * @param {Date|string} [options.since] - entries logged after this time
+   * @param {string|string[]} [options.level] - level(s) to keep, e.g. 'error'
+   * @param {number} [options.limit=1000] - newest entries to return (0 for no limit)
+   */
+  read(runId, { since, level, limit = 1000 } = {}) {
+    const filePath = this.filePath(runId);
+    if (!fs.existsSync(filePath)) return null;
+
+    const after = since ? new Date(since).toISOString() : null;
+    const levels = level ? [].concat(level) : null;
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (after && !(entry.timestamp > after)) continue;
+        if (levels && !levels.includes(entry.level)) continue;
+        entries.push(entry);
+      } catch (error) {
+        // Partial line still being written by another process
+      }
+    }
+
+    return limit > 0 ? entries.slice(-limit) : entries;
+  }
+
+  /**
+   * Delete the oldest run logs beyond maxRuns
+   */
+  prune() {
+    const files = fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.jsonl'))
+      .map(name => ({ name, mtimeMs: fs.statSync(path.join(this.dir, name)).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+    for (const { name } of files.slice(this.maxRuns)) {
+      fs.rmSync(path.join(this.dir, name), { force: true });
+    }
+  }
+}
+
+module.exports = new RunLogStore();
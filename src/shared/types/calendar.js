@@ -0,0 +1,42 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Calendar types
+ *
+ * `start` / `end` are ISO timestamps for timed events and `YYYY-MM-DD`
+ * dates for all-day events (`allDay: true`).
+ */
+
+const CalendarEvent = defineType('CalendarEvent', {
+  id: 'string',
+  title: 'string',
+  description: 'string',
+  location: 'string?',
+  start: 'date',
+  end: 'date',
+  allDay: 'boolean',
+  timeZone: 'string?',
+  status: 'string',
+  attendees: [{ email: 'string', responseStatus: 'string?', optional: 'boolean' }],
+  htmlLink: 'string?'
+}, raw => ({
+  id: raw.id,
+  title: raw.summary ?? raw.title ?? '',
+  description: raw.description ?? '',
+  location: raw.location ?? null,
+  start: toISODate(raw.start?.dateTime ?? raw.start?.date ?? raw.start),
+  end: toISODate(raw.end?.dateTime ?? raw.end?.date ?? raw.end),
+  allDay: !raw.start?.dateTime && !!raw.start?.date,
+  timeZone: raw.start?.timeZone ?? null,
+  status: raw.status || 'confirmed',
+  attendees: (raw.attendees || []).map(attendee => ({
+    email: attendee.email,
+    responseStatus: attendee.responseStatus ?? null,
+    optional: !!attendee.optional
+  })),
+  htmlLink: raw.htmlLink ?? null
+}));
+
+module.exports = {
+  CalendarEvent
+};
@@ -0,0 +1,53 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Canva types
+ */
+
+function unix(value) {
+  return toISODate(value, { unixSeconds: true });
+}
+
+const Design = defineType('Design', {
+  id: 'string',
+  title: 'string',
+  templateId: 'string?',
+  editUrl: 'string?',
+  viewUrl: 'string?',
+  createdAt: 'date?',
+  updatedAt: 'date?'
+}, raw => {
+  const design = raw.design || raw;
+  return {
+    id: design.id,
+    title: design.title ?? '',
+    templateId: design.template_id ?? null,
+    editUrl: design.urls?.edit_url ?? null,
+    viewUrl: design.urls?.view_url ?? null,
+    createdAt: unix(design.created_at),
+    updatedAt: unix(design.updated_at)
+  };
+});
+
+const DesignExport = defineType('DesignExport', {
+  id: 'string?',
+  status: 'string',
+  format: 'string?',
+  downloadUrl: 'string',
+  urls: 'string[]'
+}, raw => {
+  const job = raw.job || raw;
+  const urls = job.urls || (job.downloadUrl ? [job.downloadUrl] : []);
+  return {
+    id: job.id ?? null,
+    status: job.status || 'success',
+    format: job.format ?? null,
+    downloadUrl: job.downloadUrl ?? urls[0],
+    urls
+  };
+});
+
+module.exports = {
+  Design,
+  DesignExport
+};
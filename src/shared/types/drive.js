@@ -0,0 +1,50 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Google Drive types
+ */
+
+const DriveFile = defineType('DriveFile', {
+  id: 'string',
+  name: 'string',
+  mimeType: 'string',
+  parents: 'string[]',
+  size: 'integer?',
+  webViewLink: 'string?',
+  createdAt: 'date?',
+  modifiedAt: 'date?',
+  trashed: 'boolean',
+  // Private key/value pairs the app stored on the file
+  appProperties: 'object',
+  content: 'string?'
+}, raw => ({
+  id: raw.id,
+  name: raw.name ?? raw.title,
+  mimeType: raw.mimeType || 'application/octet-stream',
+  parents: raw.parents || [],
+  size: raw.size !== undefined && raw.size !== null ? Number(raw.size) : null,
+  webViewLink: raw.webViewLink ?? null,
+  createdAt: toISODate(raw.createdTime),
+  modifiedAt: toISODate(raw.modifiedTime),
+  trashed: !!raw.trashed,
+  appProperties: raw.appProperties || {},
+  // Only present when the backend returns file content (getFile)
+  content: typeof raw.content === 'string' ? raw.content : null
+}));
+
+const DrivePermission = defineType('DrivePermission', {
+  id: 'string',
+  type: 'string',
+  role: 'string',
+  emailAddress: 'string?'
+}, raw => ({
+  id: raw.id,
+  type: raw.type || 'user',
+  role: raw.role,
+  emailAddress: raw.emailAddress ?? null
+}));
+
+module.exports = {
+  DriveFile,
+  DrivePermission
+};
@@ -0,0 +1,207 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Email types
+ *
+ * Accept both the flattened message shape (fakes, direct backend, most MCP
+ * servers) and raw Gmail API resources, whose sender, subject and body live
+ * in `payload.headers` / `payload.parts`.
+ */
+
+function headerMap(message) {
+  const headers = {};
+  for (const { name, value } of message.payload?.headers || []) {
+    headers[name.toLowerCase()] = value;
+  }
+  return headers;
+}
+
+function findPart(part, mimeType) {
+  if (part.mimeType === mimeType && part.body?.data) return part;
+  for (const child of part.parts || []) {
+    const found = findPart(child, mimeType);
+    if (found) return found;
+  }
+  return null;
+}
+
+function decode(data) {
+  return Buffer.from(data, 'base64url').toString('utf8');
+}
+
+/**
+ * Plain-text body of a Gmail payload, falling back to its HTML part with tags stripped
+ */
+function extractBody(payload) {
+  if (!payload) return null;
+  const plain = findPart(payload, 'text/plain');
+  if (plain) return decode(plain.body.data);
+
+  const html = findPart(payload, 'text/html');
+  return html ? decode(html.body.data).replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : null;
+}
+
+/**
+ * Attachments of a Gmail payload: every part with a filename
+ */
+function extractAttachments(part, found = []) {
+  if (!part) return found;
+  if (part.filename) {
+    found.push({
+      filename: part.filename,
+      mimeType: part.mimeType || 'application/octet-stream',
+      size: part.body?.size ?? null,
+      attachmentId: part.body?.attachmentId ?? null
+    });
+  }
+  for (const child of part.parts || []) {
+    extractAttachments(child, found);
+  }
+  return found;
+}
+
+function normalizeAttachment(attachment) {
+  return {
+    filename: attachment.filename || attachment.name || '',
+    mimeType: attachment.mimeType || attachment.contentType || 'application/octet-stream',
+    size: attachment.size ?? null,
+    attachmentId: attachment.attachmentId ?? attachment.id ?? null
+  };
+}
+
+function addressList(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  return value ?? '';
+}
+
+function normalizeSummary(raw) {
+  const headers = headerMap(raw);
+  const labelIds = raw.labelIds || [];
+  return {
+    id: raw.id,
+    threadId: raw.threadId || raw.id,
+    from: raw.from ?? headers.from ?? '',
+    to: addressList(raw.to ?? headers.to),
+    cc: addressList(raw.cc ?? headers.cc),
+    subject: raw.subject ?? headers.subject ?? '',
+    snippet: raw.snippet ?? '',
+    date: toISODate(raw.date ?? raw.internalDate ?? headers.date),
+    labelIds,
+    // User labels have ids like Label_123; system labels are named by their id
+    labelNames: raw.labelNames || labelIds,
+    isUnread: labelIds.includes('UNREAD'),
+    // Message-ID this one replies to, when it is a reply
+    inReplyTo: raw.inReplyTo ?? headers['in-reply-to'] ?? null
+  };
+}
+
+const SUMMARY_SCHEMA = {
+  id: 'string',
+  threadId: 'string',
+  from: 'string',
+  to: 'string',
+  cc: 'string',
+  subject: 'string',
+  snippet: 'string',
+  date: 'date?',
+  labelIds: 'string[]',
+  labelNames: 'string[]',
+  isUnread: 'boolean',
+  inReplyTo: 'string?'
+};
+
+/**
+ * Message as listed by a search: headers and snippet, no body
+ */
+const EmailSummary = defineType('EmailSummary', SUMMARY_SCHEMA, normalizeSummary);
+
+/**
+ * Full message with its plain-text body and attachment metadata
+ */
+const Email = defineType('Email', {
+  ...SUMMARY_SCHEMA,
+  body: 'string',
+  attachments: [{
+    filename: 'string',
+    mimeType: 'string',
+    size: 'integer?',
+    attachmentId: 'string?'
+  }]
+}, raw => ({
+  ...normalizeSummary(raw),
+  body: raw.body ?? extractBody(raw.payload),
+  attachments: raw.attachments ? raw.attachments.map(normalizeAttachment) : extractAttachments(raw.payload)
+}));
+
+/**
+ * Conversation thread, oldest message first
+ */
+const Thread = defineType('Thread', {
+  id: 'string',
+  snippet: 'string',
+  messages: [Email.schema]
+}, raw => {
+  const messages = (raw.messages || []).map(message => Email.from(message));
+  return {
+    id: raw.id,
+    snippet: raw.snippet ?? messages[messages.length - 1]?.snippet ?? '',
+    messages
+  };
+});
+
+/**
+ * Reference returned by send / label changes
+ */
+const MessageRef = defineType('MessageRef', {
+  id: 'string',
+  threadId: 'string',
+  labelIds: 'string[]'
+}, raw => ({
+  id: raw.id,
+  threadId: raw.threadId || raw.id,
+  labelIds: raw.labelIds || []
+}));
+
+/**
+ * Content of an attachment, as standard base64 (Gmail returns base64url)
+ */
+const AttachmentContent = defineType('AttachmentContent', {
+  attachmentId: 'string',
+  size: 'integer',
+  data: 'string'
+}, raw => {
+  const bytes = Buffer.from(raw.data || '', 'base64');
+  return {
+    attachmentId: raw.attachmentId ?? raw.id,
+    size: raw.size ?? bytes.length,
+    data: bytes.toString('base64')
+  };
+});
+
+/**
+ * Gmail label; system labels (INBOX, UNREAD, STARRED, ...) use their name as id
+ */
+const GmailLabel = defineType('GmailLabel', {
+  id: 'string',
+  name: 'string',
+  type: 'string',
+  messagesTotal: 'integer?',
+  messagesUnread: 'integer?'
+}, raw => ({
+  id: raw.id,
+  name: raw.name ?? raw.id,
+  type: raw.type ?? 'user',
+  messagesTotal: raw.messagesTotal ?? null,
+  messagesUnread: raw.messagesUnread ?? null
+}));
+
+module.exports = {
+  EmailSummary,
+  Email,
+  Thread,
+  MessageRef,
+  GmailLabel,
+  AttachmentContent,
+  extractBody,
+  extractAttachments
+};
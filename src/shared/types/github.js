@@ -0,0 +1,70 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * GitHub types
+ */
+
+const Issue = defineType('Issue', {
+  id: 'integer?',
+  number: 'integer',
+  title: 'string',
+  body: 'string',
+  state: 'string',
+  labels: 'string[]',
+  url: 'string?',
+  isPullRequest: 'boolean',
+  createdAt: 'date?',
+  updatedAt: 'date?',
+  closedAt: 'date?'
+}, raw => ({
+  id: raw.id ?? null,
+  number: raw.number,
+  title: raw.title,
+  body: raw.body ?? '',
+  state: raw.state || 'open',
+  labels: (raw.labels || []).map(label => (typeof label === 'string' ? label : label?.name)),
+  url: raw.html_url ?? raw.url ?? null,
+  isPullRequest: !!raw.pull_request,
+  createdAt: toISODate(raw.created_at),
+  updatedAt: toISODate(raw.updated_at),
+  closedAt: toISODate(raw.closed_at)
+}));
+
+const IssueComment = defineType('IssueComment', {
+  id: 'integer?',
+  body: 'string',
+  url: 'string?',
+  createdAt: 'date?'
+}, raw => ({
+  id: raw.id ?? null,
+  body: raw.body ?? '',
+  url: raw.html_url ?? raw.url ?? null,
+  createdAt: toISODate(raw.created_at)
+}));
+
+const Repository = defineType('Repository', {
+  name: 'string',
+  fullName: 'string',
+  owner: 'string',
+  description: 'string?',
+  defaultBranch: 'string?',
+  private: 'boolean',
+  url: 'string?'
+}, raw => {
+  const [owner, name] = (raw.full_name || '').split('/');
+  return {
+    name: raw.name ?? name,
+    fullName: raw.full_name ?? (raw.owner?.login && raw.name ? `${raw.owner.login}/${raw.name}` : undefined),
+    owner: raw.owner?.login ?? (typeof raw.owner === 'string' ? raw.owner : owner),
+    description: raw.description ?? null,
+    defaultBranch: raw.default_branch ?? null,
+    private: !!raw.private,
+    url: raw.html_url ?? null
+  };
+});
+
+module.exports = {
+  Issue,
+  IssueComment,
+  Repository
+};
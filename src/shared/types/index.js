@@ -0,0 +1,44 @@
+const { validate } = require('./schema');
+const { EmailSummary, Email, Thread, MessageRef, GmailLabel, AttachmentContent } = require('./email');
+const { NotionPage, NotionBlock } = require('./notion');
+const { CalendarEvent } = require('./calendar');
+const { Issue, IssueComment, Repository } = require('./github');
+const { Customer, Payment, Subscription, Invoice } = require('./stripe');
+const { DriveFile, DrivePermission } = require('./drive');
+const { Conversation, Contact } = require('./intercom');
+const { Design, DesignExport } = require('./canva');
+
+/**
+ * Canonical Types
+ *
+ * Shapes adapter methods promise to return, whatever backend produced the
+ * data (MCP server, direct API, fake or cassette). Each type has
+ * `from(raw, context)` to normalize and validate tool output and
+ * `validate(value)` to check a canonical value. See ./schema for the notation.
+ */
+
+module.exports = {
+  EmailSummary,
+  Email,
+  Thread,
+  MessageRef,
+  GmailLabel,
+  AttachmentContent,
+  NotionPage,
+  NotionBlock,
+  CalendarEvent,
+  Issue,
+  IssueComment,
+  Repository,
+  Customer,
+  Payment,
+  Subscription,
+  Invoice,
+  DriveFile,
+  DrivePermission,
+  Conversation,
+  Contact,
+  Design,
+  DesignExport,
+  validate
+};
@@ -0,0 +1,50 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Intercom types
+ */
+
+function unix(value) {
+  return toISODate(value, { unixSeconds: true });
+}
+
+const Conversation = defineType('Conversation', {
+  id: 'string',
+  title: 'string?',
+  state: 'string',
+  assigneeId: 'string?',
+  contactIds: 'string[]',
+  body: 'string?',
+  createdAt: 'date?',
+  updatedAt: 'date?'
+}, raw => ({
+  id: String(raw.id),
+  title: raw.title ?? null,
+  state: raw.state || (raw.open === false ? 'closed' : 'open'),
+  assigneeId: raw.admin_assignee_id !== null && raw.admin_assignee_id !== undefined ? String(raw.admin_assignee_id) : null,
+  contactIds: (raw.contacts?.contacts || []).map(contact => String(contact.id)),
+  body: raw.source?.body ?? null,
+  createdAt: unix(raw.created_at),
+  updatedAt: unix(raw.updated_at)
+}));
+
+const Contact = defineType('Contact', {
+  id: 'string',
+  email: 'string?',
+  name: 'string?',
+  role: 'string?',
+  customAttributes: 'object',
+  createdAt: 'date?'
+}, raw => ({
+  id: String(raw.id),
+  email: raw.email ?? null,
+  name: raw.name ?? null,
+  role: raw.role ?? null,
+  customAttributes: raw.custom_attributes || {},
+  createdAt: unix(raw.created_at)
+}));
+
+module.exports = {
+  Conversation,
+  Contact
+};
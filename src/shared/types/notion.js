@@ -0,0 +1,112 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Notion types
+ *
+ * Pages keep Notion's raw `properties` for writes back to the API and add
+ * `values`, the same properties as plain JavaScript values keyed by name
+ * (`values.Sport === 'Soccer'`, `values['Lead Score'] === 88`), plus the
+ * page `title`.
+ */
+
+function plainText(parts = []) {
+  return parts.map(part => part.plain_text ?? part.text?.content ?? '').join('');
+}
+
+/**
+ * Plain value of a page property, whatever its type
+ */
+function propertyValue(property) {
+  if (!property || typeof property !== 'object') return null;
+  switch (property.type || Object.keys(property).find(key => key !== 'id')) {
+    case 'title':
+      return plainText(property.title);
+    case 'rich_text':
+      return plainText(property.rich_text);
+    case 'select':
+      return property.select?.name ?? null;
+    case 'status':
+      return property.status?.name ?? null;
+    case 'multi_select':
+      return (property.multi_select || []).map(option => option.name);
+    case 'number':
+      return property.number ?? null;
+    case 'checkbox':
+      return !!property.checkbox;
+    case 'date':
+      return property.date?.start ?? null;
+    case 'email':
+      return property.email ?? null;
+    case 'url':
+      return property.url ?? null;
+    case 'phone_number':
+      return property.phone_number ?? null;
+    case 'people':
+      return (property.people || []).map(person => person.name || person.id);
+    case 'relation':
+      return (property.relation || []).map(relation => relation.id);
+    case 'created_time':
+      return property.created_time ?? null;
+    case 'last_edited_time':
+      return property.last_edited_time ?? null;
+    case 'formula':
+      return property.formula ? property.formula[property.formula.type] ?? null : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Plain text of the title property among a page's raw properties
+ */
+function pageTitle(properties) {
+  const titleProperty = Object.values(properties).find(property => property?.type === 'title' || Array.isArray(property?.title));
+  return titleProperty ? plainText(titleProperty.title) : '';
+}
+
+const NotionPage = defineType('NotionPage', {
+  id: 'string',
+  url: 'string?',
+  parentId: 'string?',
+  title: 'string',
+  createdAt: 'date?',
+  lastEditedAt: 'date?',
+  archived: 'boolean',
+  properties: 'object',
+  values: 'object'
+}, raw => {
+  const properties = raw.properties || {};
+  const values = {};
+  for (const [name, property] of Object.entries(properties)) {
+    values[name] = propertyValue(property);
+  }
+
+  return {
+    id: raw.id,
+    url: raw.url ?? null,
+    parentId: raw.parent?.database_id ?? raw.parent?.page_id ?? null,
+    title: pageTitle(properties),
+    createdAt: toISODate(raw.created_time),
+    lastEditedAt: toISODate(raw.last_edited_time),
+    archived: !!(raw.archived || raw.in_trash),
+    properties,
+    values
+  };
+});
+
+const NotionBlock = defineType('NotionBlock', {
+  id: 'string',
+  type: 'string',
+  hasChildren: 'boolean'
+}, raw => ({
+  id: raw.id,
+  type: raw.type || Object.keys(raw).find(key => !['object', 'id', 'has_children'].includes(key)) || 'unsupported',
+  hasChildren: !!raw.has_children
+}));
+
+module.exports = {
+  NotionPage,
+  NotionBlock,
+  propertyValue,
+  pageTitle
+};
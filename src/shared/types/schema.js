@@ -0,0 +1,154 @@
+const { MalformedResponseError } = require('../errors');
+
+/**
+ * Canonical type schemas
+ *
+ * A schema maps field names to a type spec:
+ *
+ *   'string' | 'number' | 'integer' | 'boolean' | 'date' | 'object' | 'any'
+ *   'string?'            optional (null or undefined allowed)
+ *   'string[]'           array of a primitive type
+ *   { ...schema }        nested object
+ *   [{ ...schema }]      array of nested objects
+ *
+ * `date` is an ISO 8601 string. Each type pairs a schema with a normalizer
+ * that maps raw tool output (MCP server, direct API or fake) onto it; the
+ * result is validated and malformed responses raise MalformedResponseError.
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const PRIMITIVES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value)),
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  any: () => true
+};
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Collect validation issues for `value` against `spec`
+ *
+ * @returns {string[]} issues as `path: expected X, got Y`
+ */
+function validate(spec, value, path = '', issues = []) {
+  if (Array.isArray(spec)) {
+    if (!Array.isArray(value)) {
+      issues.push(`${path || '(root)'}: expected array, got ${describe(value)}`);
+      return issues;
+    }
+    value.forEach((item, index) => validate(spec[0], item, `${path}[${index}]`, issues));
+    return issues;
+  }
+
+  if (spec && typeof spec === 'object') {
+    if (!PRIMITIVES.object(value)) {
+      issues.push(`${path || '(root)'}: expected object, got ${describe(value)}`);
+      return issues;
+    }
+    for (const [key, fieldSpec] of Object.entries(spec)) {
+      validate(fieldSpec, value[key], path ? `${path}.${key}` : key, issues);
+    }
+    return issues;
+  }
+
+  const optional = spec.endsWith('?');
+  const base = optional ? spec.slice(0, -1) : spec;
+  if (value === null || value === undefined) {
+    if (!optional) issues.push(`${path}: expected ${base}, got ${describe(value)}`);
+    return issues;
+  }
+
+  if (base.endsWith('[]')) {
+    const itemType = base.slice(0, -2);
+    if (!Array.isArray(value)) {
+      issues.push(`${path}: expected ${base}, got ${describe(value)}`);
+    } else {
+      value.forEach((item, index) => {
+        if (!PRIMITIVES[itemType](item)) issues.push(`${path}[${index}]: expected ${itemType}, got ${describe(item)}`);
+      });
+    }
+    return issues;
+  }
+
+  if (!PRIMITIVES[base](value)) {
+    issues.push(`${path}: expected ${base}, got ${describe(value)}`);
+  }
+  return issues;
+}
+
+/**
+ * Define a canonical type
+ *
+ * @param {string} name - e.g. 'Email'
+ * @param {Object} schema - field specs, see above
+ * @param {Function} normalize - raw tool output -> canonical shape
+ * @returns {{name: string, schema: Object, from: Function, validate: Function}}
+ */
+function defineType(name, schema, normalize) {
+  const type = {
+    name,
+    schema,
+
+    /**
+     * Validate an already-canonical value, returning the list of issues
+     */
+    validate(value) {
+      return validate(schema, value);
+    },
+
+    /**
+     * Normalize raw tool output and validate the result
+     *
+     * @param {*} raw
+     * @param {Object} [context] - `{ service, action }` for error messages
+     */
+    from(raw, context = {}) {
+      if (!PRIMITIVES.object(raw)) {
+        throw new MalformedResponseError(name, [`(root): expected object, got ${describe(raw)}`], context);
+      }
+
+      let value;
+      try {
+        value = normalize(raw);
+      } catch (error) {
+        throw new MalformedResponseError(name, [`(root): ${error.message}`], { ...context, cause: error });
+      }
+
+      const issues = validate(schema, value);
+      if (issues.length > 0) throw new MalformedResponseError(name, issues, context);
+      return value;
+    }
+  };
+  return type;
+}
+
+/**
+ * ISO string for a Date, ISO string, epoch milliseconds or Unix seconds
+ */
+function toISODate(value, { unixSeconds = false } = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const number = Number(value);
+    return new Date(unixSeconds ? number * 1000 : number).toISOString();
+  }
+  // All-day dates stay date-only
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+module.exports = {
+  defineType,
+  validate,
+  toISODate
+};
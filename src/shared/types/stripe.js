@@ -0,0 +1,100 @@
+const { defineType, toISODate } = require('./schema');
+
+/**
+ * Stripe types
+ *
+ * Amounts stay in the currency's smallest unit (cents) as Stripe sends
+ * them; Unix-second timestamps become ISO strings.
+ */
+
+function unix(value) {
+  return toISODate(value, { unixSeconds: true });
+}
+
+function customerId(customer) {
+  return typeof customer === 'string' ? customer : customer?.id ?? null;
+}
+
+const Customer = defineType('Customer', {
+  id: 'string',
+  email: 'string?',
+  name: 'string?',
+  createdAt: 'date'
+}, raw => ({
+  id: raw.id,
+  email: raw.email ?? null,
+  name: raw.name ?? null,
+  createdAt: unix(raw.created)
+}));
+
+const Payment = defineType('Payment', {
+  id: 'string',
+  amount: 'integer',
+  currency: 'string',
+  status: 'string',
+  customerId: 'string?',
+  description: 'string?',
+  createdAt: 'date'
+}, raw => ({
+  id: raw.id,
+  amount: raw.amount_received ?? raw.amount,
+  currency: raw.currency || 'usd',
+  status: raw.status,
+  customerId: customerId(raw.customer),
+  description: raw.description ?? null,
+  createdAt: unix(raw.created)
+}));
+
+const Subscription = defineType('Subscription', {
+  id: 'string',
+  customerId: 'string?',
+  status: 'string',
+  amount: 'integer',
+  currency: 'string',
+  interval: 'string?',
+  createdAt: 'date'
+}, raw => {
+  // Classic subscriptions carry `plan`; newer ones only `items.data[].price`
+  const items = raw.items?.data || [];
+  const amount = raw.plan
+    ? (raw.plan.amount ?? 0) * (raw.quantity ?? 1)
+    : items.reduce((sum, item) => sum + (item.price?.unit_amount ?? 0) * (item.quantity ?? 1), 0);
+  const price = raw.plan || items[0]?.price;
+
+  return {
+    id: raw.id,
+    customerId: customerId(raw.customer),
+    status: raw.status,
+    amount,
+    currency: price?.currency || raw.currency || 'usd',
+    interval: price?.interval ?? price?.recurring?.interval ?? null,
+    createdAt: unix(raw.created)
+  };
+});
+
+const Invoice = defineType('Invoice', {
+  id: 'string',
+  customerId: 'string?',
+  status: 'string',
+  amountPaid: 'integer',
+  amountDue: 'integer',
+  currency: 'string',
+  paidAt: 'date?',
+  createdAt: 'date'
+}, raw => ({
+  id: raw.id,
+  customerId: customerId(raw.customer),
+  status: raw.status,
+  amountPaid: raw.amount_paid ?? 0,
+  amountDue: raw.amount_due ?? 0,
+  currency: raw.currency || 'usd',
+  paidAt: unix(raw.status_transitions?.paid_at),
+  createdAt: unix(raw.created)
+}));
+
+module.exports = {
+  Customer,
+  Payment,
+  Subscription,
+  Invoice
+};
@@ -0,0 +1,178 @@
+/**
+ * Cron Schedule Helpers
+ *
+ * Minimal cron expression evaluation used to work out which scheduled fire
+ * times were missed while the process was down. Supports the same 5-field
+ * syntax node-cron accepts (an optional leading seconds field is ignored):
+ * `*`, lists, ranges, steps and month/weekday names, evaluated in a given
+ * IANA timezone.
+ */
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const NAME_ALIASES = {
+  month: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  dayOfWeek: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+};
+
+const formatterCache = new Map();
+
+function parseValue(value, field) {
+  const aliases = NAME_ALIASES[field.name];
+  const lower = value.toLowerCase().substring(0, 3);
+  if (aliases && aliases.includes(lower)) {
+    return aliases.indexOf(lower) + (field.name === 'month' ? 1 : 0);
+  }
+
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value '${value}' in cron expression`);
+  }
+  return number;
+}
+
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    if (!step || step < 1) {
+      throw new Error(`Invalid step '${stepText}' in cron expression`);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = to !== undefined ? parseValue(to, field) : (stepText ? field.max : start);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 7 and 0 both mean Sunday
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return { values, restricted: expression !== '*' };
+}
+
+/**
+ * Parse a cron expression into per-field value sets
+ */
+function parseCronExpression(expression) {
+  let fields = expression.trim().split(/\s+/);
+  if (fields.length === 6) {
+    fields = fields.slice(1);
+  }
+  if (fields.length !== 5) {
+    throw new Error(`Invalid cron expression '${expression}'`);
+  }
+
+  const parsed = {};
+  FIELD_RANGES.forEach((field, i) => {
+    parsed[field.name] = parseField(fields[i], field);
+  });
+  return parsed;
+}
+
+/**
+ * Wall-clock components of a date in the given timezone
+ */
+function getZonedParts(date, timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  for (const { type, value } of formatterCache.get(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    dayOfMonth: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    dayOfWeek: NAME_ALIASES.dayOfWeek.indexOf(parts.weekday.toLowerCase())
+  };
+}
+
+function matchesCron(parsed, date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+
+  if (!parsed.minute.values.has(parts.minute)) return false;
+  if (!parsed.hour.values.has(parts.hour)) return false;
+  if (!parsed.month.values.has(parts.month)) return false;
+
+  // Standard cron semantics: when both day fields are restricted, either may match
+  const dayOfMonthMatch = parsed.dayOfMonth.values.has(parts.dayOfMonth);
+  const dayOfWeekMatch = parsed.dayOfWeek.values.has(parts.dayOfWeek);
+  if (parsed.dayOfMonth.restricted && parsed.dayOfWeek.restricted) {
+    return dayOfMonthMatch || dayOfWeekMatch;
+  }
+  return dayOfMonthMatch && dayOfWeekMatch;
+}
+
+/**
+ * Fire times of a cron expression in the interval (from, to], oldest first
+ *
+ * @param {string} expression - cron expression
+ * @param {Date} from - exclusive start
+ * @param {Date} to - inclusive end
+ * @param {Object} options
+ * @param {string} [options.timezone='UTC'] - IANA timezone the expression is evaluated in
+ * @param {number} [options.limit=1000] - stop after this many fire times
+ */
+function getFireTimesBetween(expression, from, to, { timezone = 'UTC', limit = 1000 } = {}) {
+  const parsed = parseCronExpression(expression);
+  const fireTimes = [];
+
+  // Walk minute by minute, starting at the first whole minute after `from`
+  const cursor = new Date(from.getTime());
+  cursor.setUTCSeconds(0, 0);
+  cursor.setTime(cursor.getTime() + 60000);
+
+  while (cursor <= to && fireTimes.length < limit) {
+    if (matchesCron(parsed, cursor, timezone)) {
+      fireTimes.push(new Date(cursor.getTime()));
+    }
+    cursor.setTime(cursor.getTime() + 60000);
+  }
+
+  return fireTimes;
+}
+
+/**
+ * Whether a string is a timezone Intl understands
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  parseCronExpression,
+  getFireTimesBetween,
+  isValidTimezone
+};
@@ -1,19 +1,59 @@
 const logger = require('../logging/logger');
 
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw signal.reason || new Error('Operation aborted');
+  }
+};
 
-const retry = async (fn, retries = 3, delay = 1000) => {
+/**
+ * Retry an async function
+ * 
+ * @param {Function} fn - called with the 1-based attempt number
+ * @param {number} retries - total number of attempts
+ * @param {number} delay - base delay between attempts in ms
+ * @param {Object} options
+ * @param {string} [options.backoff='linear'] - 'fixed', 'linear' or 'exponential'
+ * @param {number} [options.maxDelay] - cap for the computed delay
+ * @param {Function} [options.shouldRetry] - return false to rethrow an error immediately
+ * @param {Function} [options.onRetry] - called with (error, attempt, nextDelay) before waiting
+ * @param {AbortSignal} [options.signal] - aborts the wait between attempts
+ */
+const retry = async (fn, retries = 3, delay = 1000, options = {}) => {
+  const { backoff = 'linear', maxDelay = Infinity, shouldRetry = () => true, onRetry, signal } = options;
+  
   for (let i = 0; i < retries; i++) {
     try {
-      return await fn();
+      return await fn(i + 1);
     } catch (error) {
       logger.warn(`Attempt ${i + 1} failed:`, error.message);
       
-      if (i === retries - 1) {
+      if (i === retries - 1 || !shouldRetry(error)) {
         throw error;
       }
       
-      await sleep(delay * (i + 1));
+      const multiplier = backoff === 'fixed' ? 1 : backoff === 'exponential' ? Math.pow(2, i) : i + 1;
+      const nextDelay = Math.min(delay * multiplier, maxDelay);
+      
+      if (onRetry) {
+        onRetry(error, i + 1, nextDelay);
+      }
+      
+      await sleep(nextDelay, signal);
     }
   }
 };
@@ -64,6 +104,7 @@ const truncateString = (str, length = 100) => {
 
 module.exports = {
   sleep,
+  throwIfAborted,
   retry,
   formatDate,
   formatDateTime,
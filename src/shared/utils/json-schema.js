@@ -0,0 +1,89 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Covers the subset used by automation manifests and their options schemas:
+ * `type` (single or list), `enum`, `const`, `properties`, `required`,
+ * `additionalProperties` (boolean or schema), `items`, `minItems` /
+ * `maxItems`, `minimum` / `maximum`, `minLength` / `maxLength` and
+ * `pattern`. Unknown keywords are ignored.
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Collect validation issues for `value` against `schema`
+ *
+ * @returns {string[]} issues as `path: message`
+ */
+function validateJsonSchema(schema, value, path = '', issues = []) {
+  const at = path || '(root)';
+  if (!schema || typeof schema !== 'object') return issues;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      issues.push(`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return issues;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    issues.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && schema.const !== value) {
+    issues.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) issues.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) issues.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) issues.push(`${at}: does not match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) issues.push(`${at}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) issues.push(`${at}: greater than ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) issues.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) issues.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => validateJsonSchema(schema.items, item, `${path}[${index}]`, issues));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) issues.push(`${path ? `${path}.` : ''}${key}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        validateJsonSchema(properties[key], item, itemPath, issues);
+      } else if (schema.additionalProperties === false) {
+        issues.push(`${itemPath}: is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateJsonSchema(schema.additionalProperties, item, itemPath, issues);
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  validateJsonSchema
+};
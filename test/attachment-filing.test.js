@@ -0,0 +1,34 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AttachmentFiler } = require('../src/shared/integrations/attachment-filing');
+const { MCPGmailAdapter, MCPGoogleDriveAdapter } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+
+test('a retried filing reuses files by Gmail ids, not by name and size', async (t) => {
+  t.after(resetFakeBackends);
+  const roster = (attachmentId, data) => ({ filename: 'roster.csv', mimeType: 'text/csv', attachmentId, data });
+  getFakeBackend('gmail').addMessage({
+    id: 'msg-rosters',
+    from: 'coach@austinelitesoccer.com',
+    subject: 'Rosters',
+    date: '2026-03-14T15:00:00.000Z',
+    // Same name and size, different content
+    attachments: [roster('att-u16', Buffer.from('u16').toString('base64')), roster('att-u17', Buffer.from('u17').toString('base64'))]
+  });
+  const gmail = new MCPGmailAdapter();
+  const drive = new MCPGoogleDriveAdapter();
+  const email = await gmail.getEmail('msg-rosters');
+
+  const first = await new AttachmentFiler(gmail, drive).fileAttachments(email);
+  assert.equal(first.filed.length, 2);
+  assert.notEqual(first.filed[0].fileId, first.filed[1].fileId);
+
+  const retry = await new AttachmentFiler(gmail, drive).fileAttachments(email);
+  assert.deepEqual(retry.filed.map(file => file.fileId), first.filed.map(file => file.fileId));
+
+  const files = await drive.listFiles(`'${first.folder.id}' in parents`);
+  assert.deepEqual(files.map(file => file.appProperties.gmailAttachmentId).sort(), ['att-u16', 'att-u17']);
+  assert.ok(files.every(file => file.appProperties.gmailMessageId === 'msg-rosters'));
+});
@@ -0,0 +1,47 @@
+const { dataDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { withFileLock } = require('../src/shared/storage/file-lock');
+
+const LEDGER = path.join(__dirname, '../src/shared/storage/audit-ledger');
+
+test('two processes appending at once keep the hash chain intact', async () => {
+  const script = `
+    const auditLedger = require(${JSON.stringify(LEDGER)});
+    for (let index = 0; index < 100; index++) {
+      auditLedger.record({ service: 'slack', action: 'postMessage', target: process.argv[1], summary: String(index) });
+    }
+  `;
+  const append = (name) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script, name], { env: process.env, stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+
+  assert.deepEqual(await Promise.all([append('#bd-automation'), append('#ops')]), [0, 0]);
+
+  const auditLedger = require(LEDGER);
+  assert.deepEqual(auditLedger.verify(), { valid: true, entries: 200, brokenAt: null, reason: null });
+  assert.equal(auditLedger.query({ limit: 0 }).filter(entry => entry.target === '#ops').length, 100);
+});
+
+test('a lock left by a process that died is broken', () => {
+  const file = path.join(dataDir, 'stale.jsonl');
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ token: 'dead', pid: 999999, host: os.hostname() }));
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(`${file}.lock`, old, old);
+
+  assert.equal(withFileLock(file, () => 'ran', { timeoutMs: 1000 }), 'ran');
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test('a lock held by a live process times out', () => {
+  const file = path.join(dataDir, 'held.jsonl');
+  withFileLock(file, () => {
+    assert.throws(() => withFileLock(file, () => 'ran', { timeoutMs: 50 }), { code: 'FILE_LOCK_TIMEOUT' });
+  });
+});
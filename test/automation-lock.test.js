@@ -0,0 +1,109 @@
+const { tempDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const AutomationLock = require('../src/shared/storage/automation-lock');
+
+const LEASE_MS = 60000;
+
+function writeStaleLock(lockDir, name) {
+  fs.mkdirSync(lockDir, { recursive: true });
+  const heartbeatAt = new Date(Date.now() - 2 * LEASE_MS).toISOString();
+  fs.writeFileSync(path.join(lockDir, `${name}.lock`), JSON.stringify({
+    token: 'stale-token',
+    automation: name,
+    pid: 999999,
+    acquiredAt: heartbeatAt,
+    heartbeatAt,
+    leaseMs: LEASE_MS
+  }));
+}
+
+test('only one of two locks on the same automation is acquired', () => {
+  const lockDir = tempDir('locks');
+  const first = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+  const second = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+
+  assert.equal(first.tryAcquire(), true);
+  assert.equal(second.tryAcquire(), false);
+
+  first.release();
+  assert.equal(second.tryAcquire(), true);
+  second.release();
+});
+
+test('an expired lock is taken over', () => {
+  const lockDir = tempDir('locks');
+  writeStaleLock(lockDir, 'report');
+  const lock = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+
+  assert.equal(lock.tryAcquire(), true);
+  assert.equal(lock.readHolder().token, lock.token);
+  assert.deepEqual(fs.readdirSync(lockDir), ['report.lock']);
+  lock.release();
+});
+
+test('a takeover that loses the race to another takeover backs off', () => {
+  const lockDir = tempDir('locks');
+  writeStaleLock(lockDir, 'report');
+  const slow = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+  const fast = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+
+  // `fast` takes the stale lock over right after `slow` has read it as expired
+  const readHolder = slow.readHolder.bind(slow);
+  let raced = false;
+  slow.readHolder = () => {
+    const holder = readHolder();
+    if (!raced) {
+      raced = true;
+      assert.equal(fast.tryAcquire(), true);
+    }
+    return holder;
+  };
+
+  assert.equal(slow.tryAcquire(), false);
+  assert.equal(slow.isHeld(), false);
+  assert.equal(fast.readHolder().token, fast.token);
+  fast.release();
+});
+
+test('a takeover marker left by a crashed process does not block the lock forever', () => {
+  const lockDir = tempDir('locks');
+  writeStaleLock(lockDir, 'report');
+  const marker = path.join(lockDir, 'report.lock.takeover-stale-token-0');
+  fs.writeFileSync(marker, '{}');
+  const lock = new AutomationLock('report', { lockDir, leaseMs: LEASE_MS });
+
+  // Claimed by a process that is still taking over
+  assert.equal(lock.tryAcquire(), false);
+
+  const longAgo = new Date(Date.now() - 2 * LEASE_MS);
+  fs.utimesSync(marker, longAgo, longAgo);
+  assert.equal(lock.tryAcquire(), true);
+  assert.deepEqual(fs.readdirSync(lockDir), ['report.lock']);
+  lock.release();
+});
+
+test('processes racing for a stale lock acquire it exactly once', async () => {
+  const lockDir = tempDir('locks');
+  writeStaleLock(lockDir, 'report');
+
+  const script = `
+    const AutomationLock = require(${JSON.stringify(require.resolve('../src/shared/storage/automation-lock'))});
+    const lock = new AutomationLock('report', { lockDir: ${JSON.stringify(lockDir)}, leaseMs: ${LEASE_MS} });
+    process.stdout.write('\\nacquired=' + lock.tryAcquire() + '\\n');
+  `;
+  const acquire = () => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', script], { env: process.env });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.on('error', reject);
+    child.on('exit', () => resolve(/acquired=(\w+)/.exec(output)?.[1]));
+  });
+
+  const results = await Promise.all([acquire(), acquire(), acquire()]);
+  assert.deepEqual(results.filter(result => result === 'true'), ['true']);
+  assert.equal(results.filter(result => result === 'false').length, 2);
+});
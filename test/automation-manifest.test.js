@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+// GitHub on the stub MCP server, every other adapter on the fake backends
+const serversFile = path.join(tempDir('mcp'), 'mcp-servers.json');
+fs.writeFileSync(serversFile, JSON.stringify({ mcpServers: { github: { command: 'node', args: ['scripts/mcp-stub-server.js'] } } }));
+process.env.MCP_SERVERS_FILE = serversFile;
+process.env.GITHUB_OWNER = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkRequirements } = require('../src/orchestrator/automation-manifest');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { config } = require('../src/shared/config');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { discoverAutomationModules } = require('../src/orchestrator/automation-loader');
+const { FailureIssueReporter } = require('../src/shared/integrations/failure-issues');
+
+test('config keys left unset or as .env.example placeholders are missing', () => {
+  const manifest = { adapters: ['github'], config: ['github.owner', 'github.repo', 'notion.databases.tasks'] };
+  const check = (config) => checkRequirements(manifest, createMCPAdapters(), config).missingConfig;
+
+  assert.deepEqual(check({ github: { repo: 'ops' }, notion: { databases: { tasks: 'your_tasks_database_id_here' } } }),
+    ['github.owner', 'notion.databases.tasks']);
+  assert.deepEqual(check({ github: { owner: 'your-org', repo: 'ops' }, notion: { databases: { tasks: 'db-1' } } }),
+    ['github.owner']);
+  assert.deepEqual(check({ github: { owner: 'gmtm', repo: 'ops' }, notion: { databases: { tasks: 'db-1' } } }), []);
+});
+
+test('adapters whose calls would only be simulated are missing', (t) => {
+  const manifest = { adapters: ['github', 'gmail', 'notion'], config: [] };
+  const adapters = createMCPAdapters();
+  assert.equal(adapters.github.resolveBackend(), 'mcp');
+  assert.deepEqual(checkRequirements(manifest, adapters, config).missingAdapters, []);
+
+  config.mcp.fakes.enabled = false;
+  t.after(() => {
+    config.mcp.fakes.enabled = true;
+  });
+  assert.deepEqual(checkRequirements(manifest, adapters, config).missingAdapters, ['gmail', 'notion']);
+  assert.deepEqual(checkRequirements({ adapters: ['unknown'], config: [] }, adapters, config).missingAdapters, ['unknown']);
+});
+
+test('built-in automations are scheduled without a GitHub owner, whose failures are only logged', async () => {
+  const core = new OrchestratorCore();
+  for (const { source, load } of discoverAutomationModules()) {
+    load().forEach(AutomationClass => core.loadAutomation(AutomationClass, source));
+  }
+
+  assert.ok(core.automations.size >= 4);
+  assert.deepEqual(Object.fromEntries(core.unavailable), {});
+
+  const reporter = new FailureIssueReporter(core.mcpAdapters.github);
+  assert.equal(await reporter.report('Report', new Error('boom'), { title: 'Failed', body: '' }), null);
+  assert.deepEqual(await reporter.resolve('Report'), []);
+});
@@ -0,0 +1,120 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const automationOverrides = require('../src/shared/storage/automation-overrides');
+const runHistory = require('../src/shared/storage/run-history');
+
+const AutomationOverridesStore = automationOverrides.constructor;
+
+/**
+ * Orchestrator with one automation scheduled hourly, counting its runs;
+ * its cron tasks are destroyed when the test ends
+ */
+function orchestratorWith(t, id) {
+  const core = new OrchestratorCore({ adapters: {} });
+  const automation = {
+    name: id,
+    runs: 0,
+    manifest: { id, schedule: '0 * * * *', optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+    execute: async () => {
+      automation.runs++;
+      return { success: true, summary: 'done' };
+    }
+  };
+  core.automations.set(id, automation);
+  core.setupScheduledTasks();
+  t.after(() => core.schedules.forEach(task => task.destroy()));
+  return { core, automation };
+}
+
+test('overrides are written to disk and read back by another store', (t) => {
+  const { core } = orchestratorWith(t, 'persisted');
+  core.pauseAutomation('persisted', { until: '2099-01-01T00:00:00Z', reason: 'Season break', by: 'jane' });
+  core.setAutomationSchedule('persisted', '30 8 * * 1', { by: 'jane' });
+
+  const reader = new AutomationOverridesStore({ filePath: automationOverrides.filePath });
+  const stored = reader.get('persisted');
+  assert.deepEqual(
+    [stored.paused, stored.pausedUntil, stored.pauseReason, stored.schedule, stored.updatedBy],
+    [true, '2099-01-01T00:00:00.000Z', 'Season break', '30 8 * * 1', 'jane']
+  );
+
+  // A change written by the other store is picked up without a restart
+  reader.update('persisted', { paused: undefined, pausedUntil: undefined, pauseReason: undefined }, { by: 'ops' });
+  assert.deepEqual([core.getAutomationState('persisted').paused, core.getAutomationState('persisted').updatedBy], [false, 'ops']);
+});
+
+test('a paused automation skips scheduled runs but not manual ones, until resumed', async (t) => {
+  const { core, automation } = orchestratorWith(t, 'paused');
+  const state = core.pauseAutomation('paused', { reason: 'Inbox migration' });
+  assert.deepEqual([state.enabled, state.paused, state.pauseReason], [false, true, 'Inbox migration']);
+
+  const skipped = await core.runAutomation('paused', { scheduled: true, runId: 'run-paused-schedule' });
+  assert.deepEqual([skipped.skipped, skipped.summary], [true, 'Paused']);
+  assert.equal(runHistory.get('run-paused-schedule').status, 'skipped');
+  await core.runAutomation('paused', { trigger: 'manual' });
+  assert.equal(automation.runs, 1);
+
+  assert.equal(core.resumeAutomation('paused').enabled, true);
+  await core.runAutomation('paused', { scheduled: true });
+  assert.equal(automation.runs, 2);
+});
+
+test('a pause with an end time lifts itself once it has passed', async (t) => {
+  const { core, automation } = orchestratorWith(t, 'lifted');
+  core.pauseAutomation('lifted', { until: new Date(Date.now() + 60 * 60 * 1000) });
+  assert.match((await core.runAutomation('lifted', { scheduled: true })).summary, /^Paused until /);
+
+  core.pauseAutomation('lifted', { until: new Date(Date.now() - 1000) });
+  assert.equal(core.getAutomationState('lifted').paused, false);
+  await core.runAutomation('lifted', { scheduled: true });
+  assert.equal(automation.runs, 1);
+});
+
+test('a schedule override re-registers the cron task, and null restores the manifest schedule', (t) => {
+  const { core } = orchestratorWith(t, 'rescheduled');
+  const original = core.schedules.get('rescheduled');
+
+  const state = core.setAutomationSchedule('rescheduled', '*/15 * * * *');
+  assert.deepEqual([state.schedule, state.defaultSchedule, state.scheduleOverridden], ['*/15 * * * *', '0 * * * *', true]);
+  assert.equal(core.scheduledExpressions.get('rescheduled'), '*/15 * * * *');
+  assert.notEqual(core.schedules.get('rescheduled'), original);
+
+  assert.throws(() => core.setAutomationSchedule('rescheduled', 'every hour'), { code: 'INVALID_SCHEDULE' });
+  assert.equal(core.scheduledExpressions.get('rescheduled'), '*/15 * * * *');
+
+  assert.equal(core.setAutomationSchedule('rescheduled', null).scheduleOverridden, false);
+  assert.equal(core.scheduledExpressions.get('rescheduled'), '0 * * * *');
+});
+
+test('a schedule changed by another process is applied on the next overrides poll', (t) => {
+  const { core } = orchestratorWith(t, 'polled');
+  new AutomationOverridesStore({ filePath: automationOverrides.filePath }).update('polled', { schedule: '0 6 * * *' });
+
+  core.setupScheduledTasks();
+  assert.equal(core.scheduledExpressions.get('polled'), '0 6 * * *');
+  assert.equal(core.automations.get('polled').schedule, '0 6 * * *');
+});
+
+test('a maintenance window blocks manual runs too, until it is removed', async (t) => {
+  const { core, automation } = orchestratorWith(t, 'maintained');
+  const window = core.addMaintenanceWindow({
+    automation: 'maintained',
+    start: new Date(Date.now() - 1000),
+    end: new Date(Date.now() + 60 * 60 * 1000),
+    reason: 'Notion migration'
+  });
+
+  const blocked = await core.runAutomation('maintained', { trigger: 'manual' });
+  assert.match(blocked.summary, /^In maintenance window until .* \(Notion migration\)$/);
+  assert.equal(automation.runs, 0);
+
+  assert.equal(core.removeMaintenanceWindow(window.id), true);
+  await core.runAutomation('maintained', { trigger: 'manual' });
+  assert.equal(automation.runs, 1);
+  assert.throws(() => core.addMaintenanceWindow({ start: new Date(), end: new Date(Date.now() - 1) }), {
+    code: 'INVALID_MAINTENANCE_WINDOW'
+  });
+});
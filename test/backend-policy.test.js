@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+// Gmail on the stub server, Notion on a server that cannot be reached, Calendar on none
+const serversFile = path.join(tempDir('mcp'), 'mcp-servers.json');
+fs.writeFileSync(serversFile, JSON.stringify({
+  mcpServers: {
+    gmail: { command: process.execPath, args: ['scripts/mcp-stub-server.js'] },
+    notion: { url: 'http://127.0.0.1:9/mcp' }
+  }
+}));
+process.env.MCP_SERVERS_FILE = serversFile;
+process.env.RESILIENCE_ENABLED = 'false';
+for (const name of ['GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'GOOGLE_REFRESH_TOKEN', 'NOTION_API_KEY']) {
+  process.env[name] = '';
+}
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../src/shared/config');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { getDirectBackend } = require('../src/shared/integrations/direct');
+const { closeAllClients } = require('../src/shared/integrations/mcp-transport');
+
+test.after(closeAllClients);
+
+function usePolicy(t, policies) {
+  const previous = { ...config.mcp.backends };
+  Object.assign(config.mcp.backends, policies);
+  t.after(() => Object.assign(config.mcp.backends, previous));
+}
+
+/**
+ * Direct backends whose SDK calls are recorded and answered with empty lists
+ */
+const directCalls = [];
+function configureDirectBackends() {
+  Object.assign(config.gmail.credentials, { client_id: 'client-id', client_secret: 'client-secret', refresh_token: 'refresh-token' });
+  config.notion.apiKey = 'notion-key';
+  const empty = { search: { messages: [] }, queryDatabase: { results: [] }, getEvents: { items: [] } };
+  for (const name of ['gmail', 'notion', 'google-calendar']) {
+    getDirectBackend(name).execute = async (action) => {
+      directCalls.push(`${name}.${action}`);
+      return empty[action];
+    };
+  }
+}
+
+test('without credentials, auto falls back to the fake and direct refuses to run', async (t) => {
+  usePolicy(t, { 'google-calendar': 'direct' });
+  const { googleCalendar, notion } = createMCPAdapters();
+
+  assert.equal(notion.resolveBackend(), 'mcp');
+  assert.equal(googleCalendar.resolveBackend(), null);
+  await assert.rejects(googleCalendar.getEvents('primary', '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z'), {
+    code: 'DIRECT_BACKEND_UNAVAILABLE'
+  });
+
+  config.mcp.backends['google-calendar'] = 'auto';
+  assert.equal(googleCalendar.resolveBackend(), 'fake');
+  assert.ok(Array.isArray(await googleCalendar.getEvents('primary', '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z')));
+});
+
+test('auto prefers a reachable MCP server over the direct API', async () => {
+  configureDirectBackends();
+  directCalls.length = 0;
+  const { gmail } = createMCPAdapters();
+
+  assert.equal(gmail.resolveBackend(), 'mcp');
+  const sent = await gmail.sendEmail('coach@austinelitesoccer.com', 'Roster', 'Attached');
+  assert.match(sent.id, /^stub-/);
+  assert.ok((await gmail.searchEmails('is:sent')).some(email => email.id === sent.id));
+  assert.deepEqual(directCalls, []);
+});
+
+test('auto falls back to the direct API when the MCP server cannot be reached', async () => {
+  directCalls.length = 0;
+  const { notion } = createMCPAdapters();
+
+  assert.deepEqual(await notion.queryDatabase('db-tasks'), []);
+  assert.deepEqual(directCalls, ['notion.queryDatabase']);
+});
+
+test('mcp never calls the direct API, and direct never calls the MCP server', async (t) => {
+  usePolicy(t, { notion: 'mcp', gmail: 'direct', 'google-calendar': 'mcp' });
+  directCalls.length = 0;
+  const { notion, gmail, googleCalendar } = createMCPAdapters();
+
+  await assert.rejects(notion.queryDatabase('db-tasks'), { name: 'MCPTransportError' });
+  assert.deepEqual(await gmail.searchEmails('is:sent'), []);
+  // No server configured: the fake, even though credentials are present
+  assert.equal(googleCalendar.resolveBackend(), 'fake');
+  await googleCalendar.getEvents('primary', '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z');
+  assert.deepEqual(directCalls, ['gmail.search']);
+});
+
+test('auto uses the direct API when no MCP server is configured, before the fake', async () => {
+  directCalls.length = 0;
+  const { googleCalendar } = createMCPAdapters();
+
+  assert.equal(googleCalendar.resolveBackend(), 'direct');
+  assert.deepEqual(await googleCalendar.getEvents('primary', '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z'), []);
+  assert.deepEqual(directCalls, ['google-calendar.getEvents']);
+});
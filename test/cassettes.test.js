@@ -0,0 +1,83 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { config } = require('../src/shared/config');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { getCassette, resetCassettes } = require('../src/shared/integrations/cassettes');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+const { MCPCassetteMissError, MCPError } = require('../src/shared/errors');
+
+/**
+ * Switch cassettes to `mode` for the rest of the test, optionally without fakes
+ */
+function useCassettes(t, mode, { fakes = true } = {}) {
+  const previous = { mode: config.mcp.cassettes.mode, name: config.mcp.cassettes.name, fakes: config.mcp.fakes.enabled };
+  config.mcp.cassettes.mode = mode;
+  config.mcp.cassettes.name = t.name.replace(/\W+/g, '-');
+  config.mcp.fakes.enabled = fakes;
+  resetCassettes();
+  t.after(() => {
+    Object.assign(config.mcp.cassettes, { mode: previous.mode, name: previous.name });
+    config.mcp.fakes.enabled = previous.fakes;
+    resetCassettes();
+    resetFakeBackends();
+  });
+}
+
+async function readInbox(gmail) {
+  const before = (await gmail.searchEmails('is:unread', 50)).map(email => email.id);
+  await gmail.markAsRead('msg-task-001');
+  const after = (await gmail.searchEmails('is:unread', 50)).map(email => email.id);
+  const email = await gmail.getEmail('msg-task-001');
+  return { before, after, from: email.from, labels: email.labelNames };
+}
+
+test('recorded calls replay in order without reaching any backend', async (t) => {
+  useCassettes(t, 'record');
+  const recorded = await readInbox(createMCPAdapters().gmail);
+  assert.ok(recorded.before.includes('msg-task-001'));
+  assert.ok(!recorded.after.includes('msg-task-001'));
+
+  const file = getCassette('gmail').file;
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('austinelitesoccer.com'), 'emails are redacted on disk');
+
+  // Fakes off: anything not served from the cassette would only be simulated
+  config.mcp.cassettes.mode = 'replay';
+  config.mcp.fakes.enabled = false;
+  resetCassettes();
+  const { from, ...replayed } = await readInbox(createMCPAdapters().gmail);
+  assert.deepEqual(replayed, { before: recorded.before, after: recorded.after, labels: recorded.labels });
+  // Responses are replayed as recorded, with their emails pseudonymized
+  assert.match(from, /@redacted\.invalid/);
+});
+
+test('a call that was not recorded fails instead of reaching a backend', async (t) => {
+  useCassettes(t, 'replay');
+  const { gmail } = createMCPAdapters();
+
+  await assert.rejects(gmail.searchEmails('is:starred'), (error) => {
+    assert.ok(error instanceof MCPCassetteMissError);
+    assert.match(error.message, /gmail/);
+    return true;
+  });
+  // Even with a fake backend available, nothing was sent to it
+  await assert.rejects(gmail.sendEmail('coach.martinez@austinelitesoccer.com', 'Hi', 'Hello'), MCPCassetteMissError);
+  assert.ok(!Array.from(getFakeBackend('gmail').messages.values()).some(message => message.subject === 'Hi'));
+  assert.equal(gmail.resolveBackend(), 'cassette');
+});
+
+test('a recorded failure replays as an error', async (t) => {
+  useCassettes(t, 'record');
+  const { gmail } = createMCPAdapters();
+  await assert.rejects(gmail.getEmail('msg-missing'), /not found/);
+
+  config.mcp.cassettes.mode = 'replay';
+  resetCassettes();
+  await assert.rejects(createMCPAdapters().gmail.getEmail('msg-missing'), (error) => {
+    assert.ok(error instanceof MCPError);
+    assert.match(error.message, /not found/);
+    return true;
+  });
+});
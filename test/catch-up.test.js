@@ -0,0 +1,82 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { findMissedRuns } = require('../src/orchestrator/catch-up');
+const { getFireTimesBetween } = require('../src/shared/utils/cron-schedule');
+const runHistory = require('../src/shared/storage/run-history');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+function recordScheduledRun(automation, scheduledFor, { trigger = 'schedule', dryRun = false } = {}) {
+  const id = runHistory.recordStart({ automation, trigger, dryRun, options: { scheduledFor } });
+  runHistory.recordEnd(id, { status: 'success' });
+}
+
+test('fire times are taken in the schedule timezone, across a DST change', () => {
+  // 8 AM in Chicago is 14:00 UTC in CST and 13:00 UTC in CDT (from 8 March 2026)
+  const fireTimes = getFireTimesBetween('0 8 * * *', new Date('2026-03-06T13:00:00Z'), new Date('2026-03-09T13:00:00Z'), {
+    timezone: 'America/Chicago'
+  });
+  assert.deepEqual(iso(fireTimes), [
+    '2026-03-06T14:00:00.000Z',
+    '2026-03-07T14:00:00.000Z',
+    '2026-03-08T13:00:00.000Z',
+    '2026-03-09T13:00:00.000Z'
+  ]);
+});
+
+test('the interval excludes its start and includes its end', () => {
+  const fireTimes = getFireTimesBetween('*/30 * * * *', new Date('2026-05-01T10:00:00Z'), new Date('2026-05-01T11:00:00Z'));
+  assert.deepEqual(iso(fireTimes), ['2026-05-01T10:30:00.000Z', '2026-05-01T11:00:00.000Z']);
+});
+
+test('a schedule restricting both day fields fires on either', () => {
+  // The 1st of the month or a Monday
+  const fireTimes = getFireTimesBetween('0 9 1 * 1', new Date('2026-05-30T00:00:00Z'), new Date('2026-06-09T00:00:00Z'));
+  assert.deepEqual(iso(fireTimes), ['2026-06-01T09:00:00.000Z', '2026-06-08T09:00:00.000Z']);
+});
+
+test('missed runs are counted from the last real scheduled run', () => {
+  const automation = { name: 'Hourly', schedule: '0 * * * *', timezone: 'UTC' };
+  const now = new Date('2026-05-01T15:20:00Z');
+
+  assert.equal(findMissedRuns('hourly', automation, now).reason, 'no scheduled runs in history');
+
+  recordScheduledRun('hourly', '2026-05-01T11:00:00.000Z');
+  // Neither a dry run nor a manual run covers a fire time
+  recordScheduledRun('hourly', '2026-05-01T14:00:00.000Z', { dryRun: true });
+  recordScheduledRun('hourly', '2026-05-01T13:00:00.000Z', { trigger: 'manual' });
+
+  const { lastCoveredAt, missed } = findMissedRuns('hourly', automation, now);
+  assert.equal(lastCoveredAt, '2026-05-01T11:00:00.000Z');
+  assert.deepEqual(iso(missed), ['2026-05-01T12:00:00.000Z', '2026-05-01T13:00:00.000Z', '2026-05-01T14:00:00.000Z', '2026-05-01T15:00:00.000Z']);
+});
+
+test('catch-up runs once for the latest missed time, or once per missed time', async () => {
+  const core = new OrchestratorCore({ adapters: {} });
+  const ran = { once: [], all: [] };
+  for (const policy of ['once', 'all']) {
+    const id = `catch-up-${policy}`;
+    core.automations.set(id, {
+      name: id,
+      schedule: '0 */6 * * *',
+      timezone: 'UTC',
+      catchUp: policy,
+      manifest: { id, optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+      execute: async (options) => {
+        ran[policy].push(options.scheduledFor.toISOString());
+        return { success: true };
+      }
+    });
+    core.schedules.set(id, {});
+    recordScheduledRun(id, '2026-05-01T00:00:00.000Z');
+  }
+
+  await core.catchUpMissedRuns(new Date('2026-05-01T19:00:00Z'));
+
+  assert.deepEqual(ran.once, ['2026-05-01T18:00:00.000Z']);
+  assert.deepEqual(ran.all, ['2026-05-01T06:00:00.000Z', '2026-05-01T12:00:00.000Z', '2026-05-01T18:00:00.000Z']);
+  assert.deepEqual(core.catchUpReport['catch-up-once'].missed, ran.all);
+});
@@ -0,0 +1,113 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { ControlApiServer } = require('../src/orchestrator/control-api');
+
+const TOKEN = 'test-token';
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const core = new OrchestratorCore({ adapters: {} });
+const manifest = id => ({
+  id,
+  optionsSchema: {
+    type: 'object',
+    properties: { limit: { type: 'integer' } },
+    additionalProperties: false
+  }
+});
+core.automations.set('report', {
+  name: 'Report',
+  manifest: manifest('report'),
+  execute: async ({ limit = 10 }) => ({ success: true, summary: `Reported ${limit} rows` })
+});
+core.automations.set('waits', {
+  name: 'Waits',
+  manifest: manifest('waits'),
+  // Runs until it is cancelled
+  execute: ({ signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  })
+});
+
+const api = new ControlApiServer(core, { host: '127.0.0.1', port: 0, token: TOKEN });
+let baseUrl;
+test.before(async () => {
+  const { port } = await api.start();
+  baseUrl = `http://127.0.0.1:${port}`;
+});
+test.after(() => api.stop());
+
+async function request(method, path, { body, token = TOKEN } = {}) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+async function pollRun(runId, { until = status => !['queued', 'running'].includes(status) } = {}) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body } = await request('GET', `/runs/${runId}`);
+    if (until(body.status)) return body;
+    await sleep(10);
+  }
+  throw new Error(`Run ${runId} never left ${JSON.stringify((await request('GET', `/runs/${runId}`)).body.status)}`);
+}
+
+test('requests without the bearer token are refused', async () => {
+  const missing = await request('GET', '/status', { token: null });
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await request('GET', '/status', { token: 'wrong-token' })).status, 401);
+  assert.equal((await request('POST', '/automations/report/runs', { token: 'wrong-token' })).status, 401);
+});
+
+test('a started run is queued, then polled to its result', async () => {
+  const started = await request('POST', '/automations/report/runs', { body: { options: { limit: 3 }, triggeredBy: 'ops' } });
+  assert.equal(started.status, 202);
+  assert.equal(started.body.status, 'queued');
+  assert.equal(started.headers.get('location'), `/runs/${started.body.runId}`);
+
+  const run = await pollRun(started.body.runId);
+  assert.deepEqual(
+    [run.status, run.trigger, run.result.summary, run.cancellable],
+    ['success', 'api', 'Reported 3 rows', false]
+  );
+});
+
+test('runs with invalid options or of unknown automations are not started', async () => {
+  const invalid = await request('POST', '/automations/report/runs', { body: { options: { limit: 'all' } } });
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.code, 'INVALID_OPTIONS');
+  assert.equal((await request('POST', '/automations/report/runs', { body: { options: { dryRun: true } } })).status, 400);
+  assert.equal((await request('POST', '/automations/missing/runs', { body: {} })).status, 404);
+  assert.equal((await request('GET', '/runs/not-a-run')).status, 404);
+});
+
+test('a running run is cancelled, and cannot be cancelled twice', async () => {
+  const { body: { runId } } = await request('POST', '/automations/waits/runs', { body: {} });
+  const running = await pollRun(runId, { until: status => status === 'running' });
+  assert.equal(running.cancellable, true);
+
+  const cancelled = await request('POST', `/runs/${runId}/cancel`, { body: { reason: 'Wrong data' } });
+  assert.deepEqual([cancelled.status, cancelled.body.cancelling], [202, true]);
+
+  const run = await pollRun(runId);
+  assert.equal(run.status, 'cancelled');
+  assert.match(run.error.message, /Wrong data/);
+  assert.equal((await request('POST', `/runs/${runId}/cancel`, { body: {} })).status, 409);
+});
+
+test('a run refused by the orchestrator ends as skipped, with its reason', async (t) => {
+  core.automations.get('report').enabled = false;
+  t.after(() => {
+    delete core.automations.get('report').enabled;
+  });
+
+  const { body: { runId } } = await request('POST', '/automations/report/runs', { body: {} });
+  const run = await pollRun(runId);
+  assert.deepEqual([run.status, run.error.message], ['skipped', 'Disabled']);
+});
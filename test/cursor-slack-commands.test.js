@@ -0,0 +1,40 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CursorSlackCommands = require('../src/shared/integrations/cursor-slack-commands');
+
+test('the metrics command counts failed runs, not every run that did not succeed', async () => {
+  const orchestrator = {
+    getRunSummary: () => ({
+      report: {
+        name: 'Report',
+        totalRuns: 7,
+        statusCounts: { success: 2, failed: 1, timeout: 1, skipped: 2, cancelled: 1 },
+        successRate: '28.57',
+        lastRun: null
+      }
+    })
+  };
+  const commands = new CursorSlackCommands(orchestrator);
+  commands.getBDMetrics = async () => ({
+    responseRate: 0, pipelineValue: 0, emailsSent: 0, meetingsScheduled: 0, conversionRate: 0, avgDealSize: 0
+  });
+
+  const response = await commands.handleMetricsCommand({ name: 'coach' });
+  assert.match(response.attachments[1].text, /7 runs, 28\.57% success, 2 failed/);
+});
+
+test('a run the orchestrator skipped is reported as skipped, with its reason', async () => {
+  const orchestrator = {
+    runAutomation: async () => ({ success: false, skipped: true, summary: 'Paused until 2026-05-01T00:00:00.000Z' })
+  };
+  const commands = new CursorSlackCommands(orchestrator);
+  const updates = [];
+  commands.bridge.sendAutomationUpdate = async (automation, status, data) => {
+    updates.push([status, data.summary]);
+  };
+
+  await commands.runAutomationAsync('mcp-email-processor', { name: 'coach' });
+  assert.deepEqual(updates, [['started', undefined], ['skipped', 'Paused until 2026-05-01T00:00:00.000Z']]);
+});
@@ -0,0 +1,82 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { MCPCanvaAdapter, MCPGoogleDriveAdapter, collect } = require('../src/shared/integrations/mcp-adapters');
+const { SideEffectPlan } = require('../src/shared/runtime/side-effect-plan');
+const { runWithContext } = require('../src/shared/runtime/run-context');
+
+const dryRun = (plan, fn) => runWithContext({ runId: plan.runId, dryRun: true, sideEffectPlan: plan }, fn);
+
+test('reads of a design a dry run only planned to create return a placeholder', async () => {
+  const plan = new SideEffectPlan({ runId: 'run-dry', automation: 'test' });
+  const canva = new MCPCanvaAdapter();
+
+  const exported = await dryRun(plan, async () => {
+    const design = await canva.createDesign('template-1');
+    assert.equal(design.id, 'dry-run-canva-1');
+    return canva.exportDesign(design.id, 'pdf');
+  });
+
+  assert.equal(exported.dryRun, true);
+  assert.equal(exported.id, 'dry-run-canva-1');
+  assert.deepEqual(plan.summarize(), { 'canva.createDesign': 1 });
+});
+
+test('queries naming a planned folder list nothing, other reads still run', async () => {
+  const plan = new SideEffectPlan({ runId: 'run-dry', automation: 'test' });
+  const drive = new MCPGoogleDriveAdapter();
+
+  await dryRun(plan, async () => {
+    const folder = await drive.createFile('Reports', '', 'application/vnd.google-apps.folder', []);
+    assert.deepEqual(await collect(drive.iterateFiles(`'${folder.id}' in parents`)), []);
+
+    // An id another plan handed out is not this run's to stand in for
+    const other = `${folder.id.replace(/\d+$/, '')}12`;
+    assert.equal(plan.findPlaceholderId({ query: `'${other}' in parents` }), null);
+  });
+});
+
+test('a failed dry run in a pipeline still reports its plan', async () => {
+  const core = new OrchestratorCore({ adapters: {} });
+  const canva = new MCPCanvaAdapter();
+  core.automations.set('designs', {
+    name: 'Designs',
+    manifest: { id: 'designs', optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+    execute: async () => {
+      await canva.createDesign('template-1');
+      throw new Error('export failed');
+    }
+  });
+
+  const results = await core.runAllAutomations({ dryRun: true });
+
+  assert.equal(results.designs.error, 'export failed');
+  assert.deepEqual(results.designs.sideEffectPlan.summarize(), { 'canva.createDesign': 1 });
+});
+
+test('dry runs are tagged in the history and stay out of metrics, summaries and hooks', async () => {
+  const core = new OrchestratorCore({ adapters: {} });
+  core.automations.set('tagged', {
+    name: 'Tagged',
+    manifest: { id: 'tagged', optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+    execute: async () => ({ success: true })
+  });
+  const fired = [];
+  core.registerHooks({ name: 'spy', onStart: run => fired.push(run.id), onSuccess: run => fired.push(run.id) });
+
+  await core.runAutomation('tagged', { runId: 'run-dry-tagged', dryRun: true });
+  assert.equal(core.getRun('run-dry-tagged').dryRun, true);
+  assert.deepEqual(fired, []);
+  assert.equal(core.getMetrics().successCounts.Tagged, undefined);
+  assert.equal(core.getRunSummary().tagged, undefined);
+  assert.deepEqual(core.getRunHistory({ automation: 'tagged', dryRun: false }), []);
+
+  await core.runAutomation('tagged', { runId: 'run-real-tagged' });
+  assert.equal(core.getRun('run-real-tagged').dryRun, false);
+  assert.deepEqual(fired, ['run-real-tagged', 'run-real-tagged']);
+  assert.equal(core.getMetrics().successCounts.Tagged, 1);
+  assert.equal(core.getRunSummary().tagged.totalRuns, 1);
+  assert.equal(core.getRunSummary({ dryRun: true }).tagged.totalRuns, 1);
+});
@@ -0,0 +1,240 @@
+require('./helpers');
+process.env.NOTION_TASKS_DATABASE_ID = '';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MCPEmailProcessorAutomation = require('../src/automations/mcp-email-processor');
+const { EmailRuleSet } = require('../src/shared/email-routing');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+const emailLedger = require('../src/shared/storage/processed-emails');
+const emailSnoozes = require('../src/shared/storage/email-snoozes');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { createFailureIssueHooks } = require('../src/orchestrator/hooks');
+const { FailureIssueReporter } = require('../src/shared/integrations/failure-issues');
+const { config } = require('../src/shared/config');
+
+function processorWith(messages) {
+  const backend = getFakeBackend('gmail');
+  messages.forEach(message => backend.addMessage({ from: 'coach@austinelitesoccer.com', ...message }));
+  return { backend, processor: new MCPEmailProcessorAutomation(createMCPAdapters()) };
+}
+
+const rulesFor = actions => new EmailRuleSet({ rules: [{ id: 'rosters', when: { subject: 'roster' }, actions }] });
+
+test('a task with no Notion database to go to is skipped for good, not retried', async (t) => {
+  t.after(resetFakeBackends);
+  const { backend, processor } = processorWith([{ id: 'msg-no-db', subject: 'Roster task' }]);
+  const rules = rulesFor([{ type: 'create_task' }, { type: 'star' }]);
+
+  const outcome = await processor.processEmail({ id: 'msg-no-db', subject: 'Roster task' }, rules);
+
+  assert.deepEqual(outcome.actionsTaken, ['skipped_notion_task', 'starred']);
+  const entry = emailLedger.get('msg-no-db');
+  assert.equal(entry.status, 'completed');
+  assert.equal(entry.attempts, 1);
+  assert.match(entry.results[0].skipReason, /no Notion database/);
+
+  const labelNames = (await processor.gmail.getEmail('msg-no-db')).labelNames;
+  assert.ok(labelNames.includes('ops-automation/star'));
+  assert.ok(!labelNames.includes('ops-automation/create_task'));
+  assert.ok(!backend.messages.get('msg-no-db').labelIds.includes('UNREAD'));
+});
+
+test('a message whose actions partly failed resumes with only the missing ones', async (t) => {
+  t.after(resetFakeBackends);
+  const { backend, processor } = processorWith([{ id: 'msg-resume', subject: 'Roster bug' }]);
+  const rules = rulesFor([{ type: 'star' }, { type: 'create_issue', repo: 'demo-org/ops' }]);
+  const summary = { id: 'msg-resume', subject: 'Roster bug' };
+
+  let stars = 0;
+  const star = processor.gmail.star.bind(processor.gmail);
+  processor.gmail.star = (...args) => {
+    stars++;
+    return star(...args);
+  };
+  const createIssue = processor.github.createIssue.bind(processor.github);
+  processor.github.createIssue = async () => {
+    throw new Error('GitHub is down');
+  };
+
+  assert.equal(await processor.processEmail(summary, rules), null);
+  let entry = emailLedger.get('msg-resume');
+  assert.equal(entry.status, 'in_progress');
+  assert.deepEqual(Object.keys(entry.results), ['0']);
+  assert.ok(backend.messages.get('msg-resume').labelIds.includes('UNREAD'));
+
+  processor.github.createIssue = createIssue;
+  const outcome = await processor.processEmail(summary, rules, entry);
+
+  assert.deepEqual(outcome.actionsTaken, ['starred', 'created_github_issue']);
+  assert.equal(stars, 1);
+  entry = emailLedger.get('msg-resume');
+  assert.equal(entry.status, 'completed');
+  assert.equal(entry.attempts, 2);
+  assert.equal(entry.results[1].issueRepo, 'demo-org/ops');
+  assert.ok(!backend.messages.get('msg-resume').labelIds.includes('UNREAD'));
+});
+
+test('failed actions are given up on after the last attempt', async (t) => {
+  t.after(resetFakeBackends);
+  const { processor } = processorWith([{ id: 'msg-give-up', subject: 'Roster bug' }]);
+  const rules = rulesFor([{ type: 'create_issue', repo: 'demo-org/ops' }, { type: 'star' }]);
+  processor.github.createIssue = async () => {
+    throw new Error('GitHub is down');
+  };
+
+  const summary = { id: 'msg-give-up', subject: 'Roster bug' };
+  for (let attempt = 1; attempt < 3; attempt++) {
+    assert.equal(await processor.processEmail(summary, rules, emailLedger.get('msg-give-up')), null);
+    assert.equal(emailLedger.get('msg-give-up').attempts, attempt);
+  }
+
+  const outcome = await processor.processEmail(summary, rules, emailLedger.get('msg-give-up'));
+  assert.deepEqual(outcome.actionsTaken, ['starred']);
+  const entry = emailLedger.get('msg-give-up');
+  assert.equal(entry.status, 'completed');
+  assert.equal(entry.results[0], undefined);
+});
+
+test('a run that fails after its retries files one failure issue, from the orchestrator hook', async (t) => {
+  t.after(resetFakeBackends);
+  config.github.owner = 'demo-org';
+  t.after(() => {
+    config.github.owner = undefined;
+  });
+  const { processor } = processorWith([]);
+  processor.manifest = MCPEmailProcessorAutomation.manifest;
+  processor.backoff = { strategy: 'fixed', delay: 1 };
+  processor.searchUnreadEmails = async () => {
+    throw Object.assign(new Error('Gmail is down'), { status: 503 });
+  };
+  const core = new OrchestratorCore({ adapters: {} });
+  core.automations.set('email-processor', processor);
+  core.registerHooks(createFailureIssueHooks(new FailureIssueReporter(processor.github)));
+
+  await assert.rejects(core.runAutomation('email-processor'), /Gmail is down/);
+
+  const failures = getFakeBackend('github').getIssues({
+    owner: 'demo-org',
+    repo: config.github.repo,
+    labels: [config.github.failureLabel]
+  });
+  assert.deepEqual(failures.map(issue => [issue.title, issue.comments]), [['🚨 Automation Failure: MCP Email Processor', 0]]);
+});
+
+/**
+ * Process the unread messages of the roster thread oldest first, as a run does
+ */
+async function processThread(processor, rules) {
+  const thread = processor.orderByThread(await processor.searchUnreadEmails())
+    .filter(email => email.threadId === 'thread-roster');
+  const outcomes = [];
+  for (const email of thread) outcomes.push(await processor.processEmail(email, rules));
+  return outcomes;
+}
+
+// A roster request and two replies, listed newest first as a search returns them
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+const rosterThread = [
+  { id: 'msg-reply-2', threadId: 'thread-roster', subject: 'Re: Roster upload', date: minutesAgo(10), body: 'All sorted now, resolved.\n\nOn Fri, May 1 Jane wrote:\n> Still failing here' },
+  { id: 'msg-reply-1', threadId: 'thread-roster', subject: 'Re: Roster upload', date: minutesAgo(20), body: 'Still failing here' },
+  { id: 'msg-first', threadId: 'thread-roster', subject: 'Roster upload', date: minutesAgo(30), body: 'The roster upload fails' }
+];
+
+test('replies update the task and issue their thread created instead of creating new ones', async (t) => {
+  t.after(resetFakeBackends);
+  const { processor } = processorWith(rosterThread);
+  const rules = new EmailRuleSet({
+    rules: [{
+      id: 'rosters',
+      when: { subject: 'roster' },
+      actions: [{ type: 'create_task', database: 'demo-tasks-db' }, { type: 'create_issue', repo: 'demo-org/ops' }]
+    }],
+    threads: { statusRules: [{ id: 'resolved', when: { body: '\\bresolved\\b' }, taskStatus: 'Done', issueState: 'closed' }] }
+  });
+
+  const [first, ...replies] = await processThread(processor, rules);
+
+  assert.deepEqual(first.actionsTaken, ['created_notion_task', 'created_github_issue']);
+  assert.deepEqual(replies.map(reply => reply.actionsTaken), [
+    ['appended_to_notion_task', 'commented_on_github_issue'],
+    ['appended_to_notion_task', 'updated_notion_task_status', 'commented_on_github_issue', 'closed_github_issue']
+  ]);
+
+  const [{ notionPageId }, { issueNumber }] = Object.values(emailLedger.get('msg-first').results);
+  const tasks = Array.from(getFakeBackend('notion').pages.values())
+    .filter(page => page.properties.Name?.title?.[0]?.text.content.includes('Roster upload'));
+  assert.deepEqual(tasks.map(page => page.id), [notionPageId]);
+  const [task] = tasks;
+  assert.equal(task.properties.Status.select.name, 'Done');
+  // Each reply adds a heading and its text, without the quoted history
+  const paragraphs = task.children.slice(-4).filter(block => block.type === 'paragraph');
+  assert.deepEqual(paragraphs.map(block => block.paragraph.rich_text[0].text.content), ['Still failing here', 'All sorted now, resolved.']);
+
+  const issues = getFakeBackend('github').getIssues({ owner: 'demo-org', repo: 'ops', state: 'all' });
+  assert.deepEqual(issues.map(issue => [issue.number, issue.state, issue.comments]), [[issueNumber, 'closed', 2]]);
+});
+
+test('with thread updates off, a reply is routed by the rules like any other message', async (t) => {
+  t.after(resetFakeBackends);
+  const { processor } = processorWith(rosterThread.slice(1));
+  const rules = new EmailRuleSet({
+    rules: [{ id: 'rosters', when: { subject: 'roster' }, actions: [{ type: 'create_issue', repo: 'demo-org/ops' }] }],
+    threads: { updateExisting: false }
+  });
+
+  const outcomes = await processThread(processor, rules);
+
+  assert.deepEqual(outcomes.map(outcome => outcome.actionsTaken), [['created_github_issue'], ['created_github_issue']]);
+  assert.equal(getFakeBackend('github').getIssues({ owner: 'demo-org', repo: 'ops' }).length, 2);
+});
+
+test('label and archive actions leave the message read, out of the inbox, under its labels', async (t) => {
+  t.after(resetFakeBackends);
+  const { processor } = processorWith([{ id: 'msg-filed', subject: 'Roster update' }]);
+  const rules = rulesFor([{ type: 'label', labels: ['Clubs/Rosters', 'STARRED'] }, { type: 'archive' }]);
+
+  const outcome = await processor.processEmail({ id: 'msg-filed', subject: 'Roster update' }, rules);
+
+  assert.deepEqual(outcome.actionsTaken, ['labelled', 'archived']);
+  const { labelNames } = await processor.gmail.getEmail('msg-filed');
+  assert.deepEqual(labelNames.sort(), ['Clubs/Rosters', 'STARRED', 'ops-automation/archive', 'ops-automation/label']);
+});
+
+test('a snoozed message stays out of the inbox until it is due, then comes back unread', async (t) => {
+  t.after(resetFakeBackends);
+  t.after(() => emailSnoozes.remove('msg-snoozed'));
+  const { backend, processor } = processorWith([{ id: 'msg-snoozed', subject: 'Roster deadline' }]);
+
+  await processor.processEmail({ id: 'msg-snoozed', subject: 'Roster deadline' }, rulesFor([{ type: 'snooze', snoozeHours: 2 }]));
+
+  const until = new Date(emailLedger.get('msg-snoozed').results[0].snoozedUntil);
+  assert.ok(Math.abs(until - Date.now() - 2 * 60 * 60 * 1000) < 60 * 1000);
+  assert.equal(emailSnoozes.get('msg-snoozed').until, until.toISOString());
+  assert.equal(emailSnoozes.get('msg-snoozed').subject, 'Roster deadline');
+  const snoozed = await processor.gmail.getEmail('msg-snoozed');
+  assert.ok(snoozed.labelNames.includes(config.gmail.labels.snoozed));
+  assert.ok(!snoozed.labelNames.includes('INBOX') && !snoozed.labelNames.includes('UNREAD'));
+
+  assert.deepEqual(await processor.gmail.wakeSnoozedEmails(new Date(until - 60 * 1000)), []);
+  assert.deepEqual(await processor.gmail.wakeSnoozedEmails(until), ['msg-snoozed']);
+
+  const woken = await processor.gmail.getEmail('msg-snoozed');
+  assert.ok(woken.labelNames.includes('INBOX') && woken.labelNames.includes('UNREAD'));
+  assert.ok(!woken.labelNames.includes(config.gmail.labels.snoozed));
+  assert.equal(emailSnoozes.get('msg-snoozed'), null);
+  // Already handled: the next run leaves it unread for whoever snoozed it
+  await processor.skipProcessedEmail({ id: 'msg-snoozed', subject: 'Roster deadline' }, emailLedger.get('msg-snoozed'));
+  assert.ok(backend.messages.get('msg-snoozed').labelIds.includes('UNREAD'));
+});
+
+test('a snoozed message deleted before it is due is forgotten instead of retried', async (t) => {
+  t.after(resetFakeBackends);
+  const { backend, processor } = processorWith([{ id: 'msg-gone', subject: 'Roster draft' }]);
+  await processor.gmail.snooze('msg-gone', new Date(Date.now() - 1000));
+  backend.messages.delete('msg-gone');
+
+  assert.deepEqual(await processor.gmail.wakeSnoozedEmails(), []);
+  assert.equal(emailSnoozes.get('msg-gone'), null);
+});
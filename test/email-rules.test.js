@@ -0,0 +1,69 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EmailRuleSet, parseEml } = require('../src/shared/email-routing');
+const { Email } = require('../src/shared/types');
+const { MCPGmailAdapter } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+
+const fixture = name => Email.from(parseEml(fs.readFileSync(path.join(__dirname, 'fixtures/emails', name))));
+
+function ruleSet(rules) {
+  return new EmailRuleSet({ rules: rules.map(rule => ({ actions: [{ type: 'archive' }], ...rule })) });
+}
+
+test('a rule naming a user label matches a message downloaded with it', () => {
+  const email = fixture('user-label.eml');
+  const rules = ruleSet([
+    { id: 'other-label', when: { labels: 'Clubs/Archive' } },
+    { id: 'priority-clubs', when: { labels: ['clubs/priority', 'INBOX'] } }
+  ]);
+
+  assert.deepEqual(email.labelNames, ['INBOX', 'UNREAD', 'Clubs/Priority']);
+  assert.equal(rules.route(email).rule.id, 'priority-clubs');
+  const [check] = rules.explain(email)[1].checks;
+  assert.equal(check.actual, 'INBOX, UNREAD, Clubs/Priority');
+});
+
+test('a rule naming a user label matches a Gmail message carrying its id', async (t) => {
+  t.after(resetFakeBackends);
+  const backend = getFakeBackend('gmail');
+  const label = backend.createLabel({ name: 'Clubs/Priority' });
+  backend.addMessage({ id: 'msg-user-label', subject: 'Roster', labelIds: ['INBOX', label.id] });
+  const rules = ruleSet([{ id: 'priority-clubs', when: { labels: 'Clubs/Priority' } }]);
+
+  const email = await new MCPGmailAdapter().getEmail('msg-user-label');
+
+  assert.match(email.labelIds[1], /^Label/);
+  assert.deepEqual(email.labelNames, ['INBOX', 'Clubs/Priority']);
+  assert.equal(rules.route(email).rule.id, 'priority-clubs');
+});
+
+test('labels created after the label list was fetched are still named', async (t) => {
+  t.after(resetFakeBackends);
+  const backend = getFakeBackend('gmail');
+  const gmail = new MCPGmailAdapter();
+  await gmail.refreshLabels();
+
+  const label = backend.createLabel({ name: 'Clubs/New' });
+  backend.addMessage({ id: 'msg-new-label', labelIds: [label.id, 'Label_unknown'] });
+
+  const email = await gmail.getEmail('msg-new-label');
+  assert.deepEqual(email.labelNames, ['Clubs/New', 'Label_unknown']);
+});
+
+test('the first matching rule routes, with any and not combining conditions', () => {
+  const email = fixture('user-label.eml');
+  const rules = ruleSet([
+    { id: 'disabled', enabled: false, when: { domain: 'austinelitesoccer.com' } },
+    { id: 'not-clubs', when: { not: { domain: 'austinelitesoccer.com' } } },
+    { id: 'roster', when: { any: [{ subject: 'invoice' }, { body: '\\broster\\b' }], hasAttachments: false } },
+    { id: 'club-mail', when: { from: '*@austinelitesoccer.com' } }
+  ]);
+
+  assert.equal(rules.route(email).rule.id, 'roster');
+  assert.deepEqual(rules.explain(email).map(rule => rule.matched), [false, true, true]);
+});
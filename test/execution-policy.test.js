@@ -0,0 +1,99 @@
+require('./helpers');
+process.env.ABORT_GRACE_MS = '200';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { executeWithPolicy, statusForError } = require('../src/orchestrator/execution-policy');
+const { AutomationTimeoutError, AutomationHungError, AutomationCancelledError, MCPTransportError } = require('../src/shared/errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a timed-out attempt rejects only after execute() has stopped', async () => {
+  let stoppedAt = null;
+  const automation = {
+    name: 'Polite',
+    timeout: 50,
+    async execute({ signal }) {
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      // Cleanup after the abort, e.g. an in-flight API call finishing
+      await sleep(50);
+      stoppedAt = Date.now();
+    }
+  };
+
+  await assert.rejects(executeWithPolicy(automation), error => {
+    assert.ok(error instanceof AutomationTimeoutError);
+    assert.equal(statusForError(error), 'timeout');
+    assert.ok(stoppedAt !== null && stoppedAt <= Date.now());
+    return true;
+  });
+});
+
+test('an attempt that ignores the abort past the grace period is hung', async () => {
+  let finished = false;
+  const automation = {
+    name: 'Stubborn',
+    timeout: 50,
+    async execute() {
+      await sleep(500);
+      finished = true;
+    }
+  };
+
+  const error = await executeWithPolicy(automation).catch(caught => caught);
+  assert.ok(error instanceof AutomationHungError);
+  assert.ok(error.cause instanceof AutomationTimeoutError);
+  assert.equal(statusForError(error), 'hung');
+  assert.equal(finished, false);
+
+  await error.execution;
+  assert.equal(finished, true);
+});
+
+test('a cancelled attempt waits for execute() to stop', async () => {
+  const controller = new AbortController();
+  let stopped = false;
+  const automation = {
+    name: 'Cancellable',
+    timeout: 5000,
+    async execute({ signal }) {
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+      await sleep(30);
+      stopped = true;
+    }
+  };
+
+  setTimeout(() => controller.abort(new Error('operator request')), 20);
+  await assert.rejects(executeWithPolicy(automation, { signal: controller.signal }), AutomationCancelledError);
+  assert.equal(stopped, true);
+});
+
+test('transient failures are retried, timeouts are not', async () => {
+  let calls = 0;
+  const flaky = {
+    name: 'Flaky',
+    timeout: 1000,
+    retries: 2,
+    backoff: { strategy: 'fixed', delay: 1 },
+    async execute({ attempt }) {
+      calls++;
+      if (attempt < 2) throw new MCPTransportError('notion', 'connection reset');
+      return 'done';
+    }
+  };
+  assert.deepEqual(await executeWithPolicy(flaky), { result: 'done', attempts: 2 });
+  assert.equal(calls, 2);
+
+  let slowCalls = 0;
+  const slow = {
+    name: 'Slow',
+    timeout: 20,
+    retries: 2,
+    async execute({ signal }) {
+      slowCalls++;
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+    }
+  };
+  await assert.rejects(executeWithPolicy(slow), AutomationTimeoutError);
+  assert.equal(slowCalls, 1);
+});
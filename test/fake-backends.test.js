@@ -0,0 +1,80 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { config } = require('../src/shared/config');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+
+test.afterEach(resetFakeBackends);
+
+test('state written through one adapter is read back through another', async () => {
+  const { notion } = createMCPAdapters();
+  const page = await notion.createPage('demo-tasks-db', {
+    Name: { title: [{ text: { content: 'Send onboarding checklist' } }] },
+    Status: { select: { name: 'Not started' } }
+  });
+  await notion.updatePage(page.id, { Status: { select: { name: 'Done' } } });
+
+  const other = createMCPAdapters().notion;
+  const stored = await other.getPage(page.id);
+  assert.deepEqual([stored.title, stored.values.Status], ['Send onboarding checklist', 'Done']);
+  assert.ok((await other.queryDatabase('demo-tasks-db')).some(result => result.id === page.id));
+});
+
+test('gmail changes stick to the message until the fakes are reset to their fixtures', async () => {
+  const { gmail } = createMCPAdapters();
+  const unread = await gmail.searchEmails('is:unread', 50);
+  assert.ok(unread.some(email => email.id === 'msg-task-001'));
+
+  await gmail.markAsRead('msg-task-001');
+  await gmail.applyLabels('msg-task-001', ['ops-automation/task']);
+  assert.ok(!(await gmail.searchEmails('is:unread', 50)).some(email => email.id === 'msg-task-001'));
+  assert.ok((await gmail.getEmail('msg-task-001')).labelNames.includes('ops-automation/task'));
+
+  const sent = await gmail.sendEmail('coach.martinez@austinelitesoccer.com', 'Re: checklist', 'On its way');
+  assert.ok((await gmail.searchEmails('is:sent')).some(email => email.id === sent.id));
+
+  resetFakeBackends();
+  assert.deepEqual((await gmail.searchEmails('is:unread', 50)).map(email => email.id), unread.map(email => email.id));
+  assert.ok(!(await gmail.searchEmails('is:sent')).some(email => email.id === sent.id));
+});
+
+test('calendar events are created, moved and deleted in the fake calendar', async () => {
+  const { googleCalendar } = createMCPAdapters();
+  const event = await googleCalendar.createEvent('primary', {
+    summary: 'Club call',
+    start: { dateTime: '2026-05-01T15:00:00Z' },
+    end: { dateTime: '2026-05-01T15:30:00Z' }
+  });
+  await googleCalendar.updateEvent('primary', event.id, {
+    start: { dateTime: '2026-05-02T15:00:00Z' },
+    end: { dateTime: '2026-05-02T15:30:00Z' }
+  });
+
+  const onDay = day => googleCalendar.getEvents('primary', `2026-05-0${day}T00:00:00Z`, `2026-05-0${day}T23:59:59Z`);
+  assert.deepEqual((await onDay(1)).map(found => found.id), []);
+  assert.deepEqual((await onDay(2)).map(found => found.id), [event.id]);
+
+  await googleCalendar.deleteEvent('primary', event.id);
+  assert.deepEqual(await onDay(2), []);
+});
+
+test('callers get copies, and missing records and unknown actions are errors', async () => {
+  const gmail = getFakeBackend('gmail');
+  const message = await gmail.execute('get', { messageId: 'msg-task-001' });
+  message.labelIds.push('STARRED');
+  assert.ok(!(await gmail.execute('get', { messageId: 'msg-task-001' })).labelIds.includes('STARRED'));
+
+  await assert.rejects(gmail.execute('get', { messageId: 'msg-missing' }), { code: 'FAKE_NOT_FOUND', status: 404 });
+  await assert.rejects(gmail.execute('deleteAccount'), { code: 'FAKE_ACTION_UNSUPPORTED' });
+});
+
+test('no fake is handed out when fakes are disabled', (t) => {
+  const { enabled } = config.mcp.fakes;
+  config.mcp.fakes.enabled = false;
+  t.after(() => {
+    config.mcp.fakes.enabled = enabled;
+  });
+  assert.equal(getFakeBackend('gmail'), null);
+});
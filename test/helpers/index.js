@@ -0,0 +1,27 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test helpers
+ *
+ * Require this before anything under src/: it points the data directory at
+ * a fresh temporary directory, so tests never read or write data/.
+ */
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gmtm-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+/**
+ * New empty directory inside the test data directory
+ */
+function tempDir(name = 'tmp') {
+  return fs.mkdtempSync(path.join(dataDir, `${name}-`));
+}
+
+module.exports = {
+  dataDir,
+  tempDir
+};
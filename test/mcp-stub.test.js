@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { tempDir } = require('./helpers');
+
+// The example servers config, with every other adapter on the stub as well
+const example = JSON.parse(fs.readFileSync(path.join(__dirname, '../config/mcp-servers.example.json'), 'utf8'));
+const stub = example.mcpServers.gmail;
+const serversFile = path.join(tempDir('mcp'), 'mcp-servers.json');
+fs.writeFileSync(serversFile, JSON.stringify({
+  mcpServers: {
+    ...example.mcpServers,
+    'google-calendar': stub,
+    stripe: stub,
+    'google-drive': stub,
+    intercom: stub,
+    canva: stub
+  }
+}));
+process.env.MCP_SERVERS_FILE = serversFile;
+process.env.RESILIENCE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMCPAdapters, collect } = require('../src/shared/integrations/mcp-adapters');
+const { closeAllClients } = require('../src/shared/integrations/mcp-transport');
+
+const adapters = createMCPAdapters();
+test.after(closeAllClients);
+
+test('gmail calls over the stub server return canonical emails', async () => {
+  const { gmail } = adapters;
+  const sent = await gmail.sendEmail('coach@austinelitesoccer.com', 'Roster', 'Attached');
+
+  const found = await gmail.searchEmails('is:sent');
+  assert.ok(found.some(email => email.id === sent.id));
+  assert.deepEqual((await collect(gmail.iterateEmails('is:sent'))).map(email => email.id), found.map(email => email.id));
+
+  await gmail.applyLabels(sent.id, ['ops-automation/archive']);
+  await gmail.archive(sent.id);
+  const email = await gmail.getEmail(sent.id);
+  assert.equal(email.body, 'Attached');
+  assert.deepEqual(email.labelNames, ['SENT', 'ops-automation/archive']);
+  assert.equal((await gmail.getAttachment(sent.id, 'att-1')).size, 0);
+  assert.equal((await gmail.markAsRead(sent.id)).id, sent.id);
+  assert.equal((await gmail.trash(sent.id)).id, sent.id);
+});
+
+test('notion calls over the stub server return canonical pages', async () => {
+  const { notion } = adapters;
+  const page = await notion.createPage('db-tasks', {
+    Name: { title: [{ text: { content: 'Call the coach' } }] }
+  });
+  assert.equal(page.title, 'Call the coach');
+  assert.equal(page.parentId, 'db-tasks');
+
+  const updated = await notion.updatePage(page.id, { Status: { select: { name: 'Done' } } });
+  assert.equal(updated.values.Status, 'Done');
+  assert.deepEqual((await notion.queryDatabase('db-tasks')).map(result => result.id), [page.id]);
+  assert.equal((await collect(notion.iterateDatabase('db-tasks'))).length, 1);
+  assert.equal((await notion.getPage(page.id)).title, 'Call the coach');
+
+  const blocks = await notion.appendToPage(page.id, [{ type: 'paragraph', paragraph: { rich_text: [] } }]);
+  assert.deepEqual(blocks.map(block => block.type), ['paragraph']);
+});
+
+test('github calls over the stub server return integer ids and issue numbers', async () => {
+  const { github } = adapters;
+  const issue = await github.createIssue('demo-org', 'ops', 'Automation failed', 'Stack trace');
+  assert.ok(Number.isInteger(issue.id));
+  assert.equal(issue.number, 1);
+
+  const closed = await github.updateIssue('demo-org', 'ops', issue.number, { state: 'closed' });
+  assert.equal(closed.state, 'closed');
+  assert.ok(Number.isInteger((await github.addComment('demo-org', 'ops', issue.number, 'Fixed')).id));
+  assert.deepEqual((await github.getIssues('demo-org', 'ops', 'all')).map(found => found.number), [1]);
+  assert.equal((await github.createPullRequest('demo-org', 'ops', 'Fix', '', 'fix', 'main')).isPullRequest, true);
+  assert.equal((await github.getRepositoryInfo('demo-org', 'ops')).fullName, 'demo-org/ops');
+});
+
+test('calendar, stripe, drive, intercom and canva calls over the stub server validate', async () => {
+  const { googleCalendar, stripe, googleDrive, intercom, canva } = adapters;
+
+  const event = await googleCalendar.createEvent('primary', {
+    summary: 'Club call',
+    start: { dateTime: '2026-05-01T15:00:00Z' },
+    end: { dateTime: '2026-05-01T15:30:00Z' }
+  });
+  assert.equal((await googleCalendar.updateEvent('primary', event.id, { summary: 'Club call (moved)' })).title, 'Club call (moved)');
+  assert.equal((await googleCalendar.getEvents('primary', '2026-05-01T00:00:00Z', '2026-05-02T00:00:00Z')).length, 1);
+  await googleCalendar.deleteEvent('primary', event.id);
+
+  assert.deepEqual(await stripe.getCustomers(), []);
+  assert.deepEqual(await collect(stripe.iteratePayments({ gte: 0 })), []);
+  assert.deepEqual(await stripe.getSubscriptions(), []);
+  assert.deepEqual(await stripe.getInvoices(), []);
+  assert.equal((await stripe.getCustomer('cus_1')).id, 'cus_1');
+
+  const file = await googleDrive.createFile('roster.csv', 'a,b', 'text/csv', ['folder-1'], { appProperties: { gmailMessageId: 'msg-1' } });
+  assert.deepEqual(file.appProperties, { gmailMessageId: 'msg-1' });
+  assert.equal((await googleDrive.listFiles()).length, 1);
+  assert.equal((await googleDrive.updateFile(file.id, 'a,b,c', 'rosters.csv')).name, 'rosters.csv');
+  assert.equal((await googleDrive.shareFile(file.id, 'coach@austinelitesoccer.com')).role, 'reader');
+
+  const contact = await intercom.createContact('coach@austinelitesoccer.com', 'Coach');
+  assert.deepEqual((await intercom.getContacts()).map(found => found.id), [contact.id]);
+  assert.equal((await intercom.sendMessage('conv-1', 'Hello')).body, 'Hello');
+  assert.equal((await intercom.getConversations()).length, 1);
+
+  const design = await canva.createDesign('template-1', { customText: { clubName: 'Austin Elite' } });
+  assert.equal(design.title, 'Austin Elite');
+  assert.equal((await canva.getDesigns()).length, 1);
+  assert.match((await canva.exportDesign(design.id, 'pdf')).downloadUrl, /\.pdf$/);
+});
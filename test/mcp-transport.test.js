@@ -0,0 +1,84 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const { MCPClient, createTransport } = require('../src/shared/integrations/mcp-transport');
+const { MCPToolError, MCPToolNotFoundError } = require('../src/shared/errors');
+
+const STUB = 'scripts/mcp-stub-server.js';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Stub server on streamable HTTP, stopped when the test ends
+ */
+async function startHttpStub(t, extraArgs = []) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [STUB, '--http', String(port), ...extraArgs], {
+    cwd: path.join(__dirname, '..'),
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  t.after(() => child.kill());
+
+  await new Promise((resolve, reject) => {
+    child.once('exit', code => reject(new Error(`stub server exited with ${code}`)));
+    child.stderr.on('data', chunk => {
+      if (chunk.toString().includes('listening')) resolve();
+    });
+  });
+  return `http://127.0.0.1:${port}/mcp`;
+}
+
+/**
+ * Connect, discover tools and call one tool that works and one that fails
+ */
+async function roundTrip(t, serverConfig) {
+  const client = new MCPClient('stub', createTransport('stub', serverConfig));
+  t.after(() => client.close());
+  const listed = [];
+  const request = client.transport.request.bind(client.transport);
+  client.transport.request = (method, params) => {
+    if (method === 'tools/list') listed.push(params.cursor || null);
+    return request(method, params);
+  };
+
+  const tools = await client.listTools();
+  assert.ok(tools.has('search') && tools.has('createIssue') && tools.has('stubFail'));
+  assert.ok(listed.length > 1, 'tools/list was followed across pages');
+  assert.equal(listed[0], null);
+  assert.equal(client.getStatus().server.name, 'gmtm-mcp-stub');
+
+  const sent = await client.callTool('send', { to: 'coach@austinelitesoccer.com', subject: 'Roster', body: 'Attached' });
+  assert.match(sent.id, /^stub-/);
+  const found = await client.callTool('search', { query: 'is:sent' });
+  assert.ok(found.messages.some(message => message.id === sent.id));
+
+  await assert.rejects(client.callTool('stubFail', { message: 'Quota exceeded' }), (error) => {
+    assert.ok(error instanceof MCPToolError);
+    assert.match(error.message, /Quota exceeded/);
+    return true;
+  });
+  await assert.rejects(client.callTool('noSuchTool'), MCPToolNotFoundError);
+}
+
+test('a stdio server is launched, discovered and called', async (t) => {
+  await roundTrip(t, { command: process.execPath, args: [STUB] });
+});
+
+test('a streamable HTTP server answering in JSON is discovered and called', async (t) => {
+  await roundTrip(t, { url: await startHttpStub(t) });
+});
+
+test('a streamable HTTP server answering tool calls as event streams is discovered and called', async (t) => {
+  await roundTrip(t, { url: await startHttpStub(t, ['--sse']) });
+});
@@ -0,0 +1,102 @@
+require('./helpers');
+process.env.ABORT_GRACE_MS = '100';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const AutomationLock = require('../src/shared/storage/automation-lock');
+const runHistory = require('../src/shared/storage/run-history');
+const { AutomationHungError } = require('../src/shared/errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function orchestratorWith(id, automation) {
+  const core = new OrchestratorCore({ adapters: {} });
+  core.automations.set(id, {
+    manifest: { id, optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+    ...automation
+  });
+  return core;
+}
+
+test('a run that does not stop after timing out keeps its lock until it does', async () => {
+  let finish;
+  const core = orchestratorWith('hangs', {
+    name: 'Hangs',
+    timeout: 30,
+    execute: () => new Promise(resolve => { finish = resolve; })
+  });
+
+  const runId = 'run-hung';
+  await assert.rejects(core.runAutomation('hangs', { runId }), AutomationHungError);
+
+  assert.equal(runHistory.get(runId).status, 'hung');
+  assert.ok(new AutomationLock('hangs').readHolder(), 'lock is still held');
+  const second = await core.runAutomation('hangs');
+  assert.equal(second.skipped, true);
+
+  finish();
+  await sleep(20);
+  assert.equal(new AutomationLock('hangs').readHolder(), null);
+  assert.ok(runHistory.get(runId).stoppedAt);
+});
+
+test('scheduled runs wait for their upstream to succeed and receive its result', async () => {
+  const core = new OrchestratorCore({ adapters: {} });
+  const schema = { type: 'object', properties: {}, additionalProperties: false };
+  let upstreamFails = true;
+  const received = [];
+  core.automations.set('leads', {
+    name: 'Leads',
+    manifest: { id: 'leads', optionsSchema: schema },
+    execute: async () => {
+      if (upstreamFails) throw new Error('no leads');
+      return { qualifiedLeads: 3 };
+    }
+  });
+  core.automations.set('report', {
+    name: 'Report',
+    dependsOn: ['leads'],
+    manifest: { id: 'report', optionsSchema: schema },
+    execute: async (options) => {
+      received.push(options.upstream);
+      return { success: true };
+    }
+  });
+
+  const neverRan = await core.runAutomation('report', { scheduled: true });
+  assert.equal(neverRan.skipped, true);
+  assert.match(neverRan.summary, /leads \(never run\)/);
+
+  await assert.rejects(core.runAutomation('leads', { scheduled: true }), /no leads/);
+  const afterFailure = await core.runAutomation('report', { trigger: 'catch-up' });
+  assert.match(afterFailure.summary, /leads \(failed\)/);
+  assert.deepEqual(received, []);
+
+  // Manual runs are not gated
+  await core.runAutomation('report');
+  assert.deepEqual(received, [undefined]);
+
+  upstreamFails = false;
+  await core.runAutomation('leads', { scheduled: true });
+  await core.runAutomation('report', { scheduled: true });
+  assert.deepEqual(received[1], { leads: { qualifiedLeads: 3 } });
+});
+
+test('an automation disabled in code refuses manual runs as well as scheduled ones', async () => {
+  let ran = false;
+  const core = orchestratorWith('disabled', {
+    name: 'Disabled',
+    enabled: false,
+    execute: async () => {
+      ran = true;
+    }
+  });
+
+  for (const trigger of ['manual', 'schedule']) {
+    const result = await core.runAutomation('disabled', { trigger, runId: `run-disabled-${trigger}` });
+    assert.deepEqual([result.skipped, result.summary], [true, 'Disabled']);
+    assert.equal(runHistory.get(`run-disabled-${trigger}`).status, 'skipped');
+  }
+  assert.equal(ran, false);
+});
@@ -0,0 +1,90 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMCPAdapters, collect } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+const { MalformedResponseError } = require('../src/shared/errors');
+
+test.afterEach(resetFakeBackends);
+
+/**
+ * Adapter whose tool calls are recorded as [action, params]
+ */
+function recording(adapter) {
+  const calls = [];
+  const executeTool = adapter.executeTool.bind(adapter);
+  adapter.executeTool = (action, params) => {
+    calls.push([action, params]);
+    return executeTool(action, params);
+  };
+  return { adapter, calls };
+}
+
+function repoWithIssues(name, count) {
+  const github = getFakeBackend('github');
+  for (let index = 1; index <= count; index++) {
+    github.createIssue({ owner: 'demo-org', repo: name, title: `Issue ${index}` });
+  }
+}
+
+test('issues are followed across numbered pages until a short one', async () => {
+  repoWithIssues('paged', 7);
+  const { adapter: github, calls } = recording(createMCPAdapters().github);
+
+  const issues = await collect(github.iterateIssues('demo-org', 'paged', 'open', [], { pageSize: 3 }));
+
+  assert.deepEqual(issues.map(issue => issue.number).sort((a, b) => a - b), [1, 2, 3, 4, 5, 6, 7]);
+  assert.deepEqual(calls.map(([, params]) => [params.per_page, params.page]), [[3, undefined], [3, 2], [3, 3]]);
+});
+
+test('stripe lists are followed by the id of the last item while has_more is set', async () => {
+  const { adapter: stripe, calls } = recording(createMCPAdapters().stripe);
+
+  const payments = await collect(stripe.iteratePayments({}, { pageSize: 3 }));
+
+  assert.equal(payments.length, 4);
+  assert.equal(new Set(payments.map(payment => payment.id)).size, 4);
+  assert.deepEqual(calls.map(([, params]) => params.starting_after), [undefined, payments[2].id]);
+});
+
+test('iteration stops at maxItems without fetching further pages', async () => {
+  repoWithIssues('capped', 7);
+  const { adapter: github, calls } = recording(createMCPAdapters().github);
+
+  assert.equal((await collect(github.iterateIssues('demo-org', 'capped', 'open', [], { pageSize: 3, maxItems: 5 }))).length, 5);
+  assert.equal(calls.length, 2);
+
+  // A cap that falls on a page boundary does not fetch the page after it
+  calls.length = 0;
+  assert.equal((await collect(github.iterateIssues('demo-org', 'capped', 'open', [], { pageSize: 3, maxItems: 3 }))).length, 3);
+  assert.equal(calls.length, 1);
+});
+
+test('an empty page ends iteration', async () => {
+  repoWithIssues('full-pages', 6);
+  const { adapter: github, calls } = recording(createMCPAdapters().github);
+
+  assert.deepEqual(await collect(github.iterateIssues('demo-org', 'empty')), []);
+  assert.equal(calls.length, 1);
+
+  // Two full pages: only the third, empty, one shows there is nothing more
+  calls.length = 0;
+  assert.equal((await collect(github.iterateIssues('demo-org', 'full-pages', 'open', [], { pageSize: 3 }))).length, 6);
+  assert.deepEqual(calls.map(([, params]) => params.page), [undefined, 2, 3]);
+});
+
+test('a cursor the service already returned is a malformed response, not an endless loop', async () => {
+  const { gmail } = createMCPAdapters();
+  let page = 0;
+  gmail.executeTool = async () => ({
+    messages: [{ id: `msg-${++page}`, threadId: 'thread-1', subject: 'Roster', from: 'coach@austinelitesoccer.com' }],
+    nextPageToken: page > 2 ? 'token-1' : `token-${page}`
+  });
+
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const email of gmail.iterateEmails('is:unread')) seen.push(email.id);
+  }, MalformedResponseError);
+  assert.deepEqual(seen, ['msg-1', 'msg-2', 'msg-3']);
+});
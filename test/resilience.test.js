@@ -0,0 +1,90 @@
+require('./helpers');
+process.env.ABORT_GRACE_MS = '100';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TokenBucket = require('../src/shared/integrations/resilience/token-bucket');
+const CircuitBreaker = require('../src/shared/integrations/resilience/circuit-breaker');
+const { resetResilience } = require('../src/shared/integrations/resilience');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { CircuitOpenError, AutomationTimeoutError } = require('../src/shared/errors');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const unavailable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+test('a token bucket serves its burst, then paces callers and returns the token of one that gives up', async () => {
+  const bucket = new TokenBucket('test', { ratePerSecond: 20, burst: 2 });
+  assert.equal(await bucket.take(), 0);
+  assert.equal(await bucket.take(), 0);
+
+  const waited = await bucket.take();
+  assert.ok(waited > 0 && waited <= 50, `waited ${waited}ms`);
+  assert.equal(bucket.getStatus().throttled, 1);
+
+  const controller = new AbortController();
+  const taking = bucket.take(controller.signal);
+  controller.abort(new Error('run cancelled'));
+  await assert.rejects(taking, /run cancelled/);
+  assert.ok(bucket.tokens > -1, 'the abandoned reservation was returned');
+});
+
+test('a circuit opens after consecutive transient failures and closes after a successful probe', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, resetTimeoutMs: 30, halfOpenMaxCalls: 1 });
+
+  // Errors the service answered with count as healthy responses
+  await assert.rejects(breaker.execute(async () => { throw new Error('Not found'); }), /Not found/);
+  await assert.rejects(breaker.execute(async () => { throw unavailable(); }), /unavailable/);
+  assert.equal(breaker.getStatus().state, 'closed');
+  await assert.rejects(breaker.execute(async () => { throw unavailable(); }), /unavailable/);
+  assert.equal(breaker.getStatus().state, 'open');
+
+  await assert.rejects(breaker.execute(async () => 'ok'), CircuitOpenError);
+  assert.equal(breaker.getStatus().rejected, 1);
+
+  // A failed probe opens it again
+  await sleep(40);
+  await assert.rejects(breaker.execute(async () => { throw unavailable(); }), /unavailable/);
+  assert.equal(breaker.getStatus().state, 'open');
+
+  await sleep(40);
+  assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+  assert.deepEqual([breaker.getStatus().state, breaker.getStatus().failures], ['closed', 0]);
+});
+
+test('a half-open probe abandoned by its caller is neither a failure nor kept', async () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 1, resetTimeoutMs: 10, halfOpenMaxCalls: 1 });
+  await assert.rejects(breaker.execute(async () => { throw unavailable(); }));
+  await sleep(20);
+
+  const controller = new AbortController();
+  const probe = breaker.execute(async () => {
+    controller.abort(new Error('run cancelled'));
+    throw unavailable();
+  }, controller.signal);
+  await assert.rejects(probe, /unavailable/);
+  assert.equal(breaker.getStatus().state, 'half-open');
+
+  assert.equal(await breaker.execute(async () => 'ok'), 'ok');
+  assert.equal(breaker.getStatus().state, 'closed');
+  await assert.rejects(breaker.execute(async () => 'ok', controller.signal), /run cancelled/);
+});
+
+test('an adapter call waiting for a rate-limit token stops when its run times out', async (t) => {
+  resetResilience();
+  t.after(resetResilience);
+  const { gmail } = createMCPAdapters();
+  const core = new OrchestratorCore({ adapters: {} });
+  core.automations.set('outreach', {
+    name: 'Outreach',
+    timeout: 50,
+    manifest: { id: 'outreach', optionsSchema: { type: 'object', properties: {}, additionalProperties: false } },
+    // gmail.send allows one send every two seconds
+    execute: async () => {
+      await gmail.callRemote('send', async () => 'sent');
+      await gmail.callRemote('send', async () => 'sent');
+    }
+  });
+
+  await assert.rejects(core.runAutomation('outreach'), AutomationTimeoutError);
+});
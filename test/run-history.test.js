@@ -0,0 +1,59 @@
+const { tempDir } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const runHistory = require('../src/shared/storage/run-history');
+
+const RunHistoryStore = runHistory.constructor;
+const RUN_HISTORY = path.join(__dirname, '../src/shared/storage/run-history');
+
+function recordRuns(store, automation, count) {
+  for (let index = 0; index < count; index++) {
+    const id = store.recordStart({ automation });
+    store.recordEnd(id, { status: 'success', result: { summary: `${automation} run ${index}` } });
+  }
+}
+
+test('a reader notices a compaction even after the file grew past its offset', () => {
+  const filePath = path.join(tempDir('history'), 'run-history.jsonl');
+  const reader = new RunHistoryStore({ filePath });
+  recordRuns(reader, 'report', 20);
+
+  // Another process compacts the file down to 2 runs, then keeps writing
+  const compactor = new RunHistoryStore({ filePath, maxRecords: 2 });
+  compactor.load();
+  recordRuns(compactor, 'sync', 30);
+  assert.ok(fs.statSync(filePath).size > reader.offset);
+
+  const expected = compactor.query({ limit: 0 }).map(run => run.id).sort();
+  assert.deepEqual(reader.query({ limit: 0 }).map(run => run.id).sort(), expected);
+  assert.equal(expected.length, 32);
+});
+
+test('runs another process appends while this one compacts are kept', async () => {
+  const filePath = path.join(tempDir('history'), 'run-history.jsonl');
+  const script = `
+    const RunHistoryStore = require(${JSON.stringify(RUN_HISTORY)}).constructor;
+    const store = new RunHistoryStore({ filePath: process.argv[1] });
+    for (let index = 0; index < 300; index++) store.recordStart({ automation: 'sync' });
+  `;
+  const child = spawn(process.execPath, ['-e', script, filePath], { env: process.env, stdio: 'inherit' });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+
+  let running = true;
+  exited.then(() => {
+    running = false;
+  });
+  while (running) {
+    new RunHistoryStore({ filePath }).load();
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  assert.equal(await exited, 0);
+  assert.equal(new RunHistoryStore({ filePath }).query({ automation: 'sync', limit: 0 }).length, 300);
+});
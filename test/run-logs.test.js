@@ -0,0 +1,39 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const logger = require('../src/shared/logging/logger');
+const runLogs = require('../src/shared/storage/run-logs');
+const { RunLogTransport } = require('../src/shared/logging/run-log-transport');
+const { runWithContext } = require('../src/shared/runtime/run-context');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('every line logged inside a run reaches its run log, even under backpressure', async (t) => {
+  const child = logger.child({ service: 'run-logs-test' });
+  // Only the run logs need the burst; keep it off the console and log files
+  const muted = logger.transports.filter(transport => !(transport instanceof RunLogTransport) && !transport.silent);
+  muted.forEach(transport => {
+    transport.silent = true;
+  });
+  t.after(() => muted.forEach(transport => {
+    transport.silent = false;
+  }));
+
+  // A synchronous burst is far more than the logger stream buffers: most
+  // lines are only formatted after the run's async context is gone
+  for (const runId of ['run-a', 'run-b']) {
+    await runWithContext({ runId, automation: 'test' }, async () => {
+      for (let line = 0; line < 500; line++) {
+        child.error(`${runId} line ${line}`);
+      }
+    });
+  }
+  await sleep(500);
+
+  for (const runId of ['run-a', 'run-b']) {
+    const lines = runLogs.read(runId, { limit: 1000 });
+    assert.equal(lines.length, 500);
+    assert.ok(lines.every(line => line.message.startsWith(runId) && line.automation === 'test'));
+  }
+});
@@ -0,0 +1,101 @@
+require('./helpers');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OrchestratorCore = require('../src/orchestrator/orchestrator-core');
+const { createRunVisibilityHooks } = require('../src/orchestrator/hooks');
+const { createRunVisibilitySink } = require('../src/orchestrator/run-visibility');
+const { createMCPAdapters } = require('../src/shared/integrations/mcp-adapters');
+const { getFakeBackend, resetFakeBackends } = require('../src/shared/integrations/fakes');
+const runHistory = require('../src/shared/storage/run-history');
+const { config } = require('../src/shared/config');
+
+test.afterEach(resetFakeBackends);
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Orchestrator publishing to `sinkOptions`, with one automation that fails
+ * when asked to
+ */
+function orchestratorPublishingTo(sinkOptions) {
+  const core = new OrchestratorCore({ adapters: {} });
+  core.automations.set('report', {
+    name: 'Report',
+    manifest: {
+      id: 'report',
+      optionsSchema: { type: 'object', properties: { fail: { type: 'boolean' } }, additionalProperties: false }
+    },
+    execute: async ({ fail }) => {
+      if (fail) throw new Error('Stripe export missing');
+      return { success: true, summary: 'Reported 12 payments' };
+    }
+  });
+  const sink = createRunVisibilitySink(createMCPAdapters(), sinkOptions);
+  core.registerHooks(createRunVisibilityHooks(sink));
+  return core;
+}
+
+test('each run is one calendar event, sized to the expected duration, then updated with the outcome', async () => {
+  const core = orchestratorPublishingTo({ sink: 'calendar', calendarId: 'automation-runs' });
+  const calendar = getFakeBackend('google-calendar').calendar('automation-runs');
+
+  let created;
+  const createEvent = getFakeBackend('google-calendar').createEvent.bind(getFakeBackend('google-calendar'));
+  getFakeBackend('google-calendar').createEvent = (params) => {
+    created = structuredClone(params.event);
+    return createEvent(params);
+  };
+
+  await core.runAutomation('report', { runId: 'run-visible-ok' });
+  const run = runHistory.get('run-visible-ok');
+  assert.equal(run.visibility.sink, 'calendar');
+
+  // Created as running, spanning the default duration as there is no successful run yet
+  assert.equal(created.summary, '⏳ Report');
+  assert.equal(new Date(created.end.dateTime) - new Date(created.start.dateTime), config.runVisibility.defaultDurationMs);
+
+  const event = calendar.get(run.visibility.ref);
+  assert.equal(event.summary, '✅ Report - success');
+  assert.match(event.description, /Reported 12 payments/);
+  // Quick runs still get a five-minute event
+  assert.equal(new Date(event.end.dateTime) - new Date(event.start.dateTime), 5 * MINUTE);
+
+  await assert.rejects(core.runAutomation('report', { runId: 'run-visible-failed', fail: true }));
+  const failed = calendar.get(runHistory.get('run-visible-failed').visibility.ref);
+  assert.equal(failed.summary, '❌ Report - failed');
+  assert.match(failed.description, /Error: Stripe export missing/);
+  assert.equal(calendar.size, 2);
+});
+
+test('each run is one Notion page in the run log database, updated when the run ends', async () => {
+  const core = orchestratorPublishingTo({ sink: 'notion', notionDatabaseId: 'demo-reports-db' });
+
+  await assert.rejects(core.runAutomation('report', { runId: 'run-logged', fail: true, trigger: 'schedule' }));
+  const run = runHistory.get('run-logged');
+  const page = getFakeBackend('notion').pages.get(run.visibility.ref);
+
+  assert.equal(page.parent.database_id, 'demo-reports-db');
+  assert.deepEqual(
+    ['Automation', 'Status', 'Trigger'].map(name => page.properties[name].select.name),
+    ['report', 'Failed', 'schedule']
+  );
+  assert.deepEqual(page.properties.Date.date, { start: run.startedAt, end: run.endedAt });
+  assert.equal(page.properties.Details.rich_text[0].text.content, 'Error: Stripe export missing');
+});
+
+test('dry runs are not published', async () => {
+  const core = orchestratorPublishingTo({ sink: 'calendar', calendarId: 'automation-runs' });
+  await core.runAutomation('report', { runId: 'run-dry', dryRun: true });
+
+  assert.equal(runHistory.get('run-dry').visibility, undefined);
+  assert.equal(getFakeBackend('google-calendar').calendar('automation-runs').size, 0);
+});
+
+test('no sink is created without its calendar or database, or for an unknown policy', () => {
+  const adapters = createMCPAdapters();
+  assert.equal(createRunVisibilitySink(adapters, { sink: 'none' }), null);
+  assert.equal(createRunVisibilitySink(adapters, { sink: 'calendar' }), null);
+  assert.equal(createRunVisibilitySink(adapters, { sink: 'notion' }), null);
+  assert.equal(createRunVisibilitySink(adapters, { sink: 'slack' }), null);
+});